@@ -2,6 +2,12 @@
 import { Database } from './services/database';
 import { createRouter } from './routes';
 import { securityMiddleware, debugCorsConfig } from './utils/core';
+import { SourceSyncService } from './services/source-sync';
+import { getEmailTransport } from './services/email-transport';
+import { OutboxService } from './services/outbox';
+import { ReminderService } from './services/reminders';
+import { DigestService } from './services/digest';
+import { TombstoneService } from './services/tombstones';
 
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -13,6 +19,17 @@ const router = createRouter(db);
 // Debug CORS configuration on startup
 debugCorsConfig();
 
+// Re-fetch subscribed calendars in the background
+SourceSyncService.start(db);
+
+// Drop deleted events once their cancellation has been published long enough
+TombstoneService.start(db);
+
+// Deliver queued mail; reminders and the weekly digest go through the outbox
+OutboxService.start(db, getEmailTransport());
+ReminderService.start(db, OutboxService.mailer(db));
+DigestService.start(db, OutboxService.mailer(db));
+
 // 🎯 Bun server with Security Middleware
 const server = Bun.serve({
     port: PORT,
@@ -74,12 +91,22 @@ if (NODE_ENV === 'development') {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down YATWA Backend...');
+    SourceSyncService.stop();
+    TombstoneService.stop();
+    ReminderService.stop();
+    DigestService.stop();
+    OutboxService.stop();
     await db.disconnect();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     console.log('\n🛑 Received SIGTERM, shutting down...');
+    SourceSyncService.stop();
+    TombstoneService.stop();
+    ReminderService.stop();
+    DigestService.stop();
+    OutboxService.stop();
     await db.disconnect();
     process.exit(0);
 });
\ No newline at end of file
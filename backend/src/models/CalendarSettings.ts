@@ -0,0 +1,152 @@
+// ⚙️ Calendar Settings Model - Per-calendar preferences
+import { Database } from '../services/database';
+import type { EmailLocale } from '../services/email-templates';
+import { toDateString } from '../utils/date';
+import { DEFAULT_TIMEZONE, normalizeTimeZone } from '../utils/timezone';
+
+export interface CalendarSettings {
+    user_hash: string;
+    holiday_region: string | null; // Bundesland code (e.g. 'NW'), null = nationwide holidays only
+    holiday_shift: boolean;        // Shift pickups falling into a holiday week
+    default_reminder_minutes: number | null; // Reminder for events without their own or their type's, null = none
+    all_day_reminder_time: string;           // HH:MM:SS on the evening(s) before an all-day pickup
+    reminder_email: string | null;           // Gets a mail about the next day's pickups, null = off
+    quiet_hours_start: string | null;        // No mail between start and end (may wrap midnight)
+    quiet_hours_end: string | null;
+    weekly_digest: boolean;                  // Sunday-evening mail with the coming week's pickups
+    digest_sent_week: string | null;         // Monday of the week the last digest was sent for
+    email_locale: EmailLocale;               // Language of reminder and digest mails
+    timezone: string;                        // IANA zone of event times, reminders and digests
+}
+
+export interface UpdateCalendarSettingsData {
+    holiday_region?: string | null;
+    holiday_shift?: boolean;
+    default_reminder_minutes?: number | null;
+    all_day_reminder_time?: string;
+    reminder_email?: string | null;
+    quiet_hours_start?: string | null;
+    quiet_hours_end?: string | null;
+    weekly_digest?: boolean;
+    email_locale?: EmailLocale;
+    timezone?: string;
+}
+
+const SETTINGS_COLUMNS = `user_hash, holiday_region, holiday_shift, default_reminder_minutes, all_day_reminder_time,
+        reminder_email, quiet_hours_start, quiet_hours_end, weekly_digest, digest_sent_week, email_locale, timezone`;
+
+export class CalendarSettingsModel {
+    constructor(private db: Database) {}
+
+    /**
+     * Get settings of a calendar (defaults if none were saved yet)
+     */
+    async get(userHash: string): Promise<CalendarSettings> {
+        const sql = `
+      SELECT ${SETTINGS_COLUMNS}
+      FROM calendar_settings
+      WHERE user_hash = ?
+    `;
+
+        const settings = await this.db.queryOne<CalendarSettings>(sql, [userHash]);
+        if (!settings) {
+            return this.defaults(userHash);
+        }
+
+        return this.normalize(settings);
+    }
+
+    /**
+     * Calendars that get email reminders
+     */
+    async findWithReminderEmail(): Promise<CalendarSettings[]> {
+        const sql = `
+      SELECT ${SETTINGS_COLUMNS}
+      FROM calendar_settings
+      WHERE reminder_email IS NOT NULL
+    `;
+
+        const settings = await this.db.query<CalendarSettings>(sql);
+        return settings.map(entry => this.normalize(entry));
+    }
+
+    /**
+     * Save settings, keeping fields that are not part of the update
+     */
+    async update(userHash: string, data: UpdateCalendarSettingsData): Promise<CalendarSettings> {
+        const settings = { ...await this.get(userHash), ...data };
+
+        const sql = `
+      INSERT INTO calendar_settings (
+        user_hash, holiday_region, holiday_shift, default_reminder_minutes, all_day_reminder_time,
+        reminder_email, quiet_hours_start, quiet_hours_end, weekly_digest, email_locale, timezone, created_at, updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE
+        holiday_region = VALUES(holiday_region),
+        holiday_shift = VALUES(holiday_shift),
+        default_reminder_minutes = VALUES(default_reminder_minutes),
+        all_day_reminder_time = VALUES(all_day_reminder_time),
+        reminder_email = VALUES(reminder_email),
+        quiet_hours_start = VALUES(quiet_hours_start),
+        quiet_hours_end = VALUES(quiet_hours_end),
+        weekly_digest = VALUES(weekly_digest),
+        email_locale = VALUES(email_locale),
+        timezone = VALUES(timezone),
+        updated_at = NOW()
+    `;
+
+        await this.db.insert(sql, [
+            userHash,
+            settings.holiday_region || null,
+            settings.holiday_shift ? 1 : 0,
+            settings.default_reminder_minutes ?? null,
+            settings.all_day_reminder_time,
+            settings.reminder_email || null,
+            settings.quiet_hours_start || null,
+            settings.quiet_hours_end || null,
+            settings.weekly_digest ? 1 : 0,
+            settings.email_locale,
+            settings.timezone
+        ]);
+
+        return this.get(userHash);
+    }
+
+    /**
+     * Remember the week (its Monday) a digest was sent for
+     */
+    async markDigestSent(userHash: string, weekStart: string): Promise<void> {
+        await this.db.update(
+            `UPDATE calendar_settings SET digest_sent_week = ?, updated_at = NOW() WHERE user_hash = ?`,
+            [weekStart, userHash]
+        );
+    }
+
+    private normalize(settings: CalendarSettings): CalendarSettings {
+        return {
+            ...settings,
+            holiday_shift: !!settings.holiday_shift,
+            weekly_digest: !!settings.weekly_digest,
+            digest_sent_week: settings.digest_sent_week ? toDateString(settings.digest_sent_week) : null,
+            timezone: normalizeTimeZone(settings.timezone) || DEFAULT_TIMEZONE
+        };
+    }
+
+    private defaults(userHash: string): CalendarSettings {
+        return {
+            user_hash: userHash,
+            holiday_region: null,
+            holiday_shift: false,
+            default_reminder_minutes: null,
+            all_day_reminder_time: '19:00:00',
+            reminder_email: null,
+            quiet_hours_start: null,
+            quiet_hours_end: null,
+            weekly_digest: false,
+            digest_sent_week: null,
+            email_locale: 'de',
+            timezone: DEFAULT_TIMEZONE
+        };
+    }
+}
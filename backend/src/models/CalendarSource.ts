@@ -0,0 +1,148 @@
+// 🔗 Calendar Source Model - Remote .ics calendars a calendar is subscribed to
+import { Database } from '../services/database';
+
+export interface CalendarSource {
+    id: number;
+    user_hash: string;
+    url: string;
+    label: string | null;
+    etag: string | null;             // Validators of the last fetch, sent back for conditional requests
+    last_modified: string | null;
+    last_sync_at: Date | null;       // Last attempt, successful or not
+    last_success_at: Date | null;
+    last_error: string | null;       // Error of the last attempt, null if it succeeded
+    event_count: number;
+    created_at: Date;
+    updated_at: Date;
+}
+
+export interface CreateCalendarSourceData {
+    user_hash: string;
+    url: string;
+    label?: string | null;
+}
+
+export interface SourceSyncRecord {
+    error: string | null;
+    etag?: string | null;
+    last_modified?: string | null;
+}
+
+const SOURCE_COLUMNS = `
+        s.id, s.user_hash, s.url, s.label, s.etag, s.last_modified, s.last_sync_at, s.last_success_at, s.last_error,
+        (SELECT COUNT(*) FROM events e WHERE e.source_id = s.id AND e.deleted_at IS NULL) AS event_count,
+        s.created_at, s.updated_at`;
+
+export class CalendarSourceModel {
+    constructor(private db: Database) {}
+
+    async findByUserHash(userHash: string): Promise<CalendarSource[]> {
+        const sql = `
+      SELECT ${SOURCE_COLUMNS}
+      FROM calendar_sources s
+      WHERE s.user_hash = ?
+      ORDER BY s.created_at ASC
+    `;
+
+        return await this.db.query<CalendarSource>(sql, [userHash]);
+    }
+
+    async findById(id: number, userHash?: string): Promise<CalendarSource | null> {
+        let sql = `
+      SELECT ${SOURCE_COLUMNS}
+      FROM calendar_sources s
+      WHERE s.id = ?
+    `;
+
+        const params: any[] = [id];
+
+        if (userHash) {
+            sql += ` AND s.user_hash = ?`;
+            params.push(userHash);
+        }
+
+        return await this.db.queryOne<CalendarSource>(sql, params);
+    }
+
+    /**
+     * Sources not synced within the last `hours` hours (or never)
+     */
+    async findDue(hours: number): Promise<CalendarSource[]> {
+        const sql = `
+      SELECT ${SOURCE_COLUMNS}
+      FROM calendar_sources s
+      WHERE s.last_sync_at IS NULL OR s.last_sync_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+      ORDER BY s.last_sync_at ASC
+    `;
+
+        return await this.db.query<CalendarSource>(sql, [hours]);
+    }
+
+    async countByUserHash(userHash: string): Promise<number> {
+        const result = await this.db.queryOne<{ count: number }>(
+            `SELECT COUNT(*) as count FROM calendar_sources WHERE user_hash = ?`,
+            [userHash]
+        );
+
+        return result?.count || 0;
+    }
+
+    async create(data: CreateCalendarSourceData): Promise<CalendarSource> {
+        const sql = `
+      INSERT INTO calendar_sources (user_hash, url, label, created_at, updated_at)
+      VALUES (?, ?, ?, NOW(), NOW())
+    `;
+
+        const result = await this.db.insert(sql, [data.user_hash, data.url, data.label || null]);
+
+        const source = await this.findById(result.insertId);
+        if (!source) {
+            throw new Error('Failed to create calendar source');
+        }
+
+        return source;
+    }
+
+    /**
+     * Store the outcome of a sync attempt. Validators are only replaced
+     * when given, so a failed fetch keeps those of the last good one.
+     */
+    async recordSync(id: number, record: SourceSyncRecord): Promise<void> {
+        if (record.error) {
+            await this.db.update(`
+      UPDATE calendar_sources
+      SET last_sync_at = NOW(), last_error = ?
+      WHERE id = ?
+    `, [record.error.substring(0, 1000), id]);
+            return;
+        }
+
+        await this.db.update(`
+      UPDATE calendar_sources
+      SET last_sync_at = NOW(), last_success_at = NOW(), last_error = NULL,
+          etag = COALESCE(?, etag), last_modified = COALESCE(?, last_modified)
+      WHERE id = ?
+    `, [record.etag || null, record.last_modified || null, id]);
+    }
+
+    /**
+     * Remove a source. Its events are deleted too unless keepEvents is set,
+     * in which case they stay as regular events. Its tombstones go either way:
+     * without the source they would lose the source's UIDs.
+     */
+    async delete(id: number, userHash: string, keepEvents: boolean = false): Promise<boolean> {
+        return await this.db.transaction(async (connection) => {
+            await connection.execute(
+                `DELETE FROM events WHERE source_id = ? AND user_hash = ?${keepEvents ? ' AND deleted_at IS NOT NULL' : ''}`,
+                [id, userHash]
+            );
+
+            const [result] = await connection.execute(
+                `DELETE FROM calendar_sources WHERE id = ? AND user_hash = ?`,
+                [id, userHash]
+            );
+
+            return (result as { affectedRows: number }).affectedRows > 0;
+        });
+    }
+}
@@ -0,0 +1,73 @@
+// 🔑 Email Binding Model - Recovery address of a calendar (as keyed hash only)
+import { Database } from '../services/database';
+
+export interface EmailBinding {
+    id: number;
+    user_hash: string;
+    email_hash: string;             // HMAC of the normalized address
+    token_hash: string | null;      // SHA-256 of the pending confirmation token
+    token_expires_at: Date | null;
+    confirmed_at: Date | null;      // null = waiting for the confirmation
+    created_at: Date;
+    updated_at: Date;
+}
+
+const BINDING_COLUMNS = 'id, user_hash, email_hash, token_hash, token_expires_at, confirmed_at, created_at, updated_at';
+
+export class EmailBindingModel {
+    constructor(private db: Database) {}
+
+    async findByUserHash(userHash: string): Promise<EmailBinding | null> {
+        return await this.db.queryOne<EmailBinding>(
+            `SELECT ${BINDING_COLUMNS} FROM email_bindings WHERE user_hash = ?`,
+            [userHash]
+        );
+    }
+
+    /**
+     * Bind an address waiting for confirmation (replaces an earlier binding of the calendar)
+     */
+    async savePending(userHash: string, emailHash: string, tokenHash: string, validHours: number): Promise<void> {
+        const sql = `
+      INSERT INTO email_bindings (user_hash, email_hash, token_hash, token_expires_at, confirmed_at, created_at, updated_at)
+      VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NULL, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE
+        email_hash = VALUES(email_hash),
+        token_hash = VALUES(token_hash),
+        token_expires_at = VALUES(token_expires_at),
+        confirmed_at = NULL,
+        updated_at = NOW()
+    `;
+
+        await this.db.insert(sql, [userHash, emailHash, tokenHash, validHours]);
+    }
+
+    /**
+     * Confirm the binding a token belongs to. Returns false for unknown or expired tokens.
+     */
+    async confirm(tokenHash: string): Promise<boolean> {
+        const sql = `
+      UPDATE email_bindings
+      SET confirmed_at = NOW(), token_hash = NULL, token_expires_at = NULL, updated_at = NOW()
+      WHERE token_hash = ? AND token_expires_at > NOW()
+    `;
+
+        return await this.db.update(sql, [tokenHash]) > 0;
+    }
+
+    /**
+     * Calendars an address has confirmed
+     */
+    async findConfirmedUserHashes(emailHash: string): Promise<string[]> {
+        const rows = await this.db.query<{ user_hash: string }>(
+            `SELECT user_hash FROM email_bindings WHERE email_hash = ? AND confirmed_at IS NOT NULL ORDER BY created_at ASC`,
+            [emailHash]
+        );
+
+        return rows.map(row => row.user_hash);
+    }
+
+    async delete(userHash: string): Promise<boolean> {
+        return await this.db.delete(`DELETE FROM email_bindings WHERE user_hash = ?`, [userHash]) > 0;
+    }
+}
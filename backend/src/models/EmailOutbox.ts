@@ -0,0 +1,165 @@
+// 📤 Email Outbox Model - Queued outgoing mail with delivery attempts
+import { Database } from '../services/database';
+import type { EmailMessage } from '../services/email-transport';
+
+export type OutboxStatus = 'pending' | 'sent' | 'dead';
+
+export interface OutboxEmail {
+    id: number;
+    user_hash: string | null;
+    recipient: string;
+    subject: string;
+    html: string;
+    text: string;
+    headers: string | null;   // JSON object of extra mail headers
+    scrub_when_done: boolean; // Recipient and body are cleared once sent or dead
+    status: OutboxStatus;
+    attempts: number;
+    next_attempt_at: Date;
+    last_error: string | null;
+    last_attempt_at: Date | null;
+    sent_at: Date | null;
+    created_at: Date;
+}
+
+export type OutboxEmailSummary = Pick<OutboxEmail, 'id' | 'recipient' | 'subject' | 'status' | 'attempts' | 'sent_at' | 'created_at'>;
+
+export interface OutboxStats {
+    pending: number;
+    dead: number;
+    lastFailure: { error: string; at: Date; status: OutboxStatus } | null;
+}
+
+const OUTBOX_COLUMNS = `id, user_hash, recipient, subject, html, text, headers, scrub_when_done, status, attempts,
+        next_attempt_at, last_error, last_attempt_at, sent_at, created_at`;
+
+export class EmailOutboxModel {
+    constructor(private db: Database) {}
+
+    async enqueue(message: EmailMessage): Promise<number> {
+        const sql = `
+      INSERT INTO email_outbox (user_hash, recipient, subject, html, text, headers, scrub_when_done, status, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', NOW(), NOW())
+    `;
+
+        const result = await this.db.insert(sql, [
+            message.userHash || null,
+            message.to,
+            message.subject,
+            message.html,
+            message.text,
+            message.headers ? JSON.stringify(message.headers) : null,
+            message.scrub ? 1 : 0
+        ]);
+
+        return result.insertId;
+    }
+
+    /**
+     * Pending mails whose next attempt is due, oldest first
+     */
+    async findDue(limit: number): Promise<OutboxEmail[]> {
+        const sql = `
+      SELECT ${OUTBOX_COLUMNS}
+      FROM email_outbox
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at ASC, id ASC
+      LIMIT ${Math.max(1, Math.floor(limit))}
+    `;
+
+        return await this.db.query<OutboxEmail>(sql);
+    }
+
+    /**
+     * Mails of a calendar, newest first (without their bodies)
+     */
+    async findByUserHash(userHash: string): Promise<OutboxEmailSummary[]> {
+        const sql = `
+      SELECT id, recipient, subject, status, attempts, sent_at, created_at
+      FROM email_outbox
+      WHERE user_hash = ?
+      ORDER BY created_at DESC, id DESC
+    `;
+
+        return await this.db.query<OutboxEmailSummary>(sql, [userHash]);
+    }
+
+    async markSent(id: number): Promise<void> {
+        await this.db.update(
+            `UPDATE email_outbox
+      SET status = 'sent', attempts = attempts + 1, last_attempt_at = NOW(), sent_at = NOW()
+      WHERE id = ?`,
+            [id]
+        );
+    }
+
+    /**
+     * Record a failed attempt: try again after `retryInSeconds`, or give up (dead) when null
+     */
+    async markFailed(id: number, error: string, retryInSeconds: number | null): Promise<void> {
+        if (retryInSeconds === null) {
+            await this.db.update(
+                `UPDATE email_outbox
+      SET status = 'dead', attempts = attempts + 1, last_attempt_at = NOW(), last_error = ?
+      WHERE id = ?`,
+                [error, id]
+            );
+            return;
+        }
+
+        await this.db.update(
+            `UPDATE email_outbox
+      SET attempts = attempts + 1, last_attempt_at = NOW(), last_error = ?,
+        next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE id = ?`,
+            [error, retryInSeconds, id]
+        );
+    }
+
+    /**
+     * Clear recipient and body of a mail that is done, keeping its delivery status
+     */
+    async scrub(id: number): Promise<void> {
+        await this.db.update(
+            `UPDATE email_outbox SET recipient = '', html = '', text = '', headers = NULL WHERE id = ?`,
+            [id]
+        );
+    }
+
+    /**
+     * Queue depth, dead letters and the most recent failed attempt
+     */
+    async getStats(): Promise<OutboxStats> {
+        const counts = await this.db.query<{ status: OutboxStatus; count: number }>(
+            `SELECT status, COUNT(*) AS count FROM email_outbox WHERE status IN ('pending', 'dead') GROUP BY status`
+        );
+
+        const lastFailure = await this.db.queryOne<{ last_error: string; last_attempt_at: Date; status: OutboxStatus }>(`
+      SELECT last_error, last_attempt_at, status
+      FROM email_outbox
+      WHERE last_error IS NOT NULL
+      ORDER BY last_attempt_at DESC
+      LIMIT 1
+    `);
+
+        const count = (status: OutboxStatus) => Number(counts.find(row => row.status === status)?.count || 0);
+
+        return {
+            pending: count('pending'),
+            dead: count('dead'),
+            lastFailure: lastFailure ?
+                { error: lastFailure.last_error, at: lastFailure.last_attempt_at, status: lastFailure.status } :
+                null
+        };
+    }
+
+    /**
+     * Forget delivered mails (they may contain calendar links)
+     */
+    async deleteSentBefore(days: number): Promise<number> {
+        return await this.db.delete(
+            `DELETE FROM email_outbox WHERE status = 'sent' AND sent_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [days]
+        );
+    }
+}
@@ -1,5 +1,12 @@
 // 📅 Event Model - Database operations for calendar events
+import mysql from 'mysql2/promise';
 import { Database } from '../services/database';
+import { RecurrenceRule, RecurrenceService } from '../services/recurrence';
+import { HolidayService } from '../services/holidays';
+import { EventException, EventExceptionData, EventExceptionModel } from './EventException';
+import { CalendarSettings, CalendarSettingsModel } from './CalendarSettings';
+import { WasteType, WasteTypeModel, wasteTypeForTitle } from './WasteType';
+import { toDateString, today, addDays, diffDays } from '../utils/date';
 
 export interface Event {
     id: number;
@@ -7,36 +14,135 @@ export interface Event {
     title: string;
     event_date: string; // YYYY-MM-DD format
     event_time: string | null; // HH:MM:SS format or null for all-day
+    end_date: string | null;   // Last day (inclusive) of a multi-day event, null = same day
+    end_time: string | null;   // End of a timed event, null = one hour after the start
     icon: string;
     description: string | null;
+    recurrence_rule: string | null; // RRULE value, e.g. FREQ=WEEKLY;INTERVAL=2
+    external_uid: string | null;    // UID from an imported .ics file
+    source_id: number | null;       // Subscribed calendar source the event is synced from
+    waste_type_id: number | null;   // Waste type (colour, category) of the pickup
+    reminder_minutes: number | null; // Minutes before the pickup, 0 = none, null = default of the type/calendar
+    revision: number;               // Incremented on every change (iCal SEQUENCE)
     created_at: Date;
     updated_at: Date;
 }
 
+/**
+ * Deleted event, kept for a while so feed subscribers learn about the cancellation
+ */
+export interface EventTombstone extends Event {
+    deleted_at: Date;
+}
+
+/**
+ * Single occurrence of an event as returned by date range queries.
+ * Recurring events are expanded; event_date is the occurrence date.
+ */
+export interface EventOccurrence extends Event {
+    series_start: string | null;  // First date of the series (null for single events)
+    recurrence_id: string | null; // Original occurrence date within the series
+    is_moved: boolean;            // Occurrence shifted by an exception or a holiday
+    holiday: string | null;       // Public holiday that caused the shift
+}
+
 export interface CreateEventData {
     user_hash: string;
     title: string;
     event_date: string;
     event_time?: string | null;
+    end_date?: string | null;
+    end_time?: string | null;
     icon?: string;
     description?: string | null;
+    recurrence_rule?: string | null;
+    external_uid?: string | null;
+    source_id?: number | null;
+    waste_type_id?: number | null;  // Left out: recognized from the title
+    reminder_minutes?: number | null;
+}
+
+/**
+ * Event created from an import, together with its per-occurrence exceptions
+ */
+export interface ImportEventData extends CreateEventData {
+    exceptions?: Array<EventExceptionData & { original_date: string }>;
+}
+
+/**
+ * Accepted changes of a reviewed import
+ */
+export interface ImportChangeSet {
+    create: ImportEventData[];
+    update: Array<{ id: number; data: ImportEventData }>;
+    remove: number[];
 }
 
 export interface UpdateEventData {
     title?: string;
     event_date?: string;
     event_time?: string | null;
+    end_date?: string | null;
+    end_time?: string | null;
     icon?: string;
     description?: string | null;
+    recurrence_rule?: string | null;
+    waste_type_id?: number | null;
+    reminder_minutes?: number | null;
 }
 
 export interface EventFilter {
     startDate?: string;
     endDate?: string;
+    activeFrom?: string;      // Events still running on or after this date, and every series
+    wasteTypeIds?: number[];  // Events of these types ...
+    icons?: string[];         // ... or with these icons
     limit?: number;
     offset?: number;
 }
 
+const EVENT_COLUMNS = 'id, user_hash, title, event_date, event_time, end_date, end_time, icon, description, recurrence_rule, external_uid, source_id, waste_type_id, reminder_minutes, revision, created_at, updated_at';
+
+// Days a deleted event stays in the feed as cancelled before it is purged
+export const TOMBSTONE_DAYS = parseInt(process.env.EVENT_TOMBSTONE_DAYS || '30');
+
+// Deleting keeps the row as a tombstone; the cancellation is a new revision
+const SOFT_DELETE = 'UPDATE events SET deleted_at = NOW(), revision = revision + 1, updated_at = NOW()';
+
+// Holiday shifts move pickups forward by at most a few days
+const HOLIDAY_SHIFT_LOOKBACK_DAYS = 7;
+
+// Longest period the upcoming events can be asked for
+export const MAX_UPCOMING_DAYS = 366;
+
+/**
+ * End of an event moved to start on `date` at `time`: the event keeps its length
+ */
+export function occurrenceEnd(
+    event: Pick<Event, 'event_date' | 'event_time' | 'end_date' | 'end_time'>,
+    date: string,
+    time: string | null
+): Pick<Event, 'end_date' | 'end_time'> {
+    const span = event.end_date ? diffDays(toDateString(event.event_date), toDateString(event.end_date)) : 0;
+
+    if (!event.event_time || !event.end_time || !time) {
+        return { end_date: event.end_date ? addDays(date, span) : null, end_time: event.end_time };
+    }
+
+    const minutes = (value: string) => {
+        const [hours, mins] = value.split(':').map(Number);
+        return hours * 60 + mins;
+    };
+    const end = minutes(time) + span * 24 * 60 + minutes(event.end_time) - minutes(event.event_time);
+    const days = Math.floor(end / (24 * 60));
+    const rest = end % (24 * 60);
+
+    return {
+        end_date: days > 0 ? addDays(date, days) : null,
+        end_time: `${String(Math.floor(rest / 60)).padStart(2, '0')}:${String(rest % 60).padStart(2, '0')}:00`
+    };
+}
+
 export class EventModel {
     constructor(private db: Database) {}
 
@@ -45,17 +151,27 @@ export class EventModel {
      */
     async create(eventData: CreateEventData): Promise<Event> {
         const sql = `
-      INSERT INTO events (user_hash, title, event_date, event_time, icon, description, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+      INSERT INTO events (user_hash, title, event_date, event_time, icon, description, recurrence_rule, external_uid, source_id, waste_type_id, reminder_minutes, end_date, end_time, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
     `;
 
+        const wasteTypes = eventData.waste_type_id === undefined ?
+            await new WasteTypeModel(this.db).findByUserHash(eventData.user_hash) : [];
+
         const params = [
             eventData.user_hash,
             eventData.title,
             eventData.event_date,
             eventData.event_time || null,
             eventData.icon || 'calendar',
-            eventData.description || null
+            eventData.description || null,
+            eventData.recurrence_rule || null,
+            eventData.external_uid || null,
+            eventData.source_id || null,
+            this.wasteTypeId(eventData, wasteTypes),
+            eventData.reminder_minutes ?? null,
+            eventData.end_date || null,
+            eventData.end_time || null
         ];
 
         const result = await this.db.insert(sql, params);
@@ -69,14 +185,170 @@ export class EventModel {
         return createdEvent;
     }
 
+    /**
+     * Create imported events and their exceptions in one transaction.
+     * Events already in the calendar (same UID, or same title, date and time)
+     * and repeats within the import are skipped.
+     * Returns the new event ID per input, or null for a skipped duplicate.
+     */
+    async importEvents(userHash: string, events: ImportEventData[]): Promise<Array<number | null>> {
+        const existing = await this.db.query<Pick<Event, 'title' | 'event_date' | 'event_time' | 'external_uid'>>(
+            `SELECT title, event_date, event_time, external_uid FROM events WHERE user_hash = ? AND deleted_at IS NULL`,
+            [userHash]
+        );
+
+        const seenUids = new Set(existing.filter(event => event.external_uid).map(event => event.external_uid));
+        const seenKeys = new Set(existing.map(event => this.duplicateKey(event.title, toDateString(event.event_date), event.event_time)));
+        const wasteTypes = await new WasteTypeModel(this.db).findByUserHash(userHash);
+
+        return await this.db.transaction(async (connection) => {
+            const ids: Array<number | null> = [];
+
+            for (const eventData of events) {
+                const key = this.duplicateKey(eventData.title, eventData.event_date, eventData.event_time || null);
+                if ((eventData.external_uid && seenUids.has(eventData.external_uid)) || seenKeys.has(key)) {
+                    ids.push(null);
+                    continue;
+                }
+
+                const eventId = await this.insertImported(connection, userHash, eventData, wasteTypes);
+
+                seenKeys.add(key);
+                if (eventData.external_uid) {
+                    seenUids.add(eventData.external_uid);
+                }
+                ids.push(eventId);
+            }
+
+            return ids;
+        });
+    }
+
+    /**
+     * Apply the accepted changes of a reviewed import in one transaction.
+     * Updated events keep their icon and type; their exceptions are replaced by the imported ones.
+     */
+    async applyImport(userHash: string, changes: ImportChangeSet): Promise<void> {
+        const wasteTypes = changes.create.length > 0 ? await new WasteTypeModel(this.db).findByUserHash(userHash) : [];
+
+        await this.db.transaction(async (connection) => {
+            for (const eventData of changes.create) {
+                await this.insertImported(connection, userHash, eventData, wasteTypes);
+            }
+
+            for (const { id, data } of changes.update) {
+                await connection.execute(`
+          UPDATE events
+          SET title = ?, event_date = ?, event_time = ?, end_date = ?, end_time = ?, description = ?, recurrence_rule = ?, external_uid = ?,
+              revision = revision + 1, updated_at = NOW()
+          WHERE id = ? AND user_hash = ? AND deleted_at IS NULL
+        `, [
+                    data.title,
+                    data.event_date,
+                    data.event_time || null,
+                    data.end_date || null,
+                    data.end_time || null,
+                    data.description || null,
+                    data.recurrence_rule || null,
+                    data.external_uid || null,
+                    id,
+                    userHash
+                ]);
+
+                await connection.execute(`DELETE FROM event_exceptions WHERE event_id = ?`, [id]);
+                await this.insertExceptions(connection, id, data);
+            }
+
+            for (const id of changes.remove) {
+                await connection.execute(`${SOFT_DELETE} WHERE id = ? AND user_hash = ? AND deleted_at IS NULL`, [id, userHash]);
+            }
+        });
+    }
+
+    private async insertImported(
+        connection: mysql.PoolConnection,
+        userHash: string,
+        eventData: ImportEventData,
+        wasteTypes: WasteType[]
+    ): Promise<number> {
+        // Synced events use the UID of their source. One that comes back after it was removed
+        // continues the revisions of its tombstone, which it replaces (a UID appears once per feed).
+        const syncedUid = eventData.source_id && eventData.external_uid ? eventData.external_uid : null;
+        const sql = `
+      INSERT INTO events (user_hash, title, event_date, event_time, icon, description, recurrence_rule, external_uid, source_id, waste_type_id, reminder_minutes, end_date, end_time, revision, created_at, updated_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(MAX(revision) + 1, 0), NOW(), NOW()
+      FROM events
+      WHERE user_hash = ? AND external_uid = ? AND source_id IS NOT NULL AND deleted_at IS NOT NULL
+    `;
+
+        const [result] = await connection.execute(sql, [
+            userHash,
+            eventData.title,
+            eventData.event_date,
+            eventData.event_time || null,
+            eventData.icon || 'calendar',
+            eventData.description || null,
+            eventData.recurrence_rule || null,
+            eventData.external_uid || null,
+            eventData.source_id || null,
+            this.wasteTypeId(eventData, wasteTypes),
+            eventData.reminder_minutes ?? null,
+            eventData.end_date || null,
+            eventData.end_time || null,
+            userHash,
+            syncedUid
+        ]);
+
+        const eventId = (result as mysql.ResultSetHeader).insertId;
+        if (syncedUid) {
+            await connection.execute(
+                `DELETE FROM events WHERE user_hash = ? AND external_uid = ? AND source_id IS NOT NULL AND deleted_at IS NOT NULL`,
+                [userHash, syncedUid]
+            );
+        }
+        await this.insertExceptions(connection, eventId, eventData);
+
+        return eventId;
+    }
+
+    /**
+     * Type of a new event: the given one, or the type recognized from its title
+     */
+    private wasteTypeId(eventData: CreateEventData, wasteTypes: WasteType[]): number | null {
+        if (eventData.waste_type_id !== undefined) {
+            return eventData.waste_type_id;
+        }
+
+        return wasteTypeForTitle(wasteTypes, eventData.title)?.id || null;
+    }
+
+    private async insertExceptions(connection: mysql.PoolConnection, eventId: number, eventData: ImportEventData): Promise<void> {
+        const sql = `
+      INSERT INTO event_exceptions (event_id, original_date, cancelled, event_date, event_time, title, description, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+    `;
+
+        for (const exception of eventData.exceptions || []) {
+            await connection.execute(sql, [
+                eventId,
+                exception.original_date,
+                exception.cancelled ? 1 : 0,
+                exception.event_date || null,
+                exception.event_time || null,
+                exception.title || null,
+                exception.description || null
+            ]);
+        }
+    }
+
     /**
      * Find event by ID and user hash (security check)
      */
     async findById(id: number, userHash?: string): Promise<Event | null> {
         let sql = `
-      SELECT id, user_hash, title, event_date, event_time, icon, description, created_at, updated_at
+      SELECT ${EVENT_COLUMNS}
       FROM events
-      WHERE id = ?
+      WHERE id = ? AND deleted_at IS NULL
     `;
 
         const params = [id];
@@ -94,9 +366,9 @@ export class EventModel {
      */
     async findByUserHash(userHash: string, filter: EventFilter = {}): Promise<Event[]> {
         let sql = `
-      SELECT id, user_hash, title, event_date, event_time, icon, description, created_at, updated_at
+      SELECT ${EVENT_COLUMNS}
       FROM events
-      WHERE user_hash = ?
+      WHERE user_hash = ? AND deleted_at IS NULL
     `;
 
         const params: any[] = [userHash];
@@ -107,10 +379,8 @@ export class EventModel {
             params.push(filter.startDate);
         }
 
-        if (filter.endDate) {
-            sql += ` AND event_date <= ?`;
-            params.push(filter.endDate);
-        }
+        sql += this.windowCondition(filter, params);
+        sql += this.typeCondition(filter, params);
 
         // Order by date and time
         sql += ` ORDER BY event_date ASC, event_time ASC`;
@@ -129,6 +399,20 @@ export class EventModel {
         return await this.db.query<Event>(sql, params);
     }
 
+    /**
+     * Get the events synced from a calendar source
+     */
+    async findBySource(userHash: string, sourceId: number): Promise<Event[]> {
+        const sql = `
+      SELECT ${EVENT_COLUMNS}
+      FROM events
+      WHERE user_hash = ? AND source_id = ? AND deleted_at IS NULL
+      ORDER BY event_date ASC, event_time ASC
+    `;
+
+        return await this.db.query<Event>(sql, [userHash, sourceId]);
+    }
+
     /**
      * Update an event
      */
@@ -152,6 +436,16 @@ export class EventModel {
             params.push(updateData.event_time);
         }
 
+        if (updateData.end_date !== undefined) {
+            setClauses.push('end_date = ?');
+            params.push(updateData.end_date);
+        }
+
+        if (updateData.end_time !== undefined) {
+            setClauses.push('end_time = ?');
+            params.push(updateData.end_time);
+        }
+
         if (updateData.icon !== undefined) {
             setClauses.push('icon = ?');
             params.push(updateData.icon);
@@ -162,17 +456,32 @@ export class EventModel {
             params.push(updateData.description);
         }
 
+        if (updateData.recurrence_rule !== undefined) {
+            setClauses.push('recurrence_rule = ?');
+            params.push(updateData.recurrence_rule);
+        }
+
+        if (updateData.waste_type_id !== undefined) {
+            setClauses.push('waste_type_id = ?');
+            params.push(updateData.waste_type_id);
+        }
+
+        if (updateData.reminder_minutes !== undefined) {
+            setClauses.push('reminder_minutes = ?');
+            params.push(updateData.reminder_minutes);
+        }
+
         if (setClauses.length === 0) {
             throw new Error('No update data provided');
         }
 
-        // Always update the updated_at timestamp
-        setClauses.push('updated_at = NOW()');
+        // Always count the revision and update the updated_at timestamp
+        setClauses.push('revision = revision + 1', 'updated_at = NOW()');
 
         const sql = `
       UPDATE events
       SET ${setClauses.join(', ')}
-      WHERE id = ? AND user_hash = ?
+      WHERE id = ? AND user_hash = ? AND deleted_at IS NULL
     `;
 
         params.push(id, userHash);
@@ -188,18 +497,112 @@ export class EventModel {
     }
 
     /**
-     * Delete an event
+     * Count a new revision of a series whose single occurrences were moved or cancelled,
+     * so calendar clients pick up the changed exceptions
+     */
+    async touch(id: number, userHash: string): Promise<boolean> {
+        const sql = `
+      UPDATE events SET revision = revision + 1, updated_at = NOW()
+      WHERE id = ? AND user_hash = ? AND deleted_at IS NULL
+    `;
+
+        const affectedRows = await this.db.update(sql, [id, userHash]);
+        return affectedRows > 0;
+    }
+
+    /**
+     * Delete an event. It is kept as a tombstone for TOMBSTONE_DAYS, so feeds can
+     * publish the cancellation, and purged afterwards.
      */
     async delete(id: number, userHash: string): Promise<boolean> {
         const sql = `
-      DELETE FROM events
-      WHERE id = ? AND user_hash = ?
+      ${SOFT_DELETE}
+      WHERE id = ? AND user_hash = ? AND deleted_at IS NULL
     `;
 
-        const affectedRows = await this.db.delete(sql, [id, userHash]);
+        const affectedRows = await this.db.update(sql, [id, userHash]);
         return affectedRows > 0;
     }
 
+    /**
+     * Deleted events not purged yet, optionally only those of a feed's date window, types or icons.
+     * They leave the feed when the purge removes them, which records the change.
+     */
+    async findTombstones(
+        userHash: string,
+        filter: Pick<EventFilter, 'activeFrom' | 'endDate' | 'wasteTypeIds' | 'icons'> = {}
+    ): Promise<EventTombstone[]> {
+        const params: any[] = [userHash];
+        const sql = `
+      SELECT ${EVENT_COLUMNS}, deleted_at
+      FROM events
+      WHERE user_hash = ? AND deleted_at IS NOT NULL${this.windowCondition(filter, params)}${this.typeCondition(filter, params)}
+      ORDER BY event_date ASC, event_time ASC
+    `;
+
+        return await this.db.query<EventTombstone>(sql, params);
+    }
+
+    /**
+     * SQL condition for events starting up to `endDate` and still running on `activeFrom`, adding its parameters
+     */
+    private windowCondition(filter: Pick<EventFilter, 'activeFrom' | 'endDate'>, params: any[]): string {
+        let sql = '';
+
+        if (filter.endDate) {
+            sql += ` AND event_date <= ?`;
+            params.push(filter.endDate);
+        }
+
+        // A series may still recur after the date, whenever it started
+        if (filter.activeFrom) {
+            sql += ` AND (COALESCE(end_date, event_date) >= ? OR recurrence_rule IS NOT NULL)`;
+            params.push(filter.activeFrom);
+        }
+
+        return sql;
+    }
+
+    /**
+     * SQL condition for the type and icon filter (either matches), adding its parameters
+     */
+    private typeCondition(filter: Pick<EventFilter, 'wasteTypeIds' | 'icons'>, params: any[]): string {
+        const conditions: string[] = [];
+
+        if (filter.wasteTypeIds?.length) {
+            conditions.push(`waste_type_id IN (${filter.wasteTypeIds.map(() => '?').join(', ')})`);
+            params.push(...filter.wasteTypeIds);
+        }
+
+        if (filter.icons?.length) {
+            conditions.push(`icon IN (${filter.icons.map(() => '?').join(', ')})`);
+            params.push(...filter.icons);
+        }
+
+        return conditions.length > 0 ? ` AND (${conditions.join(' OR ')})` : '';
+    }
+
+    /**
+     * Remove tombstones older than `days` days (maintenance). The calendars they
+     * leave get a new content version, so their feeds are not answered with 304.
+     */
+    async purgeTombstones(days: number = TOMBSTONE_DAYS): Promise<number> {
+        return await this.db.transaction(async (connection) => {
+            await connection.execute(
+                `UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP, last_accessed = last_accessed
+         WHERE hash IN (SELECT user_hash FROM events WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY))`,
+                [days]
+            );
+
+            const [result] = await connection.execute(
+                `DELETE FROM events WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+                [days]
+            );
+
+            return (result as mysql.ResultSetHeader).affectedRows;
+        });
+    }
+
     /**
      * Get events count for a user
      */
@@ -207,7 +610,7 @@ export class EventModel {
         const sql = `
       SELECT COUNT(*) as count
       FROM events
-      WHERE user_hash = ?
+      WHERE user_hash = ? AND deleted_at IS NULL
     `;
 
         const result = await this.db.queryOne<{ count: number }>(sql, [userHash]);
@@ -215,35 +618,170 @@ export class EventModel {
     }
 
     /**
-     * Get upcoming events for a user (next 30 days)
+     * Get upcoming events for a user (next 30 days, at most MAX_UPCOMING_DAYS), recurring events expanded
      */
-    async getUpcomingEvents(userHash: string, days: number = 30): Promise<Event[]> {
-        const sql = `
-      SELECT id, user_hash, title, event_date, event_time, icon, description, created_at, updated_at
-      FROM events
-      WHERE user_hash = ?
-        AND event_date >= CURDATE()
-        AND event_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
-      ORDER BY event_date ASC, event_time ASC
-    `;
-
-        return await this.db.query<Event>(sql, [userHash, days]);
+    async getUpcomingEvents(userHash: string, days: number = 30): Promise<EventOccurrence[]> {
+        const startDate = today();
+        const period = Math.min(Math.max(Math.trunc(days) || 1, 1), MAX_UPCOMING_DAYS);
+        return await this.getEventsByDateRange(userHash, startDate, addDays(startDate, period));
     }
 
     /**
-     * Get events by date range (for calendar view)
+     * Get events by date range (for calendar view), recurring events expanded
      */
-    async getEventsByDateRange(userHash: string, startDate: string, endDate: string): Promise<Event[]> {
+    async getEventsByDateRange(userHash: string, startDate: string, endDate: string): Promise<EventOccurrence[]> {
+        const settings = await new CalendarSettingsModel(this.db).get(userHash);
+
+        // Single events overlapping the range (or shifted into it) plus every series that started before its end
         const sql = `
-      SELECT id, user_hash, title, event_date, event_time, icon, description, created_at, updated_at
+      SELECT ${EVENT_COLUMNS}
       FROM events
-      WHERE user_hash = ?
-        AND event_date >= ?
+      WHERE user_hash = ? AND deleted_at IS NULL
         AND event_date <= ?
+        AND (COALESCE(end_date, event_date) >= ? OR recurrence_rule IS NOT NULL)
       ORDER BY event_date ASC, event_time ASC
     `;
 
-        return await this.db.query<Event>(sql, [userHash, startDate, endDate]);
+        const shiftedFrom = settings.holiday_shift ? addDays(startDate, -HOLIDAY_SHIFT_LOOKBACK_DAYS) : startDate;
+        const events = await this.db.query<Event>(sql, [userHash, endDate, shiftedFrom]);
+
+        const seriesIds = events.filter(event => event.recurrence_rule).map(event => event.id);
+        const exceptions = await new EventExceptionModel(this.db).findByEventIds(seriesIds);
+
+        return this.expandOccurrences(events, exceptions, startDate, endDate, settings);
+    }
+
+    /**
+     * Expand recurring events into their occurrences overlapping the range,
+     * skipping cancelled, shifting pickups (single ones too) in holiday weeks and applying moved occurrences.
+     * Multi-day occurrences keep the length of the series and carry their own end_date.
+     */
+    private expandOccurrences(
+        events: Event[],
+        exceptions: EventException[],
+        startDate: string,
+        endDate: string,
+        settings: CalendarSettings
+    ): EventOccurrence[] {
+        const occurrences: EventOccurrence[] = [];
+
+        events.forEach(event => {
+            const eventDate = toDateString(event.event_date);
+            const lastDay = event.end_date ? toDateString(event.end_date) : null;
+
+            if (!event.recurrence_rule) {
+                const occurrence = this.applyHolidayShift(
+                    { ...event, event_date: eventDate, end_date: lastDay, series_start: null, recurrence_id: null, is_moved: false, holiday: null },
+                    settings
+                );
+
+                if ((occurrence.end_date || occurrence.event_date) >= startDate && occurrence.event_date <= endDate) {
+                    occurrences.push(occurrence);
+                }
+                return;
+            }
+
+            // Occurrences shortly before the range may be shifted into it or still last into it
+            const span = lastDay ? diffDays(eventDate, lastDay) : 0;
+            const expandStart = addDays(startDate, -span - (settings.holiday_shift ? HOLIDAY_SHIFT_LOOKBACK_DAYS : 0));
+
+            // A stored rule that can't be read (e.g. written by an older version) only costs its own series
+            let rule: RecurrenceRule;
+            try {
+                rule = RecurrenceService.parse(event.recurrence_rule);
+            } catch (error) {
+                console.warn(`⚠️ Skipping event ${event.id} with unreadable rule "${event.recurrence_rule}":`, error instanceof Error ? error.message : error);
+                return;
+            }
+
+            const seriesExceptions = new Map(
+                exceptions
+                    .filter(exception => exception.event_id === event.id)
+                    .map(exception => [exception.original_date, exception])
+            );
+            const dates = new Set(RecurrenceService.expand(rule, eventDate, expandStart, endDate));
+
+            // Occurrences moved into the range from outside of it
+            seriesExceptions.forEach(exception => {
+                if (exception.event_date && !dates.has(exception.original_date) &&
+                    RecurrenceService.expand(rule, eventDate, exception.original_date, exception.original_date).length > 0) {
+                    dates.add(exception.original_date);
+                }
+            });
+
+            dates.forEach(date => {
+                const exception = seriesExceptions.get(date);
+                if (exception?.cancelled) return;
+
+                const occurrence = this.applyException(
+                    this.applyHolidayShift(
+                        { ...event, event_date: date, ...occurrenceEnd(event, date, event.event_time), series_start: eventDate, recurrence_id: date, is_moved: false, holiday: null },
+                        settings
+                    ),
+                    exception
+                );
+
+                if ((occurrence.end_date || occurrence.event_date) >= startDate && occurrence.event_date <= endDate) {
+                    occurrences.push(occurrence);
+                }
+            });
+        });
+
+        return occurrences.sort((a, b) => {
+            const dateCompare = a.event_date.localeCompare(b.event_date);
+            if (dateCompare !== 0) return dateCompare;
+            return (a.event_time || '').localeCompare(b.event_time || '');
+        });
+    }
+
+    private duplicateKey(title: string, eventDate: string, eventTime: string | null): string {
+        return `${title.trim().toLowerCase()}|${eventDate}|${eventTime || ''}`;
+    }
+
+    /**
+     * Move an occurrence off a holiday week according to the calendar settings
+     */
+    private applyHolidayShift(occurrence: EventOccurrence, settings: CalendarSettings): EventOccurrence {
+        if (!settings.holiday_shift) {
+            return occurrence;
+        }
+
+        const shift = HolidayService.shiftPickup(occurrence.event_date, settings.holiday_region);
+        if (!shift) {
+            return occurrence;
+        }
+
+        return {
+            ...occurrence,
+            event_date: shift.date,
+            ...occurrenceEnd(occurrence, shift.date, occurrence.event_time),
+            is_moved: true,
+            holiday: shift.holiday.name
+        };
+    }
+
+    /**
+     * Apply a per-occurrence override to an expanded occurrence.
+     * An explicit date always wins over a holiday shift.
+     */
+    private applyException(occurrence: EventOccurrence, exception?: EventException): EventOccurrence {
+        if (!exception) {
+            return occurrence;
+        }
+
+        const eventDate = exception.event_date || occurrence.event_date;
+        const eventTime = exception.event_time ?? occurrence.event_time;
+
+        return {
+            ...occurrence,
+            event_date: eventDate,
+            event_time: eventTime,
+            ...occurrenceEnd(occurrence, eventDate, eventTime),
+            title: exception.title ?? occurrence.title,
+            description: exception.description ?? occurrence.description,
+            is_moved: eventDate !== occurrence.recurrence_id || eventTime !== occurrence.event_time,
+            holiday: eventDate === occurrence.event_date ? occurrence.holiday : null
+        };
     }
 
     /**
@@ -251,9 +789,9 @@ export class EventModel {
      */
     async searchEvents(userHash: string, searchTerm: string): Promise<Event[]> {
         const sql = `
-      SELECT id, user_hash, title, event_date, event_time, icon, description, created_at, updated_at
+      SELECT ${EVENT_COLUMNS}
       FROM events
-      WHERE user_hash = ?
+      WHERE user_hash = ? AND deleted_at IS NULL
         AND (title LIKE ? OR description LIKE ?)
       ORDER BY event_date ASC, event_time ASC
     `;
@@ -272,10 +810,10 @@ export class EventModel {
         events: Event[];
     }>> {
         let sql = `
-      SELECT id, user_hash, title, event_date, event_time, icon, description, created_at, updated_at,
+      SELECT ${EVENT_COLUMNS},
              YEAR(event_date) as year, MONTH(event_date) as month
       FROM events
-      WHERE user_hash = ?
+      WHERE user_hash = ? AND deleted_at IS NULL
     `;
 
         const params: any[] = [userHash];
@@ -305,17 +843,8 @@ export class EventModel {
 
             const group = grouped.get(key)!;
             group.count++;
-            group.events.push({
-                id: event.id,
-                user_hash: event.user_hash,
-                title: event.title,
-                event_date: event.event_date,
-                event_time: event.event_time,
-                icon: event.icon,
-                description: event.description,
-                created_at: event.created_at,
-                updated_at: event.updated_at
-            });
+            const { year, month, ...eventData } = event;
+            group.events.push(eventData);
         });
 
         return Array.from(grouped.values()).sort((a, b) => {
@@ -331,4 +860,12 @@ export class EventModel {
         const sql = `DELETE FROM events WHERE user_hash = ?`;
         return await this.db.delete(sql, [userHash]);
     }
+
+    /**
+     * Delete the events that do not belong to a subscribed source (kept as tombstones)
+     */
+    async deleteManualByUserHash(userHash: string): Promise<number> {
+        const sql = `${SOFT_DELETE} WHERE user_hash = ? AND source_id IS NULL AND deleted_at IS NULL`;
+        return await this.db.update(sql, [userHash]);
+    }
 }
\ No newline at end of file
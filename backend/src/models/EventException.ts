@@ -0,0 +1,123 @@
+// 🔁 Event Exception Model - Per-occurrence overrides of recurring events
+import { Database } from '../services/database';
+import { toDateString } from '../utils/date';
+
+export interface EventException {
+    id: number;
+    event_id: number;
+    original_date: string;      // Occurrence date defined by the RRULE (RECURRENCE-ID)
+    cancelled: boolean;         // Occurrence skipped (EXDATE)
+    event_date: string | null;  // Moved to this date (null = unchanged)
+    event_time: string | null;  // Moved to this time (null = series time)
+    title: string | null;       // Overridden title (null = series title)
+    description: string | null; // Overridden description (null = series description)
+    created_at: Date;
+    updated_at: Date;
+}
+
+export interface EventExceptionData {
+    cancelled?: boolean;
+    event_date?: string | null;
+    event_time?: string | null;
+    title?: string | null;
+    description?: string | null;
+}
+
+// Fields of an exception that can be overridden
+const EXCEPTION_FIELDS = ['cancelled', 'event_date', 'event_time', 'title', 'description'] as const;
+
+const EXCEPTION_COLUMNS = 'id, event_id, original_date, cancelled, event_date, event_time, title, description, created_at, updated_at';
+
+export class EventExceptionModel {
+    constructor(private db: Database) {}
+
+    /**
+     * Get all exceptions for a set of events
+     */
+    async findByEventIds(eventIds: number[]): Promise<EventException[]> {
+        if (eventIds.length === 0) {
+            return [];
+        }
+
+        const sql = `
+      SELECT ${EXCEPTION_COLUMNS}
+      FROM event_exceptions
+      WHERE event_id IN (${eventIds.map(() => '?').join(', ')})
+      ORDER BY original_date ASC
+    `;
+
+        const exceptions = await this.db.query<EventException>(sql, eventIds);
+        return exceptions.map(exception => this.normalize(exception));
+    }
+
+    /**
+     * Get all exceptions of a user's recurring events
+     */
+    async findByUserHash(userHash: string): Promise<EventException[]> {
+        const sql = `
+      SELECT x.id, x.event_id, x.original_date, x.cancelled, x.event_date, x.event_time,
+             x.title, x.description, x.created_at, x.updated_at
+      FROM event_exceptions x
+      JOIN events e ON e.id = x.event_id
+      WHERE e.user_hash = ? AND e.deleted_at IS NULL
+      ORDER BY x.original_date ASC
+    `;
+
+        const exceptions = await this.db.query<EventException>(sql, [userHash]);
+        return exceptions.map(exception => this.normalize(exception));
+    }
+
+    /**
+     * Create the exception for one occurrence, or change an existing one: fields left
+     * out of `data` keep their value, so a later edit doesn't undo an earlier move
+     */
+    async upsert(eventId: number, originalDate: string, data: EventExceptionData): Promise<void> {
+        const changed = EXCEPTION_FIELDS.filter(field => data[field] !== undefined);
+        const sql = `
+      INSERT INTO event_exceptions (event_id, original_date, cancelled, event_date, event_time, title, description, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE
+        ${changed.map(field => `${field} = VALUES(${field}),`).join(' ')}
+        updated_at = NOW()
+    `;
+
+        await this.db.insert(sql, [
+            eventId,
+            originalDate,
+            data.cancelled ? 1 : 0,
+            data.event_date || null,
+            data.event_time || null,
+            data.title || null,
+            data.description || null
+        ]);
+    }
+
+    /**
+     * Remove the exception for one occurrence (restores the series default)
+     */
+    async delete(eventId: number, originalDate: string): Promise<boolean> {
+        const sql = `DELETE FROM event_exceptions WHERE event_id = ? AND original_date = ?`;
+        const affectedRows = await this.db.delete(sql, [eventId, originalDate]);
+        return affectedRows > 0;
+    }
+
+    /**
+     * Remove all exceptions of an event (e.g. when its rule changes)
+     */
+    async deleteByEventId(eventId: number): Promise<number> {
+        const sql = `DELETE FROM event_exceptions WHERE event_id = ?`;
+        return await this.db.delete(sql, [eventId]);
+    }
+
+    /**
+     * Convert DATE/TINYINT columns into plain values
+     */
+    private normalize(exception: EventException): EventException {
+        return {
+            ...exception,
+            original_date: toDateString(exception.original_date),
+            event_date: exception.event_date ? toDateString(exception.event_date) : null,
+            cancelled: !!exception.cancelled
+        };
+    }
+}
@@ -0,0 +1,46 @@
+// 📧 Sent Reminder Model - Email reminders already sent per pickup
+import { Database } from '../services/database';
+
+export interface SentReminder {
+    event_id: number;
+    pickup_date: string; // YYYY-MM-DD
+}
+
+export class SentReminderModel {
+    constructor(private db: Database) {}
+
+    /**
+     * IDs of the events already reminded of for a pickup date
+     */
+    async findEventIds(userHash: string, pickupDate: string): Promise<number[]> {
+        const sql = `
+      SELECT event_id
+      FROM sent_reminders
+      WHERE user_hash = ? AND pickup_date = ?
+    `;
+
+        const rows = await this.db.query<{ event_id: number }>(sql, [userHash, pickupDate]);
+        return rows.map(row => row.event_id);
+    }
+
+    /**
+     * Record sent reminders (ignoring ones already recorded)
+     */
+    async record(userHash: string, reminders: SentReminder[]): Promise<void> {
+        if (reminders.length === 0) return;
+
+        const sql = `
+      INSERT IGNORE INTO sent_reminders (user_hash, event_id, pickup_date, sent_at)
+      VALUES ${reminders.map(() => '(?, ?, ?, NOW())').join(', ')}
+    `;
+
+        await this.db.insert(sql, reminders.flatMap(reminder => [userHash, reminder.event_id, reminder.pickup_date]));
+    }
+
+    /**
+     * Forget reminders of past pickups
+     */
+    async deleteBefore(date: string): Promise<number> {
+        return await this.db.delete(`DELETE FROM sent_reminders WHERE pickup_date < ?`, [date]);
+    }
+}
@@ -0,0 +1,68 @@
+// 👀 Share Token Model - Read-only feed tokens of a calendar
+import { Database } from '../services/database';
+
+export interface ShareToken {
+    id: number;
+    user_hash: string;
+    token: string;                  // Stands in for the hash in /api/ical/:token
+    label: string;                  // Whose device it is, e.g. "Omas iPad"
+    last_accessed_at: Date | null;  // Last feed fetch with this token
+    created_at: Date;
+}
+
+const SHARE_TOKEN_COLUMNS = 'id, user_hash, token, label, last_accessed_at, created_at';
+
+export class ShareTokenModel {
+    constructor(private db: Database) {}
+
+    async findByUserHash(userHash: string): Promise<ShareToken[]> {
+        return await this.db.query<ShareToken>(
+            `SELECT ${SHARE_TOKEN_COLUMNS} FROM share_tokens WHERE user_hash = ? ORDER BY created_at ASC`,
+            [userHash]
+        );
+    }
+
+    async findByToken(token: string): Promise<ShareToken | null> {
+        return await this.db.queryOne<ShareToken>(
+            `SELECT ${SHARE_TOKEN_COLUMNS} FROM share_tokens WHERE token = ?`,
+            [token]
+        );
+    }
+
+    async exists(token: string): Promise<boolean> {
+        const result = await this.db.queryOne<{ count: number }>(
+            `SELECT COUNT(*) as count FROM share_tokens WHERE token = ?`,
+            [token]
+        );
+
+        return (result?.count || 0) > 0;
+    }
+
+    async create(userHash: string, token: string, label: string): Promise<ShareToken> {
+        const result = await this.db.insert(
+            `INSERT INTO share_tokens (user_hash, token, label, created_at) VALUES (?, ?, ?, NOW())`,
+            [userHash, token, label]
+        );
+
+        const shareToken = await this.db.queryOne<ShareToken>(
+            `SELECT ${SHARE_TOKEN_COLUMNS} FROM share_tokens WHERE id = ?`,
+            [result.insertId]
+        );
+        if (!shareToken) {
+            throw new Error('Failed to create share token');
+        }
+
+        return shareToken;
+    }
+
+    async updateLastAccessed(id: number): Promise<void> {
+        await this.db.update(`UPDATE share_tokens SET last_accessed_at = NOW() WHERE id = ?`, [id]);
+    }
+
+    async delete(id: number, userHash: string): Promise<boolean> {
+        return await this.db.delete(
+            `DELETE FROM share_tokens WHERE id = ? AND user_hash = ?`,
+            [id, userHash]
+        ) > 0;
+    }
+}
@@ -12,6 +12,32 @@ export interface CreateUserData {
     hash: string;
 }
 
+export interface RetiredHash {
+    hash: string;
+    grace_until: Date | null; // The old feed shows a "moved" notice until then
+    retired_at: Date;
+}
+
+/**
+ * Version of a calendar's feed content, read without loading its events
+ */
+export interface ContentVersion {
+    modified_at: Date | null; // Latest change or deletion of events, overrides, waste types and settings
+    fingerprint: string;      // Also changes when rows are added or deleted within the same second
+}
+
+// Tables whose rows belong to a calendar; a rotation moves them to the new hash
+const USER_TABLES = [
+    'calendar_settings',
+    'calendar_sources',
+    'waste_types',
+    'events',
+    'sent_reminders',
+    'email_outbox',
+    'email_bindings',
+    'share_tokens'
+];
+
 export class UserModel {
     constructor(private db: Database) {}
 
@@ -76,6 +102,85 @@ export class UserModel {
         return affectedRows > 0;
     }
 
+    /**
+     * Move a calendar to a new hash and retire the old one for good. The foreign keys
+     * do not cascade updates, so the new user row is created first, every table is
+     * moved to it and only then the old row is removed. Returns false if the old hash
+     * is gone (e.g. rotated concurrently).
+     */
+    async rotate(oldHash: string, newHash: string, graceUntil: Date | null): Promise<boolean> {
+        return await this.db.transaction(async (connection) => {
+            const [created] = await connection.execute(`
+          INSERT INTO users (hash, created_at, last_accessed, content_deleted_at)
+          SELECT ?, created_at, NOW(), content_deleted_at FROM users WHERE hash = ?
+        `, [newHash, oldHash]);
+
+            if ((created as { affectedRows: number }).affectedRows === 0) {
+                return false;
+            }
+
+            for (const table of USER_TABLES) {
+                await connection.execute(`UPDATE ${table} SET user_hash = ? WHERE user_hash = ?`, [newHash, oldHash]);
+            }
+
+            await connection.execute(`DELETE FROM users WHERE hash = ?`, [oldHash]);
+            await connection.execute(
+                `INSERT INTO retired_hashes (hash, grace_until, retired_at) VALUES (?, ?, NOW())`,
+                [oldHash, graceUntil]
+            );
+
+            return true;
+        });
+    }
+
+    /**
+     * Find a hash retired by a rotation
+     */
+    async findRetired(hash: string): Promise<RetiredHash | null> {
+        const sql = `
+          SELECT hash, grace_until, retired_at
+          FROM retired_hashes
+          WHERE hash = ?
+        `;
+
+        return await this.db.queryOne<RetiredHash>(sql, [hash]);
+    }
+
+    /**
+     * Content version of a calendar from the newest updated_at and the row counts of
+     * everything its feed is built from. Deletions are recorded in content_deleted_at
+     * by triggers (see migration 017). Null if the calendar doesn't exist.
+     */
+    async getContentVersion(hash: string): Promise<ContentVersion | null> {
+        const sql = `
+          SELECT
+            (SELECT MAX(updated_at) FROM events WHERE user_hash = u.hash) as events_updated,
+            (SELECT COUNT(*) FROM events WHERE user_hash = u.hash) as event_count,
+            (SELECT MAX(x.updated_at) FROM event_exceptions x JOIN events e ON e.id = x.event_id
+              WHERE e.user_hash = u.hash) as exceptions_updated,
+            (SELECT COUNT(*) FROM event_exceptions x JOIN events e ON e.id = x.event_id
+              WHERE e.user_hash = u.hash) as exception_count,
+            (SELECT MAX(updated_at) FROM waste_types WHERE user_hash = u.hash) as types_updated,
+            (SELECT COUNT(*) FROM waste_types WHERE user_hash = u.hash) as type_count,
+            (SELECT updated_at FROM calendar_settings WHERE user_hash = u.hash) as settings_updated,
+            u.content_deleted_at
+          FROM users u
+          WHERE u.hash = ?
+        `;
+
+        const row = await this.db.queryOne<Record<string, Date | number | null>>(sql, [hash]);
+        if (!row) return null;
+
+        const timestamps = [row.events_updated, row.exceptions_updated, row.types_updated, row.settings_updated, row.content_deleted_at]
+            .map(value => value ? new Date(value).getTime() : 0);
+        const newest = Math.max(...timestamps);
+
+        return {
+            modified_at: newest > 0 ? new Date(newest) : null,
+            fingerprint: [...timestamps, row.event_count, row.exception_count, row.type_count].map(Number).join('-')
+        };
+    }
+
     /**
      * Get user statistics
      */
@@ -92,7 +197,7 @@ export class UserModel {
         const eventCountSql = `
           SELECT COUNT(*) as count
           FROM events
-          WHERE user_hash = ?
+          WHERE user_hash = ? AND deleted_at IS NULL
         `;
         const eventResult = await this.db.queryOne<{ count: number }>(eventCountSql, [hash]);
         const eventCount = eventResult?.count || 0;
@@ -0,0 +1,198 @@
+// 🗑️ Waste Type Model - Per-calendar waste types (Restmüll, Papier, ...) events belong to
+import { Database } from '../services/database';
+import { WASTE_KINDS, detectWasteKind } from '../utils/waste';
+
+export interface WasteType {
+    id: number;
+    user_hash: string;
+    name: string;
+    color: string;                           // #RRGGBB
+    icon: string;                            // One of VALID_ICONS
+    waste_kind: string | null;               // WASTE_KINDS id used to recognize the type in titles
+    default_reminder_minutes: number | null; // Reminder before a pickup, null = none
+    default_time: string | null;             // Put-out time (HH:MM:SS) for new events, null = all-day
+    created_at: Date;
+    updated_at: Date;
+}
+
+export interface CreateWasteTypeData {
+    user_hash: string;
+    name: string;
+    color: string;
+    icon: string;
+    waste_kind?: string | null;
+    default_reminder_minutes?: number | null;
+    default_time?: string | null;
+}
+
+export interface UpdateWasteTypeData {
+    name?: string;
+    color?: string;
+    icon?: string;
+    default_reminder_minutes?: number | null;
+    default_time?: string | null;
+}
+
+const WASTE_TYPE_COLUMNS = 'id, user_hash, name, color, icon, waste_kind, default_reminder_minutes, default_time, created_at, updated_at';
+
+/**
+ * Type an event title belongs to: the type of the waste kind mentioned in
+ * the title, otherwise a type whose name appears in it
+ */
+export function wasteTypeForTitle(types: WasteType[], title: string): WasteType | null {
+    const kind = detectWasteKind(title);
+    const byKind = kind ? types.find(type => type.waste_kind === kind.id) : null;
+    if (byKind) {
+        return byKind;
+    }
+
+    const normalized = title.toLowerCase();
+    return types.find(type => normalized.includes(type.name.toLowerCase())) || null;
+}
+
+export class WasteTypeModel {
+    constructor(private db: Database) {}
+
+    async findByUserHash(userHash: string): Promise<WasteType[]> {
+        const sql = `
+      SELECT ${WASTE_TYPE_COLUMNS}
+      FROM waste_types
+      WHERE user_hash = ?
+      ORDER BY name ASC
+    `;
+
+        return await this.db.query<WasteType>(sql, [userHash]);
+    }
+
+    async findById(id: number, userHash?: string): Promise<WasteType | null> {
+        let sql = `
+      SELECT ${WASTE_TYPE_COLUMNS}
+      FROM waste_types
+      WHERE id = ?
+    `;
+
+        const params: any[] = [id];
+
+        if (userHash) {
+            sql += ` AND user_hash = ?`;
+            params.push(userHash);
+        }
+
+        return await this.db.queryOne<WasteType>(sql, params);
+    }
+
+    async findByName(userHash: string, name: string): Promise<WasteType | null> {
+        return await this.db.queryOne<WasteType>(
+            `SELECT ${WASTE_TYPE_COLUMNS} FROM waste_types WHERE user_hash = ? AND name = ?`,
+            [userHash, name]
+        );
+    }
+
+    async create(data: CreateWasteTypeData): Promise<WasteType> {
+        const sql = `
+      INSERT INTO waste_types (user_hash, name, color, icon, waste_kind, default_reminder_minutes, default_time, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+    `;
+
+        const result = await this.db.insert(sql, [
+            data.user_hash,
+            data.name,
+            data.color,
+            data.icon,
+            data.waste_kind || null,
+            data.default_reminder_minutes ?? null,
+            data.default_time || null
+        ]);
+
+        const wasteType = await this.findById(result.insertId);
+        if (!wasteType) {
+            throw new Error('Failed to create waste type');
+        }
+
+        return wasteType;
+    }
+
+    /**
+     * Create the built-in types (one per waste kind) for a new calendar
+     */
+    async createDefaults(userHash: string): Promise<void> {
+        const sql = `
+      INSERT IGNORE INTO waste_types (user_hash, name, color, icon, waste_kind, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+    `;
+
+        for (const kind of WASTE_KINDS) {
+            await this.db.insert(sql, [userHash, kind.name, kind.color, kind.icon, kind.id]);
+        }
+    }
+
+    async update(id: number, userHash: string, data: UpdateWasteTypeData): Promise<WasteType | null> {
+        const setClauses: string[] = [];
+        const params: any[] = [];
+
+        if (data.name !== undefined) {
+            setClauses.push('name = ?');
+            params.push(data.name);
+        }
+
+        if (data.color !== undefined) {
+            setClauses.push('color = ?');
+            params.push(data.color);
+        }
+
+        if (data.icon !== undefined) {
+            setClauses.push('icon = ?');
+            params.push(data.icon);
+        }
+
+        if (data.default_reminder_minutes !== undefined) {
+            setClauses.push('default_reminder_minutes = ?');
+            params.push(data.default_reminder_minutes);
+        }
+
+        if (data.default_time !== undefined) {
+            setClauses.push('default_time = ?');
+            params.push(data.default_time);
+        }
+
+        if (setClauses.length === 0) {
+            throw new Error('No update data provided');
+        }
+
+        setClauses.push('updated_at = NOW()');
+
+        const sql = `
+      UPDATE waste_types
+      SET ${setClauses.join(', ')}
+      WHERE id = ? AND user_hash = ?
+    `;
+
+        params.push(id, userHash);
+
+        const affectedRows = await this.db.update(sql, params);
+        if (affectedRows === 0) {
+            return null;
+        }
+
+        return await this.findById(id, userHash);
+    }
+
+    /**
+     * Delete a type; its events keep their icon and lose the type
+     */
+    async delete(id: number, userHash: string): Promise<boolean> {
+        const affectedRows = await this.db.delete(
+            `DELETE FROM waste_types WHERE id = ? AND user_hash = ?`,
+            [id, userHash]
+        );
+
+        return affectedRows > 0;
+    }
+
+    /**
+     * Delete all types of a calendar; events keep their icon and lose the type
+     */
+    async deleteAllByUserHash(userHash: string): Promise<number> {
+        return await this.db.delete(`DELETE FROM waste_types WHERE user_hash = ?`, [userHash]);
+    }
+}
@@ -0,0 +1,40 @@
+// 📊 abfall.io Provider - CSV export with one column per waste type
+// Header row names the waste types, every row below lists dates (06.01.2025)
+// in the columns of the types collected on that day.
+import { ScheduleProvider, ProviderEntry, toParseResult } from './provider';
+import { CsvService } from '../services/csv';
+
+export const abfallIoCsvProvider: ScheduleProvider = {
+    id: 'abfallio-csv',
+    name: 'abfall.io / AbfallPlus (CSV)',
+    description: 'CSV-Export mit einer Spalte pro Abfallart, wie ihn Abfallkalender auf Basis von abfall.io anbieten',
+    format: 'csv',
+    options: [],
+
+    parse(content) {
+        const rows = CsvService.parse(content).filter(row => row.some(field => field.trim() !== ''));
+        if (rows.length < 2) {
+            throw new Error('Die CSV-Datei enthält keine Termine');
+        }
+
+        const types = rows[0].map(name => name.trim());
+        if (types.every(name => !name)) {
+            throw new Error('Kopfzeile mit den Abfallarten fehlt');
+        }
+
+        const entries: ProviderEntry[] = [];
+        rows.slice(1).forEach(row => {
+            row.forEach((field, column) => {
+                const value = field.trim();
+                if (!value || !types[column]) return;
+
+                entries.push({
+                    date: CsvService.parseGermanDate(value) || value,
+                    title: types[column]
+                });
+            });
+        });
+
+        return toParseResult(this.id, entries);
+    }
+};
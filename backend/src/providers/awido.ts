@@ -0,0 +1,50 @@
+// 📱 AWIDO Provider - JSON of the AWIDO waste apps used by many Landkreise
+// Payload: { fracts: [{ snm: "RM", nm: "Restmüll" }], calendar: [{ dt: "20250106", fr: ["RM"] }] }
+import { ScheduleProvider, ProviderEntry, toParseResult } from './provider';
+
+interface AwidoPayload {
+    fracts?: Array<{ snm?: string; nm?: string }>;
+    calendar?: Array<{ dt?: string; fr?: string[] }>;
+}
+
+export const awidoProvider: ScheduleProvider = {
+    id: 'awido',
+    name: 'AWIDO Abfall-App (JSON)',
+    description: 'Abfuhrtermine aus der AWIDO-App bzw. deren JSON-Schnittstelle (Felder "calendar" und "fracts")',
+    format: 'json',
+    options: [],
+
+    parse(content) {
+        let payload: AwidoPayload;
+        try {
+            payload = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Keine gültige JSON-Datei');
+        }
+
+        if (!payload || !Array.isArray(payload.calendar)) {
+            throw new Error('Keine AWIDO-Daten (Feld "calendar" fehlt)');
+        }
+
+        // Short names => display names, unknown short names are kept as they are
+        const fractions = new Map<string, string>();
+        (payload.fracts || []).forEach(fraction => {
+            if (fraction?.snm && fraction.nm) {
+                fractions.set(fraction.snm, fraction.nm.trim());
+            }
+        });
+
+        const entries: ProviderEntry[] = [];
+        payload.calendar.forEach(day => {
+            const raw = String(day?.dt || '');
+            const match = raw.match(/^(\d{4})(\d{2})(\d{2})$/);
+            const date = match ? `${match[1]}-${match[2]}-${match[3]}` : raw;
+
+            (Array.isArray(day?.fr) ? day.fr : []).forEach(short => {
+                entries.push({ date, title: fractions.get(short) || String(short) });
+            });
+        });
+
+        return toParseResult(this.id, entries);
+    }
+};
@@ -0,0 +1,47 @@
+// 🧩 Schedule Providers - Registry of the available provider adapters
+// New adapters implement ScheduleProvider and are added to PROVIDERS
+// (or registered at startup with ProviderRegistry.register).
+import { ScheduleProvider } from './provider';
+import { awidoProvider } from './awido';
+import { abfallIoCsvProvider } from './abfallio-csv';
+import { streetXmlProvider } from './street-xml';
+
+export type { ScheduleProvider, ProviderOptions, ProviderOption, ProviderFormat } from './provider';
+
+const PROVIDERS: ScheduleProvider[] = [
+    awidoProvider,
+    abfallIoCsvProvider,
+    streetXmlProvider
+];
+
+export class ProviderRegistry {
+
+    static register(provider: ScheduleProvider): void {
+        if (PROVIDERS.some(existing => existing.id === provider.id)) {
+            throw new Error(`Provider ${provider.id} is already registered`);
+        }
+        PROVIDERS.push(provider);
+    }
+
+    static get(id: string): ScheduleProvider | null {
+        return PROVIDERS.find(provider => provider.id === id) || null;
+    }
+
+    static list(): ScheduleProvider[] {
+        return [...PROVIDERS];
+    }
+
+    /**
+     * Pick the declared options out of query parameters or a request body
+     */
+    static readOptions(provider: ScheduleProvider, source: (name: string) => unknown): Record<string, string> {
+        const options: Record<string, string> = {};
+        provider.options.forEach(option => {
+            const value = source(option.name);
+            if (typeof value === 'string' && value.trim() !== '') {
+                options[option.name] = value.trim();
+            }
+        });
+        return options;
+    }
+}
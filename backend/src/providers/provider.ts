@@ -0,0 +1,91 @@
+// 🧩 Schedule Provider - Common interface of the provider adapters
+// An adapter turns the payload of one provider format (Abfall-App JSON, CSV
+// exports, street-directory XML, ...) into the same result as an .ics import,
+// so dry run, review and apply work unchanged.
+import { ICalParseResult, ImportedEvent } from '../services/ical-import';
+import { ValidationService } from '../utils/validation';
+import { wasteIconForTitle } from '../utils/waste';
+
+export type ProviderFormat = 'json' | 'csv' | 'xml';
+
+// Option values, e.g. { street: 'Am Markt' }
+export type ProviderOptions = Record<string, string>;
+
+export interface ProviderOption {
+    name: string;        // Query parameter / body key
+    label: string;       // Shown in the import dialog
+    required: boolean;
+}
+
+export interface ScheduleProvider {
+    id: string;
+    name: string;
+    description: string;
+    format: ProviderFormat;
+    options: ProviderOption[];
+
+    /**
+     * Parse a provider payload. Throws if it is not in the provider's format at all,
+     * single unusable entries end up in `rejected`.
+     */
+    parse(content: string, options: ProviderOptions): ICalParseResult;
+}
+
+// One pickup as read from a provider payload
+export interface ProviderEntry {
+    date: string;           // YYYY-MM-DD
+    title: string;          // Waste type as named by the provider
+    time?: string | null;
+    description?: string | null;
+}
+
+const MAX_PROVIDER_EVENTS = 2000;
+
+/**
+ * Validate provider entries and turn them into importable events.
+ * Entries are numbered in payload order (the number takes the place of the
+ * file line) and get a stable UID, so a re-import matches the events the
+ * previous import created.
+ */
+export function toParseResult(providerId: string, entries: ProviderEntry[]): ICalParseResult {
+    if (entries.length > MAX_PROVIDER_EVENTS) {
+        throw new Error(`Zu viele Termine in der Datei (max. ${MAX_PROVIDER_EVENTS})`);
+    }
+
+    const result: ICalParseResult = { events: [], rejected: [] };
+    const seen = new Set<string>();
+
+    entries.forEach((entry, index) => {
+        const line = index + 1;
+        const title = ValidationService.sanitizeString(entry.title || '');
+        const uid = `${providerId}-${entry.date}-${title.toLowerCase().replace(/[^a-z0-9äöüß]+/g, '-')}`;
+
+        // Providers often list the same pickup once per street or district
+        if (seen.has(uid)) return;
+        seen.add(uid);
+
+        const event: ImportedEvent = {
+            line,
+            uid,
+            title,
+            event_date: entry.date,
+            event_time: entry.time || null,
+            end_date: null,
+            end_time: null,
+            icon: wasteIconForTitle(title),
+            description: entry.description || null,
+            recurrence_rule: null,
+            exceptions: []
+        };
+
+        const validation = ValidationService.validateCreateEvent(event);
+        if (!validation.isValid) {
+            result.rejected.push({ line, uid: null, title: title || null, errors: validation.errors });
+            return;
+        }
+
+        result.events.push(event);
+    });
+
+    return result;
+}
@@ -0,0 +1,118 @@
+// 🏘️ Street Directory Provider - XML with collection districts and the streets belonging to them
+// <strassenverzeichnis>
+//   <bezirk id="1"><abfuhr datum="06.01.2025" art="Restmüll" uhrzeit="06:00"/></bezirk>
+//   <strasse name="Am Markt" bezirk="1"/>
+// </strassenverzeichnis>
+import { ScheduleProvider, ProviderEntry, toParseResult } from './provider';
+import { CsvService } from '../services/csv';
+
+interface XmlTag {
+    name: string;
+    attributes: Record<string, string>;
+    closing: boolean;
+}
+
+const TAG_PATTERN = /<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(value: string): string {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code: string) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1));
+            return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+        }
+        return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function readTags(content: string): XmlTag[] {
+    const tags: XmlTag[] = [];
+
+    for (const match of content.replace(/<!--[\s\S]*?-->/g, '').matchAll(TAG_PATTERN)) {
+        const attributes: Record<string, string> = {};
+        for (const attribute of match[3].matchAll(ATTRIBUTE_PATTERN)) {
+            attributes[attribute[1].toLowerCase()] = decodeEntities(attribute[2] ?? attribute[3]).trim();
+        }
+        tags.push({ name: match[2].toLowerCase(), attributes, closing: match[1] === '/' });
+    }
+
+    return tags;
+}
+
+/**
+ * "Hauptstr." and "hauptstrasse" name the same street
+ */
+function normalizeStreet(name: string): string {
+    return name
+        .toLowerCase()
+        .replace(/str\.?(?=\s|$)/g, 'straße')
+        .replace(/strasse/g, 'straße')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export const streetXmlProvider: ScheduleProvider = {
+    id: 'street-xml',
+    name: 'Straßenverzeichnis (XML)',
+    description: 'XML-Export mit Abfuhrbezirken und Straßenverzeichnis; die Termine des Bezirks der angegebenen Straße werden übernommen',
+    format: 'xml',
+    options: [
+        { name: 'street', label: 'Straße', required: false }
+    ],
+
+    parse(content, options) {
+        if (!/<strassenverzeichnis[\s>]/i.test(content)) {
+            throw new Error('Kein Straßenverzeichnis (Element <strassenverzeichnis> fehlt)');
+        }
+
+        const pickups = new Map<string, ProviderEntry[]>();
+        const streets = new Map<string, string>();
+        let district: string | null = null;
+
+        readTags(content).forEach(tag => {
+            if (tag.name === 'bezirk') {
+                district = tag.closing ? null : (tag.attributes.id || '');
+                if (district !== null && !pickups.has(district)) {
+                    pickups.set(district, []);
+                }
+            } else if (tag.name === 'abfuhr' && !tag.closing && district !== null) {
+                const { datum = '', art = '', uhrzeit, hinweis } = tag.attributes;
+                pickups.get(district)!.push({
+                    date: CsvService.parseGermanDate(datum) || datum,
+                    title: art,
+                    time: uhrzeit ? (uhrzeit.length === 5 ? `${uhrzeit}:00` : uhrzeit) : null,
+                    description: hinweis || null
+                });
+            } else if (tag.name === 'strasse' && !tag.closing && tag.attributes.name) {
+                streets.set(normalizeStreet(tag.attributes.name), tag.attributes.bezirk || '');
+            }
+        });
+
+        if (pickups.size === 0) {
+            throw new Error('Das Straßenverzeichnis enthält keine Abfuhrbezirke');
+        }
+
+        // Without a street only an unambiguous directory can be imported
+        const street = (options.street || '').trim();
+        let selected: string;
+
+        if (street) {
+            const found = streets.get(normalizeStreet(street));
+            if (found === undefined) {
+                throw new Error(`Straße "${street}" nicht im Verzeichnis gefunden`);
+            }
+            if (!pickups.has(found)) {
+                throw new Error(`Abfuhrbezirk "${found}" der Straße "${street}" nicht gefunden`);
+            }
+            selected = found;
+        } else if (pickups.size === 1) {
+            selected = [...pickups.keys()][0];
+        } else {
+            throw new Error(`Das Verzeichnis hat ${pickups.size} Abfuhrbezirke - bitte Straße angeben`);
+        }
+
+        return toParseResult(this.id, pickups.get(selected)!);
+    }
+};
@@ -1,11 +1,15 @@
 // 🔐 Authentication routes - Hash-based registration and verification
 import { Database } from '../services/database';
 import { HashService } from '../services/hash';
-import { SimpleEmailService as EmailService } from '../services/email-simple';
+import { configuredTransportName, getEmailTransport } from '../services/email-transport';
+import { EmailTemplates } from '../services/email-templates';
+import { OutboxService } from '../services/outbox';
 import { UserModel } from '../models/User';
+import { WasteTypeModel } from '../models/WasteType';
+import { CalendarSettingsModel } from '../models/CalendarSettings';
+import { ValidationService } from '../utils/validation';
 
 const hashService = new HashService();
-const emailService = new EmailService();
 
 export const authRoutes = {
     register: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
@@ -26,6 +30,17 @@ export const authRoutes = {
                 }
             }
 
+            const email = typeof requestData.email === 'string' ? requestData.email.trim() : '';
+            if (email && !ValidationService.isValidEmail(email)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige E-Mail-Adresse'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
             // Generate unique hash
             const hash = await hashService.generateUniqueHash(async (hash: string) => {
                 return await userModel.exists(hash);
@@ -34,28 +49,36 @@ export const authRoutes = {
             // Create user in database
             const user = await userModel.create({ hash });
 
+            // Start with the usual waste types (Restmüll, Papier, ...)
+            await new WasteTypeModel(db).createDefaults(user.hash);
+
             // Prepare response data
             const responseData = {
                 success: true,
                 hash: user.hash,
                 created: user.created_at,
                 link: `${process.env.APP_URL || 'http://localhost'}?hash=${user.hash}`,
-                message: 'Hash erfolgreich erstellt'
+                message: 'Hash erfolgreich erstellt',
+                emailSent: false, // The outbox delivers mail after the response
+                emailQueued: false
             };
 
-            // Send email if provided
-            if (requestData.email && typeof requestData.email === 'string') {
-                const emailSent = await emailService.sendHashLink({
-                    to: requestData.email,
-                    hash: user.hash,
-                    appUrl: process.env.APP_URL || 'http://localhost'
-                });
-
-                responseData.emailSent = emailSent;
-                if (emailSent) {
-                    responseData.message += ' und E-Mail versendet';
-                } else {
+            // Queue the link mail if an address was given and mail can leave (in the browser's language)
+            if (email) {
+                if (configuredTransportName() === 'simulate') {
                     responseData.message += ' (E-Mail-Versand nicht verfügbar)';
+                } else {
+                    const locale = EmailTemplates.localeFrom(req.headers.get('Accept-Language'));
+
+                    await OutboxService.enqueue(db, {
+                        to: email,
+                        userHash: user.hash,
+                        ...EmailTemplates.hashLink(locale, { link: responseData.link, hash: user.hash })
+                    });
+                    await new CalendarSettingsModel(db).update(user.hash, { email_locale: locale });
+
+                    responseData.emailQueued = true;
+                    responseData.message += ' und E-Mail zum Versand eingereiht';
                 }
             }
 
@@ -165,16 +188,31 @@ export const authRoutes = {
         }
     },
 
-    // Additional endpoint to get email service status
+    // Email transport status, queue depth and the last failed delivery
     emailStatus: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
-        const status = emailService.getStatus();
-
-        return new Response(JSON.stringify({
-            emailService: status,
-            canSendEmails: status.configured
-        }), {
-            status: 200,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        try {
+            const status = getEmailTransport().getStatus();
+            const queue = await OutboxService.getStats(db);
+
+            return new Response(JSON.stringify({
+                success: true,
+                emailService: status,
+                canSendEmails: status.configured,
+                queue
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Email status error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden des E-Mail-Status'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
     }
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+// 📬 Digest routes - Preview and unsubscribe of the weekly email digest
+import { Database } from '../services/database';
+import { UserModel } from '../models/User';
+import { CalendarSettingsModel } from '../models/CalendarSettings';
+import { DigestService } from '../services/digest';
+import { zonedDateTime } from '../utils/date';
+import { ValidationService } from '../utils/validation';
+
+export const digestRoutes = {
+    /**
+     * Rendered digest of the coming week, without sending it (?format=text for the plain-text part)
+     */
+    previewDigest: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+            const url = new URL(req.url);
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const settings = await new CalendarSettingsModel(db).get(hash);
+            const week = DigestService.comingWeek(zonedDateTime(new Date(), settings.timezone).date);
+            const days = await DigestService.collect(db, hash, week);
+            const message = DigestService.render(settings.reminder_email || '', hash, week, days, settings.email_locale);
+
+            if (url.searchParams.get('format') === 'text') {
+                return new Response(`Betreff: ${message.subject}\n\n${message.text}`, {
+                    status: 200,
+                    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+                });
+            }
+
+            return new Response(message.html, {
+                status: 200,
+                headers: { 'Content-Type': 'text/html; charset=utf-8' }
+            });
+
+        } catch (error) {
+            console.error('Digest preview error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Erstellen der Vorschau'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Unsubscribe link of the digest mail (GET from the mail, POST for one-click unsubscribe)
+     */
+    unsubscribeDigest: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            await new CalendarSettingsModel(db).update(hash, { weekly_digest: false });
+
+            return new Response(`<!DOCTYPE html>
+<html lang="de">
+<head>
+    <meta charset="utf-8">
+    <title>Wochenübersicht abbestellt</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    <h2>📬 Wochenübersicht abbestellt</h2>
+    <p>Du bekommst keine wöchentliche Übersicht mehr. In den Kalender-Einstellungen kannst du sie wieder bestellen.</p>
+    <p><a href="${process.env.APP_URL || 'http://localhost'}?hash=${hash}">🗓️ Zum Kalender</a></p>
+</body>
+</html>`, {
+                status: 200,
+                headers: { 'Content-Type': 'text/html; charset=utf-8' }
+            });
+
+        } catch (error) {
+            console.error('Digest unsubscribe error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Abbestellen der Wochenübersicht'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+};
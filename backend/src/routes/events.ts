@@ -1,8 +1,54 @@
 // 📅 Event routes - Full CRUD operations for calendar events
 import { Database } from '../services/database';
-import { EventModel, CreateEventData, UpdateEventData } from '../models/Event';
+import { Event, EventModel, CreateEventData, UpdateEventData, ImportEventData, MAX_UPCOMING_DAYS } from '../models/Event';
+import { WasteTypeModel } from '../models/WasteType';
 import { ValidationService } from '../utils/validation';
 import { UserModel } from '../models/User';
+import { RecurrenceService } from '../services/recurrence';
+import { EventExceptionModel, EventExceptionData } from '../models/EventException';
+import { toDateString } from '../utils/date';
+import { ICalImportService, ICalParseResult, ImportedEvent } from '../services/ical-import';
+import { ImportDiffService } from '../services/import-diff';
+import { CsvService, CsvColumnMapping, CSV_COLUMNS } from '../services/csv';
+import { ScheduleParserService } from '../services/schedule-parser';
+import { ProviderRegistry, ScheduleProvider, ProviderOptions } from '../providers';
+
+// Municipal calendars are a few hundred KB at most
+const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+
+type ImportFormat = 'ics' | 'csv';
+
+// What the uploaded content is: a plain .ics/CSV file or the payload of a schedule provider
+interface ImportSource {
+    format: ImportFormat;
+    mapping?: CsvColumnMapping;
+    provider?: ScheduleProvider | null;
+    options?: ProviderOptions;
+}
+
+function parseImport(source: ImportSource, content: string): ICalParseResult {
+    if (source.provider) {
+        return source.provider.parse(content, source.options || {});
+    }
+
+    return source.format === 'csv' ? CsvService.parseEvents(content, source.mapping || {}) : ICalImportService.parse(content);
+}
+
+function toImportData(hash: string, event: ImportedEvent): ImportEventData {
+    return {
+        user_hash: hash,
+        title: ValidationService.sanitizeString(event.title),
+        event_date: event.event_date,
+        event_time: event.event_time,
+        end_date: event.end_date,
+        end_time: event.end_time,
+        icon: event.icon,
+        description: event.description,
+        recurrence_rule: event.recurrence_rule,
+        external_uid: event.uid,
+        exceptions: event.exceptions
+    };
+}
 
 export const eventRoutes = {
     getEvents: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
@@ -166,14 +212,32 @@ export const eventRoutes = {
                 });
             }
 
+            // Waste type must belong to this calendar
+            const wasteType = eventData.waste_type_id ?
+                await new WasteTypeModel(db).findById(eventData.waste_type_id, hash) : null;
+            if (eventData.waste_type_id && !wasteType) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Unbekannte Abfallart'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
             // Prepare create data
             const createData: CreateEventData = {
                 user_hash: hash,
                 title: ValidationService.sanitizeString(eventData.title),
                 event_date: eventData.event_date,
                 event_time: eventData.event_time ? ValidationService.formatTimeString(eventData.event_time) : null,
-                icon: eventData.icon || '📅',
-                description: eventData.description ? ValidationService.sanitizeString(eventData.description) : null
+                end_date: eventData.end_date || null,
+                end_time: eventData.end_time ? ValidationService.formatTimeString(eventData.end_time) : null,
+                icon: eventData.icon || wasteType?.icon || '📅',
+                description: eventData.description ? ValidationService.sanitizeString(eventData.description) : null,
+                recurrence_rule: eventData.recurrence_rule ? RecurrenceService.normalize(eventData.recurrence_rule) : null,
+                waste_type_id: eventData.waste_type_id === undefined ? undefined : wasteType?.id || null,
+                reminder_minutes: eventData.reminder_minutes ?? null
             };
 
             // Create event
@@ -253,6 +317,51 @@ export const eventRoutes = {
                 });
             }
 
+            const eventModel = new EventModel(db);
+
+            // A changed start, end or rule is checked against the rest of the stored event
+            let stored: Event | null = null;
+            if (['event_date', 'event_time', 'end_date', 'end_time', 'recurrence_rule'].some(field => updateData[field] !== undefined)) {
+                stored = await eventModel.findById(eventId, hash);
+                if (!stored) {
+                    return new Response(JSON.stringify({
+                        success: false,
+                        error: 'Termin nicht gefunden oder nicht berechtigt'
+                    }), {
+                        status: 404,
+                        headers: { 'Content-Type': 'application/json' }
+                    });
+                }
+
+                const endErrors = ValidationService.validateEventEnd({
+                    event_date: toDateString(stored.event_date),
+                    event_time: stored.event_time,
+                    end_date: stored.end_date ? toDateString(stored.end_date) : null,
+                    end_time: stored.end_time,
+                    ...updateData
+                });
+                if (endErrors.length > 0) {
+                    return new Response(JSON.stringify({
+                        success: false,
+                        errors: endErrors
+                    }), {
+                        status: 400,
+                        headers: { 'Content-Type': 'application/json' }
+                    });
+                }
+            }
+
+            // Waste type must belong to this calendar
+            if (updateData.waste_type_id && !await new WasteTypeModel(db).findById(updateData.waste_type_id, hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Unbekannte Abfallart'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
             // Prepare update data
             const eventUpdateData: UpdateEventData = {};
             if (updateData.title !== undefined) {
@@ -265,6 +374,13 @@ export const eventRoutes = {
                 eventUpdateData.event_time = updateData.event_time ?
                     ValidationService.formatTimeString(updateData.event_time) : null;
             }
+            if (updateData.end_date !== undefined) {
+                eventUpdateData.end_date = updateData.end_date || null;
+            }
+            if (updateData.end_time !== undefined) {
+                eventUpdateData.end_time = updateData.end_time ?
+                    ValidationService.formatTimeString(updateData.end_time) : null;
+            }
             if (updateData.icon !== undefined) {
                 eventUpdateData.icon = updateData.icon;
             }
@@ -272,10 +388,31 @@ export const eventRoutes = {
                 eventUpdateData.description = updateData.description ?
                     ValidationService.sanitizeString(updateData.description) : null;
             }
+            if (updateData.recurrence_rule !== undefined) {
+                eventUpdateData.recurrence_rule = updateData.recurrence_rule ?
+                    RecurrenceService.normalize(updateData.recurrence_rule) : null;
+            }
+            if (updateData.waste_type_id !== undefined) {
+                eventUpdateData.waste_type_id = updateData.waste_type_id || null;
+            }
+            if (updateData.reminder_minutes !== undefined) {
+                eventUpdateData.reminder_minutes = updateData.reminder_minutes;
+            }
 
-            // Update event
-            const eventModel = new EventModel(db);
-            const updatedEvent = await eventModel.update(eventId, hash, eventUpdateData);
+            // Exceptions refer to occurrences of the old series, which a new rule or start no longer has
+            const staleExceptions = Boolean(stored?.recurrence_rule && (
+                (eventUpdateData.recurrence_rule !== undefined && eventUpdateData.recurrence_rule !== stored.recurrence_rule) ||
+                (eventUpdateData.event_date !== undefined && eventUpdateData.event_date !== toDateString(stored.event_date))
+            ));
+
+            // Update event (and drop its stale exceptions with it)
+            const updatedEvent = await db.withTransaction(async tx => {
+                const updated = await new EventModel(tx).update(eventId, hash, eventUpdateData);
+                if (updated && staleExceptions) {
+                    await new EventExceptionModel(tx).deleteByEventId(eventId);
+                }
+                return updated;
+            });
 
             if (!updatedEvent) {
                 return new Response(JSON.stringify({
@@ -368,12 +505,12 @@ export const eventRoutes = {
         }
     },
 
-    getUpcomingEvents: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+    updateOccurrence: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
         try {
-            const { hash } = params;
-            const url = new URL(req.url);
-            const days = parseInt(url.searchParams.get('days') || '30');
+            const { hash, id, date } = params;
+            const eventId = parseInt(id);
 
+            // Validate parameters
             if (!ValidationService.isValidHash(hash)) {
                 return new Response(JSON.stringify({
                     success: false,
@@ -384,24 +521,92 @@ export const eventRoutes = {
                 });
             }
 
+            if (isNaN(eventId) || eventId < 1 || !ValidationService.isValidDate(date)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Event-ID oder ungültiges Datum'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let updateData;
+            try {
+                updateData = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // A single occurrence can't carry its own recurrence rule, icon, type, reminder or length
+            const { recurrence_rule, icon, waste_type_id, reminder_minutes, end_date, end_time, ...occurrenceData } = updateData;
+            const validation = ValidationService.validateUpdateEvent(occurrenceData);
+            if (!validation.isValid) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    errors: validation.errors
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
             const eventModel = new EventModel(db);
-            const events = await eventModel.getUpcomingEvents(hash, days);
+            const event = await eventModel.findById(eventId, hash);
+
+            if (!event || !event.recurrence_rule ||
+                RecurrenceService.expand(event.recurrence_rule, toDateString(event.event_date), date, date).length === 0) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Termin der Serie nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Prepare override data
+            const exceptionData: EventExceptionData = { cancelled: false };
+            if (occurrenceData.title) {
+                exceptionData.title = ValidationService.sanitizeString(occurrenceData.title);
+            }
+            if (occurrenceData.event_date) {
+                // Moving it back to its own date undoes an earlier move
+                exceptionData.event_date = occurrenceData.event_date !== date ? occurrenceData.event_date : null;
+            }
+            if (occurrenceData.event_time) {
+                exceptionData.event_time = ValidationService.formatTimeString(occurrenceData.event_time);
+            }
+            if (occurrenceData.description) {
+                exceptionData.description = ValidationService.sanitizeString(occurrenceData.description);
+            }
+
+            // The series counts a new revision with its exception (iCal SEQUENCE)
+            await db.withTransaction(async tx => {
+                await new EventExceptionModel(tx).upsert(eventId, date, exceptionData);
+                await new EventModel(tx).touch(eventId, hash);
+            });
 
             return new Response(JSON.stringify({
                 success: true,
-                events,
-                days,
-                count: events.length
+                message: 'Termin erfolgreich verschoben'
             }), {
                 status: 200,
                 headers: { 'Content-Type': 'application/json' }
             });
 
         } catch (error) {
-            console.error('Get upcoming events error:', error);
+            console.error('Update occurrence error:', error);
             return new Response(JSON.stringify({
                 success: false,
-                error: 'Fehler beim Laden der anstehenden Termine'
+                error: 'Fehler beim Aktualisieren des Termins'
             }), {
                 status: 500,
                 headers: { 'Content-Type': 'application/json' }
@@ -409,12 +614,12 @@ export const eventRoutes = {
         }
     },
 
-    getEventsByMonth: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+    cancelOccurrence: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
         try {
-            const { hash } = params;
-            const url = new URL(req.url);
-            const year = url.searchParams.get('year') ? parseInt(url.searchParams.get('year')!) : undefined;
+            const { hash, id, date } = params;
+            const eventId = parseInt(id);
 
+            // Validate parameters
             if (!ValidationService.isValidHash(hash)) {
                 return new Response(JSON.stringify({
                     success: false,
@@ -425,23 +630,48 @@ export const eventRoutes = {
                 });
             }
 
+            if (isNaN(eventId) || eventId < 1 || !ValidationService.isValidDate(date)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Event-ID oder ungültiges Datum'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
             const eventModel = new EventModel(db);
-            const eventsByMonth = await eventModel.getEventsByMonth(hash, year);
+            const event = await eventModel.findById(eventId, hash);
+
+            if (!event || !event.recurrence_rule ||
+                RecurrenceService.expand(event.recurrence_rule, toDateString(event.event_date), date, date).length === 0) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Termin der Serie nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            await db.withTransaction(async tx => {
+                await new EventExceptionModel(tx).upsert(eventId, date, { cancelled: true });
+                await new EventModel(tx).touch(eventId, hash);
+            });
 
             return new Response(JSON.stringify({
                 success: true,
-                eventsByMonth,
-                year: year || 'all'
+                message: 'Termin erfolgreich abgesagt'
             }), {
                 status: 200,
                 headers: { 'Content-Type': 'application/json' }
             });
 
         } catch (error) {
-            console.error('Get events by month error:', error);
+            console.error('Cancel occurrence error:', error);
             return new Response(JSON.stringify({
                 success: false,
-                error: 'Fehler beim Laden der monatlichen Termine'
+                error: 'Fehler beim Absagen des Termins'
             }), {
                 status: 500,
                 headers: { 'Content-Type': 'application/json' }
@@ -449,16 +679,682 @@ export const eventRoutes = {
         }
     },
 
-    getAvailableIcons: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
-        const icons = [
-            '📅', '🗓️', '⏰', '🔔', '📝', '💼', '🏠', '🚗', '✈️', '🎉',
-            '🍽️', '💊', '🏥', '🎓', '💪', '🛒', '📞', '💻', '🎵', '📚',
-            '🧹', '🗑️', '♻️', '🚮', '🏃', '🎯', '💡', '⭐', '❤️', '🎁'
-        ];
+    restoreOccurrence: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash, id, date } = params;
+            const eventId = parseInt(id);
 
-        return new Response(JSON.stringify({
-            success: true,
-            icons
+            // Validate parameters
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (isNaN(eventId) || eventId < 1 || !ValidationService.isValidDate(date)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Event-ID oder ungültiges Datum'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const event = await new EventModel(db).findById(eventId, hash);
+            if (!event || !event.recurrence_rule) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Termin der Serie nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Without its exception the occurrence is back as the series defines it
+            const removed = await db.withTransaction(async tx => {
+                const deleted = await new EventExceptionModel(tx).delete(eventId, date);
+                if (deleted) {
+                    await new EventModel(tx).touch(eventId, hash);
+                }
+                return deleted;
+            });
+
+            if (!removed) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Dieser Termin der Serie wurde nicht geändert'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response(JSON.stringify({
+                success: true,
+                message: 'Termin erfolgreich zurückgesetzt'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Restore occurrence error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Zurücksetzen des Termins'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    importEvents: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+            const url = new URL(req.url);
+            const dryRun = ['1', 'true'].includes(url.searchParams.get('dryRun') || '');
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Provider payloads (?provider=awido) may come with any content type
+            const providerId = url.searchParams.get('provider');
+            const provider = providerId ? ProviderRegistry.get(providerId) : null;
+            if (providerId && !provider) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Unbekannter Anbieter "${providerId}" (siehe GET /api/providers)`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const contentType = req.headers.get('content-type') || '';
+            const format: ImportFormat | null = contentType.includes('text/calendar') ? 'ics' :
+                contentType.includes('text/csv') ? 'csv' : null;
+            if (!format && !provider) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Erwartet wird eine iCal- oder CSV-Datei (Content-Type: text/calendar oder text/csv)'
+                }), {
+                    status: 415,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // CSV column mapping, e.g. ?date=Datum&title=Abfuhrart or ?date=1&title=3
+            const mapping: CsvColumnMapping = {};
+            CSV_COLUMNS.forEach(column => {
+                const mapped = url.searchParams.get(column);
+                if (mapped) mapping[column] = mapped;
+            });
+
+            const content = await req.text();
+            if (content.length > MAX_IMPORT_SIZE) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Datei ist zu groß (max. 2 MB)'
+                }), {
+                    status: 413,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse file
+            const source: ImportSource = {
+                format: format || 'ics',
+                mapping,
+                provider,
+                options: provider ? ProviderRegistry.readOptions(provider, name => url.searchParams.get(name)) : {}
+            };
+
+            let parsed;
+            try {
+                parsed = parseImport(source, content);
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: error instanceof Error ? error.message : 'Datei konnte nicht gelesen werden'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const eventModel = new EventModel(db);
+
+            // Dry run: only report what would change
+            if (dryRun) {
+                const existing = await eventModel.findByUserHash(hash);
+                const changes = ImportDiffService.diff(parsed.events, existing);
+
+                return new Response(JSON.stringify({
+                    success: true,
+                    dryRun: true,
+                    summary: {
+                        ...ImportDiffService.summarize(changes),
+                        rejected: parsed.rejected.length
+                    },
+                    changes,
+                    rejected: parsed.rejected
+                }), {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Create all events in one transaction
+            const ids = await eventModel.importEvents(hash, parsed.events.map(event => toImportData(hash, event)));
+
+            const summarize = (event: ImportedEvent, id: number | null) => ({
+                id,
+                line: event.line,
+                uid: event.uid,
+                title: event.title,
+                event_date: event.event_date,
+                event_time: event.event_time,
+                icon: event.icon,
+                recurrence_rule: event.recurrence_rule
+            });
+
+            const created = parsed.events
+                .map((event, index) => summarize(event, ids[index]))
+                .filter(event => event.id !== null);
+            const skipped = parsed.events
+                .filter((event, index) => ids[index] === null)
+                .map(event => ({ ...summarize(event, null), reason: 'Termin ist bereits vorhanden' }));
+
+            return new Response(JSON.stringify({
+                success: true,
+                summary: {
+                    created: created.length,
+                    skipped: skipped.length,
+                    rejected: parsed.rejected.length
+                },
+                created,
+                skipped,
+                rejected: parsed.rejected,
+                message: `${created.length} Termine importiert`
+            }), {
+                status: created.length > 0 ? 201 : 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Import events error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Importieren der Termine'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    applyImport: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body: the reviewed file (format, CSV mapping or provider and its options) and the accepted change IDs
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (typeof body?.content !== 'string' || !Array.isArray(body?.accept)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'content (Dateiinhalt) und accept (Liste der Änderungs-IDs) sind erforderlich'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (body.content.length > MAX_IMPORT_SIZE) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Datei ist zu groß (max. 2 MB)'
+                }), {
+                    status: 413,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const provider = body.provider ? ProviderRegistry.get(String(body.provider)) : null;
+            if (body.provider && !provider) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Unbekannter Anbieter "${body.provider}" (siehe GET /api/providers)`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const source: ImportSource = {
+                format: body.format === 'csv' ? 'csv' : 'ics',
+                mapping: body.mapping || {},
+                provider,
+                options: provider ? ProviderRegistry.readOptions(provider, name => body.options?.[name]) : {}
+            };
+
+            let parsed;
+            try {
+                parsed = parseImport(source, body.content);
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: error instanceof Error ? error.message : 'Datei konnte nicht gelesen werden'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Recompute the diff so only changes that still apply are committed
+            const eventModel = new EventModel(db);
+            const existing = await eventModel.findByUserHash(hash);
+            const accepted = new Set(body.accept.map(String));
+            const changes = ImportDiffService.diff(parsed.events, existing)
+                .filter(change => change.type !== 'unchanged' && accepted.has(change.id));
+
+            const eventsByLine = new Map<number, ImportedEvent>(parsed.events.map(event => [event.line, event]));
+            const changeSet = {
+                create: changes
+                    .filter(change => change.type === 'added')
+                    .map(change => toImportData(hash, eventsByLine.get(change.line!)!)),
+                update: changes
+                    .filter(change => change.type === 'changed')
+                    .map(change => ({ id: change.event_id!, data: toImportData(hash, eventsByLine.get(change.line!)!) })),
+                remove: changes
+                    .filter(change => change.type === 'removed')
+                    .map(change => change.event_id!)
+            };
+
+            await eventModel.applyImport(hash, changeSet);
+
+            return new Response(JSON.stringify({
+                success: true,
+                summary: {
+                    added: changeSet.create.length,
+                    changed: changeSet.update.length,
+                    removed: changeSet.remove.length
+                },
+                message: 'Import übernommen'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Apply import error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Übernehmen des Imports'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    exportCsv: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const eventModel = new EventModel(db);
+            const events = await eventModel.findByUserHash(hash);
+
+            return new Response(CsvService.exportEvents(events), {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="yatwa-termine-${hash.substring(0, 8)}.csv"`
+                }
+            });
+
+        } catch (error) {
+            console.error('CSV export error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Exportieren der Termine'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+    // Parse a pasted schedule into proposed events (nothing is saved)
+    parseSchedule: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let body: { text?: unknown; year?: unknown };
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiges JSON'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (typeof body.text !== 'string' || body.text.trim() === '') {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Text ist erforderlich'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const year = body.year !== undefined && body.year !== null ? Number(body.year) : undefined;
+            if (year !== undefined && (!Number.isInteger(year) || year < 2000 || year > 2100)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiges Jahr'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            let proposals;
+            try {
+                proposals = ScheduleParserService.parse(body.text, year);
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: error instanceof Error ? error.message : 'Text konnte nicht gelesen werden'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Mark proposals that are already in the calendar (same title and day)
+            if (proposals.length > 0) {
+                const eventModel = new EventModel(db);
+                const existing = await eventModel.getEventsByDateRange(
+                    hash,
+                    proposals[0].event_date,
+                    proposals[proposals.length - 1].event_date
+                );
+                const existingKeys = new Set(existing.map(event =>
+                    `${toDateString(event.event_date)}|${event.title.trim().toLowerCase()}`
+                ));
+
+                proposals.forEach(proposal => {
+                    proposal.duplicate = existingKeys.has(`${proposal.event_date}|${proposal.title.toLowerCase()}`);
+                });
+            }
+
+            const count = (confidence: string) => proposals.filter(proposal => proposal.confidence === confidence).length;
+
+            return new Response(JSON.stringify({
+                success: true,
+                proposals,
+                summary: {
+                    total: proposals.length,
+                    high: count('high'),
+                    medium: count('medium'),
+                    low: count('low'),
+                    duplicates: proposals.filter(proposal => proposal.duplicate).length
+                }
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Parse schedule error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Erkennen der Termine'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+
+    getUpcomingEvents: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+            const url = new URL(req.url);
+            const days = Number(url.searchParams.get('days') || '30');
+
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (!Number.isInteger(days) || days < 1 || days > MAX_UPCOMING_DAYS) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Anzahl der Tage muss zwischen 1 und ${MAX_UPCOMING_DAYS} liegen`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const eventModel = new EventModel(db);
+            const events = await eventModel.getUpcomingEvents(hash, days);
+
+            return new Response(JSON.stringify({
+                success: true,
+                events,
+                days,
+                count: events.length
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Get upcoming events error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden der anstehenden Termine'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    getEventsByMonth: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+            const url = new URL(req.url);
+            const year = url.searchParams.get('year') ? parseInt(url.searchParams.get('year')!) : undefined;
+
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const eventModel = new EventModel(db);
+            const eventsByMonth = await eventModel.getEventsByMonth(hash, year);
+
+            return new Response(JSON.stringify({
+                success: true,
+                eventsByMonth,
+                year: year || 'all'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Get events by month error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden der monatlichen Termine'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    getAvailableIcons: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        const icons = [
+            '📅', '🗓️', '⏰', '🔔', '📝', '💼', '🏠', '🚗', '✈️', '🎉',
+            '🍽️', '💊', '🏥', '🎓', '💪', '🛒', '📞', '💻', '🎵', '📚',
+            '🧹', '🗑️', '♻️', '🚮', '🏃', '🎯', '💡', '⭐', '❤️', '🎁'
+        ];
+
+        return new Response(JSON.stringify({
+            success: true,
+            icons
+        }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    },
+
+    // Schedule providers that can be imported with ?provider=<id>
+    getProviders: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        const providers = ProviderRegistry.list().map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            description: provider.description,
+            format: provider.format,
+            options: provider.options
+        }));
+
+        return new Response(JSON.stringify({
+            success: true,
+            providers
         }), {
             status: 200,
             headers: { 'Content-Type': 'application/json' }
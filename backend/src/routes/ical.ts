@@ -1,9 +1,123 @@
 // 📊 iCal routes - Calendar feed generation for subscription
+import { createHash } from 'crypto';
 import { Database } from '../services/database';
 import { EventModel } from '../models/Event';
-import { UserModel } from '../models/User';
+import { ContentVersion, UserModel } from '../models/User';
+import { EventExceptionModel } from '../models/EventException';
+import { CalendarSettingsModel } from '../models/CalendarSettings';
+import { WasteTypeModel } from '../models/WasteType';
+import { ShareToken, ShareTokenModel } from '../models/ShareToken';
 import { ICalService } from '../services/ical';
 import { ValidationService } from '../utils/validation';
+import { normalizeTimeZone } from '../utils/timezone';
+import { addDays, parseDate, today } from '../utils/date';
+import { emptyFeedFilter, feedFilterParams, parseFeedFilter } from '../utils/feed-filter';
+
+// Bump when the same data renders to a different feed, so clients don't keep the old output
+const FEED_FORMAT = 1;
+
+interface FeedOwner {
+    userHash: string;
+    shareToken: ShareToken | null; // Set when the feed was requested with a read-only token
+}
+
+/**
+ * Calendar a feed token belongs to - either the hash itself or one of its share tokens
+ */
+async function resolveFeed(db: Database, token: string): Promise<FeedOwner | null> {
+    if (await new UserModel(db).exists(token)) {
+        return { userHash: token, shareToken: null };
+    }
+
+    const shareToken = await new ShareTokenModel(db).findByToken(token);
+    return shareToken ? { userHash: shareToken.user_hash, shareToken } : null;
+}
+
+/**
+ * Answer for a hash without calendar: a rotated hash shows a "moved" notice during
+ * its grace period and is gone afterwards
+ */
+async function movedFeed(db: Database, hash: string): Promise<Response> {
+    const retired = await new UserModel(db).findRetired(hash);
+
+    if (!retired) {
+        return new Response('Calendar not found', {
+            status: 404,
+            headers: { 'Content-Type': 'text/plain' }
+        });
+    }
+
+    if (!retired.grace_until || new Date(retired.grace_until) < new Date()) {
+        return new Response('Calendar moved', {
+            status: 410,
+            headers: { 'Content-Type': 'text/plain' }
+        });
+    }
+
+    return new Response(new ICalService().generateMovedNotice(hash), {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Cache-Control': 'public, max-age=3600',
+            'X-Published-TTL': 'PT1H',
+            'Access-Control-Allow-Origin': '*'
+        }
+    });
+}
+
+interface FeedValidators {
+    etag: string;       // Weak: DTSTAMP differs on every generation
+    lastModified: Date;
+}
+
+/**
+ * ETag and Last-Modified of a feed from its content version and everything else the
+ * output depends on. Holiday shifts and date-window filters are relative to today and
+ * the zone rules start with the current year, so the feed also changes with the day
+ * (`daily`) or the year.
+ */
+function feedValidators(version: ContentVersion, variant: string[], daily: boolean): FeedValidators {
+    const period = daily ? today() : `${new Date().getUTCFullYear()}-01-01`;
+    const tag = createHash('sha256')
+        .update([FEED_FORMAT, version.fingerprint, period, ...variant].join('\n'))
+        .digest('hex')
+        .substring(0, 32);
+    const modified = Math.max(version.modified_at?.getTime() || 0, parseDate(period).getTime());
+
+    return {
+        etag: `W/"${tag}"`,
+        lastModified: new Date(Math.floor(modified / 1000) * 1000) // HTTP dates have whole seconds
+    };
+}
+
+/**
+ * Conditional GET: If-None-Match (weak comparison) takes precedence over If-Modified-Since
+ */
+function isNotModified(req: Request, validators: FeedValidators): boolean {
+    const ifNoneMatch = req.headers.get('If-None-Match');
+    if (ifNoneMatch !== null) {
+        const opaque = (tag: string) => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(validators.etag));
+    }
+
+    const ifModifiedSince = Date.parse(req.headers.get('If-Modified-Since') || '');
+    return !isNaN(ifModifiedSince) && validators.lastModified.getTime() <= ifModifiedSince;
+}
+
+/**
+ * Subscription URLs of a feed (hash or share token) with optional query parameters
+ */
+function feedUrls(token: string, query: URLSearchParams = new URLSearchParams()): { ical: string; webcal: string; download: string } {
+    const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+    const queryString = query.toString();
+    const icalUrl = `${baseUrl}/api/ical/${token}${queryString ? `?${queryString}` : ''}`;
+
+    return {
+        ical: icalUrl,
+        webcal: icalUrl.replace(/^https?:/, 'webcal:'),
+        download: `${icalUrl}${queryString ? '&' : '?'}download=1`
+    };
+}
 
 export const icalRoutes = {
     generateFeed: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
@@ -19,38 +133,98 @@ export const icalRoutes = {
                 });
             }
 
-            // Check if user exists
-            const userModel = new UserModel(db);
-            const userExists = await userModel.exists(hash);
-            if (!userExists) {
-                return new Response('Calendar not found', {
-                    status: 404,
+            // Types, icons and date window the feed is limited to
+            const { filter, errors } = parseFeedFilter(url.searchParams);
+            if (errors.length > 0) {
+                return new Response(`Invalid feed filter: ${errors.join('; ')}`, {
+                    status: 400,
                     headers: { 'Content-Type': 'text/plain' }
                 });
             }
 
+            // Find the calendar (hash or read-only share token)
+            const owner = await resolveFeed(db, hash);
+            if (!owner) {
+                return await movedFeed(db, hash);
+            }
+            const { userHash, shareToken } = owner;
+
             // Update last accessed
-            await userModel.updateLastAccessed(hash);
+            await new UserModel(db).updateLastAccessed(userHash);
+            if (shareToken) {
+                await new ShareTokenModel(db).updateLastAccessed(shareToken.id);
+            }
 
-            // Get events
+            // Parse query parameters for customization
+            const settings = await new CalendarSettingsModel(db).get(userHash);
+            const calName = url.searchParams.get('name') || undefined;
+            const timezone = normalizeTimeZone(url.searchParams.get('tz')) || settings.timezone;
+
+            // Answer polling clients from the content version before loading any events
+            const version = await new UserModel(db).getContentVersion(userHash);
+            if (!version) {
+                return await movedFeed(db, hash);
+            }
+            const hasWindow = filter.pastDays !== null || filter.futureDays !== null;
+            const validators = feedValidators(
+                version,
+                [hash, calName || '', timezone, feedFilterParams(filter).toString()],
+                settings.holiday_shift || hasWindow
+            );
+            const cacheHeaders = {
+                'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
+                'ETag': validators.etag,
+                'Last-Modified': validators.lastModified.toUTCString(),
+                // Calendar-specific headers
+                'X-Published-TTL': 'PT1H', // Refresh every hour
+                'Refresh-Interval': '3600',
+                // CORS headers for web access
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET',
+                'Access-Control-Max-Age': '86400'
+            };
+
+            if (isNotModified(req, validators)) {
+                return new Response(null, { status: 304, headers: cacheHeaders });
+            }
+
+            // Get events - filtered in the query, so the limit counts matching events only.
+            // Series are cut to the window when the feed is written. Cancellations (tombstones)
+            // are limited the same way as the events they cancel.
+            const windowStart = filter.pastDays !== null ? addDays(today(), -filter.pastDays) : null;
+            const windowEnd = filter.futureDays !== null ? addDays(today(), filter.futureDays) : null;
             const eventModel = new EventModel(db);
-            const events = await eventModel.findByUserHash(hash, {
+            const feedFilter = {
+                activeFrom: windowStart || undefined,
+                endDate: windowEnd || undefined,
+                wasteTypeIds: filter.wasteTypeIds,
+                icons: filter.icons
+            };
+            const events = await eventModel.findByUserHash(userHash, {
+                ...feedFilter,
                 limit: 1000 // Reasonable limit for calendar feeds
             });
-
-            // Parse query parameters for customization
-            const calName = url.searchParams.get('name') || undefined;
-            const timezone = url.searchParams.get('tz') || undefined;
+            const exceptions = await new EventExceptionModel(db).findByUserHash(userHash);
+            const tombstones = await eventModel.findTombstones(userHash, feedFilter);
+            const wasteTypes = await new WasteTypeModel(db).findByUserHash(userHash);
 
             // Initialize iCal service with custom config
             const icalService = new ICalService({
                 calName: calName ? `YATWA - ${calName}` : undefined,
-                timezone: timezone || undefined,
-                url: process.env.APP_URL || 'http://localhost'
+                timezone,
+                url: process.env.APP_URL || 'http://localhost',
+                holidayShift: settings.holiday_shift,
+                holidayRegion: settings.holiday_region,
+                wasteTypes,
+                defaultReminderMinutes: settings.default_reminder_minutes,
+                allDayReminderTime: settings.all_day_reminder_time,
+                shareToken: shareToken?.token || null,
+                windowStart,
+                windowEnd
             });
 
             // Generate iCal content
-            const icalContent = icalService.generateCalendar(events, hash);
+            const icalContent = icalService.generateCalendar(events, userHash, exceptions, tombstones);
 
             // Validate generated content
             const validation = icalService.validateCalendar(icalContent);
@@ -77,16 +251,7 @@ export const icalRoutes = {
                 headers: {
                     'Content-Type': 'text/calendar; charset=utf-8',
                     'Content-Disposition': `attachment; filename="${filename}"`,
-                    'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-                    'ETag': `"${hash}-${events.length}-${Date.now()}"`,
-                    'Last-Modified': new Date().toUTCString(),
-                    // Calendar-specific headers
-                    'X-Published-TTL': 'PT1H', // Refresh every hour
-                    'Refresh-Interval': '3600',
-                    // CORS headers for web access
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET',
-                    'Access-Control-Max-Age': '86400'
+                    ...cacheHeaders
                 }
             });
 
@@ -114,10 +279,9 @@ export const icalRoutes = {
                 });
             }
 
-            // Check if user exists
-            const userModel = new UserModel(db);
-            const userExists = await userModel.exists(hash);
-            if (!userExists) {
+            // Find the calendar (hash or read-only share token)
+            const owner = await resolveFeed(db, hash);
+            if (!owner) {
                 return new Response(JSON.stringify({
                     success: false,
                     error: 'Calendar not found'
@@ -129,16 +293,23 @@ export const icalRoutes = {
 
             // Get events
             const eventModel = new EventModel(db);
-            const events = await eventModel.findByUserHash(hash);
+            const events = await eventModel.findByUserHash(owner.userHash);
 
             // Generate statistics
-            const icalService = new ICalService();
+            const wasteTypes = await new WasteTypeModel(db).findByUserHash(owner.userHash);
+            const icalService = new ICalService({ wasteTypes });
             const stats = icalService.generateStats(events);
 
-            // Calendar URLs
-            const baseUrl = process.env.APP_URL || 'http://localhost:3000';
-            const icalUrl = `${baseUrl}/api/ical/${hash}`;
-            const webcalUrl = icalUrl.replace(/^https?:/, 'webcal:');
+            // Calendar URLs, and one feed per waste type
+            const urls = feedUrls(hash);
+            const icalUrl = urls.ical;
+            const webcalUrl = urls.webcal;
+            const typeFeeds = wasteTypes.map(type => {
+                const query = feedFilterParams({ ...emptyFeedFilter(), wasteTypeIds: [type.id] });
+                query.set('name', type.name);
+
+                return { waste_type_id: type.id, name: type.name, icon: type.icon, urls: feedUrls(hash, query) };
+            });
 
             return new Response(JSON.stringify({
                 success: true,
@@ -146,11 +317,9 @@ export const icalRoutes = {
                     hash: hash,
                     name: `YATWA Calendar - ${hash.substring(0, 8)}`,
                     description: 'Personal calendar from YATWA',
-                    urls: {
-                        ical: icalUrl,
-                        webcal: webcalUrl,
-                        download: `${icalUrl}?download=1`
-                    },
+                    readOnly: owner.shareToken !== null,
+                    urls,
+                    typeFeeds,
                     stats,
                     instructions: {
                         apple: `Add to iOS/macOS: Settings → Calendar → Accounts → Add Account → Other → Add Subscribed Calendar → ${webcalUrl}`,
@@ -176,6 +345,88 @@ export const icalRoutes = {
         }
     },
 
+    buildFeedUrl: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+            const url = new URL(req.url);
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Invalid hash format'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Find the calendar (hash or read-only share token)
+            const owner = await resolveFeed(db, hash);
+            if (!owner) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Calendar not found'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Same parameters as the feed; types must belong to the calendar
+            const { filter, errors } = parseFeedFilter(url.searchParams);
+            const tz = url.searchParams.get('tz');
+            if (tz && !normalizeTimeZone(tz)) {
+                errors.push('tz must be an IANA timezone name');
+            }
+
+            const wasteTypes = await new WasteTypeModel(db).findByUserHash(owner.userHash);
+            const selectedTypes = wasteTypes.filter(type => filter.wasteTypeIds.includes(type.id));
+            if (selectedTypes.length < filter.wasteTypeIds.length) {
+                errors.push('types contains an unknown waste type id');
+            }
+
+            if (errors.length > 0) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    errors
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Without a name of its own the feed is named after its types
+            const query = feedFilterParams(filter);
+            const name = url.searchParams.get('name') || selectedTypes.map(type => type.name).join(', ');
+            if (name) {
+                query.set('name', name);
+            }
+            if (tz) {
+                query.set('tz', normalizeTimeZone(tz)!);
+            }
+
+            return new Response(JSON.stringify({
+                success: true,
+                filter,
+                urls: feedUrls(hash, query)
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Feed URL error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Internal server error'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
     validateFeed: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
         try {
             const { hash } = params;
@@ -191,13 +442,38 @@ export const icalRoutes = {
                 });
             }
 
+            // Find the calendar (hash or read-only share token)
+            const owner = await resolveFeed(db, hash);
+            if (!owner) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Calendar not found'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+            const { userHash, shareToken } = owner;
+
             // Get events
             const eventModel = new EventModel(db);
-            const events = await eventModel.findByUserHash(hash);
+            const events = await eventModel.findByUserHash(userHash);
+            const exceptions = await new EventExceptionModel(db).findByUserHash(userHash);
+            const tombstones = await eventModel.findTombstones(userHash);
+            const settings = await new CalendarSettingsModel(db).get(userHash);
+            const wasteTypes = await new WasteTypeModel(db).findByUserHash(userHash);
 
             // Generate and validate iCal
-            const icalService = new ICalService();
-            const icalContent = icalService.generateCalendar(events, hash);
+            const icalService = new ICalService({
+                timezone: settings.timezone,
+                holidayShift: settings.holiday_shift,
+                holidayRegion: settings.holiday_region,
+                wasteTypes,
+                defaultReminderMinutes: settings.default_reminder_minutes,
+                allDayReminderTime: settings.all_day_reminder_time,
+                shareToken: shareToken?.token || null
+            });
+            const icalContent = icalService.generateCalendar(events, userHash, exceptions, tombstones);
             const validation = icalService.validateCalendar(icalContent);
 
             return new Response(JSON.stringify({
@@ -1,8 +1,16 @@
 // 🛣️ YATWA Router - Modern request routing system
 import { Database } from '../services/database';
 import { authRoutes } from './auth';
+import { digestRoutes } from './digest';
 import { eventRoutes } from './events';
 import { icalRoutes } from './ical';
+import { recoveryRoutes } from './recovery';
+import { settingsRoutes } from './settings';
+import { shareTokenRoutes } from './share-tokens';
+import { sourceRoutes } from './sources';
+import { userRoutes } from './users';
+import { wasteTypeRoutes } from './waste-types';
+import { ShareTokenModel } from '../models/ShareToken';
 
 export interface Route {
     method: string;
@@ -24,20 +32,74 @@ export class Router {
         this.addRoute('GET', '/api/verify', authRoutes.verify(this.db)); // Also allow GET for verification
         this.addRoute('GET', '/api/email-status', authRoutes.emailStatus(this.db));
 
+        // 🔑 Lost-hash recovery via a confirmed email address
+        this.addRoute('POST', '/api/recover', recoveryRoutes.recover(this.db));
+        this.addRoute('GET', '/api/recovery/confirm', recoveryRoutes.confirmRecoveryEmail(this.db));
+        this.addRoute('GET', '/api/users/:hash/recovery-email', recoveryRoutes.getRecoveryEmail(this.db));
+        this.addRoute('PUT', '/api/users/:hash/recovery-email', recoveryRoutes.setRecoveryEmail(this.db));
+        this.addRoute('DELETE', '/api/users/:hash/recovery-email', recoveryRoutes.deleteRecoveryEmail(this.db));
+
+        // 👤 Calendar hash lifecycle
+        this.addRoute('POST', '/api/users/:hash/rotate', userRoutes.rotateHash(this.db));
+        this.addRoute('GET', '/api/users/:hash/export', userRoutes.exportData(this.db));
+        this.addRoute('DELETE', '/api/users/:hash', userRoutes.deleteUser(this.db));
+        this.addRoute('POST', '/api/users/:hash/restore', userRoutes.restoreInto(this.db));
+        this.addRoute('POST', '/api/restore', userRoutes.restoreNew(this.db));
+
+        // 👀 Read-only share tokens (feed links for other devices)
+        this.addRoute('GET', '/api/users/:hash/share-tokens', shareTokenRoutes.getShareTokens(this.db));
+        this.addRoute('POST', '/api/users/:hash/share-tokens', shareTokenRoutes.createShareToken(this.db));
+        this.addRoute('DELETE', '/api/users/:hash/share-tokens/:id', shareTokenRoutes.deleteShareToken(this.db));
+
         // 📅 Event routes - Main CRUD
         this.addRoute('GET', '/api/events/:hash', eventRoutes.getEvents(this.db));
         this.addRoute('POST', '/api/events/:hash', eventRoutes.createEvent(this.db));
         this.addRoute('PUT', '/api/events/:hash/:id', eventRoutes.updateEvent(this.db));
         this.addRoute('DELETE', '/api/events/:hash/:id', eventRoutes.deleteEvent(this.db));
 
+        // 🔁 Single occurrences of recurring events
+        this.addRoute('PUT', '/api/events/:hash/:id/occurrences/:date', eventRoutes.updateOccurrence(this.db));
+        this.addRoute('DELETE', '/api/events/:hash/:id/occurrences/:date', eventRoutes.cancelOccurrence(this.db));
+        this.addRoute('DELETE', '/api/events/:hash/:id/exceptions/:date', eventRoutes.restoreOccurrence(this.db));
+
+        // 📥 Import
+        this.addRoute('POST', '/api/events/:hash/import', eventRoutes.importEvents(this.db));
+        this.addRoute('POST', '/api/events/:hash/import/apply', eventRoutes.applyImport(this.db));
+        this.addRoute('GET', '/api/events/:hash/export.csv', eventRoutes.exportCsv(this.db));
+        this.addRoute('POST', '/api/events/:hash/parse-schedule', eventRoutes.parseSchedule(this.db));
+
         // 📅 Additional event endpoints
         this.addRoute('GET', '/api/events/:hash/upcoming', eventRoutes.getUpcomingEvents(this.db));
         this.addRoute('GET', '/api/events/:hash/by-month', eventRoutes.getEventsByMonth(this.db));
         this.addRoute('GET', '/api/icons', eventRoutes.getAvailableIcons(this.db));
+        this.addRoute('GET', '/api/providers', eventRoutes.getProviders(this.db));
+
+        // ⚙️ Calendar settings
+        this.addRoute('GET', '/api/settings/:hash', settingsRoutes.getSettings(this.db));
+        this.addRoute('PUT', '/api/settings/:hash', settingsRoutes.updateSettings(this.db));
+        this.addRoute('GET', '/api/holidays', settingsRoutes.getHolidays(this.db));
+
+        // 📬 Weekly email digest
+        this.addRoute('GET', '/api/digest/:hash/preview', digestRoutes.previewDigest(this.db));
+        this.addRoute('GET', '/api/digest/:hash/unsubscribe', digestRoutes.unsubscribeDigest(this.db));
+        this.addRoute('POST', '/api/digest/:hash/unsubscribe', digestRoutes.unsubscribeDigest(this.db));
+
+        // 🔗 Subscribed calendars (remote .ics sources)
+        this.addRoute('GET', '/api/sources/:hash', sourceRoutes.getSources(this.db));
+        this.addRoute('POST', '/api/sources/:hash', sourceRoutes.addSource(this.db));
+        this.addRoute('POST', '/api/sources/:hash/:id/sync', sourceRoutes.syncSource(this.db));
+        this.addRoute('DELETE', '/api/sources/:hash/:id', sourceRoutes.deleteSource(this.db));
+
+        // 🗑️ Waste types
+        this.addRoute('GET', '/api/waste-types/:hash', wasteTypeRoutes.getWasteTypes(this.db));
+        this.addRoute('POST', '/api/waste-types/:hash', wasteTypeRoutes.createWasteType(this.db));
+        this.addRoute('PUT', '/api/waste-types/:hash/:id', wasteTypeRoutes.updateWasteType(this.db));
+        this.addRoute('DELETE', '/api/waste-types/:hash/:id', wasteTypeRoutes.deleteWasteType(this.db));
 
         // 📊 iCal routes
         this.addRoute('GET', '/api/ical/:hash', icalRoutes.generateFeed(this.db));
         this.addRoute('GET', '/api/ical/:hash/info', icalRoutes.getCalendarInfo(this.db));
+        this.addRoute('GET', '/api/ical/:hash/url', icalRoutes.buildFeedUrl(this.db));
         this.addRoute('GET', '/api/ical/:hash/validate', icalRoutes.validateFeed(this.db));
 
         // 🏥 Health check
@@ -61,6 +123,9 @@ export class Router {
 
             const params = this.matchPath(route.path, pathname);
             if (params !== null) {
+                if (method !== 'GET' && params.hash && await new ShareTokenModel(this.db).exists(params.hash)) {
+                    return this.readOnly();
+                }
                 return await route.handler(req, params);
             }
         }
@@ -80,6 +145,22 @@ export class Router {
         );
     }
 
+    /**
+     * Share tokens only open the feed - every change needs the hash itself
+     */
+    private readOnly(): Response {
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Nur-Lese-Link: Änderungen sind damit nicht möglich'
+            }),
+            {
+                status: 403,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+    }
+
     private matchPath(routePath: string, requestPath: string): Record<string, string> | null {
         const routeParts = routePath.split('/');
         const requestParts = requestPath.split('/');
@@ -138,22 +219,72 @@ export class Router {
                     auth: {
                         register: 'POST /api/register - Create new user hash',
                         verify: 'GET/POST /api/verify - Verify user hash',
-                        emailStatus: 'GET /api/email-status - Check email service status'
+                        emailStatus: 'GET /api/email-status - Email transport (smtp/simulate), outbox queue depth, dead letters and the kind of the last failure'
+                    },
+                    recovery: {
+                        recover: 'POST /api/recover - Mail the links of all calendars bound to an address ({ email }), same answer for unknown addresses, rate limited',
+                        confirm: 'GET /api/recovery/confirm?token= - Confirm a recovery address (link in the mail)',
+                        get: 'GET /api/users/:hash/recovery-email - Whether a recovery address is bound (none/pending/confirmed)',
+                        set: 'PUT /api/users/:hash/recovery-email - Bind an address ({ email }), stored as keyed hash, counts once confirmed',
+                        delete: 'DELETE /api/users/:hash/recovery-email - Remove the recovery address'
                     },
                     events: {
                         list: 'GET /api/events/:hash - Get all events (with filtering)',
-                        create: 'POST /api/events/:hash - Create new event',
+                        create: 'POST /api/events/:hash - Create new event (waste_type_id optional, recognized from the title if left out; end_date/end_time optional for multi-day or timed ends)',
                         update: 'PUT /api/events/:hash/:id - Update event',
-                        delete: 'DELETE /api/events/:hash/:id - Delete event',
+                        delete: 'DELETE /api/events/:hash/:id - Delete event (stays in the iCal feed as cancelled for EVENT_TOMBSTONE_DAYS days)',
+                        updateOccurrence: 'PUT /api/events/:hash/:id/occurrences/:date - Move or change a single occurrence of a series',
+                        cancelOccurrence: 'DELETE /api/events/:hash/:id/occurrences/:date - Skip a single occurrence of a series',
+                        restoreOccurrence: 'DELETE /api/events/:hash/:id/exceptions/:date - Undo the move, change or cancellation of a single occurrence',
+                        import: 'POST /api/events/:hash/import - Import events from an .ics or CSV file (Content-Type: text/calendar or text/csv, ?dryRun=1 for a diff, CSV columns via ?date=&time=&title=&icon=&description=) or a provider payload (?provider=awido plus provider options)',
+                        applyImport: 'POST /api/events/:hash/import/apply - Apply accepted changes of a dry run ({ content, accept, format, mapping, provider, options })',
+                        exportCsv: 'GET /api/events/:hash/export.csv - Download events as CSV (semicolon separated, German dates)',
+                        parseSchedule: 'POST /api/events/:hash/parse-schedule - Recognize pickup dates in pasted text ({ text, year }), returns proposals without saving',
                         upcoming: 'GET /api/events/:hash/upcoming - Get upcoming events',
                         byMonth: 'GET /api/events/:hash/by-month - Get events grouped by month',
                         search: 'GET /api/events/:hash?search=term - Search events'
                     },
+                    settings: {
+                        get: 'GET /api/settings/:hash - Get calendar settings (holiday region, pickup shifting, default reminder, reminder email, quiet hours, weekly digest, email language, timezone)',
+                        update: 'PUT /api/settings/:hash - Update calendar settings',
+                        holidays: 'GET /api/holidays?year=2025&region=NW - List public holidays'
+                    },
+                    digest: {
+                        preview: 'GET /api/digest/:hash/preview - Rendered weekly digest of the coming week without sending it (?format=text for plain text)',
+                        unsubscribe: 'GET|POST /api/digest/:hash/unsubscribe - Stop the weekly digest (link in the mail)'
+                    },
+                    sources: {
+                        list: 'GET /api/sources/:hash - List subscribed .ics calendars with last sync and error',
+                        add: 'POST /api/sources/:hash - Subscribe to an .ics URL ({ url, label }), synced right away and then every few hours',
+                        sync: 'POST /api/sources/:hash/:id/sync - Sync a subscribed calendar now',
+                        delete: 'DELETE /api/sources/:hash/:id - Unsubscribe (?keepEvents=1 keeps the synced events)'
+                    },
+                    wasteTypes: {
+                        list: 'GET /api/waste-types/:hash - List waste types (name, color, icon, default reminder and put-out time)',
+                        create: 'POST /api/waste-types/:hash - Create a waste type ({ name, color, icon, default_reminder_minutes, default_time })',
+                        update: 'PUT /api/waste-types/:hash/:id - Update a waste type',
+                        delete: 'DELETE /api/waste-types/:hash/:id - Delete a waste type (its events keep their icon)'
+                    },
                     ical: {
-                        feed: 'GET /api/ical/:hash - Generate iCal feed for calendar subscription'
+                        feed: 'GET /api/ical/:hash - Generate iCal feed for calendar subscription (also accepts a read-only share token; ?tz= overrides the calendar timezone; ?types=1,2 / ?icons= limit it to waste types or icons, ?past= / ?future= to a window of days around today; answers If-None-Match/If-Modified-Since with 304 Not Modified)',
+                        info: 'GET /api/ical/:hash/info - Feed URLs (also one per waste type in typeFeeds) and statistics',
+                        url: 'GET /api/ical/:hash/url - Build a filtered feed URL from the feed parameters (types, icons, past, future, name, tz)'
+                    },
+                    users: {
+                        rotate: 'POST /api/users/:hash/rotate - Issue a new hash and invalidate the old one ({ graceDays } keeps a "moved" notice in the old feed, max. 30)',
+                        export: 'GET /api/users/:hash/export - Download all data of the calendar as JSON (events, settings, waste types, sources, share tokens, recovery address status, mails)',
+                        delete: 'DELETE /api/users/:hash?confirm=:hash - Delete the calendar and all its data (the hash must be repeated)',
+                        restore: 'POST /api/users/:hash/restore?mode=merge|replace - Restore events, waste types and (replace) settings from an export',
+                        restoreNew: 'POST /api/restore - Restore an export into a new calendar with a fresh hash'
+                    },
+                    shareTokens: {
+                        list: 'GET /api/users/:hash/share-tokens - List read-only feed links with label and last access',
+                        create: 'POST /api/users/:hash/share-tokens - Create a read-only feed link ({ label })',
+                        delete: 'DELETE /api/users/:hash/share-tokens/:id - Revoke a read-only feed link'
                     },
                     misc: {
                         icons: 'GET /api/icons - Get available event icons',
+                        providers: 'GET /api/providers - List schedule provider formats for the import',
                         health: 'GET /api/health - Health check',
                         info: 'GET /api - This endpoint'
                     }
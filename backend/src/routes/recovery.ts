@@ -0,0 +1,318 @@
+// 🔑 Recovery routes - Recovery address of a calendar and lost-hash recovery
+import { Database } from '../services/database';
+import { UserModel } from '../models/User';
+import { CalendarSettingsModel } from '../models/CalendarSettings';
+import { EmailBindingModel } from '../models/EmailBinding';
+import { EmailTemplates } from '../services/email-templates';
+import { RecoveryService } from '../services/recovery';
+import { ValidationService } from '../utils/validation';
+
+// Same answer for known and unknown addresses
+const RECOVERY_MESSAGE = 'Wenn diese Adresse bestätigt ist, ist eine E-Mail mit den Kalender-Links unterwegs.';
+
+function tooManyRequests(): Response {
+    return new Response(JSON.stringify({
+        success: false,
+        error: 'Zu viele Anfragen, bitte später erneut versuchen'
+    }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': '3600' }
+    });
+}
+
+function confirmationPage(status: number, title: string, text: string): Response {
+    return new Response(`<!DOCTYPE html>
+<html lang="de">
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    <h2>${title}</h2>
+    <p>${text}</p>
+    <p><a href="${process.env.APP_URL || 'http://localhost'}">🗓️ Zu YATWA</a></p>
+</body>
+</html>`, {
+        status,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+}
+
+export const recoveryRoutes = {
+    /**
+     * Whether the calendar has a recovery address (never the address itself)
+     */
+    getRecoveryEmail: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const binding = await new EmailBindingModel(db).findByUserHash(hash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                recovery: {
+                    status: !binding ? 'none' : binding.confirmed_at ? 'confirmed' : 'pending',
+                    confirmedAt: binding?.confirmed_at || null
+                }
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Get recovery email error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden der Wiederherstellungs-Adresse'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Bind an address; it counts once confirmed from the mail sent to it
+     */
+    setRecoveryEmail: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (typeof body.email !== 'string' || !ValidationService.isValidEmail(body.email.trim())) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige E-Mail-Adresse'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (!RecoveryService.allow('bindCalendar', hash)) {
+                return tooManyRequests();
+            }
+
+            const settings = await new CalendarSettingsModel(db).get(hash);
+            await RecoveryService.requestBinding(db, hash, body.email, settings.email_locale);
+
+            return new Response(JSON.stringify({
+                success: true,
+                recovery: { status: 'pending', confirmedAt: null },
+                message: 'Bestätigungs-E-Mail versendet'
+            }), {
+                status: 202,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Set recovery email error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Speichern der Wiederherstellungs-Adresse'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    deleteRecoveryEmail: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            await new EmailBindingModel(db).delete(hash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                recovery: { status: 'none', confirmedAt: null },
+                message: 'Wiederherstellungs-Adresse entfernt'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Delete recovery email error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Entfernen der Wiederherstellungs-Adresse'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Confirmation link of the double opt-in mail
+     */
+    confirmRecoveryEmail: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const token = new URL(req.url).searchParams.get('token') || '';
+
+            if (!await RecoveryService.confirm(db, token)) {
+                return confirmationPage(400, '⚠️ Link ungültig',
+                    'Der Bestätigungs-Link ist ungültig oder abgelaufen. Hinterlege die Adresse in den Kalender-Einstellungen einfach noch einmal.');
+            }
+
+            return confirmationPage(200, '✅ Adresse bestätigt',
+                'Falls du den Link zu deinem Kalender verlierst, kannst du ihn jetzt über „Hash vergessen?“ an diese Adresse schicken lassen.');
+
+        } catch (error) {
+            console.error('Confirm recovery email error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Bestätigen der Adresse'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Mail the links of the calendars bound to an address. Answers the same for every
+     * valid address; the lookup and the mail happen after the response.
+     */
+    recover: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (typeof body.email !== 'string' || !ValidationService.isValidEmail(body.email.trim())) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige E-Mail-Adresse'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const allowedClient = RecoveryService.allow('recoverClient', RecoveryService.clientKey(req));
+            const allowedAddress = RecoveryService.allow('recoverAddress', RecoveryService.emailHash(body.email));
+            if (!allowedClient || !allowedAddress) {
+                return tooManyRequests();
+            }
+
+            const locale = EmailTemplates.localeFrom(req.headers.get('Accept-Language'));
+            RecoveryService.recover(db, body.email, locale)
+                .catch(error => console.error('🔑 Recovery failed:', error));
+
+            return new Response(JSON.stringify({
+                success: true,
+                message: RECOVERY_MESSAGE
+            }), {
+                status: 202,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Recover error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler bei der Wiederherstellung'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+};
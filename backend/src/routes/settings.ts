@@ -0,0 +1,208 @@
+// ⚙️ Settings routes - Per-calendar preferences and holiday lookup
+import { Database } from '../services/database';
+import { UserModel } from '../models/User';
+import { CalendarSettingsModel, UpdateCalendarSettingsData } from '../models/CalendarSettings';
+import { HolidayService, HOLIDAY_REGIONS } from '../services/holidays';
+import { ValidationService } from '../utils/validation';
+import { normalizeTimeZone } from '../utils/timezone';
+
+export const settingsRoutes = {
+    getSettings: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const settings = await new CalendarSettingsModel(db).get(hash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                settings,
+                regions: HOLIDAY_REGIONS
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Get settings error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden der Einstellungen'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    updateSettings: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let updateData;
+            try {
+                updateData = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Validate settings
+            const validation = ValidationService.validateSettings(updateData);
+            if (!validation.isValid) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    errors: validation.errors
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Prepare update data
+            const settingsData: UpdateCalendarSettingsData = {};
+            if (updateData.holiday_region !== undefined) {
+                settingsData.holiday_region = updateData.holiday_region || null;
+            }
+            if (updateData.holiday_shift !== undefined) {
+                settingsData.holiday_shift = updateData.holiday_shift;
+            }
+            if (updateData.default_reminder_minutes !== undefined) {
+                settingsData.default_reminder_minutes = updateData.default_reminder_minutes;
+            }
+            if (updateData.all_day_reminder_time !== undefined) {
+                settingsData.all_day_reminder_time = ValidationService.formatTimeString(updateData.all_day_reminder_time);
+            }
+            if (updateData.reminder_email !== undefined) {
+                settingsData.reminder_email = updateData.reminder_email ? updateData.reminder_email.trim() : null;
+            }
+            if (updateData.quiet_hours_start !== undefined) {
+                settingsData.quiet_hours_start = updateData.quiet_hours_start ?
+                    ValidationService.formatTimeString(updateData.quiet_hours_start) : null;
+            }
+            if (updateData.quiet_hours_end !== undefined) {
+                settingsData.quiet_hours_end = updateData.quiet_hours_end ?
+                    ValidationService.formatTimeString(updateData.quiet_hours_end) : null;
+            }
+            if (updateData.weekly_digest !== undefined) {
+                settingsData.weekly_digest = updateData.weekly_digest;
+            }
+            if (updateData.email_locale !== undefined) {
+                settingsData.email_locale = updateData.email_locale;
+            }
+            if (updateData.timezone !== undefined) {
+                settingsData.timezone = normalizeTimeZone(updateData.timezone) as string;
+            }
+
+            const settings = await new CalendarSettingsModel(db).update(hash, settingsData);
+
+            return new Response(JSON.stringify({
+                success: true,
+                settings,
+                message: 'Einstellungen gespeichert'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Update settings error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Speichern der Einstellungen'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    getHolidays: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        const url = new URL(req.url);
+        const year = parseInt(url.searchParams.get('year') || String(new Date().getFullYear()));
+        const region = url.searchParams.get('region');
+
+        if (isNaN(year) || year < 1900 || year > 2100) {
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Ungültiges Jahr'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        if (region && !HolidayService.isValidRegion(region)) {
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Ungültiges Bundesland'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        return new Response(JSON.stringify({
+            success: true,
+            year,
+            region: region || null,
+            holidays: HolidayService.getHolidays(year, region)
+        }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+};
@@ -0,0 +1,233 @@
+// 👀 Share token routes - Read-only feed links of a calendar
+import { Database } from '../services/database';
+import { HashService } from '../services/hash';
+import { UserModel } from '../models/User';
+import { ShareToken, ShareTokenModel } from '../models/ShareToken';
+import { ValidationService } from '../utils/validation';
+
+// One per device of the family is plenty
+const MAX_SHARE_TOKENS_PER_CALENDAR = 20;
+
+const hashService = new HashService();
+
+/**
+ * Share token as returned by the API, with its feed URLs
+ */
+function toPublicShareToken(shareToken: ShareToken) {
+    const icalUrl = `${process.env.APP_URL || 'http://localhost:3000'}/api/ical/${shareToken.token}`;
+
+    return {
+        id: shareToken.id,
+        label: shareToken.label,
+        token: shareToken.token,
+        urls: {
+            ical: icalUrl,
+            webcal: icalUrl.replace(/^https?:/, 'webcal:')
+        },
+        last_accessed_at: shareToken.last_accessed_at,
+        created_at: shareToken.created_at
+    };
+}
+
+export const shareTokenRoutes = {
+    getShareTokens: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const shareTokens = await new ShareTokenModel(db).findByUserHash(hash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                shareTokens: shareTokens.map(toPublicShareToken)
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Get share tokens error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden der Freigabe-Links'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    createShareToken: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const label = typeof body?.label === 'string' ? ValidationService.sanitizeString(body.label) : '';
+            if (label === '' || label.length > 100) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Bezeichnung ist erforderlich (max. 100 Zeichen)'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const shareTokenModel = new ShareTokenModel(db);
+            const existing = await shareTokenModel.findByUserHash(hash);
+
+            if (existing.length >= MAX_SHARE_TOKENS_PER_CALENDAR) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Maximal ${MAX_SHARE_TOKENS_PER_CALENDAR} Freigabe-Links möglich`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Tokens look like hashes and must never collide with one
+            const token = await hashService.generateUniqueHash(async (candidate: string) => {
+                return await userModel.exists(candidate) || await shareTokenModel.exists(candidate);
+            });
+            const shareToken = await shareTokenModel.create(hash, token, label);
+
+            return new Response(JSON.stringify({
+                success: true,
+                shareToken: toPublicShareToken(shareToken),
+                message: 'Freigabe-Link erstellt'
+            }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Create share token error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Erstellen des Freigabe-Links'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    deleteShareToken: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash, id } = params;
+            const shareTokenId = parseInt(id);
+
+            // Validate parameters
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (isNaN(shareTokenId) || shareTokenId < 1) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Freigabe-ID'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const deleted = await new ShareTokenModel(db).delete(shareTokenId, hash);
+
+            if (!deleted) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Freigabe-Link nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response(JSON.stringify({
+                success: true,
+                message: 'Freigabe-Link widerrufen'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Delete share token error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Widerrufen des Freigabe-Links'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+};
@@ -0,0 +1,318 @@
+// 🔗 Source routes - Subscribe a calendar to remote .ics calendars
+import { Database } from '../services/database';
+import { UserModel } from '../models/User';
+import { CalendarSource, CalendarSourceModel } from '../models/CalendarSource';
+import { SourceSyncService } from '../services/source-sync';
+import { ValidationService } from '../utils/validation';
+
+// Municipal calendar, school holidays, ... - more is most likely a mistake
+const MAX_SOURCES_PER_CALENDAR = 5;
+
+/**
+ * Source as returned by the API (without the HTTP validators)
+ */
+function toPublicSource(source: CalendarSource) {
+    return {
+        id: source.id,
+        url: source.url,
+        label: source.label,
+        last_sync_at: source.last_sync_at,
+        last_success_at: source.last_success_at,
+        last_error: source.last_error,
+        event_count: Number(source.event_count) || 0,
+        created_at: source.created_at
+    };
+}
+
+export const sourceRoutes = {
+    getSources: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const sources = await new CalendarSourceModel(db).findByUserHash(hash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                sources: sources.map(toPublicSource)
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Get sources error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden der abonnierten Kalender'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    // Subscribe and sync right away, so the user sees at once whether the URL works
+    addSource: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (typeof body?.url !== 'string' || body.url.trim() === '') {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'URL ist erforderlich'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            let url: string;
+            try {
+                url = SourceSyncService.normalizeUrl(body.url);
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: error instanceof Error ? error.message : 'Ungültige URL'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const sourceModel = new CalendarSourceModel(db);
+            const existing = await sourceModel.findByUserHash(hash);
+
+            if (existing.some(source => source.url === url)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Dieser Kalender ist bereits abonniert'
+                }), {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (existing.length >= MAX_SOURCES_PER_CALENDAR) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Maximal ${MAX_SOURCES_PER_CALENDAR} abonnierte Kalender möglich`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const label = typeof body.label === 'string' ? ValidationService.sanitizeString(body.label).substring(0, 255) : null;
+            const created = await sourceModel.create({ user_hash: hash, url, label: label || null });
+            const sync = await SourceSyncService.sync(db, created);
+            const source = await sourceModel.findById(created.id, hash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                source: toPublicSource(source || created),
+                sync,
+                message: sync.status === 'failed' ?
+                    'Kalender abonniert, der erste Abruf ist aber fehlgeschlagen' :
+                    `Kalender abonniert: ${sync.added} Termine übernommen`
+            }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Add source error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Abonnieren des Kalenders'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    syncSource: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash, id } = params;
+            const sourceId = parseInt(id);
+
+            // Validate parameters
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (isNaN(sourceId) || sourceId < 1) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Quellen-ID'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const sourceModel = new CalendarSourceModel(db);
+            const source = await sourceModel.findById(sourceId, hash);
+            if (!source) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Abonnierter Kalender nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // A manual sync always fetches the full feed
+            const sync = await SourceSyncService.sync(db, source, true);
+            const updated = await sourceModel.findById(sourceId, hash);
+
+            return new Response(JSON.stringify({
+                success: sync.status !== 'failed',
+                source: toPublicSource(updated || source),
+                sync,
+                ...(sync.status === 'failed' ? { error: sync.error } : {})
+            }), {
+                status: sync.status === 'failed' ? 502 : 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Sync source error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Synchronisieren des Kalenders'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    deleteSource: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash, id } = params;
+            const sourceId = parseInt(id);
+            const keepEvents = ['1', 'true'].includes(new URL(req.url).searchParams.get('keepEvents') || '');
+
+            // Validate parameters
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (isNaN(sourceId) || sourceId < 1) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Quellen-ID'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const deleted = await new CalendarSourceModel(db).delete(sourceId, hash, keepEvents);
+
+            if (!deleted) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Abonnierter Kalender nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response(JSON.stringify({
+                success: true,
+                message: keepEvents ? 'Abo beendet, Termine bleiben erhalten' : 'Abo beendet und Termine entfernt'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Delete source error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Entfernen des abonnierten Kalenders'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+};
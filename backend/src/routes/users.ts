@@ -0,0 +1,384 @@
+// 👤 User routes - Lifecycle of a calendar hash
+import { Database } from '../services/database';
+import { HashService } from '../services/hash';
+import { AccountService, RESTORE_MODES, RestoreMode } from '../services/account';
+import { UserModel } from '../models/User';
+import { ShareTokenModel } from '../models/ShareToken';
+import { ValidationService } from '../utils/validation';
+import { today } from '../utils/date';
+
+// Longest time the old feed may keep showing the "moved" notice
+const MAX_GRACE_DAYS = 30;
+
+const hashService = new HashService();
+
+/**
+ * New hash that was never a hash, a share token or a retired hash
+ */
+async function issueHash(db: Database): Promise<string> {
+    const userModel = new UserModel(db);
+    const shareTokenModel = new ShareTokenModel(db);
+
+    return await hashService.generateUniqueHash(async (candidate: string) => {
+        return await userModel.exists(candidate) ||
+            await shareTokenModel.exists(candidate) ||
+            await userModel.findRetired(candidate) !== null;
+    });
+}
+
+export const userRoutes = {
+    /**
+     * Issue a new hash for a calendar and invalidate the old one (e.g. after the link leaked)
+     */
+    rotateHash: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body (optional)
+            let body;
+            try {
+                const text = await req.text();
+                body = text.trim() ? JSON.parse(text) : {};
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const graceDays = body?.graceDays ?? 0;
+            if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > MAX_GRACE_DAYS) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Übergangszeit muss zwischen 0 und ${MAX_GRACE_DAYS} Tagen liegen`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const newHash = await issueHash(db);
+
+            const graceUntil = graceDays > 0 ? new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000) : null;
+            const rotated = await userModel.rotate(hash, newHash, graceUntil);
+            if (!rotated) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const appUrl = process.env.APP_URL || 'http://localhost';
+            const user = await userModel.findByHash(newHash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                hash: newHash,
+                user,
+                link: `${appUrl}?hash=${newHash}`,
+                graceUntil,
+                message: 'Neuer Kalender-Link erstellt, der alte ist ab sofort ungültig'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Rotate hash error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Erneuern des Kalender-Links'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Download everything stored about a calendar as one JSON file
+     */
+    exportData: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const archive = await AccountService.exportArchive(db, hash);
+            if (!archive) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response(JSON.stringify(archive, null, 2), {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="yatwa-export-${hash.substring(0, 8)}-${today()}.json"`,
+                    'Cache-Control': 'no-store'
+                }
+            });
+
+        } catch (error) {
+            console.error('Export user data error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Exportieren der Daten'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Delete a calendar with all its data. Needs ?confirm= with the hash repeated.
+     */
+    deleteUser: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+            const confirm = new URL(req.url).searchParams.get('confirm');
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (confirm !== hash) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Löschen muss bestätigt werden (?confirm= mit dem Hash)'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Events first, the other tables follow the user via ON DELETE CASCADE
+            const deleted = await new UserModel(db).deleteUser(hash);
+            if (!deleted) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response(JSON.stringify({
+                success: true,
+                message: 'Kalender und alle zugehörigen Daten gelöscht'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Delete user error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Löschen des Kalenders'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Restore an exported archive into an existing calendar (?mode=merge|replace, default merge)
+     */
+    restoreInto: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+            const mode = new URL(req.url).searchParams.get('mode') || 'merge';
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (!RESTORE_MODES.includes(mode as RestoreMode)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Ungültiger Modus (erlaubt: ${RESTORE_MODES.join(', ')})`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userExists = await new UserModel(db).exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const validation = AccountService.validateArchive(body);
+            if (!validation.isValid) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    errors: validation.errors
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const summary = await AccountService.restore(db, hash, body, mode as RestoreMode);
+
+            return new Response(JSON.stringify({
+                success: true,
+                summary,
+                message: `${summary.events.created} Termine wiederhergestellt`
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Restore into user error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Wiederherstellen der Sicherung'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    /**
+     * Restore an exported archive into a new calendar with a fresh hash
+     */
+    restoreNew: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const validation = AccountService.validateArchive(body);
+            if (!validation.isValid) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    errors: validation.errors
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // The hash of the archive is not reused, it may still be in use or leaked
+            const { user, summary } = await AccountService.restoreAsNew(db, await issueHash(db), body);
+
+            return new Response(JSON.stringify({
+                success: true,
+                hash: user.hash,
+                user,
+                link: `${process.env.APP_URL || 'http://localhost'}?hash=${user.hash}`,
+                summary,
+                message: `Kalender mit ${summary.events.created} Terminen wiederhergestellt`
+            }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Restore new user error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Wiederherstellen der Sicherung'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+};
@@ -0,0 +1,351 @@
+// 🗑️ Waste type routes - Manage the waste types (name, colour, icon, defaults) of a calendar
+import { Database } from '../services/database';
+import { UserModel } from '../models/User';
+import { UpdateWasteTypeData, WasteTypeModel } from '../models/WasteType';
+import { ValidationService } from '../utils/validation';
+
+// A calendar rarely has more than a dozen bins
+const MAX_WASTE_TYPES_PER_CALENDAR = 30;
+
+export const wasteTypeRoutes = {
+    getWasteTypes: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const wasteTypes = await new WasteTypeModel(db).findByUserHash(hash);
+
+            return new Response(JSON.stringify({
+                success: true,
+                wasteTypes
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Get waste types error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Laden der Abfallarten'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    createWasteType: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash } = params;
+
+            // Validate hash
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Check if user exists
+            const userModel = new UserModel(db);
+            const userExists = await userModel.exists(hash);
+            if (!userExists) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const validation = ValidationService.validateWasteType(body || {});
+            if (!validation.isValid) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    errors: validation.errors
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const wasteTypeModel = new WasteTypeModel(db);
+            const name = ValidationService.sanitizeString(body.name);
+            const existing = await wasteTypeModel.findByUserHash(hash);
+
+            if (existing.some(wasteType => wasteType.name.toLowerCase() === name.toLowerCase())) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Abfallart "${name}" existiert bereits`
+                }), {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (existing.length >= MAX_WASTE_TYPES_PER_CALENDAR) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: `Maximal ${MAX_WASTE_TYPES_PER_CALENDAR} Abfallarten möglich`
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const wasteType = await wasteTypeModel.create({
+                user_hash: hash,
+                name,
+                color: body.color.toLowerCase(),
+                icon: body.icon,
+                default_reminder_minutes: body.default_reminder_minutes ?? null,
+                default_time: body.default_time ? ValidationService.formatTimeString(body.default_time) : null
+            });
+
+            return new Response(JSON.stringify({
+                success: true,
+                wasteType,
+                message: 'Abfallart erstellt'
+            }), {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Create waste type error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Erstellen der Abfallart'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    updateWasteType: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash, id } = params;
+            const wasteTypeId = parseInt(id);
+
+            // Validate parameters
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (isNaN(wasteTypeId) || wasteTypeId < 1) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Abfallart-ID'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            // Parse request body
+            let body;
+            try {
+                body = await req.json();
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige JSON-Daten'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const validation = ValidationService.validateWasteType(body || {}, true);
+            if (!validation.isValid) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    errors: validation.errors
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const wasteTypeModel = new WasteTypeModel(db);
+
+            // Prepare update data
+            const updateData: UpdateWasteTypeData = {};
+            if (body.name !== undefined) {
+                updateData.name = ValidationService.sanitizeString(body.name);
+
+                const sameName = await wasteTypeModel.findByName(hash, updateData.name);
+                if (sameName && sameName.id !== wasteTypeId) {
+                    return new Response(JSON.stringify({
+                        success: false,
+                        error: `Abfallart "${updateData.name}" existiert bereits`
+                    }), {
+                        status: 409,
+                        headers: { 'Content-Type': 'application/json' }
+                    });
+                }
+            }
+            if (body.color !== undefined) {
+                updateData.color = body.color.toLowerCase();
+            }
+            if (body.icon !== undefined) {
+                updateData.icon = body.icon;
+            }
+            if (body.default_reminder_minutes !== undefined) {
+                updateData.default_reminder_minutes = body.default_reminder_minutes;
+            }
+            if (body.default_time !== undefined) {
+                updateData.default_time = body.default_time ? ValidationService.formatTimeString(body.default_time) : null;
+            }
+
+            if (Object.keys(updateData).length === 0) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Keine Änderungen angegeben'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const wasteType = await wasteTypeModel.update(wasteTypeId, hash, updateData);
+
+            if (!wasteType) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Abfallart nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response(JSON.stringify({
+                success: true,
+                wasteType,
+                message: 'Abfallart gespeichert'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Update waste type error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Speichern der Abfallart'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    },
+
+    // Events of a deleted type keep their icon and are shown without a type
+    deleteWasteType: (db: Database) => async (req: Request, params: Record<string, string>): Promise<Response> => {
+        try {
+            const { hash, id } = params;
+            const wasteTypeId = parseInt(id);
+
+            // Validate parameters
+            if (!ValidationService.isValidHash(hash)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültiger Hash'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            if (isNaN(wasteTypeId) || wasteTypeId < 1) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Ungültige Abfallart-ID'
+                }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const deleted = await new WasteTypeModel(db).delete(wasteTypeId, hash);
+
+            if (!deleted) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Abfallart nicht gefunden'
+                }), {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response(JSON.stringify({
+                success: true,
+                message: 'Abfallart gelöscht'
+            }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+        } catch (error) {
+            console.error('Delete waste type error:', error);
+            return new Response(JSON.stringify({
+                success: false,
+                error: 'Fehler beim Löschen der Abfallart'
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    }
+};
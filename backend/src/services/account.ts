@@ -0,0 +1,318 @@
+// 📦 Account Service - Complete data export of a calendar (GDPR Art. 15/20) and restore from it
+import { Database } from './database';
+import { User, UserModel } from '../models/User';
+import { Event, EventModel, ImportEventData } from '../models/Event';
+import { EventException, EventExceptionData, EventExceptionModel } from '../models/EventException';
+import { CalendarSettings, CalendarSettingsModel, UpdateCalendarSettingsData } from '../models/CalendarSettings';
+import { CalendarSource, CalendarSourceModel } from '../models/CalendarSource';
+import { WasteType, WasteTypeModel } from '../models/WasteType';
+import { ShareToken, ShareTokenModel } from '../models/ShareToken';
+import { EmailBindingModel } from '../models/EmailBinding';
+import { EmailOutboxModel, OutboxEmailSummary } from '../models/EmailOutbox';
+import { ValidationService, ValidationResult, VALID_ICONS } from '../utils/validation';
+import { WASTE_KINDS } from '../utils/waste';
+import { toDateString } from '../utils/date';
+
+export const ARCHIVE_FORMAT = 'yatwa-export';
+export const ARCHIVE_VERSION = 1;
+
+// Largest archive accepted for a restore
+export const MAX_RESTORE_EVENTS = 5000;
+
+/**
+ * merge: add to the calendar, keep its settings; replace: the archive's events, types and settings win
+ */
+export type RestoreMode = 'merge' | 'replace';
+export const RESTORE_MODES: RestoreMode[] = ['merge', 'replace'];
+
+// Settings taken over from an archive (digest_sent_week is bookkeeping, not a setting)
+const RESTORED_SETTINGS: Array<keyof UpdateCalendarSettingsData> = [
+    'holiday_region', 'holiday_shift', 'default_reminder_minutes', 'all_day_reminder_time',
+    'reminder_email', 'quiet_hours_start', 'quiet_hours_end', 'weekly_digest', 'email_locale', 'timezone'
+];
+
+/**
+ * Everything stored about a calendar. Rows are exported without their user_hash,
+ * the hash appears once under `user`.
+ */
+export interface AccountArchive {
+    format: typeof ARCHIVE_FORMAT;
+    version: number;
+    exported_at: string;
+    user: { hash: string; created_at: Date; last_accessed: Date };
+    settings: Omit<CalendarSettings, 'user_hash'>;
+    waste_types: Omit<WasteType, 'user_hash'>[];
+    events: Omit<Event, 'user_hash'>[];
+    event_exceptions: EventException[];
+    sources: Omit<CalendarSource, 'user_hash' | 'etag' | 'last_modified'>[];
+    share_tokens: Omit<ShareToken, 'user_hash'>[];
+    recovery_email: { status: 'pending' | 'confirmed'; confirmed_at: Date | null; created_at: Date; note: string } | null;
+    emails: OutboxEmailSummary[];
+}
+
+export interface RestoreSummary {
+    mode: RestoreMode;
+    waste_types: { created: number; matched: number; rejected: number };
+    events: { created: number; skipped: number; rejected: number }; // skipped = already in the calendar
+    settings: boolean;
+}
+
+function withoutUserHash<T extends { user_hash?: unknown }>(row: T): Omit<T, 'user_hash'> {
+    const { user_hash, ...rest } = row;
+    return rest;
+}
+
+export class AccountService {
+    /**
+     * Collect the archive of a calendar. Returns null for unknown hashes.
+     */
+    static async exportArchive(db: Database, hash: string): Promise<AccountArchive | null> {
+        const user = await new UserModel(db).findByHash(hash);
+        if (!user) {
+            return null;
+        }
+
+        const [settings, wasteTypes, events, exceptions, sources, shareTokens, binding, emails] = await Promise.all([
+            new CalendarSettingsModel(db).get(hash),
+            new WasteTypeModel(db).findByUserHash(hash),
+            new EventModel(db).findByUserHash(hash),
+            new EventExceptionModel(db).findByUserHash(hash),
+            new CalendarSourceModel(db).findByUserHash(hash),
+            new ShareTokenModel(db).findByUserHash(hash),
+            new EmailBindingModel(db).findByUserHash(hash),
+            new EmailOutboxModel(db).findByUserHash(hash)
+        ]);
+
+        return {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exported_at: new Date().toISOString(),
+            user: { hash: user.hash, created_at: user.created_at, last_accessed: user.last_accessed },
+            settings: withoutUserHash(settings),
+            waste_types: wasteTypes.map(withoutUserHash),
+            events: events.map(event => ({
+                ...withoutUserHash(event),
+                event_date: toDateString(event.event_date),
+                end_date: event.end_date ? toDateString(event.end_date) : null
+            })),
+            event_exceptions: exceptions,
+            sources: sources.map(({ etag, last_modified, ...source }) => ({
+                ...withoutUserHash(source),
+                event_count: Number(source.event_count) || 0
+            })),
+            share_tokens: shareTokens.map(withoutUserHash),
+            recovery_email: binding ? {
+                status: binding.confirmed_at ? 'confirmed' : 'pending',
+                confirmed_at: binding.confirmed_at,
+                created_at: binding.created_at,
+                note: 'Die Adresse selbst wird nicht gespeichert, nur eine Prüfsumme (HMAC) davon.'
+            } : null,
+            emails
+        };
+    }
+
+    /**
+     * Check the outer shape of an uploaded archive. Single events and types
+     * that are invalid are left out by restore() instead of failing the upload.
+     */
+    static validateArchive(data: any): ValidationResult {
+        if (!data || typeof data !== 'object' || data.format !== ARCHIVE_FORMAT) {
+            return { isValid: false, errors: ['Keine YATWA-Sicherung (format fehlt oder ist falsch)'] };
+        }
+
+        const errors: string[] = [];
+
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > ARCHIVE_VERSION) {
+            errors.push(`Nicht unterstützte Version der Sicherung (${data.version})`);
+        }
+
+        for (const field of ['waste_types', 'events', 'event_exceptions']) {
+            if (data[field] !== undefined && !Array.isArray(data[field])) {
+                errors.push(`${field} muss eine Liste sein`);
+            }
+        }
+
+        if (Array.isArray(data.events) && data.events.length > MAX_RESTORE_EVENTS) {
+            errors.push(`Zu viele Termine in der Sicherung (max. ${MAX_RESTORE_EVENTS})`);
+        }
+
+        if (data.settings !== undefined && data.settings !== null) {
+            if (typeof data.settings !== 'object') {
+                errors.push('settings muss ein Objekt sein');
+            } else {
+                errors.push(...ValidationService.validateSettings(data.settings).errors);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Recreate waste types, events (with their exceptions) and, when replacing,
+     * the settings of an archive in the calendar of `hash`. The archive must have
+     * passed validateArchive(). Sources, share tokens and mails are not restored;
+     * events synced from a source come back as plain events. Runs in one
+     * transaction, a failure leaves the calendar as it was.
+     */
+    static async restore(db: Database, hash: string, archive: AccountArchive, mode: RestoreMode): Promise<RestoreSummary> {
+        return await db.withTransaction(async tx => {
+            if (mode === 'replace') {
+                // Synced events stay with their source, their copies in the archive are skipped as duplicates
+                await new EventModel(tx).deleteManualByUserHash(hash);
+                await new WasteTypeModel(tx).deleteAllByUserHash(hash);
+            }
+
+            return await this.applyArchive(tx, hash, archive, mode);
+        });
+    }
+
+    /**
+     * Restore an archive into a new calendar with the hash `hash`. The calendar
+     * only exists if the whole restore succeeds. Archives without usable waste
+     * types get the usual ones (Restmüll, Papier, ...) before their events, so
+     * those are recognized by their title.
+     */
+    static async restoreAsNew(db: Database, hash: string, archive: AccountArchive): Promise<{ user: User; summary: RestoreSummary }> {
+        return await db.withTransaction(async tx => {
+            const user = await new UserModel(tx).create({ hash });
+
+            if (!(archive.waste_types || []).some(type => type && ValidationService.validateWasteType(type).isValid)) {
+                await new WasteTypeModel(tx).createDefaults(hash);
+            }
+
+            // Nothing to clear in a new calendar, the settings are taken as when replacing
+            const summary = await this.applyArchive(tx, hash, archive, 'replace');
+            return { user, summary };
+        });
+    }
+
+    /**
+     * Add the content of an archive to the calendar of `hash`, with the settings
+     * when replacing
+     */
+    private static async applyArchive(db: Database, hash: string, archive: AccountArchive, mode: RestoreMode): Promise<RestoreSummary> {
+        const eventModel = new EventModel(db);
+        const wasteTypeModel = new WasteTypeModel(db);
+        const summary: RestoreSummary = {
+            mode,
+            waste_types: { created: 0, matched: 0, rejected: 0 },
+            events: { created: 0, skipped: 0, rejected: 0 },
+            settings: false
+        };
+
+        // Archive type id -> type in this calendar, matched by name
+        const wasteTypes = await wasteTypeModel.findByUserHash(hash);
+        const typeIds = new Map<number, number>();
+
+        for (const type of archive.waste_types || []) {
+            if (!type || !ValidationService.validateWasteType(type).isValid) {
+                summary.waste_types.rejected++;
+                continue;
+            }
+
+            const name = ValidationService.sanitizeString(type.name);
+            let target = wasteTypes.find(existing => existing.name.toLowerCase() === name.toLowerCase());
+
+            if (target) {
+                summary.waste_types.matched++;
+            } else {
+                target = await wasteTypeModel.create({
+                    user_hash: hash,
+                    name,
+                    color: type.color,
+                    icon: type.icon,
+                    waste_kind: WASTE_KINDS.some(kind => kind.id === type.waste_kind) ? type.waste_kind : null,
+                    default_reminder_minutes: type.default_reminder_minutes ?? null,
+                    default_time: type.default_time || null
+                });
+                wasteTypes.push(target);
+                summary.waste_types.created++;
+            }
+
+            typeIds.set(type.id, target.id);
+        }
+
+        // Exceptions by the archive id of their event
+        const exceptions = new Map<number, Array<EventExceptionData & { original_date: string }>>();
+        for (const exception of archive.event_exceptions || []) {
+            const data = this.restoredException(exception);
+            if (data) {
+                exceptions.set(exception.event_id, [...exceptions.get(exception.event_id) || [], data]);
+            }
+        }
+
+        const events: ImportEventData[] = [];
+        for (const event of archive.events || []) {
+            // Icons are checked below: one outside the picker gets the default icon instead of rejecting the event
+            const validation = event && typeof event === 'object'
+                ? ValidationService.validateCreateEvent({ ...event, icon: undefined, waste_type_id: undefined })
+                : null;
+
+            if (!validation?.isValid) {
+                summary.events.rejected++;
+                continue;
+            }
+
+            events.push({
+                user_hash: hash,
+                title: ValidationService.sanitizeString(event.title),
+                event_date: event.event_date,
+                event_time: event.event_time || null,
+                end_date: event.end_date || null,
+                end_time: event.end_time || null,
+                icon: VALID_ICONS.includes(event.icon) ? event.icon : undefined,
+                description: typeof event.description === 'string' ? ValidationService.sanitizeString(event.description) : null,
+                recurrence_rule: event.recurrence_rule || null,
+                external_uid: typeof event.external_uid === 'string' ? event.external_uid : null,
+                // null stays without type, an unknown type is recognized from the title
+                waste_type_id: event.waste_type_id === null ? null : typeIds.get(event.waste_type_id),
+                reminder_minutes: event.reminder_minutes ?? null,
+                exceptions: exceptions.get(event.id) || []
+            });
+        }
+
+        const ids = await eventModel.importEvents(hash, events);
+        summary.events.created = ids.filter(id => id !== null).length;
+        summary.events.skipped = ids.length - summary.events.created;
+
+        if (mode === 'replace' && archive.settings) {
+            const settings: UpdateCalendarSettingsData = {};
+            for (const field of RESTORED_SETTINGS) {
+                if (archive.settings[field] !== undefined) {
+                    (settings as Record<string, unknown>)[field] = archive.settings[field];
+                }
+            }
+
+            await new CalendarSettingsModel(db).update(hash, settings);
+            summary.settings = true;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Exception of an archive as import data, null if it is unusable
+     */
+    private static restoredException(exception: EventException): (EventExceptionData & { original_date: string }) | null {
+        if (!exception || typeof exception.original_date !== 'string' || !ValidationService.isValidDate(exception.original_date)) {
+            return null;
+        }
+
+        if ((exception.event_date && !ValidationService.isValidDate(exception.event_date)) ||
+            (exception.event_time && !ValidationService.isValidTime(exception.event_time))) {
+            return null;
+        }
+
+        return {
+            original_date: exception.original_date,
+            cancelled: Boolean(exception.cancelled),
+            event_date: exception.event_date || null,
+            event_time: exception.event_time || null,
+            title: typeof exception.title === 'string' ? ValidationService.sanitizeString(exception.title) : null,
+            description: typeof exception.description === 'string' ? ValidationService.sanitizeString(exception.description) : null
+        };
+    }
+}
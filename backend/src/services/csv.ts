@@ -0,0 +1,280 @@
+// 📄 CSV Service - Spreadsheet import/export of events (German Excel friendly)
+import { Event } from '../models/Event';
+import { ImportedEvent, ICalParseResult } from './ical-import';
+import { RecurrenceService } from './recurrence';
+import { ValidationService } from '../utils/validation';
+import { wasteIconForTitle } from '../utils/waste';
+import { toDateString } from '../utils/date';
+
+export type CsvColumn = 'date' | 'time' | 'title' | 'icon' | 'description' | 'recurrence';
+
+// Column => header name or 1-based column number
+export type CsvColumnMapping = Partial<Record<CsvColumn, string>>;
+
+export const CSV_COLUMNS: CsvColumn[] = ['date', 'time', 'title', 'icon', 'description', 'recurrence'];
+
+// Header names recognized without an explicit mapping
+const COLUMN_ALIASES: Record<CsvColumn, string[]> = {
+    date: ['datum', 'date', 'tag', 'abholdatum', 'termin'],
+    time: ['uhrzeit', 'zeit', 'time'],
+    title: ['titel', 'title', 'abfuhr', 'abfuhrart', 'abfallart', 'tonne', 'müllart', 'art', 'bezeichnung', 'name', 'summary'],
+    icon: ['icon', 'symbol'],
+    description: ['beschreibung', 'description', 'notiz', 'hinweis', 'bemerkung'],
+    recurrence: ['wiederholung', 'rrule', 'recurrence']
+};
+
+const EXPORT_HEADERS = ['Datum', 'Uhrzeit', 'Titel', 'Icon', 'Beschreibung', 'Wiederholung'];
+const MAX_IMPORT_ROWS = 2000;
+
+export class CsvService {
+
+    /**
+     * Parse CSV text into rows. The delimiter (; , or tab) is detected from
+     * the first line unless given; quoted fields may contain delimiters,
+     * doubled quotes and line breaks.
+     */
+    static parse(content: string, delimiter?: string): string[][] {
+        const text = content.replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(text);
+        const rows: string[][] = [];
+        let row: string[] = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field.length === 0) {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field.length > 0 || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Serialize rows, quoting fields where needed
+     */
+    static stringify(rows: string[][], delimiter: string = ';'): string {
+        return rows
+            .map(row => row.map(field => this.quote(field, delimiter)).join(delimiter))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export events (series as one row with their rule) as semicolon separated CSV
+     * with German dates, prefixed with a BOM so Excel detects UTF-8
+     */
+    static exportEvents(events: Event[]): string {
+        const rows = events.map(event => [
+            this.formatGermanDate(toDateString(event.event_date)),
+            event.event_time ? event.event_time.substring(0, 5) : '',
+            this.neutralize(event.title),
+            event.icon || '',
+            this.neutralize(event.description || ''),
+            event.recurrence_rule || ''
+        ]);
+
+        return '\uFEFF' + this.stringify([EXPORT_HEADERS, ...rows]);
+    }
+
+    /**
+     * Map CSV rows onto importable events. Rows are numbered like in a
+     * spreadsheet, empty ones included; invalid rows are rejected with their errors.
+     */
+    static parseEvents(content: string, mapping: CsvColumnMapping = {}): ICalParseResult {
+        const rows = this.parse(content);
+        const filled = (row: string[]) => row.some(field => field.trim() !== '');
+        const headerIndex = rows.findIndex(filled);
+        if (headerIndex < 0) {
+            throw new Error('Die CSV-Datei ist leer');
+        }
+
+        if (rows.filter(filled).length - 1 > MAX_IMPORT_ROWS) {
+            throw new Error(`Zu viele Zeilen in der Datei (max. ${MAX_IMPORT_ROWS})`);
+        }
+
+        const columns = this.resolveColumns(rows[headerIndex], mapping);
+        const result: ICalParseResult = { events: [], rejected: [] };
+
+        rows.forEach((row, index) => {
+            if (index <= headerIndex || !filled(row)) return;
+
+            const rowNumber = index + 1;
+            const value = (column: CsvColumn) => columns[column] !== undefined ? (row[columns[column]!] || '').trim() : '';
+
+            const title = ValidationService.sanitizeString(value('title'));
+            const errors: string[] = [];
+
+            const eventDate = this.parseGermanDate(value('date'));
+            if (!eventDate) {
+                errors.push(`Ungültiges Datum "${value('date')}" (erwartet: TT.MM.JJJJ)`);
+            }
+
+            let eventTime: string | null = null;
+            if (value('time')) {
+                eventTime = this.parseTime(value('time'));
+                if (!eventTime) {
+                    errors.push(`Ungültige Uhrzeit "${value('time')}" (erwartet: HH:MM)`);
+                }
+            }
+
+            const event: ImportedEvent = {
+                line: rowNumber,
+                uid: null,
+                title,
+                event_date: eventDate || value('date'),
+                event_time: eventTime,
+                end_date: null,
+                end_time: null,
+                icon: value('icon') || wasteIconForTitle(title),
+                description: ValidationService.sanitizeString(value('description')) || null,
+                recurrence_rule: value('recurrence') || null,
+                exceptions: []
+            };
+
+            if (errors.length === 0) {
+                errors.push(...ValidationService.validateCreateEvent(event).errors);
+            }
+
+            if (errors.length > 0) {
+                result.rejected.push({
+                    line: rowNumber,
+                    uid: null,
+                    title: title || null,
+                    errors
+                });
+                return;
+            }
+
+            if (event.recurrence_rule) {
+                event.recurrence_rule = RecurrenceService.normalize(event.recurrence_rule);
+            }
+
+            result.events.push(event);
+        });
+
+        return result;
+    }
+
+    /**
+     * Parse 06.01.2025, 6.1.25 or 2025-01-06 into YYYY-MM-DD (null if invalid)
+     */
+    static parseGermanDate(value: string): string | null {
+        let date: string | null = null;
+
+        const german = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/);
+        if (german) {
+            const year = german[3].length === 2 ? `20${german[3]}` : german[3];
+            date = `${year}-${german[2].padStart(2, '0')}-${german[1].padStart(2, '0')}`;
+        } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date = value;
+        }
+
+        return date && ValidationService.isValidDate(date) ? date : null;
+    }
+
+    static formatGermanDate(date: string): string {
+        const [year, month, day] = date.split('-');
+        return `${day}.${month}.${year}`;
+    }
+
+    /**
+     * Parse 6:00, 06:00, 06:00:00, 6.00 or "6:00 Uhr" into HH:MM:SS (null if invalid)
+     */
+    private static parseTime(value: string): string | null {
+        const match = value.replace(/\s*uhr$/i, '').match(/^(\d{1,2})[:.](\d{2})(?::(\d{2}))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const time = `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+        return ValidationService.isValidTime(time) ? time : null;
+    }
+
+    /**
+     * Find the column index of each field, from the mapping or by header name
+     */
+    private static resolveColumns(header: string[], mapping: CsvColumnMapping): Partial<Record<CsvColumn, number>> {
+        const normalized = header.map(name => name.trim().toLowerCase());
+        const columns: Partial<Record<CsvColumn, number>> = {};
+
+        CSV_COLUMNS.forEach(column => {
+            const mapped = mapping[column];
+
+            if (mapped) {
+                const index = /^\d+$/.test(mapped) ? parseInt(mapped) - 1 : normalized.indexOf(mapped.trim().toLowerCase());
+                if (index < 0 || index >= header.length) {
+                    throw new Error(`Spalte "${mapped}" für ${column} nicht gefunden`);
+                }
+                columns[column] = index;
+                return;
+            }
+
+            const index = normalized.findIndex(name => COLUMN_ALIASES[column].includes(name));
+            if (index >= 0) {
+                columns[column] = index;
+            }
+        });
+
+        if (columns.date === undefined || columns.title === undefined) {
+            throw new Error('Spalten für Datum und Titel nicht gefunden - bitte Zuordnung angeben (z.B. ?date=Datum&title=Abfuhrart)');
+        }
+
+        return columns;
+    }
+
+    private static detectDelimiter(text: string): string {
+        const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+        const counts = [';', ',', '\t'].map(candidate => ({
+            candidate,
+            count: firstLine.split(candidate).length - 1
+        }));
+
+        return counts.sort((a, b) => b.count - a.count)[0].count > 0 ?
+            counts[0].candidate : ';';
+    }
+
+    private static quote(field: string, delimiter: string): string {
+        if (field.includes(delimiter) || /["\r\n]/.test(field)) {
+            return `"${field.replace(/"/g, '""')}"`;
+        }
+
+        return field;
+    }
+
+    /**
+     * Keep spreadsheet apps from evaluating cell content as a formula
+     */
+    private static neutralize(value: string): string {
+        return /^[=+\-@]/.test(value) ? `'${value}` : value;
+    }
+}
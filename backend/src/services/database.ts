@@ -16,7 +16,11 @@ export class Database {
     private pool: mysql.Pool | null = null;
     private config: DatabaseConfig;
 
-    constructor() {
+    /**
+     * Without a connection the database opens its own pool; with one (see withTransaction)
+     * every statement runs on that connection, inside its transaction.
+     */
+    constructor(private connection: mysql.PoolConnection | null = null) {
         this.config = {
             host: process.env.DATABASE_HOST || 'mariadb',
             port: parseInt(process.env.DATABASE_PORT || '3306'),
@@ -28,7 +32,9 @@ export class Database {
             timeout: 60000
         };
 
-        this.connect();
+        if (!connection) {
+            this.connect();
+        }
     }
 
     private async connect(): Promise<void> {
@@ -65,12 +71,10 @@ export class Database {
     }
 
     async query<T = any>(sql: string, params?: any[]): Promise<T[]> {
-        if (!this.pool) {
-            throw new Error('Database nicht verbunden');
-        }
+        const executor = this.executor();
 
         try {
-            const [rows] = await this.pool.execute(sql, params);
+            const [rows] = await executor.execute(sql, params);
             return rows as T[];
         } catch (error) {
             console.error('❌ Database query error:', error);
@@ -86,12 +90,10 @@ export class Database {
     }
 
     async insert(sql: string, params?: any[]): Promise<{ insertId: number; affectedRows: number }> {
-        if (!this.pool) {
-            throw new Error('Database nicht verbunden');
-        }
+        const executor = this.executor();
 
         try {
-            const [result] = await this.pool.execute(sql, params);
+            const [result] = await executor.execute(sql, params);
             const insertResult = result as mysql.ResultSetHeader;
 
             return {
@@ -107,12 +109,10 @@ export class Database {
     }
 
     async update(sql: string, params?: any[]): Promise<number> {
-        if (!this.pool) {
-            throw new Error('Database nicht verbunden');
-        }
+        const executor = this.executor();
 
         try {
-            const [result] = await this.pool.execute(sql, params);
+            const [result] = await executor.execute(sql, params);
             const updateResult = result as mysql.ResultSetHeader;
             return updateResult.affectedRows;
         } catch (error) {
@@ -128,6 +128,11 @@ export class Database {
     }
 
     async transaction<T>(callback: (connection: mysql.PoolConnection) => Promise<T>): Promise<T> {
+        // Already inside a transaction: take part in it
+        if (this.connection) {
+            return await callback(this.connection);
+        }
+
         if (!this.pool) {
             throw new Error('Database nicht verbunden');
         }
@@ -147,6 +152,14 @@ export class Database {
         }
     }
 
+    /**
+     * Run several model operations in one transaction: the callback gets a Database
+     * bound to it, everything is rolled back if the callback throws
+     */
+    async withTransaction<T>(callback: (db: Database) => Promise<T>): Promise<T> {
+        return await this.transaction(connection => callback(new Database(connection)));
+    }
+
     isConnected(): boolean {
         return this.pool !== null;
     }
@@ -159,6 +172,18 @@ export class Database {
         }
     }
 
+    private executor(): mysql.Pool | mysql.PoolConnection {
+        if (this.connection) {
+            return this.connection;
+        }
+
+        if (!this.pool) {
+            throw new Error('Database nicht verbunden');
+        }
+
+        return this.pool;
+    }
+
     // Utility method for health checks
     async ping(): Promise<boolean> {
         try {
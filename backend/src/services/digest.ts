@@ -0,0 +1,163 @@
+// 📬 Digest Service - Weekly email with the coming week's pickups
+// On Sunday evening (from the calendar's reminder time, outside its quiet hours)
+// calendars that asked for it get one mail listing the next week's pickups by day.
+import { Database } from './database';
+import type { EmailMessage } from './email-transport';
+import { EmailLocale, EmailTemplates } from './email-templates';
+import { ReminderMailer, ReminderService } from './reminders';
+import { CalendarSettings, CalendarSettingsModel } from '../models/CalendarSettings';
+import { EventModel, EventOccurrence } from '../models/Event';
+import { addDays, diffDays, getWeekday, today, zonedDateTime } from '../utils/date';
+
+export interface DigestWeek {
+    start: string; // Monday, YYYY-MM-DD
+    end: string;   // Sunday
+}
+
+export interface DigestDay {
+    date: string;
+    pickups: EventOccurrence[];
+}
+
+// How often the scheduler looks for due digests
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+export class DigestService {
+    private static timer: ReturnType<typeof setInterval> | null = null;
+
+    /**
+     * The week (Monday to Sunday) after a date
+     */
+    static comingWeek(date: string): DigestWeek {
+        const start = addDays(date, (8 - getWeekday(date)) % 7 || 7);
+        return { start, end: addDays(start, 6) };
+    }
+
+    /**
+     * Whether a calendar's digest is due: Sunday from its reminder time on,
+     * outside quiet hours, and not sent for the coming week yet
+     */
+    static isDue(settings: CalendarSettings, date: string, time: string): boolean {
+        return settings.weekly_digest &&
+            !!settings.reminder_email &&
+            getWeekday(date) === 0 &&
+            settings.digest_sent_week !== this.comingWeek(date).start &&
+            ReminderService.isDue(settings, time);
+    }
+
+    /**
+     * Pickups of a week, grouped by day (days without pickups are left out)
+     */
+    static groupByDay(occurrences: EventOccurrence[], week: DigestWeek): DigestDay[] {
+        const days: DigestDay[] = [];
+
+        occurrences
+            .filter(occurrence => occurrence.event_date >= week.start && occurrence.event_date <= week.end)
+            .forEach(occurrence => {
+                const day = days.find(entry => entry.date === occurrence.event_date);
+                if (day) {
+                    day.pickups.push(occurrence);
+                } else {
+                    days.push({ date: occurrence.event_date, pickups: [occurrence] });
+                }
+            });
+
+        return days.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Pickups of the week, read through the upcoming events
+     */
+    static async collect(db: Database, userHash: string, week: DigestWeek): Promise<DigestDay[]> {
+        const days = Math.max(diffDays(today(), week.end), 0);
+        const occurrences = await new EventModel(db).getUpcomingEvents(userHash, days);
+        return this.groupByDay(occurrences, week);
+    }
+
+    static unsubscribeUrl(userHash: string): string {
+        return `${process.env.APP_URL || 'http://localhost'}/api/digest/${userHash}/unsubscribe`;
+    }
+
+    /**
+     * Digest mail (HTML and plain text) for a week
+     */
+    static render(to: string, userHash: string, week: DigestWeek, days: DigestDay[], locale: EmailLocale = 'de'): EmailMessage {
+        const unsubscribeUrl = this.unsubscribeUrl(userHash);
+
+        return {
+            to,
+            userHash,
+            ...EmailTemplates.weeklyDigest(locale, {
+                ...week,
+                days,
+                link: `${process.env.APP_URL || 'http://localhost'}?hash=${userHash}`,
+                unsubscribeUrl
+            }),
+            headers: {
+                'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        };
+    }
+
+    /**
+     * Send the digest of one calendar if it is due. Returns whether one was sent.
+     */
+    static async sendCalendar(db: Database, mailer: ReminderMailer, settings: CalendarSettings, now: Date = new Date()): Promise<boolean> {
+        const { date, time } = zonedDateTime(now, settings.timezone);
+        if (!this.isDue(settings, date, time)) {
+            return false;
+        }
+
+        const week = this.comingWeek(date);
+        const days = await this.collect(db, settings.user_hash, week);
+        if (days.length === 0) {
+            return false; // Nothing to tell; checked again until the evening is over
+        }
+
+        const sent = await mailer.send(this.render(settings.reminder_email, settings.user_hash, week, days, settings.email_locale));
+        if (sent) {
+            await new CalendarSettingsModel(db).markDigestSent(settings.user_hash, week.start);
+        }
+
+        return sent;
+    }
+
+    /**
+     * Send every due digest, one calendar after the other
+     */
+    static async sendDue(db: Database, mailer: ReminderMailer, now: Date = new Date()): Promise<number> {
+        const calendars = await new CalendarSettingsModel(db).findWithReminderEmail();
+        let count = 0;
+
+        for (const settings of calendars.filter(entry => entry.weekly_digest)) {
+            try {
+                if (await this.sendCalendar(db, mailer, settings, now)) count++;
+            } catch (error) {
+                console.error(`📬 Digest for ${settings.user_hash.substring(0, 8)}… failed:`, error);
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Start the background scheduler
+     */
+    static start(db: Database, mailer: ReminderMailer): void {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.sendDue(db, mailer)
+                .then(count => count > 0 && console.log(`📬 Sent ${count} weekly digest(s)`))
+                .catch(error => console.error('📬 Digest run failed:', error));
+        }, CHECK_INTERVAL_MS);
+    }
+
+    static stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
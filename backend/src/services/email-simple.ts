@@ -1,52 +1,26 @@
-// 📧 Simple Email Service - Development fallback without nodemailer
-export interface SendLinkOptions {
-    to: string;
-    hash: string;
-    appUrl: string;
-}
-
-export class SimpleEmailService {
-    private isConfigured: boolean = false;
+// 📧 Simple Email Service - Simulated transport without nodemailer (logs instead of sending)
+import type { EmailMessage, EmailTransport, EmailTransportStatus } from './email-transport';
 
+export class SimpleEmailService implements EmailTransport {
     constructor() {
-        // Check if SMTP is configured
-        const hasConfig = process.env.SMTP_HOST && process.env.SMTP_USER;
-        this.isConfigured = !!hasConfig;
-
-        if (this.isConfigured) {
-            console.log('✅ Email service configured (simple mode)');
-        } else {
-            console.warn('⚠️ SMTP not configured - Email service disabled');
-            console.warn('💡 Set SMTP_HOST, SMTP_USER, SMTP_PASS in environment variables');
-        }
+        console.log('📧 Email transport: simulated (mails are logged, not sent)');
     }
 
-    async sendHashLink(options: SendLinkOptions): Promise<boolean> {
-        const { to, hash, appUrl } = options;
-        const link = `${appUrl}?hash=${hash}`;
-
+    async deliver(message: EmailMessage): Promise<void> {
         // For development - just log the email that would be sent
         console.log(`
 📧 EMAIL WOULD BE SENT:
-📍 To: ${to}
-🔗 Link: ${link}
-📝 Hash: ${hash}
-📄 Content: Your YATWA calendar link is ready!
+📍 To: ${message.to}
+📝 Subject: ${message.subject}
+📄 Content:
+${message.text}
     `);
-
-        // In production, you would implement actual email sending here
-        // For now, we just simulate success
-        return true;
     }
 
-    getStatus(): {
-        configured: boolean;
-        host: string;
-        port: number;
-        user: string;
-    } {
+    getStatus(): EmailTransportStatus {
         return {
-            configured: this.isConfigured,
+            transport: 'simulate',
+            configured: true,
             host: process.env.SMTP_HOST || 'Not set',
             port: parseInt(process.env.SMTP_PORT || '587'),
             user: process.env.SMTP_USER ?
@@ -59,4 +33,4 @@ export class SimpleEmailService {
         // Always return true for simple service
         return true;
     }
-}
\ No newline at end of file
+}
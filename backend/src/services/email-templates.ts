@@ -0,0 +1,392 @@
+// 📝 Email Templates - HTML and plain text for every outgoing mail, in German and English
+import type { EventOccurrence } from '../models/Event';
+
+export type EmailLocale = 'de' | 'en';
+
+export const EMAIL_LOCALES: EmailLocale[] = ['de', 'en'];
+
+export interface RenderedEmail {
+    subject: string;
+    html: string;
+    text: string;
+}
+
+export interface HashLinkData {
+    link: string;
+    hash: string;
+}
+
+export interface PickupReminderData {
+    date: string; // YYYY-MM-DD of the pickups
+    pickups: EventOccurrence[];
+    link: string;
+}
+
+export interface ConfirmEmailData {
+    confirmUrl: string;
+    validHours: number;
+}
+
+export interface RecoveryData {
+    links: string[];
+}
+
+export interface WeeklyDigestData {
+    start: string; // Monday, YYYY-MM-DD
+    end: string;   // Sunday
+    days: { date: string; pickups: EventOccurrence[] }[];
+    link: string;
+    unsubscribeUrl: string;
+}
+
+// Wording per locale; dates are formatted with `dateLocale`
+const STRINGS = {
+    de: {
+        dateLocale: 'de-DE',
+        toCalendar: '🗓️ Zum Kalender',
+        toCalendarText: 'Zum Kalender',
+        tagline: 'Einfache Terminverwaltung ohne Registrierung',
+        time: (time: string) => `${time} Uhr`,
+
+        hashLinkSubject: '📅 Dein YATWA Kalender-Link',
+        hashLinkTitle: 'Dein Kalender-Link ist bereit!',
+        hashLinkGreeting: 'Hallo!',
+        hashLinkIntro: 'Du hast einen neuen YATWA-Kalender erstellt. Mit diesem Link kannst du deine Termine verwalten und mit anderen Kalendern synchronisieren:',
+        hashLinkInfoTitle: '📌 Wichtige Informationen:',
+        hashLinkInfo: [
+            ['Sicher aufbewahren:', 'Dieser Link ist dein einziger Zugang zu deinem Kalender'],
+            ['Teilen:', 'Du kannst den Link auch als Lesezeichen speichern'],
+            ['Synchronisation:', 'iCal-Export für deine Kalender-Apps verfügbar']
+        ],
+        hashLinkHash: 'Dein Hash-Code:',
+        hashLinkFallback: 'Falls der Button nicht funktioniert, kopiere diesen Link in deinen Browser:',
+        hashLinkText: 'Dein Kalender-Link:',
+
+        reminderSubject: (titles: string) => `🗑️ Morgen: ${titles}`,
+        reminderTitle: 'Abholung morgen',
+        reminderHeading: (day: string) => `Morgen, ${day}, wird abgeholt:`,
+        reminderHint: 'Denk daran, die Tonnen rauszustellen!',
+        reminderFooter: [
+            'Du bekommst diese E-Mail, weil in deinem YATWA-Kalender Erinnerungen per E-Mail eingeschaltet sind.',
+            'Abschalten kannst du sie in den Kalender-Einstellungen.'
+        ],
+
+        digestSubject: (range: string) => `📬 Abholungen vom ${range}`,
+        digestTitle: 'Deine Abholungen der Woche',
+        digestHeading: (range: string) => `Deine Abholungen vom ${range}`,
+        digestRange: (start: string, end: string) => `${start} bis ${end}`,
+        digestEmpty: 'In dieser Woche stehen keine Abholungen an.',
+        digestFooter: 'Du bekommst diese Wochenübersicht, weil du sie in deinem YATWA-Kalender bestellt hast.',
+        digestUnsubscribe: 'Wochenübersicht abbestellen',
+
+        confirmSubject: '🔑 Bestätige deine Adresse für YATWA',
+        confirmTitle: 'Adresse bestätigen',
+        confirmIntro: 'Diese Adresse soll helfen, deinen YATWA-Kalender wiederzufinden, falls du den Link verlierst. Bitte bestätige sie:',
+        confirmButton: '✅ Adresse bestätigen',
+        confirmValid: (hours: number) => `Der Link ist ${hours} Stunden gültig.`,
+        confirmIgnore: 'Wenn du das nicht warst, ignoriere diese E-Mail einfach. Ohne Bestätigung wird nichts gespeichert.',
+
+        recoverySubject: '🔑 Deine YATWA Kalender-Links',
+        recoveryTitle: 'Deine Kalender-Links',
+        recoveryIntro: (count: number) => count === 1 ?
+            'Mit dieser Adresse ist ein Kalender verbunden:' :
+            `Mit dieser Adresse sind ${count} Kalender verbunden:`,
+        recoveryIgnore: 'Wenn du die Links nicht angefordert hast, kannst du diese E-Mail ignorieren.'
+    },
+    en: {
+        dateLocale: 'en-GB',
+        toCalendar: '🗓️ Open calendar',
+        toCalendarText: 'Open calendar',
+        tagline: 'Simple scheduling without registration',
+        time: (time: string) => time,
+
+        hashLinkSubject: '📅 Your YATWA calendar link',
+        hashLinkTitle: 'Your calendar link is ready!',
+        hashLinkGreeting: 'Hello!',
+        hashLinkIntro: 'You created a new YATWA calendar. Use this link to manage your events and sync them with other calendars:',
+        hashLinkInfoTitle: '📌 Important:',
+        hashLinkInfo: [
+            ['Keep it safe:', 'This link is the only way into your calendar'],
+            ['Bookmark it:', 'You can also save the link as a bookmark'],
+            ['Sync:', 'iCal export available for your calendar apps']
+        ],
+        hashLinkHash: 'Your hash code:',
+        hashLinkFallback: 'If the button does not work, copy this link into your browser:',
+        hashLinkText: 'Your calendar link:',
+
+        reminderSubject: (titles: string) => `🗑️ Tomorrow: ${titles}`,
+        reminderTitle: 'Collection tomorrow',
+        reminderHeading: (day: string) => `Collected tomorrow, ${day}:`,
+        reminderHint: 'Remember to put the bins out!',
+        reminderFooter: [
+            'You get this email because email reminders are switched on in your YATWA calendar.',
+            'You can switch them off in the calendar settings.'
+        ],
+
+        digestSubject: (range: string) => `📬 Collections ${range}`,
+        digestTitle: 'Your collections this week',
+        digestHeading: (range: string) => `Your collections ${range}`,
+        digestRange: (start: string, end: string) => `${start} to ${end}`,
+        digestEmpty: 'There are no collections this week.',
+        digestFooter: 'You get this weekly overview because you asked for it in your YATWA calendar.',
+        digestUnsubscribe: 'Unsubscribe from the weekly overview',
+
+        confirmSubject: '🔑 Confirm your address for YATWA',
+        confirmTitle: 'Confirm address',
+        confirmIntro: 'This address is meant to help you find your YATWA calendar again if you lose its link. Please confirm it:',
+        confirmButton: '✅ Confirm address',
+        confirmValid: (hours: number) => `The link is valid for ${hours} hours.`,
+        confirmIgnore: 'If this was not you, just ignore this email. Nothing is stored without confirmation.',
+
+        recoverySubject: '🔑 Your YATWA calendar links',
+        recoveryTitle: 'Your calendar links',
+        recoveryIntro: (count: number) => count === 1 ?
+            'One calendar is bound to this address:' :
+            `${count} calendars are bound to this address:`,
+        recoveryIgnore: 'If you did not ask for these links, you can ignore this email.'
+    }
+};
+
+export class EmailTemplates {
+    static isValidLocale(locale: unknown): locale is EmailLocale {
+        return typeof locale === 'string' && EMAIL_LOCALES.includes(locale as EmailLocale);
+    }
+
+    /**
+     * Locale for a language tag or Accept-Language header (German unless English comes first)
+     */
+    static localeFrom(value: string | null | undefined): EmailLocale {
+        const first = (value || '').split(',')[0].trim().toLowerCase().substring(0, 2);
+        return this.isValidLocale(first) ? first : 'de';
+    }
+
+    /**
+     * Calendar link after registration
+     */
+    static hashLink(locale: EmailLocale, data: HashLinkData): RenderedEmail {
+        const t = STRINGS[locale];
+        const link = this.escapeHtml(data.link);
+
+        const html = this.layout(locale, t.hashLinkTitle, `
+        <div class="header">
+            <div class="logo">🗓️ YATWA</div>
+            <h1>${t.hashLinkTitle}</h1>
+        </div>
+
+        <p>${t.hashLinkGreeting}</p>
+
+        <p>${t.hashLinkIntro}</p>
+
+        <p style="text-align: center;">
+            <a href="${link}" class="button">${t.toCalendar}</a>
+        </p>
+
+        <div class="info-box">
+            <h3>${t.hashLinkInfoTitle}</h3>
+            <ul>
+                ${t.hashLinkInfo.map(([label, info]) => `<li><strong>${label}</strong> ${info}</li>`).join('\n                ')}
+            </ul>
+        </div>
+
+        <p><strong>${t.hashLinkHash}</strong> <span class="hash-code">${this.escapeHtml(data.hash)}</span></p>
+
+        <p>${t.hashLinkFallback}</p>
+        <p style="word-break: break-all; background: #f8f9fa; padding: 10px; border-radius: 4px; font-family: monospace;">${link}</p>`);
+
+        const text = [
+            `🗓️ YATWA - ${t.hashLinkTitle}`,
+            '',
+            t.hashLinkGreeting,
+            '',
+            t.hashLinkIntro,
+            '',
+            `${t.hashLinkText} ${data.link}`,
+            '',
+            t.hashLinkInfoTitle.replace('📌 ', ''),
+            ...t.hashLinkInfo.map(([label, info]) => `- ${label} ${info}`),
+            '',
+            `${t.hashLinkHash} ${data.hash}`,
+            '',
+            'YATWA - Yet Another Trash Web App',
+            t.tagline
+        ].join('\n');
+
+        return { subject: t.hashLinkSubject, html, text };
+    }
+
+    /**
+     * Double opt-in of a recovery address
+     */
+    static confirmEmail(locale: EmailLocale, data: ConfirmEmailData): RenderedEmail {
+        const t = STRINGS[locale];
+        const url = this.escapeHtml(data.confirmUrl);
+
+        const html = this.layout(locale, t.confirmTitle, `
+        <h2>${t.confirmSubject}</h2>
+        <p>${t.confirmIntro}</p>
+        <p style="text-align: center;">
+            <a href="${url}" class="button">${t.confirmButton}</a>
+        </p>
+        <p>${t.confirmValid(data.validHours)}</p>
+        <p style="word-break: break-all; background: #f8f9fa; padding: 10px; border-radius: 4px; font-family: monospace;">${url}</p>
+        <p>${t.confirmIgnore}</p>`);
+
+        const text = [
+            t.confirmIntro,
+            '',
+            data.confirmUrl,
+            '',
+            t.confirmValid(data.validHours),
+            t.confirmIgnore
+        ].join('\n');
+
+        return { subject: t.confirmSubject, html, text };
+    }
+
+    /**
+     * Links of the calendars bound to an address
+     */
+    static recovery(locale: EmailLocale, data: RecoveryData): RenderedEmail {
+        const t = STRINGS[locale];
+
+        const html = this.layout(locale, t.recoveryTitle, `
+        <h2>${t.recoverySubject}</h2>
+        <p>${t.recoveryIntro(data.links.length)}</p>
+        <ul>
+            ${data.links.map(link => `<li><a href="${this.escapeHtml(link)}" style="word-break: break-all;">${this.escapeHtml(link)}</a></li>`).join('\n            ')}
+        </ul>
+        <p>${t.recoveryIgnore}</p>`);
+
+        const text = [
+            t.recoveryIntro(data.links.length),
+            '',
+            ...data.links.map(link => `- ${link}`),
+            '',
+            t.recoveryIgnore
+        ].join('\n');
+
+        return { subject: t.recoverySubject, html, text };
+    }
+
+    /**
+     * Pickups of the next day
+     */
+    static pickupReminder(locale: EmailLocale, data: PickupReminderData): RenderedEmail {
+        const t = STRINGS[locale];
+        const day = this.formatDate(locale, data.date, { weekday: 'long', day: 'numeric', month: 'long' });
+        const titles = [...new Set(data.pickups.map(pickup => pickup.title))].join(', ');
+
+        const html = this.layout(locale, t.reminderTitle, `
+        <h2>🗓️ ${this.escapeHtml(t.reminderHeading(day))}</h2>
+        <ul>
+            ${data.pickups.map(pickup => `<li>${this.escapeHtml(this.describe(locale, pickup))}</li>`).join('\n            ')}
+        </ul>
+        <p>${t.reminderHint}</p>
+        <p><a href="${this.escapeHtml(data.link)}">${t.toCalendar}</a></p>
+        <p class="footer">${t.reminderFooter.join('<br>')}</p>`);
+
+        const text = [
+            t.reminderHeading(day),
+            '',
+            ...data.pickups.map(pickup => `- ${this.describe(locale, pickup)}`),
+            '',
+            t.reminderHint,
+            '',
+            `${t.toCalendarText}: ${data.link}`,
+            '',
+            ...t.reminderFooter
+        ].join('\n');
+
+        return { subject: t.reminderSubject(titles), html, text };
+    }
+
+    /**
+     * Pickups of the coming week, grouped by day
+     */
+    static weeklyDigest(locale: EmailLocale, data: WeeklyDigestData): RenderedEmail {
+        const t = STRINGS[locale];
+        const range = t.digestRange(
+            this.formatDate(locale, data.start, { day: 'numeric', month: 'numeric' }),
+            this.formatDate(locale, data.end, { day: 'numeric', month: 'numeric', year: 'numeric' })
+        );
+        const dayName = (date: string) => this.formatDate(locale, date, { weekday: 'long', day: 'numeric', month: 'long' });
+
+        const html = this.layout(locale, t.digestTitle, `
+        <h2>📬 ${t.digestHeading(range)}</h2>
+        ${data.days.length === 0 ? `<p>${t.digestEmpty}</p>` : data.days.map(day => `
+        <h3 style="margin-bottom: 0.25em;">${dayName(day.date)}</h3>
+        <ul style="margin-top: 0;">
+            ${day.pickups.map(pickup => `<li>${this.escapeHtml(this.describe(locale, pickup))}</li>`).join('\n            ')}
+        </ul>`).join('')}
+        <p><a href="${this.escapeHtml(data.link)}">${t.toCalendar}</a></p>
+        <p class="footer">
+            ${t.digestFooter}
+            <a href="${this.escapeHtml(data.unsubscribeUrl)}">${t.digestUnsubscribe}</a>
+        </p>`);
+
+        const text = [
+            `${t.digestHeading(range)}:`,
+            '',
+            ...(data.days.length === 0 ?
+                [t.digestEmpty, ''] :
+                data.days.flatMap(day => [dayName(day.date), ...day.pickups.map(pickup => `- ${this.describe(locale, pickup)}`), ''])),
+            `${t.toCalendarText}: ${data.link}`,
+            '',
+            `${t.digestUnsubscribe}: ${data.unsubscribeUrl}`
+        ].join('\n');
+
+        return { subject: t.digestSubject(range), html, text };
+    }
+
+    /**
+     * Shared frame of all HTML mails
+     */
+    private static layout(locale: EmailLocale, title: string, body: string): string {
+        return `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 20px; background-color: #f4f4f4; }
+        .container { max-width: 600px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .header { text-align: center; margin-bottom: 30px; }
+        .logo { font-size: 2em; margin-bottom: 10px; }
+        .button { display: inline-block; background: linear-gradient(45deg, #667eea, #764ba2); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; margin: 20px 0; }
+        .button:hover { background: linear-gradient(45deg, #764ba2, #667eea); }
+        .info-box { background: #f8f9fa; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0; border-radius: 4px; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 0.9em; }
+        .hash-code { font-family: monospace; background: #f1f1f1; padding: 5px 8px; border-radius: 4px; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <div class="container">${body}
+
+        <div class="footer">
+            <p>YATWA - Yet Another Trash Web App<br>
+            ${STRINGS[locale].tagline}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    private static describe(locale: EmailLocale, pickup: EventOccurrence): string {
+        const time = pickup.event_time ? ` (${STRINGS[locale].time(pickup.event_time.substring(0, 5))})` : '';
+        return `${pickup.icon} ${pickup.title}${time}`;
+    }
+
+    private static formatDate(locale: EmailLocale, date: string, options: Intl.DateTimeFormatOptions): string {
+        return new Date(`${date}T12:00:00Z`).toLocaleDateString(STRINGS[locale].dateLocale, { ...options, timeZone: 'UTC' });
+    }
+
+    private static escapeHtml(text: string): string {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
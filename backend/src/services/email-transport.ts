@@ -0,0 +1,56 @@
+// 📮 Email Transport - The way mail leaves the server, chosen by configuration
+// EMAIL_TRANSPORT=smtp sends through nodemailer, EMAIL_TRANSPORT=simulate only logs.
+// Without the variable SMTP is used as soon as SMTP_HOST is set.
+import { EmailService } from './email';
+import { SimpleEmailService } from './email-simple';
+
+export interface EmailMessage {
+    to: string;
+    subject: string;
+    html: string;
+    text: string;
+    headers?: Record<string, string>; // e.g. List-Unsubscribe
+    userHash?: string;                // Calendar the mail belongs to (outbox bookkeeping)
+    scrub?: boolean;                  // Outbox clears recipient and body once sent or given up
+}
+
+export interface EmailTransportStatus {
+    transport: 'smtp' | 'simulate';
+    configured: boolean;
+    host: string;
+    port: number;
+    user: string;
+}
+
+export interface EmailTransport {
+    /**
+     * Hand a mail over; throws with the reason if it could not be delivered
+     */
+    deliver(message: EmailMessage): Promise<void>;
+    getStatus(): EmailTransportStatus;
+    testConnection(): Promise<boolean>;
+}
+
+export type EmailTransportName = EmailTransportStatus['transport'];
+
+let transport: EmailTransport | null = null;
+
+export function configuredTransportName(): EmailTransportName {
+    const configured = (process.env.EMAIL_TRANSPORT || '').trim().toLowerCase();
+    if (configured === 'smtp' || configured === 'simulate') {
+        return configured;
+    }
+
+    return process.env.SMTP_HOST ? 'smtp' : 'simulate';
+}
+
+/**
+ * The transport of this server (created on first use)
+ */
+export function getEmailTransport(): EmailTransport {
+    if (!transport) {
+        transport = configuredTransportName() === 'smtp' ? new EmailService() : new SimpleEmailService();
+    }
+
+    return transport;
+}
@@ -0,0 +1,185 @@
+// 🎄 Holiday Service - German public holidays per Bundesland and pickup shifting
+import { addDays, formatDateParts, getWeekday } from '../utils/date';
+
+export interface Holiday {
+    date: string; // YYYY-MM-DD
+    name: string;
+    nationwide: boolean;
+}
+
+interface HolidayDefinition {
+    name: string;
+    regions: string[] | null;                      // null = nationwide
+    since?: number;                                // first year the holiday exists
+    fixed?: [number, number];                      // [month, day]
+    easterOffset?: number;                         // days relative to Easter Sunday
+    calculate?: (year: number) => string;          // anything else
+}
+
+// Bundesländer (ISO 3166-2:DE suffixes)
+export const HOLIDAY_REGIONS: Record<string, string> = {
+    BW: 'Baden-Württemberg',
+    BY: 'Bayern',
+    BE: 'Berlin',
+    BB: 'Brandenburg',
+    HB: 'Bremen',
+    HH: 'Hamburg',
+    HE: 'Hessen',
+    MV: 'Mecklenburg-Vorpommern',
+    NI: 'Niedersachsen',
+    NW: 'Nordrhein-Westfalen',
+    RP: 'Rheinland-Pfalz',
+    SL: 'Saarland',
+    SN: 'Sachsen',
+    ST: 'Sachsen-Anhalt',
+    SH: 'Schleswig-Holstein',
+    TH: 'Thüringen'
+};
+
+const HOLIDAY_DEFINITIONS: HolidayDefinition[] = [
+    // Nationwide
+    { name: 'Neujahr', regions: null, fixed: [1, 1] },
+    { name: 'Karfreitag', regions: null, easterOffset: -2 },
+    { name: 'Ostermontag', regions: null, easterOffset: 1 },
+    { name: 'Tag der Arbeit', regions: null, fixed: [5, 1] },
+    { name: 'Christi Himmelfahrt', regions: null, easterOffset: 39 },
+    { name: 'Pfingstmontag', regions: null, easterOffset: 50 },
+    { name: 'Tag der Deutschen Einheit', regions: null, fixed: [10, 3] },
+    { name: '1. Weihnachtstag', regions: null, fixed: [12, 25] },
+    { name: '2. Weihnachtstag', regions: null, fixed: [12, 26] },
+
+    // Regional
+    { name: 'Heilige Drei Könige', regions: ['BW', 'BY', 'ST'], fixed: [1, 6] },
+    { name: 'Internationaler Frauentag', regions: ['BE'], since: 2019, fixed: [3, 8] },
+    { name: 'Internationaler Frauentag', regions: ['MV'], since: 2023, fixed: [3, 8] },
+    { name: 'Ostersonntag', regions: ['BB'], easterOffset: 0 },
+    { name: 'Pfingstsonntag', regions: ['BB'], easterOffset: 49 },
+    { name: 'Fronleichnam', regions: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL'], easterOffset: 60 },
+    { name: 'Mariä Himmelfahrt', regions: ['SL'], fixed: [8, 15] },
+    { name: 'Weltkindertag', regions: ['TH'], since: 2019, fixed: [9, 20] },
+    { name: 'Reformationstag', regions: ['BB', 'MV', 'SN', 'ST', 'TH'], fixed: [10, 31] },
+    { name: 'Reformationstag', regions: ['HB', 'HH', 'NI', 'SH'], since: 2018, fixed: [10, 31] },
+    { name: 'Allerheiligen', regions: ['BW', 'BY', 'NW', 'RP', 'SL'], fixed: [11, 1] },
+    {
+        name: 'Buß- und Bettag',
+        regions: ['SN'],
+        // Wednesday before November 23rd
+        calculate: (year: number) => {
+            const reference = formatDateParts(year, 11, 22);
+            return addDays(reference, -((getWeekday(reference) - 3 + 7) % 7));
+        }
+    }
+];
+
+export class HolidayService {
+    private static cache = new Map<string, Map<string, Holiday>>();
+
+    /**
+     * Easter Sunday (Gregorian calendar, anonymous algorithm by Meeus/Jones/Butcher)
+     */
+    static easterSunday(year: number): string {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return formatDateParts(year, month, day);
+    }
+
+    /**
+     * All public holidays of a year, nationwide plus those of the given Bundesland
+     */
+    static getHolidays(year: number, region: string | null = null): Holiday[] {
+        return Array.from(this.getHolidayMap(year, region).values())
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Holiday on that date, or null
+     */
+    static getHoliday(date: string, region: string | null = null): Holiday | null {
+        const year = parseInt(date.substring(0, 4));
+        return this.getHolidayMap(year, region).get(date) || null;
+    }
+
+    static isHoliday(date: string, region: string | null = null): boolean {
+        return this.getHoliday(date, region) !== null;
+    }
+
+    static isValidRegion(region: string): boolean {
+        return Object.prototype.hasOwnProperty.call(HOLIDAY_REGIONS, region);
+    }
+
+    /**
+     * Apply the usual municipal rule: a weekday holiday shifts the pickups on and
+     * after it in the same week (Monday-Saturday) by one day. Returns the shifted
+     * date and the holiday that caused it, or null if the pickup stays put.
+     */
+    static shiftPickup(date: string, region: string | null = null): { date: string; holiday: Holiday } | null {
+        const weekday = getWeekday(date);
+        if (weekday === 0) {
+            return null; // No Sunday pickups to shift
+        }
+
+        let cause: Holiday | null = null;
+        for (let day = addDays(date, -(weekday - 1)); day <= date && !cause; day = addDays(day, 1)) {
+            cause = this.getHoliday(day, region);
+        }
+
+        if (!cause) {
+            return null;
+        }
+
+        // Never land on another holiday or a Sunday
+        let shifted = addDays(date, 1);
+        while (this.isHoliday(shifted, region) || getWeekday(shifted) === 0) {
+            shifted = addDays(shifted, 1);
+        }
+
+        return { date: shifted, holiday: cause };
+    }
+
+    private static getHolidayMap(year: number, region: string | null): Map<string, Holiday> {
+        const key = `${year}-${region || 'DE'}`;
+        const cached = this.cache.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        const easter = this.easterSunday(year);
+        const holidays = new Map<string, Holiday>();
+
+        HOLIDAY_DEFINITIONS.forEach(definition => {
+            if (definition.regions && (!region || !definition.regions.includes(region))) return;
+            if (definition.since && year < definition.since) return;
+
+            let date: string;
+            if (definition.fixed) {
+                date = formatDateParts(year, definition.fixed[0], definition.fixed[1]);
+            } else if (definition.easterOffset !== undefined) {
+                date = addDays(easter, definition.easterOffset);
+            } else {
+                date = definition.calculate!(year);
+            }
+
+            holidays.set(date, {
+                date,
+                name: definition.name,
+                nationwide: definition.regions === null
+            });
+        });
+
+        this.cache.set(key, holidays);
+        return holidays;
+    }
+}
@@ -0,0 +1,441 @@
+// 📥 iCal Import Service - Parse .ics files (e.g. municipal Abfuhrkalender) into events
+import { RecurrenceService } from './recurrence';
+import { ValidationService, VALID_ICONS } from '../utils/validation';
+import { wasteIconForTitle } from '../utils/waste';
+import { addDays } from '../utils/date';
+
+export interface ImportedOccurrence {
+    original_date: string;
+    cancelled: boolean;
+    event_date: string | null;
+    event_time: string | null;
+    title: string | null;
+    description: string | null;
+}
+
+export interface ImportedEvent {
+    line: number;           // Line of BEGIN:VEVENT in the file
+    uid: string | null;
+    title: string;
+    event_date: string;
+    event_time: string | null;
+    end_date: string | null;    // Last day (inclusive) of a multi-day event, from DTEND or DURATION
+    end_time: string | null;    // End of a timed event
+    icon: string;
+    description: string | null;
+    recurrence_rule: string | null;
+    exceptions: ImportedOccurrence[];
+}
+
+export interface ImportRejection {
+    line: number;
+    uid: string | null;
+    title: string | null;
+    errors: string[];
+}
+
+export interface ICalParseResult {
+    events: ImportedEvent[];
+    rejected: ImportRejection[];
+    cancelled?: string[];   // UIDs of events marked STATUS:CANCELLED (.ics only)
+}
+
+interface ICalProperty {
+    name: string;
+    params: Record<string, string>;
+    value: string;
+}
+
+interface ICalComponent {
+    line: number;
+    properties: ICalProperty[];
+}
+
+const MAX_IMPORT_EVENTS = 2000;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const LOCAL_TIMEZONE = 'Europe/Berlin';
+
+export class ICalImportService {
+
+    /**
+     * Parse iCal content into importable events.
+     * Throws if the content is not an iCalendar file at all.
+     */
+    static parse(content: string): ICalParseResult {
+        if (!/BEGIN:VCALENDAR/i.test(content)) {
+            throw new Error('Keine gültige iCal-Datei (BEGIN:VCALENDAR fehlt)');
+        }
+
+        const components = this.readEvents(content);
+        if (components.length > MAX_IMPORT_EVENTS) {
+            throw new Error(`Zu viele Termine in der Datei (max. ${MAX_IMPORT_EVENTS})`);
+        }
+
+        const events: ImportedEvent[] = [];
+        const rejected: ImportRejection[] = [];
+        const cancelled: string[] = [];
+        const overrides: ICalComponent[] = [];
+
+        components.forEach(component => {
+            if (this.getProperty(component, 'RECURRENCE-ID')) {
+                overrides.push(component);
+                return;
+            }
+
+            // Still rejected below, but a subscription sync removes them by UID
+            const uid = this.getValue(component, 'UID');
+            if (uid && (this.getValue(component, 'STATUS') || '').toUpperCase() === 'CANCELLED') {
+                cancelled.push(uid);
+            }
+
+            try {
+                events.push(this.toEvent(component));
+            } catch (error) {
+                rejected.push(this.reject(component, error));
+            }
+        });
+
+        // Overridden occurrences (RECURRENCE-ID) belong to the series with the same UID
+        overrides.forEach(component => {
+            const uid = this.getValue(component, 'UID');
+            const series = events.find(event => event.uid && event.uid === uid && event.recurrence_rule);
+
+            try {
+                if (!series) {
+                    throw new Error('Zugehörige Terminserie (UID) nicht gefunden');
+                }
+                series.exceptions.push(this.toOccurrence(component, series));
+            } catch (error) {
+                rejected.push(this.reject(component, error));
+            }
+        });
+
+        return { events, rejected, cancelled };
+    }
+
+    /**
+     * Unfold lines and collect the properties of every VEVENT.
+     * Nested components (e.g. VALARM) are skipped.
+     */
+    private static readEvents(content: string): ICalComponent[] {
+        const lines = content.split(/\r?\n/);
+        const unfolded: Array<{ line: number; text: string }> = [];
+
+        lines.forEach((text, index) => {
+            // Folded continuation lines start with a single space or tab (RFC 5545 §3.1)
+            if ((text.startsWith(' ') || text.startsWith('\t')) && unfolded.length > 0) {
+                unfolded[unfolded.length - 1].text += text.substring(1);
+            } else if (text.length > 0) {
+                unfolded.push({ line: index + 1, text });
+            }
+        });
+
+        const components: ICalComponent[] = [];
+        let current: ICalComponent | null = null;
+        let nested = 0;
+
+        unfolded.forEach(({ line, text }) => {
+            const property = this.parseProperty(text);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                if (property.value.toUpperCase() === 'VEVENT' && !current) {
+                    current = { line, properties: [] };
+                } else if (current) {
+                    nested++;
+                }
+                return;
+            }
+
+            if (property.name === 'END' && current) {
+                if (nested > 0) {
+                    nested--;
+                } else if (property.value.toUpperCase() === 'VEVENT') {
+                    components.push(current);
+                    current = null;
+                }
+                return;
+            }
+
+            if (current && nested === 0) {
+                current.properties.push(property);
+            }
+        });
+
+        return components;
+    }
+
+    /**
+     * Split "NAME;PARAM=value;PARAM="quoted:value":VALUE"
+     */
+    private static parseProperty(text: string): ICalProperty | null {
+        let inQuotes = false;
+        let colon = -1;
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '"') inQuotes = !inQuotes;
+            if (text[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+
+        if (colon < 1) {
+            return null;
+        }
+
+        const [name, ...paramParts] = text.substring(0, colon).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+        const params: Record<string, string> = {};
+
+        paramParts.forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator > 0) {
+                params[part.substring(0, separator).toUpperCase()] = part.substring(separator + 1).replace(/^"|"$/g, '');
+            }
+        });
+
+        return {
+            name: name.toUpperCase(),
+            params,
+            value: text.substring(colon + 1)
+        };
+    }
+
+    /**
+     * Map a VEVENT onto event data, throwing with a readable reason if it can't be imported
+     */
+    private static toEvent(component: ICalComponent): ImportedEvent {
+        const uid = this.getValue(component, 'UID');
+        const title = this.unescapeText(this.getValue(component, 'SUMMARY') || '').trim();
+        const start = this.getProperty(component, 'DTSTART');
+
+        if (!title) {
+            throw new Error('SUMMARY fehlt');
+        }
+
+        if (!start) {
+            throw new Error('DTSTART fehlt');
+        }
+
+        if ((this.getValue(component, 'STATUS') || '').toUpperCase() === 'CANCELLED') {
+            throw new Error('Termin ist abgesagt (STATUS:CANCELLED)');
+        }
+
+        const { date, time } = this.parseDateValue(start);
+        const end = this.parseEnd(component, { date, time });
+        const rrule = this.getValue(component, 'RRULE');
+        let recurrenceRule: string | null = null;
+
+        if (rrule) {
+            const ruleErrors = RecurrenceService.validate(rrule, date);
+            if (ruleErrors.length > 0) {
+                throw new Error(`RRULE nicht unterstützt: ${ruleErrors.join(', ')}`);
+            }
+            recurrenceRule = RecurrenceService.normalize(rrule);
+        }
+
+        // Our own exports carry the icon, everything else is guessed from the title
+        const exportedIcon = this.getValue(component, 'X-YATWA-ICON');
+        const icon = exportedIcon && VALID_ICONS.includes(exportedIcon) ? exportedIcon : wasteIconForTitle(title);
+
+        const description = this.getValue(component, 'DESCRIPTION');
+        const event: ImportedEvent = {
+            line: component.line,
+            uid,
+            title,
+            event_date: date,
+            event_time: time,
+            end_date: end.end_date,
+            end_time: end.end_time,
+            icon,
+            description: description ? this.unescapeText(description).trim().substring(0, MAX_DESCRIPTION_LENGTH) || null : null,
+            recurrence_rule: recurrenceRule,
+            exceptions: []
+        };
+
+        const validation = ValidationService.validateCreateEvent(event);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        // Skipped occurrences
+        if (recurrenceRule) {
+            component.properties
+                .filter(property => property.name === 'EXDATE')
+                .forEach(property => {
+                    property.value.split(',').forEach(value => {
+                        const { date: excluded } = this.parseDateValue({ ...property, value });
+                        if (!event.exceptions.some(exception => exception.original_date === excluded)) {
+                            event.exceptions.push({
+                                original_date: excluded,
+                                cancelled: true,
+                                event_date: null,
+                                event_time: null,
+                                title: null,
+                                description: null
+                            });
+                        }
+                    });
+                });
+        }
+
+        return event;
+    }
+
+    /**
+     * Map a RECURRENCE-ID VEVENT onto an exception of its series
+     */
+    private static toOccurrence(component: ICalComponent, series: ImportedEvent): ImportedOccurrence {
+        const { date: originalDate } = this.parseDateValue(this.getProperty(component, 'RECURRENCE-ID')!);
+
+        if (RecurrenceService.expand(series.recurrence_rule!, series.event_date, originalDate, originalDate).length === 0) {
+            throw new Error(`${originalDate} ist kein Termin der Serie`);
+        }
+
+        if ((this.getValue(component, 'STATUS') || '').toUpperCase() === 'CANCELLED') {
+            return { original_date: originalDate, cancelled: true, event_date: null, event_time: null, title: null, description: null };
+        }
+
+        const start = this.getProperty(component, 'DTSTART');
+        const moved = start ? this.parseDateValue(start) : { date: originalDate, time: series.event_time };
+        const title = this.unescapeText(this.getValue(component, 'SUMMARY') || '').trim();
+        const description = this.getValue(component, 'DESCRIPTION');
+
+        return {
+            original_date: originalDate,
+            cancelled: false,
+            event_date: moved.date !== originalDate ? moved.date : null,
+            event_time: moved.time !== series.event_time ? moved.time : null,
+            title: title && title !== series.title ? title.substring(0, 255) : null,
+            description: description ? this.unescapeText(description).trim().substring(0, MAX_DESCRIPTION_LENGTH) || null : null
+        };
+    }
+
+    /**
+     * End of an event from DTEND or DURATION, as events store it: the last day if it is
+     * not the start day, and the end time of timed events. Without either, or when the
+     * event ends as it starts, it has no end of its own.
+     */
+    private static parseEnd(
+        component: ICalComponent,
+        start: { date: string; time: string | null }
+    ): Pick<ImportedEvent, 'end_date' | 'end_time'> {
+        const dtend = this.getProperty(component, 'DTEND');
+        const duration = this.getValue(component, 'DURATION');
+        const end = dtend ? this.parseDateValue(dtend) : duration ? this.addDuration(start, duration) : null;
+
+        if (!end || (end.date === start.date && end.time === start.time)) {
+            return { end_date: null, end_time: null };
+        }
+
+        if (end.date < start.date || (end.date === start.date && (end.time || '') < (start.time || ''))) {
+            throw new Error('DTEND liegt vor DTSTART');
+        }
+
+        if (!start.time) {
+            // All-day events end on the morning of the day after their last day (RFC 5545 §3.6.1)
+            const lastDay = addDays(end.date, -1);
+            return { end_date: lastDay > start.date ? lastDay : null, end_time: null };
+        }
+
+        if (!end.time) {
+            throw new Error('DTEND ohne Uhrzeit bei DTSTART mit Uhrzeit');
+        }
+
+        return { end_date: end.date !== start.date ? end.date : null, end_time: end.time };
+    }
+
+    /**
+     * Add a DURATION value (e.g. P1D, PT1H30M) to the start of an event
+     */
+    private static addDuration(start: { date: string; time: string | null }, value: string): { date: string; time: string | null } {
+        const match = value.trim().match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match || !/\d/.test(value)) {
+            throw new Error(`Ungültige Dauer in DURATION: ${value}`);
+        }
+
+        const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part || '0'));
+        if (!start.time) {
+            return { date: addDays(start.date, weeks * 7 + days), time: null };
+        }
+
+        // Wall-clock arithmetic, like the stored start
+        const instant = new Date(`${start.date}T${start.time}Z`);
+        instant.setUTCSeconds(instant.getUTCSeconds() + (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds);
+        const iso = instant.toISOString();
+
+        return { date: iso.substring(0, 10), time: iso.substring(11, 19) };
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value into local date and time.
+     * UTC values are converted to local time, TZID/floating values are taken as they are.
+     */
+    private static parseDateValue(property: ICalProperty): { date: string; time: string | null } {
+        const value = property.value.trim();
+
+        const dateMatch = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (dateMatch) {
+            return { date: `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`, time: null };
+        }
+
+        const dateTimeMatch = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+        if (!dateTimeMatch) {
+            throw new Error(`Ungültiges Datum in ${property.name}: ${value}`);
+        }
+
+        const [, year, month, day, hours, minutes, seconds, utc] = dateTimeMatch;
+
+        if (utc) {
+            return this.toLocalDateTime(new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`));
+        }
+
+        return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}:${seconds}` };
+    }
+
+    private static toLocalDateTime(instant: Date): { date: string; time: string } {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: LOCAL_TIMEZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(instant);
+
+        const part = (type: string) => parts.find(p => p.type === type)?.value || '00';
+
+        return {
+            date: `${part('year')}-${part('month')}-${part('day')}`,
+            time: `${part('hour')}:${part('minute')}:${part('second')}`
+        };
+    }
+
+    /**
+     * Undo TEXT escaping (RFC 5545 §3.3.11)
+     */
+    private static unescapeText(text: string): string {
+        return text.replace(/\\([\\;,nN])/g, (_, char: string) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+
+    private static getProperty(component: ICalComponent, name: string): ICalProperty | undefined {
+        return component.properties.find(property => property.name === name);
+    }
+
+    private static getValue(component: ICalComponent, name: string): string | null {
+        return this.getProperty(component, name)?.value ?? null;
+    }
+
+    private static reject(component: ICalComponent, error: unknown): ImportRejection {
+        const summary = this.getValue(component, 'SUMMARY');
+
+        return {
+            line: component.line,
+            uid: this.getValue(component, 'UID'),
+            title: summary ? this.unescapeText(summary).trim() : null,
+            errors: [error instanceof Error ? error.message : 'Termin konnte nicht gelesen werden']
+        };
+    }
+}
@@ -0,0 +1,368 @@
+// 🔎 iCal Validator - Parses a feed back and checks its structure against RFC 5545
+import { ContentLine, isTextProperty, parseContentLine, unfoldLines } from '../utils/icalendar';
+
+export interface ICalValidationResult {
+    isValid: boolean;
+    errors: string[];   // "Line 12: ..." - the feed breaks the RFC
+    warnings: string[]; // Allowed, but clients may handle it badly
+}
+
+interface ICalComponent {
+    name: string;
+    line: number;
+    properties: ContentLine[];
+    components: ICalComponent[];
+}
+
+interface ComponentRule {
+    required: string[];
+    once: string[];
+    children: string[];
+}
+
+const MAX_LINE_OCTETS = 75;
+
+// Reports stop here, a broken generator would otherwise list every line
+const MAX_ERRORS = 50;
+
+const COMPONENT_RULES: Record<string, ComponentRule> = {
+    VCALENDAR: {
+        required: ['PRODID', 'VERSION'],
+        once: ['PRODID', 'VERSION', 'CALSCALE', 'METHOD'],
+        children: ['VEVENT', 'VTODO', 'VJOURNAL', 'VFREEBUSY', 'VTIMEZONE']
+    },
+    VEVENT: {
+        required: ['UID', 'DTSTAMP', 'DTSTART'],
+        once: [
+            'UID', 'DTSTAMP', 'DTSTART', 'DTEND', 'DURATION', 'CLASS', 'CREATED', 'DESCRIPTION', 'GEO',
+            'LAST-MODIFIED', 'LOCATION', 'ORGANIZER', 'PRIORITY', 'SEQUENCE', 'STATUS', 'SUMMARY',
+            'TRANSP', 'URL', 'RECURRENCE-ID', 'COLOR'
+        ],
+        children: ['VALARM']
+    },
+    VTIMEZONE: {
+        required: ['TZID'],
+        once: ['TZID', 'LAST-MODIFIED', 'TZURL'],
+        children: ['STANDARD', 'DAYLIGHT']
+    },
+    STANDARD: {
+        required: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+        once: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+        children: []
+    },
+    DAYLIGHT: {
+        required: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+        once: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+        children: []
+    },
+    VALARM: {
+        required: ['ACTION', 'TRIGGER'],
+        once: ['ACTION', 'TRIGGER', 'DURATION', 'REPEAT'],
+        children: []
+    }
+};
+
+// Properties with DATE or DATE-TIME values; the first three are always UTC
+const UTC_PROPERTIES = ['DTSTAMP', 'CREATED', 'LAST-MODIFIED'];
+const DATE_PROPERTIES = [...UTC_PROPERTIES, 'DTSTART', 'DTEND', 'RECURRENCE-ID', 'EXDATE', 'RDATE'];
+
+// TEXT properties that hold a comma-separated list
+const TEXT_LIST_PROPERTIES = ['CATEGORIES', 'RESOURCES'];
+
+const DATE_VALUE = /^\d{8}$/;
+const DATE_TIME_VALUE = /^\d{8}T\d{6}Z?$/;
+
+export class ICalValidator {
+
+    /**
+     * Check a feed line by line, then the components it parses into
+     */
+    static validate(content: string): ICalValidationResult {
+        const errors: string[] = [];
+        const warnings: string[] = [];
+        const error = (line: number, message: string) => errors.push(`Line ${line}: ${message}`);
+
+        this.checkPhysicalLines(content, error);
+
+        const calendars = this.parseComponents(content, error);
+        if (calendars.length === 0) {
+            errors.push('Missing VCALENDAR');
+        }
+
+        calendars.forEach(calendar => {
+            if (calendar.name !== 'VCALENDAR') {
+                error(calendar.line, `${calendar.name} outside of VCALENDAR`);
+                return;
+            }
+
+            const timeZones = new Set(calendar.components
+                .filter(component => component.name === 'VTIMEZONE')
+                .map(component => this.getProperty(component, 'TZID')?.value)
+                .filter((tzid): tzid is string => !!tzid));
+
+            this.checkComponent(calendar, timeZones, error, warnings);
+            this.checkOverrides(calendar, warnings);
+        });
+
+        if (errors.length > MAX_ERRORS) {
+            const more = errors.length - MAX_ERRORS;
+            errors.splice(MAX_ERRORS, more, `... and ${more} more errors`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Line endings and line length (§3.1)
+     */
+    private static checkPhysicalLines(content: string, error: (line: number, message: string) => void): void {
+        if (content.length > 0 && !content.endsWith('\r\n')) {
+            error(content.split('\n').length, 'content does not end with CRLF');
+        }
+
+        const lines = content.split('\n');
+        lines.forEach((text, index) => {
+            if (index < lines.length - 1 && !text.endsWith('\r')) {
+                error(index + 1, 'line ends with LF instead of CRLF');
+            }
+
+            const octets = Buffer.byteLength(text.replace(/\r$/, ''), 'utf8');
+            if (octets > MAX_LINE_OCTETS) {
+                error(index + 1, `line is ${octets} octets long, more than ${MAX_LINE_OCTETS} (not folded)`);
+            }
+        });
+    }
+
+    /**
+     * Unfold, parse every content line and nest the components by BEGIN/END
+     */
+    private static parseComponents(content: string, error: (line: number, message: string) => void): ICalComponent[] {
+        const roots: ICalComponent[] = [];
+        const stack: ICalComponent[] = [];
+
+        unfoldLines(content).forEach(({ line, text }) => {
+            if (text.length === 0) {
+                error(line, 'empty line');
+                return;
+            }
+
+            const property = parseContentLine(text, line);
+            if (!property) {
+                error(line, 'not a valid content line (NAME;PARAM=value:VALUE)');
+                return;
+            }
+
+            if (property.name === 'BEGIN') {
+                const component: ICalComponent = { name: property.value.toUpperCase(), line, properties: [], components: [] };
+                const parent = stack[stack.length - 1];
+                if (parent) {
+                    parent.components.push(component);
+                } else {
+                    roots.push(component);
+                }
+                stack.push(component);
+                return;
+            }
+
+            if (property.name === 'END') {
+                const current = stack.pop();
+                if (!current) {
+                    error(line, `END:${property.value} without BEGIN`);
+                } else if (current.name !== property.value.toUpperCase()) {
+                    error(line, `END:${property.value} does not close BEGIN:${current.name} (line ${current.line})`);
+                }
+                return;
+            }
+
+            const current = stack[stack.length - 1];
+            if (!current) {
+                error(line, `${property.name} outside of any component`);
+                return;
+            }
+
+            current.properties.push(property);
+        });
+
+        stack.forEach(component => error(component.line, `BEGIN:${component.name} is never closed`));
+        return roots;
+    }
+
+    /**
+     * Required and unique properties, allowed subcomponents and property values of a component and its children
+     */
+    private static checkComponent(
+        component: ICalComponent,
+        timeZones: Set<string>,
+        error: (line: number, message: string) => void,
+        warnings: string[]
+    ): void {
+        const rule = COMPONENT_RULES[component.name];
+
+        if (rule) {
+            rule.required
+                .filter(name => !this.getProperty(component, name))
+                .forEach(name => error(component.line, `${component.name} is missing ${name}`));
+
+            rule.once.forEach(name => {
+                const repeated = component.properties.filter(property => property.name === name);
+                if (repeated.length > 1) {
+                    error(repeated[1].line, `${name} may appear only once in ${component.name}`);
+                }
+            });
+
+            component.components
+                .filter(child => !rule.children.includes(child.name) && !child.name.startsWith('X-'))
+                .forEach(child => error(child.line, `${child.name} is not allowed inside ${component.name}`));
+        }
+
+        component.properties.forEach(property => this.checkValue(component, property, timeZones, error));
+
+        switch (component.name) {
+            case 'VCALENDAR': {
+                const version = this.getProperty(component, 'VERSION');
+                if (version && version.value !== '2.0') {
+                    error(version.line, `VERSION must be 2.0, not ${version.value}`);
+                }
+                break;
+            }
+            case 'VEVENT':
+                this.checkEventTimes(component, error);
+                if (!this.getProperty(component, 'SUMMARY')) {
+                    warnings.push(`Line ${component.line}: VEVENT without SUMMARY`);
+                }
+                break;
+            case 'VTIMEZONE':
+                if (!component.components.some(child => child.name === 'STANDARD' || child.name === 'DAYLIGHT')) {
+                    error(component.line, 'VTIMEZONE needs a STANDARD or DAYLIGHT block');
+                }
+                break;
+            case 'VALARM': {
+                const action = this.getProperty(component, 'ACTION');
+                if (action?.value.toUpperCase() === 'DISPLAY' && !this.getProperty(component, 'DESCRIPTION')) {
+                    error(component.line, 'DISPLAY alarm is missing DESCRIPTION');
+                }
+                break;
+            }
+        }
+
+        component.components.forEach(child => this.checkComponent(child, timeZones, error, warnings));
+    }
+
+    /**
+     * Value formats: dates and times, TZID references, offsets, integers, RRULE and TEXT escaping
+     */
+    private static checkValue(
+        component: ICalComponent,
+        property: ContentLine,
+        timeZones: Set<string>,
+        error: (line: number, message: string) => void
+    ): void {
+        const { name, params, value, line } = property;
+
+        if (DATE_PROPERTIES.includes(name)) {
+            const isDate = params.VALUE === 'DATE';
+            const invalid = value.split(',').find(part => !(isDate ? DATE_VALUE : DATE_TIME_VALUE).test(part));
+            if (invalid !== undefined) {
+                error(line, `${name} has an invalid ${isDate ? 'DATE' : 'DATE-TIME'} value "${invalid}"`);
+            }
+
+            if (UTC_PROPERTIES.includes(name) && !value.endsWith('Z')) {
+                error(line, `${name} must be in UTC (ending in Z)`);
+            }
+
+            if (params.TZID !== undefined) {
+                if (!timeZones.has(params.TZID)) {
+                    error(line, `${name} refers to TZID ${params.TZID} without a VTIMEZONE`);
+                }
+                if (isDate || value.endsWith('Z')) {
+                    error(line, `${name} combines TZID with a ${isDate ? 'DATE' : 'UTC'} value`);
+                }
+            }
+
+            // Observances start in the local time before the change, without TZID
+            if ((component.name === 'STANDARD' || component.name === 'DAYLIGHT') && (value.endsWith('Z') || params.TZID)) {
+                error(line, `DTSTART of ${component.name} must be a local time`);
+            }
+            return;
+        }
+
+        if ((name === 'TZOFFSETFROM' || name === 'TZOFFSETTO') && !/^[+-]\d{4}(\d{2})?$/.test(value)) {
+            error(line, `${name} has an invalid UTC offset "${value}"`);
+            return;
+        }
+
+        if ((name === 'SEQUENCE' || name === 'PRIORITY' || name === 'REPEAT') && !/^\d+$/.test(value)) {
+            error(line, `${name} must be a non-negative integer`);
+            return;
+        }
+
+        if (name === 'RRULE' && !/(^|;)FREQ=(SECONDLY|MINUTELY|HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)(;|$)/.test(value)) {
+            error(line, 'RRULE is missing a valid FREQ');
+            return;
+        }
+
+        if (isTextProperty(name)) {
+            if (/\\[^\\;,nN]/.test(value.replace(/\\\\/g, ''))) {
+                error(line, `${name} contains an invalid escape sequence`);
+            }
+
+            const unescaped = TEXT_LIST_PROPERTIES.includes(name) ? /(^|[^\\])(\\\\)*;/ : /(^|[^\\])(\\\\)*[;,]/;
+            if (unescaped.test(value)) {
+                error(line, `${name} contains an unescaped ${TEXT_LIST_PROPERTIES.includes(name) ? '";"' : '";" or ","'}`);
+            }
+        }
+    }
+
+    /**
+     * DTEND or DURATION, of the same value type as DTSTART and not before it
+     */
+    private static checkEventTimes(component: ICalComponent, error: (line: number, message: string) => void): void {
+        const start = this.getProperty(component, 'DTSTART');
+        const end = this.getProperty(component, 'DTEND');
+        const duration = this.getProperty(component, 'DURATION');
+
+        if (end && duration) {
+            error(duration.line, 'VEVENT may have DTEND or DURATION, not both');
+        }
+
+        if (!start || !end) {
+            return;
+        }
+
+        const startIsDate = start.params.VALUE === 'DATE';
+        if (startIsDate !== (end.params.VALUE === 'DATE')) {
+            error(end.line, 'DTEND must have the same value type as DTSTART');
+            return;
+        }
+
+        // Comparable as strings when both are dates, both UTC or both in the same zone
+        const comparable = startIsDate ||
+            (start.value.endsWith('Z') && end.value.endsWith('Z')) ||
+            (start.params.TZID !== undefined && start.params.TZID === end.params.TZID);
+        if (comparable && end.value <= start.value) {
+            error(end.line, 'DTEND is not after DTSTART');
+        }
+    }
+
+    /**
+     * Overridden occurrences (RECURRENCE-ID) should belong to a series with the same UID
+     */
+    private static checkOverrides(calendar: ICalComponent, warnings: string[]): void {
+        const events = calendar.components.filter(component => component.name === 'VEVENT');
+        const series = new Set(events
+            .filter(event => this.getProperty(event, 'RRULE'))
+            .map(event => this.getProperty(event, 'UID')?.value));
+
+        events
+            .filter(event => this.getProperty(event, 'RECURRENCE-ID') && !series.has(this.getProperty(event, 'UID')?.value))
+            .forEach(event => warnings.push(`Line ${event.line}: RECURRENCE-ID without a series of the same UID`));
+    }
+
+    private static getProperty(component: ICalComponent, name: string): ContentLine | undefined {
+        return component.properties.find(property => property.name === name);
+    }
+}
@@ -1,14 +1,97 @@
 // 📊 iCal Service - RFC 5545 compliant calendar feed generation
-import { Event } from '../models/Event';
+import { Event, EventTombstone, occurrenceEnd } from '../models/Event';
+import { EventException } from '../models/EventException';
+import { WasteType } from '../models/WasteType';
+import { RecurrenceService } from './recurrence';
+import { HolidayService } from './holidays';
+import { addDays, daysInMonth, getWeekday, formatDateParts, toDateString, today } from '../utils/date';
+import { DEFAULT_TIMEZONE, TimeZoneTransition, timeZoneAbbreviation, timeZoneOffset, timeZoneTransitions, zonedToInstant } from '../utils/timezone';
+import { contentLine, serializeLines } from '../utils/icalendar';
+import { ICalValidator, ICalValidationResult } from './ical-validator';
 
 export interface ICalConfig {
     prodId: string;
     calName: string;
     calDescription: string;
-    timezone: string;
+    timezone: string;             // IANA zone of the event times (TZID)
     url: string;
+    holidayShift: boolean;        // Shift pickups in holiday weeks
+    holidayRegion: string | null; // Bundesland for regional holidays
+    wasteTypes: WasteType[];      // Types of the calendar, for CATEGORIES and COLOR
+    defaultReminderMinutes: number | null; // Reminder of events without their own or their type's
+    allDayReminderTime: string;   // HH:MM:SS - all-day pickups are reminded on the evening before
+    shareToken: string | null;    // Read-only feed: stands in for the hash, which must not appear
+    windowStart: string | null;   // YYYY-MM-DD - series are cut to their occurrences from here ...
+    windowEnd: string | null;     // ... up to here (feeds with ?past= / ?future=)
 }
 
+// RRULE weekday codes by getWeekday() index
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Longest description written to the feed (characters, before escaping)
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Window in which holiday shifts are written out as overrides
+const HOLIDAY_SHIFT_PAST_DAYS = 365;
+const HOLIDAY_SHIFT_FUTURE_DAYS = 730;
+
+// COLOR (RFC 7986) takes a CSS3 colour name; type colours are mapped to the nearest one
+const CSS_COLORS: Record<string, [number, number, number]> = {
+    black: [0, 0, 0],
+    dimgray: [105, 105, 105],
+    gray: [128, 128, 128],
+    darkgray: [169, 169, 169],
+    silver: [192, 192, 192],
+    white: [255, 255, 255],
+    saddlebrown: [139, 69, 19],
+    sienna: [160, 82, 45],
+    chocolate: [210, 105, 30],
+    peru: [205, 133, 63],
+    tan: [210, 180, 140],
+    maroon: [128, 0, 0],
+    darkred: [139, 0, 0],
+    firebrick: [178, 34, 34],
+    crimson: [220, 20, 60],
+    red: [255, 0, 0],
+    tomato: [255, 99, 71],
+    orangered: [255, 69, 0],
+    darkorange: [255, 140, 0],
+    orange: [255, 165, 0],
+    goldenrod: [218, 165, 32],
+    gold: [255, 215, 0],
+    yellow: [255, 255, 0],
+    khaki: [240, 230, 140],
+    olive: [128, 128, 0],
+    yellowgreen: [154, 205, 50],
+    limegreen: [50, 205, 50],
+    lime: [0, 255, 0],
+    forestgreen: [34, 139, 34],
+    green: [0, 128, 0],
+    darkgreen: [0, 100, 0],
+    seagreen: [46, 139, 87],
+    teal: [0, 128, 128],
+    darkcyan: [0, 139, 139],
+    turquoise: [64, 224, 208],
+    cyan: [0, 255, 255],
+    deepskyblue: [0, 191, 255],
+    steelblue: [70, 130, 180],
+    dodgerblue: [30, 144, 255],
+    royalblue: [65, 105, 225],
+    blue: [0, 0, 255],
+    mediumblue: [0, 0, 205],
+    navy: [0, 0, 128],
+    slateblue: [106, 90, 205],
+    blueviolet: [138, 43, 226],
+    darkviolet: [148, 0, 211],
+    purple: [128, 0, 128],
+    indigo: [75, 0, 130],
+    orchid: [218, 112, 214],
+    magenta: [255, 0, 255],
+    deeppink: [255, 20, 147],
+    hotpink: [255, 105, 180],
+    pink: [255, 192, 203]
+};
+
 export class ICalService {
     private config: ICalConfig;
 
@@ -17,89 +100,285 @@ export class ICalService {
             prodId: '-//YATWA//Yet Another Trash Web App//EN',
             calName: 'YATWA Calendar',
             calDescription: 'Personal calendar from YATWA - Yet Another Trash Web App',
-            timezone: 'Europe/Berlin',
+            timezone: DEFAULT_TIMEZONE,
             url: process.env.APP_URL || 'http://localhost',
+            holidayShift: false,
+            holidayRegion: null,
+            wasteTypes: [],
+            defaultReminderMinutes: null,
+            allDayReminderTime: '19:00:00',
+            shareToken: null,
+            windowStart: null,
+            windowEnd: null,
             ...customConfig
         };
     }
 
     /**
-     * Generate complete iCal feed from events
+     * Generate complete iCal feed from events. Recently deleted events (tombstones)
+     * are written as cancelled, so subscribed clients drop their copies.
      */
-    generateCalendar(events: Event[], userHash: string): string {
-        const now = new Date();
+    generateCalendar(events: Event[], userHash: string, exceptions: EventException[] = [], tombstones: EventTombstone[] = []): string {
         const calendarLines: string[] = [];
+        const feedId = this.config.shareToken || userHash;
 
         // Calendar header
         calendarLines.push('BEGIN:VCALENDAR');
         calendarLines.push('VERSION:2.0');
-        calendarLines.push(`PRODID:${this.config.prodId}`);
+        calendarLines.push(contentLine('PRODID', this.config.prodId));
         calendarLines.push('CALSCALE:GREGORIAN');
         calendarLines.push('METHOD:PUBLISH');
 
         // Calendar metadata
-        calendarLines.push(`X-WR-CALNAME:${this.config.calName} - ${userHash.substring(0, 8)}`);
-        calendarLines.push(`X-WR-CALDESC:${this.config.calDescription}`);
-        calendarLines.push(`X-WR-TIMEZONE:${this.config.timezone}`);
-        calendarLines.push(`X-PUBLISHED-TTL:PT1H`); // Refresh every hour
+        calendarLines.push(contentLine('X-WR-CALNAME', `${this.config.calName} - ${feedId.substring(0, 8)}`));
+        calendarLines.push(contentLine('X-WR-CALDESC', this.config.calDescription));
+        calendarLines.push(contentLine('X-WR-TIMEZONE', this.config.timezone));
+        calendarLines.push('X-PUBLISHED-TTL:PT1H'); // Refresh every hour
 
         // Calendar URL for updates
-        calendarLines.push(`URL:${this.config.url}/api/ical/${userHash}`);
-        calendarLines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT1H`);
-        calendarLines.push(`X-WR-RELCALID:${userHash}`);
+        calendarLines.push(contentLine('URL', `${this.config.url}/api/ical/${feedId}`));
+        calendarLines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+        calendarLines.push(contentLine('X-WR-RELCALID', feedId));
 
-        // Timezone definition
-        calendarLines.push(...this.generateTimezone());
+        // Timezone definition, back to the first year with a timed event
+        const timedYears = [...events, ...tombstones]
+            .filter(event => event.event_time)
+            .map(event => Number(toDateString(event.event_date).substring(0, 4)));
+        calendarLines.push(...this.generateTimezone(Math.max(1970, Math.min(new Date().getUTCFullYear(), ...timedYears))));
 
         // Events
-        events.forEach(event => {
-            calendarLines.push(...this.generateEvent(event, userHash));
+        events.forEach(stored => {
+            const event = stored.recurrence_rule ? this.limitToWindow(stored) : this.shiftSingleEvent(stored);
+            if (!event) return;
+
+            const seriesExceptions = event.recurrence_rule ?
+                exceptions.filter(exception => exception.event_id === event.id && this.inSeries(event, exception.original_date)) : [];
+            const eventExceptions = this.withHolidayShifts(event, seriesExceptions);
+
+            calendarLines.push(...this.generateEvent(event, feedId, eventExceptions));
+
+            // Moved/changed occurrences override the series instance via RECURRENCE-ID
+            eventExceptions
+                .filter(exception => !exception.cancelled)
+                .forEach(exception => {
+                    calendarLines.push(...this.generateOccurrenceOverride(event, exception, feedId));
+                });
+        });
+
+        // Cancelled events
+        tombstones.forEach(stored => {
+            const tombstone = this.limitToWindow(stored);
+            if (!tombstone) return;
+
+            calendarLines.push(...this.generateEvent(tombstone, feedId, [], undefined, true));
         });
 
         // Calendar footer
         calendarLines.push('END:VCALENDAR');
 
-        return calendarLines.join('\r\n') + '\r\n';
+        return serializeLines(calendarLines);
+    }
+
+    /**
+     * Feed of a rotated hash during its grace period: a single notice instead of the
+     * pickups. It deliberately does not mention the new hash.
+     */
+    generateMovedNotice(retiredHash: string, date: string = today()): string {
+        const now = new Date();
+
+        return serializeLines([
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            contentLine('PRODID', this.config.prodId),
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            contentLine('X-WR-CALNAME', `${this.config.calName} - ${retiredHash.substring(0, 8)}`),
+            contentLine('X-WR-CALDESC', this.config.calDescription),
+            'X-PUBLISHED-TTL:PT1H',
+            'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+            'BEGIN:VEVENT',
+            contentLine('UID', `moved-${retiredHash}@yatwa.app`),
+            `DTSTAMP:${this.formatDateTime(now)}`,
+            contentLine('DTSTART', this.formatDate(date), { VALUE: 'DATE' }),
+            contentLine('DTEND', this.formatDate(addDays(date, 1)), { VALUE: 'DATE' }),
+            contentLine('SUMMARY', '⚠️ Dieser Kalender ist umgezogen'),
+            contentLine('DESCRIPTION', 'Der Link zu diesem Abfuhrkalender wurde erneuert. Lass dir den neuen Link geben und abonniere ihn neu - dieses Abo kannst du danach löschen.'),
+            'STATUS:CONFIRMED',
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ]);
+    }
+
+    /**
+     * Generate the VTIMEZONE of the calendar's zone from the runtime's tz data.
+     * Offset changes that follow a yearly weekday rule up to next year are written
+     * as one RRULE observance each, the others one by one from `fromYear` on.
+     */
+    private generateTimezone(fromYear: number): string[] {
+        const timeZone = this.config.timezone;
+        const lastYear = Math.max(fromYear, new Date().getUTCFullYear()) + 1;
+        const lines = ['BEGIN:VTIMEZONE', contentLine('TZID', timeZone)];
+
+        const transitions: TimeZoneTransition[] = [];
+        for (let year = fromYear; year <= lastYear; year++) {
+            transitions.push(...timeZoneTransitions(timeZone, year));
+        }
+
+        // Zone without offset changes (e.g. Asia/Tokyo, UTC)
+        if (transitions.length === 0) {
+            const offset = timeZoneOffset(new Date(), timeZone);
+            const instant = new Date(Date.UTC(1970, 0, 1) - offset * 60 * 1000);
+            lines.push(...this.formatObservance({ instant, offsetFrom: offset, offsetTo: offset }, null));
+            lines.push('END:VTIMEZONE');
+            return lines;
+        }
+
+        // Changes of the last year that repeat by rule, with the first year the rule holds
+        const ruled = new Set<TimeZoneTransition>();
+        const rules: string[][] = [];
+        transitions
+            .filter(transition => this.onset(transition).getUTCFullYear() === lastYear)
+            .forEach(transition => {
+                const rule = this.yearlyRule(transition, transitions, fromYear);
+                if (rule) {
+                    rule.covered.forEach(covered => ruled.add(covered));
+                    rules.push(this.formatObservance(rule.first, rule.rrule));
+                }
+            });
+
+        transitions
+            .filter(transition => !ruled.has(transition))
+            .forEach(transition => lines.push(...this.formatObservance(transition, null)));
+        rules.forEach(rule => lines.push(...rule));
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * Yearly rule (e.g. last Sunday of March, 02:00) a transition follows, found by
+     * walking back as long as earlier years made the same change on the same rule day.
+     * Null if not even the year before matches.
+     */
+    private yearlyRule(
+        transition: TimeZoneTransition,
+        transitions: TimeZoneTransition[],
+        fromYear: number
+    ): { rrule: string; first: TimeZoneTransition; covered: TimeZoneTransition[] } | null {
+        const onset = this.onset(transition);
+        const year = onset.getUTCFullYear();
+        const month = onset.getUTCMonth() + 1;
+        const day = onset.getUTCDate();
+        const weekday = onset.getUTCDay();
+        const time = onset.getTime() % (24 * 60 * 60 * 1000);
+
+        // Last weekday of the month, or the n-th one
+        const candidates = day + 7 > daysInMonth(year, month) ? [-1, Math.ceil(day / 7)] : [Math.ceil(day / 7)];
+        let best: { rrule: string; first: TimeZoneTransition; covered: TimeZoneTransition[] } | null = null;
+
+        candidates.forEach(nth => {
+            const covered = [transition];
+            for (let earlier = year - 1; earlier >= fromYear; earlier--) {
+                const ruleDay = this.nthWeekday(earlier, month, weekday, nth);
+                const match = transitions.find(other => {
+                    const otherOnset = this.onset(other);
+                    return other.offsetFrom === transition.offsetFrom &&
+                        other.offsetTo === transition.offsetTo &&
+                        otherOnset.getUTCFullYear() === earlier &&
+                        otherOnset.getUTCMonth() + 1 === month &&
+                        otherOnset.getUTCDate() === ruleDay &&
+                        otherOnset.getTime() % (24 * 60 * 60 * 1000) === time;
+                });
+                if (!match) break;
+                covered.unshift(match);
+            }
+
+            if (covered.length > 1 && (!best || covered.length > best.covered.length)) {
+                best = {
+                    rrule: `FREQ=YEARLY;BYMONTH=${month};BYDAY=${nth}${ICAL_WEEKDAYS[weekday]}`,
+                    first: covered[0],
+                    covered
+                };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Day of the month of the n-th (-1 = last) given weekday
+     */
+    private nthWeekday(year: number, month: number, weekday: number, nth: number): number {
+        if (nth < 0) {
+            const last = daysInMonth(year, month);
+            return last - (getWeekday(formatDateParts(year, month, last)) - weekday + 7) % 7;
+        }
+
+        return 1 + (weekday - getWeekday(formatDateParts(year, month, 1)) + 7) % 7 + (nth - 1) * 7;
     }
 
     /**
-     * Generate timezone definition (Europe/Berlin)
+     * Wall-clock time a transition happens at, in the offset before it (UTC fields of the Date)
      */
-    private generateTimezone(): string[] {
+    private onset(transition: TimeZoneTransition): Date {
+        return new Date(transition.instant.getTime() + transition.offsetFrom * 60 * 1000);
+    }
+
+    /**
+     * STANDARD or DAYLIGHT block of a VTIMEZONE; a change to a larger offset counts as daylight saving time
+     */
+    private formatObservance(transition: TimeZoneTransition, rrule: string | null): string[] {
+        const kind = transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+        const name = timeZoneAbbreviation(transition.instant, this.config.timezone);
+
         return [
-            'BEGIN:VTIMEZONE',
-            'TZID:Europe/Berlin',
-            'BEGIN:DAYLIGHT',
-            'TZOFFSETFROM:+0100',
-            'TZOFFSETTO:+0200',
-            'TZNAME:CEST',
-            'DTSTART:19700329T020000',
-            'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
-            'END:DAYLIGHT',
-            'BEGIN:STANDARD',
-            'TZOFFSETFROM:+0200',
-            'TZOFFSETTO:+0100',
-            'TZNAME:CET',
-            'DTSTART:19701025T030000',
-            'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
-            'END:STANDARD',
-            'END:VTIMEZONE'
+            `BEGIN:${kind}`,
+            `DTSTART:${this.formatDateTime(this.onset(transition), false)}`,
+            `TZOFFSETFROM:${this.formatOffset(transition.offsetFrom)}`,
+            `TZOFFSETTO:${this.formatOffset(transition.offsetTo)}`,
+            ...(name ? [contentLine('TZNAME', name)] : []),
+            ...(rrule ? [`RRULE:${rrule}`] : []),
+            `END:${kind}`
         ];
     }
 
+    /**
+     * Format a UTC offset in minutes as +HHMM / -HHMM
+     */
+    private formatOffset(minutes: number): string {
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Generate single event in iCal format
      */
-    private generateEvent(event: Event, userHash: string): string[] {
+    private generateEvent(
+        event: Event,
+        feedId: string,
+        exceptions: EventException[] = [],
+        recurrenceId?: { date: string; time: string | null },
+        cancelled: boolean = false
+    ): string[] {
         const eventLines: string[] = [];
         const now = new Date();
 
         // Event start
         eventLines.push('BEGIN:VEVENT');
 
-        // Unique ID for the event
-        const uid = `${event.id}-${userHash}@yatwa.app`;
-        eventLines.push(`UID:${uid}`);
+        // Unique ID for the event - synced events keep the UID of their source,
+        // so entries stay the same for subscribers when the source changes
+        const uid = event.source_id && event.external_uid ?
+            event.external_uid :
+            `${event.id}-${feedId}@yatwa.app`;
+        eventLines.push(contentLine('UID', uid));
+
+        // Overridden occurrence of a series
+        if (recurrenceId) {
+            eventLines.push(this.formatOccurrenceProperty('RECURRENCE-ID', recurrenceId.date, recurrenceId.time));
+        }
 
         // Timestamps
         eventLines.push(`DTSTAMP:${this.formatDateTime(now)}`);
@@ -108,49 +387,58 @@ export class ICalService {
 
         // Event date and time
         if (event.event_time) {
-            // Timed event
-            const eventDateTime = this.combineDateTime(event.event_date, event.event_time);
-            eventLines.push(`DTSTART;TZID=Europe/Berlin:${this.formatDateTime(eventDateTime, false)}`);
+            // Timed event, in the wall-clock time of the calendar's zone
+            const timeZone = this.config.timezone;
+            eventLines.push(contentLine('DTSTART', this.formatDateTime(this.combineDateTime(event.event_date, event.event_time), false), { TZID: timeZone }));
 
-            // Default duration: 1 hour
-            const endDateTime = new Date(eventDateTime.getTime() + 60 * 60 * 1000);
-            eventLines.push(`DTEND;TZID=Europe/Berlin:${this.formatDateTime(endDateTime, false)}`);
-        } else {
-            // All-day event
-            eventLines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.event_date)}`);
-
-            // Calculate next day for all-day events
-            let nextDayDate: Date;
-            if (event.event_date instanceof Date) {
-                nextDayDate = new Date(event.event_date);
-                nextDayDate.setDate(nextDayDate.getDate() + 1);
+            if (event.end_time) {
+                // Given end, on the last day of a multi-day event
+                eventLines.push(contentLine('DTEND', this.formatDateTime(this.combineDateTime(event.end_date || event.event_date, event.end_time), false), { TZID: timeZone }));
             } else {
-                nextDayDate = new Date(event.event_date + 'T00:00:00.000Z');
-                nextDayDate.setUTCDate(nextDayDate.getUTCDate() + 1);
+                // Default duration: 1 hour of real time, so a DST change in between is respected.
+                // A wall-clock end in the repeated hour would mean its first pass, so it is written in UTC.
+                const end = new Date(zonedToInstant(toDateString(event.event_date), event.event_time, timeZone).getTime() + 60 * 60 * 1000);
+                const endWallClock = new Date(end.getTime() + timeZoneOffset(end, timeZone) * 60 * 1000);
+                const endDate = toDateString(endWallClock);
+                const unambiguous = zonedToInstant(endDate, endWallClock.toISOString().substring(11, 19), timeZone).getTime() === end.getTime();
+                eventLines.push(unambiguous ?
+                    contentLine('DTEND', this.formatDateTime(endWallClock, false), { TZID: timeZone }) :
+                    contentLine('DTEND', this.formatDateTime(end)));
             }
+        } else {
+            // All-day event, DTEND is the day after the last one
+            eventLines.push(contentLine('DTSTART', this.formatDate(event.event_date), { VALUE: 'DATE' }));
+            eventLines.push(contentLine('DTEND', this.formatDate(addDays(toDateString(event.end_date || event.event_date), 1)), { VALUE: 'DATE' }));
+        }
+
+        // Recurrence - one series instead of one VEVENT per pickup
+        if (event.recurrence_rule) {
+            eventLines.push(contentLine('RRULE', RecurrenceService.toICal(event.recurrence_rule, event.event_time ? this.config.timezone : null)));
 
-            eventLines.push(`DTEND;VALUE=DATE:${this.formatDate(nextDayDate)}`);
+            // Skipped occurrences
+            exceptions
+                .filter(exception => exception.cancelled)
+                .forEach(exception => {
+                    eventLines.push(this.formatOccurrenceProperty('EXDATE', exception.original_date, event.event_time));
+                });
         }
 
         // Event details
-        eventLines.push(`SUMMARY:${this.escapeText(event.title)}`);
+        eventLines.push(contentLine('SUMMARY', event.title));
 
         if (event.description) {
-            eventLines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            eventLines.push(contentLine('DESCRIPTION', event.description.substring(0, MAX_DESCRIPTION_LENGTH)));
         }
 
-        // Categories based on icon
-        const category = this.iconToCategory(event.icon);
-        if (category) {
-            eventLines.push(`CATEGORIES:${category}`);
+        // Category and colour of the waste type
+        const wasteType = this.wasteTypeOf(event);
+        if (wasteType) {
+            eventLines.push(contentLine('CATEGORIES', [wasteType.name]));
+            eventLines.push(contentLine('COLOR', this.cssColorName(wasteType.color)));
         }
 
-        // Priority based on icon
-        const priority = this.iconToPriority(event.icon);
-        eventLines.push(`PRIORITY:${priority}`);
-
         // Status
-        eventLines.push('STATUS:CONFIRMED');
+        eventLines.push(cancelled ? 'STATUS:CANCELLED' : 'STATUS:CONFIRMED');
 
         // Transparency (show as busy)
         eventLines.push('TRANSP:OPAQUE');
@@ -158,15 +446,27 @@ export class ICalService {
         // Classification
         eventLines.push('CLASS:PRIVATE');
 
-        // Sequence (for updates)
-        eventLines.push('SEQUENCE:0');
+        // Sequence - the revision of the event, so clients replace their copy on changes
+        eventLines.push(`SEQUENCE:${event.revision}`);
 
-        // URL back to the calendar
-        eventLines.push(`URL:${this.config.url}?hash=${userHash}`);
+        // URL back to the calendar - read-only feeds must not lead to the editing hash
+        eventLines.push(contentLine('URL', this.config.shareToken ? this.config.url : `${this.config.url}?hash=${feedId}`));
 
         // Custom properties
-        eventLines.push(`X-YATWA-ICON:${event.icon}`);
-        eventLines.push(`X-YATWA-ID:${event.id}`);
+        eventLines.push(contentLine('X-YATWA-ICON', event.icon));
+        eventLines.push(contentLine('X-YATWA-ID', String(event.id)));
+
+        // Reminder (not for cancelled events)
+        const reminderMinutes = cancelled ? null : this.reminderMinutes(event);
+        if (reminderMinutes) {
+            eventLines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                contentLine('DESCRIPTION', `Erinnerung: ${event.title}`),
+                `TRIGGER:${this.formatReminderTrigger(reminderMinutes, !event.event_time)}`,
+                'END:VALARM'
+            );
+        }
 
         // Event end
         eventLines.push('END:VEVENT');
@@ -175,118 +475,230 @@ export class ICalService {
     }
 
     /**
-     * Format date for iCal (YYYYMMDD) - handles both Date objects and strings
+     * Series cut to the feed window: it starts with its first occurrence in the
+     * window and ends with the window. Null if none of its occurrences is in it.
      */
-    private formatDate(dateInput: string | Date): string {
-        let dateString: string;
-
-        if (dateInput instanceof Date) {
-            // If it's a Date object, convert to YYYY-MM-DD format
-            const year = dateInput.getFullYear();
-            const month = String(dateInput.getMonth() + 1).padStart(2, '0');
-            const day = String(dateInput.getDate()).padStart(2, '0');
-            dateString = `${year}-${month}-${day}`;
-        } else if (typeof dateInput === 'string') {
-            dateString = dateInput;
-        } else {
-            // Fallback for unexpected types
-            console.warn('Unexpected date type:', typeof dateInput, dateInput);
-            dateString = String(dateInput);
+    private limitToWindow(event: Event): Event | null {
+        const { windowStart, windowEnd } = this.config;
+        if (!event.recurrence_rule || (!windowStart && !windowEnd)) {
+            return event;
         }
 
-        return dateString.replace(/-/g, '');
+        const limited = RecurrenceService.limit(event.recurrence_rule, toDateString(event.event_date), windowStart, windowEnd);
+        if (!limited) {
+            return null;
+        }
+
+        return {
+            ...event,
+            event_date: limited.startDate,
+            ...occurrenceEnd(event, limited.startDate, event.event_time),
+            recurrence_rule: limited.rule
+        };
     }
 
     /**
-     * Format datetime for iCal (YYYYMMDDTHHMMSSZ or YYYYMMDDTHHMMSS)
+     * Whether an occurrence date lies within the (possibly cut) series
+     */
+    private inSeries(event: Event, date: string): boolean {
+        return date >= toDateString(event.event_date) && (!this.config.windowEnd || date <= this.config.windowEnd);
+    }
+
+    /**
+     * Exceptions of a series with its holiday-shifted occurrences, which are written as
+     * RECURRENCE-ID overrides. Cancelled and explicitly moved occurrences stay as they are;
+     * other manual changes (title, time, ...) are kept on the shifted date.
+     */
+    private withHolidayShifts(event: Event, exceptions: EventException[]): EventException[] {
+        if (!this.config.holidayShift || !event.recurrence_rule) {
+            return exceptions;
+        }
+
+        const manual = new Map(exceptions.map(exception => [exception.original_date, exception]));
+        const dates = RecurrenceService.expand(
+            event.recurrence_rule,
+            toDateString(event.event_date),
+            addDays(today(), -HOLIDAY_SHIFT_PAST_DAYS),
+            addDays(today(), HOLIDAY_SHIFT_FUTURE_DAYS)
+        );
+
+        dates.forEach(date => {
+            const exception = manual.get(date);
+            if (exception && (exception.cancelled || exception.event_date)) return;
+
+            const shift = HolidayService.shiftPickup(date, this.config.holidayRegion);
+            if (!shift) return;
+
+            manual.set(date, {
+                id: 0,
+                event_id: event.id,
+                original_date: date,
+                cancelled: false,
+                event_time: null,
+                title: null,
+                created_at: event.created_at,
+                updated_at: event.updated_at,
+                ...exception,
+                event_date: shift.date,
+                description: this.shiftNote(exception?.description ?? event.description, shift.holiday.name)
+            });
+        });
+
+        return [...manual.values()];
+    }
+
+    /**
+     * Single event moved off a holiday week, like the occurrences of a series
+     */
+    private shiftSingleEvent(event: Event): Event {
+        const date = toDateString(event.event_date);
+        const shift = this.config.holidayShift ? HolidayService.shiftPickup(date, this.config.holidayRegion) : null;
+        if (!shift) {
+            return event;
+        }
+
+        return {
+            ...event,
+            event_date: shift.date,
+            ...occurrenceEnd(event, shift.date, event.event_time),
+            description: this.shiftNote(event.description, shift.holiday.name)
+        };
+    }
+
+    private shiftNote(description: string | null, holiday: string): string {
+        const note = `Verschoben wegen ${holiday}`;
+        return description ? `${description}\n${note}` : note;
+    }
+
+    /**
+     * Generate the VEVENT replacing one occurrence of a series
+     */
+    private generateOccurrenceOverride(event: Event, exception: EventException, feedId: string): string[] {
+        const override: Event = {
+            ...event,
+            event_date: exception.event_date || exception.original_date,
+            event_time: exception.event_time ?? event.event_time,
+            ...occurrenceEnd(event, exception.event_date || exception.original_date, exception.event_time ?? event.event_time),
+            title: exception.title ?? event.title,
+            description: exception.description ?? event.description,
+            recurrence_rule: null,
+            updated_at: exception.updated_at
+        };
+
+        // RECURRENCE-ID refers to the original slot, i.e. the series time
+        return this.generateEvent(override, feedId, [], {
+            date: exception.original_date,
+            time: event.event_time
+        });
+    }
+
+    /**
+     * Format an occurrence reference (EXDATE/RECURRENCE-ID) matching the series DTSTART type
+     */
+    private formatOccurrenceProperty(name: string, date: string, time: string | null): string {
+        if (time) {
+            return contentLine(name, this.formatDateTime(this.combineDateTime(date, time), false), { TZID: this.config.timezone });
+        }
+
+        return contentLine(name, this.formatDate(date), { VALUE: 'DATE' });
+    }
+
+    /**
+     * Format date for iCal (YYYYMMDD) - handles both Date objects and strings
+     */
+    private formatDate(dateInput: string | Date): string {
+        return toDateString(dateInput).replace(/-/g, '');
+    }
+
+    /**
+     * Format datetime for iCal from the UTC fields of a Date: YYYYMMDDTHHMMSSZ for
+     * instants, YYYYMMDDTHHMMSS for wall-clock times (see combineDateTime)
      */
     private formatDateTime(date: Date, utc: boolean = true): string {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
-
-        const formatted = `${year}${month}${day}T${hours}${minutes}${seconds}`;
+        const formatted = date.toISOString().substring(0, 19).replace(/[-:]/g, '');
         return utc ? formatted + 'Z' : formatted;
     }
 
     /**
-     * Combine date and time strings into Date object - handles both Date objects and strings
+     * Wall-clock date and time as a Date whose UTC fields hold them, independent of the server timezone
      */
     private combineDateTime(dateInput: string | Date, timeString: string): Date {
-        let dateString: string;
-
-        if (dateInput instanceof Date) {
-            // If it's a Date object, convert to YYYY-MM-DD format
-            const year = dateInput.getFullYear();
-            const month = String(dateInput.getMonth() + 1).padStart(2, '0');
-            const day = String(dateInput.getDate()).padStart(2, '0');
-            dateString = `${year}-${month}-${day}`;
-        } else {
-            dateString = String(dateInput);
+        const [hours, minutes, seconds = '00'] = timeString.split(':');
+        return new Date(`${toDateString(dateInput)}T${hours.padStart(2, '0')}:${minutes}:${seconds}Z`);
+    }
+
+    /**
+     * Waste type of an event, if it has one
+     */
+    private wasteTypeOf(event: Event): WasteType | null {
+        if (!event.waste_type_id) {
+            return null;
         }
 
-        return new Date(`${dateString}T${timeString}`);
+        return this.config.wasteTypes.find(wasteType => wasteType.id === event.waste_type_id) || null;
     }
 
     /**
-     * Escape text for iCal format
+     * Reminder offset of an event: its own, else its type's, else the calendar's.
+     * 0 means no reminder at any level.
      */
-    private escapeText(text: string): string {
-        return text
-            .replace(/\\/g, '\\\\')  // Escape backslashes
-            .replace(/;/g, '\\;')    // Escape semicolons
-            .replace(/,/g, '\\,')    // Escape commas
-            .replace(/\n/g, '\\n')   // Escape newlines
-            .replace(/\r/g, '')      // Remove carriage returns
-            .substring(0, 1000);     // Limit length
+    private reminderMinutes(event: Event): number | null {
+        const minutes = event.reminder_minutes ??
+            this.wasteTypeOf(event)?.default_reminder_minutes ??
+            this.config.defaultReminderMinutes;
+
+        return minutes && minutes > 0 ? minutes : null;
     }
 
     /**
-     * Convert icon to calendar category
+     * TRIGGER relative to DTSTART. Timed events are reminded the given minutes before;
+     * all-day pickups start at midnight, so they are reminded at the configured time on
+     * the evening before - or several evenings before for reminders of more than a day.
      */
-    private iconToCategory(icon: string): string {
-        const categoryMap: Record<string, string> = {
-            'work': 'BUSINESS',
-            'meeting': 'MEETING',
-            'birthday': 'PERSONAL',
-            'anniversary': 'PERSONAL',
-            'personal': 'PERSONAL',
-            'family': 'PERSONAL',
-            'friends': 'PERSONAL',
-            'health': 'PERSONAL',
-            'travel': 'VACATION',
-            'vacation': 'VACATION',
-            'education': 'EDUCATION',
-            'sports': 'PERSONAL',
-            'entertainment': 'PERSONAL',
-            'shopping': 'PERSONAL',
-            'project': 'BUSINESS',
-            'task': 'BUSINESS',
-            'deadline': 'BUSINESS',
-            'conference': 'MEETING',
-            'appointment': 'APPOINTMENT',
-            'reminder': 'PERSONAL',
-            'important': 'BUSINESS',
-            'party': 'PERSONAL',
-            'event': 'PERSONAL'
-        };
+    private formatReminderTrigger(minutes: number, allDay: boolean): string {
+        if (!allDay) {
+            return `-${this.formatDuration(minutes)}`;
+        }
 
-        return categoryMap[icon] || 'PERSONAL';
+        const [hours, mins] = this.config.allDayReminderTime.split(':').map(Number);
+        const evenings = Math.max(1, Math.ceil(minutes / 1440));
+
+        return `-${this.formatDuration(evenings * 1440 - (hours * 60 + mins))}`;
     }
 
     /**
-     * Convert icon to priority (1=high, 5=normal, 9=low)
+     * Format minutes as an iCal duration (P1D, PT30M, P1DT2H30M)
      */
-    private iconToPriority(icon: string): number {
-        const highPriority = ['important', 'deadline', 'work', 'meeting', 'appointment'];
-        const lowPriority = ['entertainment', 'shopping', 'party'];
+    private formatDuration(totalMinutes: number): string {
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+
+        const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}`;
+        if (!days) {
+            return `PT${time || '0M'}`;
+        }
 
-        if (highPriority.includes(icon)) return 1;
-        if (lowPriority.includes(icon)) return 9;
-        return 5; // Normal priority
+        return `P${days}D${time ? `T${time}` : ''}`;
+    }
+
+    /**
+     * Nearest CSS3 colour name for a #RRGGBB colour
+     */
+    private cssColorName(hex: string): string {
+        const rgb = [1, 3, 5].map(offset => parseInt(hex.substring(offset, offset + 2), 16) || 0);
+        let nearest = 'gray';
+        let nearestDistance = Infinity;
+
+        Object.entries(CSS_COLORS).forEach(([name, color]) => {
+            const distance = color.reduce((sum, channel, index) => sum + (channel - rgb[index]) ** 2, 0);
+            if (distance < nearestDistance) {
+                nearest = name;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
     }
 
     /**
@@ -311,7 +723,7 @@ export class ICalService {
         const eventsByCategory: Record<string, number> = {};
 
         events.forEach(event => {
-            const category = this.iconToCategory(event.icon);
+            const category = this.wasteTypeOf(event)?.name || 'Sonstiges';
             eventsByCategory[category] = (eventsByCategory[category] || 0) + 1;
         });
 
@@ -343,53 +755,9 @@ export class ICalService {
     }
 
     /**
-     * Validate iCal output
+     * Validate iCal output by parsing it back (structure, required properties, line folding)
      */
-    validateCalendar(icalContent: string): {
-        isValid: boolean;
-        errors: string[];
-        warnings: string[];
-    } {
-        const errors: string[] = [];
-        const warnings: string[] = [];
-
-        // Basic structure validation
-        if (!icalContent.includes('BEGIN:VCALENDAR')) {
-            errors.push('Missing VCALENDAR begin');
-        }
-
-        if (!icalContent.includes('END:VCALENDAR')) {
-            errors.push('Missing VCALENDAR end');
-        }
-
-        if (!icalContent.includes('VERSION:2.0')) {
-            errors.push('Missing or invalid VERSION');
-        }
-
-        if (!icalContent.includes('PRODID:')) {
-            errors.push('Missing PRODID');
-        }
-
-        // Event validation
-        const eventBegins = (icalContent.match(/BEGIN:VEVENT/g) || []).length;
-        const eventEnds = (icalContent.match(/END:VEVENT/g) || []).length;
-
-        if (eventBegins !== eventEnds) {
-            errors.push(`Mismatched VEVENT tags: ${eventBegins} begin, ${eventEnds} end`);
-        }
-
-        // Line length warnings (soft limit)
-        const lines = icalContent.split('\n');
-        lines.forEach((line, index) => {
-            if (line.length > 75) {
-                warnings.push(`Line ${index + 1} exceeds 75 characters (${line.length})`);
-            }
-        });
-
-        return {
-            isValid: errors.length === 0,
-            errors,
-            warnings
-        };
+    validateCalendar(icalContent: string): ICalValidationResult {
+        return ICalValidator.validate(icalContent);
     }
 }
\ No newline at end of file
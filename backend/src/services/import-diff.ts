@@ -0,0 +1,164 @@
+// 🔍 Import Diff Service - Compare an import against the events already in a calendar
+import { Event } from '../models/Event';
+import { ImportedEvent } from './ical-import';
+import { toDateString } from '../utils/date';
+
+export type ImportChangeType = 'added' | 'changed' | 'removed' | 'unchanged';
+
+export interface ImportChange {
+    id: string;                   // Stable key used to accept the change (e.g. "add:12", "change:5")
+    type: ImportChangeType;
+    event_id: number | null;      // Existing event (changed/removed/unchanged)
+    line: number | null;          // VEVENT line in the file (added/changed/unchanged)
+    title: string;
+    event_date: string;
+    event_time: string | null;
+    end_date: string | null;
+    end_time: string | null;
+    description: string | null;
+    recurrence_rule: string | null;
+    previous: {                   // Values currently stored (changed only)
+        title: string;
+        event_date: string;
+        event_time: string | null;
+        end_date: string | null;
+        end_time: string | null;
+        description: string | null;
+        recurrence_rule: string | null;
+    } | null;
+    selected: boolean;            // Suggested default for the review
+}
+
+export class ImportDiffService {
+
+    /**
+     * Match imported events against existing ones: by UID first, then by
+     * title and date, and for series by title alone (new start date).
+     * Existing events not in the file are only offered for removal if they
+     * fall into the period the file covers. Events of subscribed sources are
+     * left to their sync and never matched.
+     */
+    static diff(imported: ImportedEvent[], stored: Event[]): ImportChange[] {
+        const existing = stored.filter(event => !event.source_id);
+        const changes: ImportChange[] = [];
+        const matched = new Set<number>();
+        const available = (event: Event) => !matched.has(event.id);
+
+        imported.forEach(event => {
+            const match =
+                existing.find(candidate => available(candidate) && !!event.uid && candidate.external_uid === event.uid) ||
+                existing.find(candidate => available(candidate) &&
+                    this.sameTitle(candidate.title, event.title) &&
+                    toDateString(candidate.event_date) === event.event_date) ||
+                (event.recurrence_rule ? existing.find(candidate => available(candidate) &&
+                    !!candidate.recurrence_rule &&
+                    this.sameTitle(candidate.title, event.title)) : undefined);
+
+            if (!match) {
+                changes.push({
+                    id: `add:${event.line}`,
+                    type: 'added',
+                    event_id: null,
+                    line: event.line,
+                    title: event.title,
+                    event_date: event.event_date,
+                    event_time: event.event_time,
+                    end_date: event.end_date,
+                    end_time: event.end_time,
+                    description: event.description,
+                    recurrence_rule: event.recurrence_rule,
+                    previous: null,
+                    selected: true
+                });
+                return;
+            }
+
+            matched.add(match.id);
+
+            const previous = {
+                title: match.title,
+                event_date: toDateString(match.event_date),
+                event_time: match.event_time,
+                end_date: match.end_date ? toDateString(match.end_date) : null,
+                end_time: match.end_time || null,
+                description: match.description || null,
+                recurrence_rule: match.recurrence_rule
+            };
+            const isChanged = previous.event_date !== event.event_date ||
+                (previous.event_time || null) !== event.event_time ||
+                previous.end_date !== event.end_date ||
+                previous.end_time !== event.end_time ||
+                (previous.recurrence_rule || null) !== event.recurrence_rule ||
+                previous.description !== (event.description || null) ||
+                previous.title !== event.title;
+
+            changes.push({
+                id: `${isChanged ? 'change' : 'same'}:${match.id}`,
+                type: isChanged ? 'changed' : 'unchanged',
+                event_id: match.id,
+                line: event.line,
+                title: event.title,
+                event_date: event.event_date,
+                event_time: event.event_time,
+                end_date: event.end_date,
+                end_time: event.end_time,
+                description: event.description,
+                recurrence_rule: event.recurrence_rule,
+                previous: isChanged ? previous : null,
+                selected: isChanged
+            });
+        });
+
+        if (imported.length === 0) {
+            return changes;
+        }
+
+        // Period covered by the file
+        const dates = imported.map(event => event.event_date).sort();
+        const firstDate = dates[0];
+        const lastDate = dates[dates.length - 1];
+
+        existing
+            .filter(available)
+            .forEach(event => {
+                const eventDate = toDateString(event.event_date);
+                const inPeriod = event.recurrence_rule ?
+                    eventDate <= lastDate :
+                    eventDate >= firstDate && eventDate <= lastDate;
+
+                if (!inPeriod) return;
+
+                changes.push({
+                    id: `remove:${event.id}`,
+                    type: 'removed',
+                    event_id: event.id,
+                    line: null,
+                    title: event.title,
+                    event_date: eventDate,
+                    event_time: event.event_time,
+                    end_date: event.end_date ? toDateString(event.end_date) : null,
+                    end_time: event.end_time,
+                    description: event.description,
+                    recurrence_rule: event.recurrence_rule,
+                    previous: null,
+                    // Only suggest removing what an earlier import created
+                    selected: !!event.external_uid
+                });
+            });
+
+        return changes;
+    }
+
+    /**
+     * Count changes per type
+     */
+    static summarize(changes: ImportChange[]): Record<ImportChangeType, number> {
+        const summary: Record<ImportChangeType, number> = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+        changes.forEach(change => summary[change.type]++);
+        return summary;
+    }
+
+    private static sameTitle(a: string, b: string): boolean {
+        return a.trim().toLowerCase() === b.trim().toLowerCase();
+    }
+}
@@ -0,0 +1,175 @@
+// 📤 Outbox Service - Deliver queued mail with retries
+// Mail is written to the email_outbox table first and delivered by a background job.
+// Failed attempts are retried with doubling delays; after MAX_ATTEMPTS the mail is dead.
+// Mails queued with `scrub` lose their recipient and body once they are sent or dead.
+import { Database } from './database';
+import type { EmailMessage, EmailTransport } from './email-transport';
+import type { ReminderMailer } from './reminders';
+import { EmailOutboxModel, OutboxEmail, OutboxStats, OutboxStatus } from '../models/EmailOutbox';
+
+// Attempts before a mail is given up (dead letter)
+export const MAX_ATTEMPTS = 8;
+// Delay before the first retry, doubled per failed attempt, capped
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// Mails handed to the transport per run
+const BATCH_SIZE = 20;
+// How often the outbox is looked at
+const CHECK_INTERVAL_MS = 60 * 1000;
+// Delivered mails are kept this long
+const KEEP_SENT_DAYS = 7;
+
+// Kind of a failed delivery; the message itself may name addresses and hosts
+export type DeliveryErrorCategory = 'connection' | 'authentication' | 'rejected' | 'temporary' | 'unknown';
+
+export type OutboxReport = Omit<OutboxStats, 'lastFailure'> & {
+    lastFailure: { category: DeliveryErrorCategory; at: Date; status: OutboxStatus } | null;
+};
+
+export class OutboxService {
+    private static timer: ReturnType<typeof setInterval> | null = null;
+    private static running = false;
+    private static db: Database | null = null;
+    private static transport: EmailTransport | null = null;
+
+    /**
+     * Seconds until the next attempt after `attempts` failed ones, null once given up
+     */
+    static retryDelay(attempts: number): number | null {
+        if (attempts >= MAX_ATTEMPTS) {
+            return null;
+        }
+
+        return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+    }
+
+    /**
+     * Queue a mail and deliver it soon
+     */
+    static async enqueue(db: Database, message: EmailMessage): Promise<number> {
+        const id = await new EmailOutboxModel(db).enqueue(message);
+        this.wake();
+        return id;
+    }
+
+    /**
+     * Mailer for the reminder jobs: every mail goes through the outbox
+     */
+    static mailer(db: Database): ReminderMailer {
+        return {
+            send: async (message: EmailMessage) => {
+                await this.enqueue(db, message);
+                return true;
+            }
+        };
+    }
+
+    /**
+     * Deliver every due mail once. Returns the number delivered.
+     */
+    static async deliverDue(db: Database, transport: EmailTransport): Promise<number> {
+        if (this.running) return 0;
+        this.running = true;
+
+        try {
+            const outbox = new EmailOutboxModel(db);
+            const due = await outbox.findDue(BATCH_SIZE);
+            let delivered = 0;
+
+            for (const mail of due) {
+                if (await this.deliver(outbox, transport, mail)) delivered++;
+            }
+
+            await outbox.deleteSentBefore(KEEP_SENT_DAYS);
+            return delivered;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Queue depth, dead letters and the kind of the last failure (fit for the public status)
+     */
+    static async getStats(db: Database): Promise<OutboxReport> {
+        const { lastFailure, ...counts } = await new EmailOutboxModel(db).getStats();
+
+        return {
+            ...counts,
+            lastFailure: lastFailure ?
+                { category: this.errorCategory(lastFailure.error), at: lastFailure.at, status: lastFailure.status } :
+                null
+        };
+    }
+
+    /**
+     * Sort a delivery error by its SMTP reply code or network error
+     */
+    static errorCategory(error: string): DeliveryErrorCategory {
+        if (/\b(ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EHOSTUNREACH)\b|timeout/i.test(error)) return 'connection';
+        if (/\b53[045]\b|auth|login/i.test(error)) return 'authentication';
+        if (/\b5\d\d\b/.test(error)) return 'rejected';
+        if (/\b4\d\d\b/.test(error)) return 'temporary';
+        return 'unknown';
+    }
+
+    /**
+     * Start the background delivery
+     */
+    static start(db: Database, transport: EmailTransport): void {
+        if (this.timer) return;
+
+        this.db = db;
+        this.transport = transport;
+        this.timer = setInterval(() => this.run(), CHECK_INTERVAL_MS);
+        setTimeout(() => this.run(), 5 * 1000); // Mail left over from before the restart
+    }
+
+    static stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    private static async deliver(outbox: EmailOutboxModel, transport: EmailTransport, mail: OutboxEmail): Promise<boolean> {
+        try {
+            await transport.deliver({
+                to: mail.recipient,
+                subject: mail.subject,
+                html: mail.html,
+                text: mail.text,
+                headers: mail.headers ? JSON.parse(mail.headers) : undefined
+            });
+            await outbox.markSent(mail.id);
+            if (mail.scrub_when_done) await outbox.scrub(mail.id);
+            return true;
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            const retryIn = this.retryDelay(mail.attempts + 1);
+
+            await outbox.markFailed(mail.id, message.substring(0, 1000), retryIn);
+            if (retryIn === null && mail.scrub_when_done) await outbox.scrub(mail.id);
+            console.error(retryIn === null ?
+                `📤 Mail #${mail.id} given up after ${mail.attempts + 1} attempts: ${message}` :
+                `📤 Mail #${mail.id} failed, retrying in ${retryIn}s: ${message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Deliver right away instead of waiting for the next check (no-op before start)
+     */
+    private static wake(): void {
+        if (this.timer) {
+            setTimeout(() => this.run(), 0);
+        }
+    }
+
+    private static run(): void {
+        if (!this.db || !this.transport) return;
+
+        this.deliverDue(this.db, this.transport)
+            .then(count => count > 0 && console.log(`📤 Delivered ${count} mail(s)`))
+            .catch(error => console.error('📤 Outbox run failed:', error));
+    }
+}
@@ -0,0 +1,152 @@
+// 🔑 Recovery Service - Find lost calendars through a confirmed email address
+// Addresses are never stored, only their HMAC (keyed with EMAIL_HASH_KEY). Binding needs
+// a confirmation (double opt-in); recovery answers the same whether or not an address
+// is known and mails the links in the background, so it cannot be used to probe addresses.
+import { createHash, createHmac, randomBytes } from 'crypto';
+import { Database } from './database';
+import { EmailLocale, EmailTemplates } from './email-templates';
+import { OutboxService } from './outbox';
+import { EmailBindingModel } from '../models/EmailBinding';
+
+// How long a confirmation link stays valid
+export const CONFIRM_VALID_HOURS = 48;
+
+// Requests allowed per window: recovery per address and per client, bindings per calendar
+const LIMITS = {
+    recoverAddress: { max: 3, windowMs: 60 * 60 * 1000 },
+    recoverClient: { max: 10, windowMs: 60 * 60 * 1000 },
+    bindCalendar: { max: 5, windowMs: 60 * 60 * 1000 }
+};
+
+export type RecoveryLimit = keyof typeof LIMITS;
+
+const DEVELOPMENT_KEY = 'yatwa-development-email-key';
+
+export class RecoveryService {
+    private static attempts = new Map<string, { count: number; resetTime: number }>();
+    private static warnedAboutKey = false;
+
+    /**
+     * Addresses are compared trimmed and lower-cased
+     */
+    static normalizeEmail(email: string): string {
+        return email.trim().toLowerCase();
+    }
+
+    /**
+     * Keyed hash of an address (the only form it is stored in)
+     */
+    static emailHash(email: string): string {
+        return createHmac('sha256', this.key())
+            .update(this.normalizeEmail(email))
+            .digest('hex');
+    }
+
+    static tokenHash(token: string): string {
+        return createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Count a request against a limit; false once the limit of the window is used up
+     */
+    static allow(limit: RecoveryLimit, key: string, now: number = Date.now()): boolean {
+        const { max, windowMs } = LIMITS[limit];
+        const id = `${limit}:${key}`;
+        const current = this.attempts.get(id);
+
+        if (!current || now > current.resetTime) {
+            this.attempts.set(id, { count: 1, resetTime: now + windowMs });
+            this.prune(now);
+            return true;
+        }
+
+        if (current.count >= max) {
+            return false;
+        }
+
+        current.count++;
+        return true;
+    }
+
+    /**
+     * Client address a request came from, as the proxy saw it. Only X-Real-IP and the
+     * last X-Forwarded-For hop are set by the proxy; anything before it comes from the client.
+     */
+    static clientKey(req: Request): string {
+        return req.headers.get('X-Real-IP')?.trim() ||
+            req.headers.get('X-Forwarded-For')?.split(',').pop()?.trim() ||
+            'unknown';
+    }
+
+    /**
+     * Bind an address to a calendar, waiting for its confirmation, and mail the confirmation link
+     */
+    static async requestBinding(db: Database, userHash: string, email: string, locale: EmailLocale): Promise<void> {
+        const token = randomBytes(32).toString('hex');
+
+        await new EmailBindingModel(db).savePending(userHash, this.emailHash(email), this.tokenHash(token), CONFIRM_VALID_HOURS);
+        await OutboxService.enqueue(db, {
+            to: this.normalizeEmail(email),
+            userHash,
+            scrub: true,
+            ...EmailTemplates.confirmEmail(locale, {
+                confirmUrl: `${process.env.APP_URL || 'http://localhost'}/api/recovery/confirm?token=${token}`,
+                validHours: CONFIRM_VALID_HOURS
+            })
+        });
+    }
+
+    /**
+     * Confirm a binding from the link in its mail
+     */
+    static async confirm(db: Database, token: string): Promise<boolean> {
+        if (!/^[a-f0-9]{64}$/.test(token)) {
+            return false;
+        }
+
+        return await new EmailBindingModel(db).confirm(this.tokenHash(token));
+    }
+
+    /**
+     * Mail the links of all calendars an address confirmed. Returns the number of calendars.
+     */
+    static async recover(db: Database, email: string, locale: EmailLocale): Promise<number> {
+        const userHashes = await new EmailBindingModel(db).findConfirmedUserHashes(this.emailHash(email));
+        if (userHashes.length === 0) {
+            return 0;
+        }
+
+        const appUrl = process.env.APP_URL || 'http://localhost';
+        await OutboxService.enqueue(db, {
+            to: this.normalizeEmail(email),
+            scrub: true,
+            ...EmailTemplates.recovery(locale, { links: userHashes.map(hash => `${appUrl}?hash=${hash}`) })
+        });
+
+        return userHashes.length;
+    }
+
+    private static key(): string {
+        const key = process.env.EMAIL_HASH_KEY || process.env.JWT_SECRET;
+        if (key) {
+            return key;
+        }
+
+        if (!this.warnedAboutKey) {
+            console.warn('⚠️ EMAIL_HASH_KEY not set - recovery addresses are hashed with a development key');
+            this.warnedAboutKey = true;
+        }
+        return DEVELOPMENT_KEY;
+    }
+
+    /**
+     * Drop expired windows so the map does not grow without bounds
+     */
+    private static prune(now: number): void {
+        if (this.attempts.size < 1000) return;
+
+        this.attempts.forEach((entry, id) => {
+            if (now > entry.resetTime) this.attempts.delete(id);
+        });
+    }
+}
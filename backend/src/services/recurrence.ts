@@ -0,0 +1,329 @@
+// 🔁 Recurrence Service - RRULE parsing and occurrence expansion (RFC 5545 subset)
+import { addDays, daysInMonth, diffDays, formatDateParts, getWeekday, parseDate, toDateString } from '../utils/date';
+import { zonedToInstant } from '../utils/timezone';
+
+export type RecurrenceFrequency = 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+
+export interface RecurrenceWeekday {
+    weekday: number;        // 0 = Sunday ... 6 = Saturday
+    ordinal: number | null; // MONTHLY only: 1 = first, -1 = last
+}
+
+export interface RecurrenceRule {
+    freq: RecurrenceFrequency;
+    interval: number;
+    byDay: RecurrenceWeekday[];
+    until: string | null; // YYYY-MM-DD (inclusive)
+    count: number | null;
+}
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES: RecurrenceFrequency[] = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Safety limits so a bad rule can't expand into millions of rows
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 1000;
+const MAX_PERIODS = 5000;
+
+export class RecurrenceService {
+
+    /**
+     * Parse an RRULE value (without the "RRULE:" prefix)
+     */
+    static parse(ruleString: string): RecurrenceRule {
+        if (!ruleString || typeof ruleString !== 'string') {
+            throw new Error('Wiederholungsregel fehlt');
+        }
+
+        const parts = ruleString.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+        const values: Record<string, string> = {};
+
+        for (const part of parts) {
+            const [key, value] = part.split('=');
+            if (!key || value === undefined || value === '') {
+                throw new Error(`Ungültiger Regelbestandteil: ${part}`);
+            }
+            values[key.toUpperCase()] = value.toUpperCase();
+        }
+
+        const freq = values.FREQ as RecurrenceFrequency;
+        if (!FREQUENCIES.includes(freq)) {
+            throw new Error('FREQ muss DAILY, WEEKLY, MONTHLY oder YEARLY sein');
+        }
+
+        for (const key of Object.keys(values)) {
+            if (!['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'].includes(key)) {
+                throw new Error(`Nicht unterstützter Regelbestandteil: ${key}`);
+            }
+        }
+
+        if (values.WKST && values.WKST !== 'MO') {
+            throw new Error('Nur WKST=MO wird unterstützt');
+        }
+
+        let interval = 1;
+        if (values.INTERVAL !== undefined) {
+            interval = parseInt(values.INTERVAL);
+            if (!/^\d+$/.test(values.INTERVAL) || interval < 1 || interval > MAX_INTERVAL) {
+                throw new Error(`INTERVAL muss zwischen 1 und ${MAX_INTERVAL} liegen`);
+            }
+        }
+
+        const byDay: RecurrenceWeekday[] = [];
+        if (values.BYDAY !== undefined) {
+            for (const code of values.BYDAY.split(',')) {
+                const match = code.match(/^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/);
+                if (!match) {
+                    throw new Error(`Ungültiger Wochentag in BYDAY: ${code}`);
+                }
+
+                const ordinal = match[1] ? parseInt(match[1]) : null;
+                if (ordinal !== null && freq !== 'MONTHLY') {
+                    throw new Error('Wochentage mit Position (z.B. 1MO) sind nur bei FREQ=MONTHLY erlaubt');
+                }
+
+                byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal });
+            }
+        }
+
+        if (byDay.length > 0 && !['WEEKLY', 'MONTHLY'].includes(freq)) {
+            throw new Error('BYDAY ist nur bei FREQ=WEEKLY oder FREQ=MONTHLY erlaubt');
+        }
+
+        let until: string | null = null;
+        if (values.UNTIL !== undefined) {
+            const match = values.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+            if (!match) {
+                throw new Error('UNTIL muss im Format YYYYMMDD angegeben werden');
+            }
+            until = `${match[1]}-${match[2]}-${match[3]}`;
+            if (isNaN(parseDate(until).getTime()) || toDateString(parseDate(until)) !== until) {
+                throw new Error('UNTIL ist kein gültiges Datum');
+            }
+        }
+
+        let count: number | null = null;
+        if (values.COUNT !== undefined) {
+            count = parseInt(values.COUNT);
+            if (!/^\d+$/.test(values.COUNT) || count < 1 || count > MAX_COUNT) {
+                throw new Error(`COUNT muss zwischen 1 und ${MAX_COUNT} liegen`);
+            }
+        }
+
+        if (until && count) {
+            throw new Error('UNTIL und COUNT dürfen nicht gleichzeitig angegeben werden');
+        }
+
+        return { freq, interval, byDay, until, count };
+    }
+
+    /**
+     * Validate an RRULE value, returning error messages (empty if valid)
+     */
+    static validate(ruleString: string, startDate?: string): string[] {
+        try {
+            const rule = this.parse(ruleString);
+
+            if (startDate && rule.until && rule.until < startDate) {
+                return ['Enddatum der Wiederholung liegt vor dem Startdatum'];
+            }
+
+            return [];
+        } catch (error) {
+            return [error instanceof Error ? error.message : 'Ungültige Wiederholungsregel'];
+        }
+    }
+
+    /**
+     * Serialize a rule back into canonical RRULE form (as stored in the database)
+     */
+    static serialize(rule: RecurrenceRule): string {
+        const parts = [`FREQ=${rule.freq}`];
+
+        if (rule.interval > 1) {
+            parts.push(`INTERVAL=${rule.interval}`);
+        }
+
+        if (rule.byDay.length > 0) {
+            parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal ?? ''}${WEEKDAY_CODES[day.weekday]}`).join(',')}`);
+        }
+
+        if (rule.until) {
+            parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+        }
+
+        if (rule.count) {
+            parts.push(`COUNT=${rule.count}`);
+        }
+
+        return parts.join(';');
+    }
+
+    /**
+     * Normalize user input into the canonical stored form
+     */
+    static normalize(ruleString: string): string {
+        return this.serialize(this.parse(ruleString));
+    }
+
+    /**
+     * Format rule for an iCal RRULE line. `timeZone` is the zone of a timed series,
+     * null for all-day series. For timed events UNTIL has to be a UTC date-time
+     * (RFC 5545 §3.3.10): the end of the UNTIL day in the zone of the series.
+     */
+    static toICal(ruleString: string, timeZone: string | null): string {
+        const rule = this.parse(ruleString);
+        const serialized = this.serialize({ ...rule, until: null });
+
+        if (!rule.until) {
+            return serialized;
+        }
+
+        if (!timeZone) {
+            return `${serialized};UNTIL=${rule.until.replace(/-/g, '')}`;
+        }
+
+        const until = zonedToInstant(rule.until, '23:59:59', timeZone).toISOString().replace(/[-:]|\.\d{3}/g, '');
+        return `${serialized};UNTIL=${until}`;
+    }
+
+    /**
+     * Expand a rule into occurrence dates within [rangeStart, rangeEnd].
+     * DTSTART always counts as the first occurrence (RFC 5545 §3.8.5.3).
+     */
+    static expand(ruleString: string | RecurrenceRule, startDate: string, rangeStart: string, rangeEnd: string): string[] {
+        const rule = typeof ruleString === 'string' ? this.parse(ruleString) : ruleString;
+        const occurrences: string[] = [];
+
+        for (const date of this.occurrences(rule, startDate)) {
+            if (date > rangeEnd) break;
+            if (date >= rangeStart) {
+                occurrences.push(date);
+            }
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Restrict a series to the occurrences within a date range (either end open):
+     * the first of them becomes the start, the rule ends with the range.
+     * Null if no occurrence falls into the range.
+     */
+    static limit(ruleString: string, startDate: string, rangeStart: string | null, rangeEnd: string | null): { startDate: string; rule: string } | null {
+        const rule = this.parse(ruleString);
+        const inRange = (date: string) => (!rangeStart || date >= rangeStart) && (!rangeEnd || date <= rangeEnd);
+
+        if (rule.count !== null) {
+            // The occurrences in range follow each other, so counting them keeps exactly those
+            const dates = [...this.occurrences(rule, startDate)].filter(inRange);
+            return dates.length > 0 ? { startDate: dates[0], rule: this.serialize({ ...rule, count: dates.length }) } : null;
+        }
+
+        for (const date of this.occurrences(rule, startDate)) {
+            if (rangeEnd && date > rangeEnd) break;
+            if (!inRange(date)) continue;
+
+            const until = rangeEnd && (!rule.until || rangeEnd < rule.until) ? rangeEnd : rule.until;
+            return { startDate: date, rule: this.serialize({ ...rule, until }) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Occurrence dates of a rule in order, up to its UNTIL or COUNT
+     */
+    private static *occurrences(rule: RecurrenceRule, startDate: string): Generator<string> {
+        let counted = 0;
+        const within = (date: string) => (rule.count === null || counted < rule.count) && (!rule.until || date <= rule.until);
+
+        if (!within(startDate)) return;
+        counted++;
+        yield startDate;
+
+        for (let period = 0; period < MAX_PERIODS; period++) {
+            const candidates = this.periodDates(rule, startDate, period);
+            if (candidates === null) return;
+
+            for (const date of candidates) {
+                if (date <= startDate) continue;
+                if (!within(date)) return;
+
+                counted++;
+                yield date;
+            }
+        }
+    }
+
+    /**
+     * All candidate dates of the n-th period (day/week/month/year) after DTSTART,
+     * or null once the period lies beyond any possible end.
+     */
+    private static periodDates(rule: RecurrenceRule, startDate: string, period: number): string[] | null {
+        const step = period * rule.interval;
+        const [startYear, startMonth, startDay] = this.dateParts(startDate);
+
+        switch (rule.freq) {
+            case 'DAILY':
+                return [addDays(startDate, step)];
+
+            case 'WEEKLY': {
+                // Weeks start on Monday (WKST=MO)
+                const monday = addDays(startDate, -((getWeekday(startDate) + 6) % 7) + step * 7);
+                const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [getWeekday(startDate)];
+
+                return weekdays
+                    .map(weekday => addDays(monday, (weekday + 6) % 7))
+                    .sort();
+            }
+
+            case 'MONTHLY': {
+                const monthIndex = startMonth - 1 + step;
+                const year = startYear + Math.floor(monthIndex / 12);
+                const month = (monthIndex % 12) + 1;
+
+                if (rule.byDay.length === 0) {
+                    // Months without that day (e.g. the 31st) are skipped
+                    return startDay <= daysInMonth(year, month) ? [formatDateParts(year, month, startDay)] : [];
+                }
+
+                return rule.byDay
+                    .flatMap(day => this.weekdaysInMonth(year, month, day))
+                    .sort();
+            }
+
+            case 'YEARLY': {
+                const year = startYear + step;
+                return startDay <= daysInMonth(year, startMonth) ? [formatDateParts(year, startMonth, startDay)] : [];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Dates in a month matching a weekday, optionally restricted to the n-th (or n-th last) one
+     */
+    private static weekdaysInMonth(year: number, month: number, day: RecurrenceWeekday): string[] {
+        const first = formatDateParts(year, month, 1);
+        const offset = (day.weekday - getWeekday(first) + 7) % 7;
+        const dates: string[] = [];
+
+        for (let date = addDays(first, offset); diffDays(first, date) < daysInMonth(year, month); date = addDays(date, 7)) {
+            dates.push(date);
+        }
+
+        if (day.ordinal === null) {
+            return dates;
+        }
+
+        const index = day.ordinal > 0 ? day.ordinal - 1 : dates.length + day.ordinal;
+        return dates[index] ? [dates[index]] : [];
+    }
+
+    private static dateParts(dateString: string): [number, number, number] {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return [year, month, day];
+    }
+}
@@ -0,0 +1,180 @@
+// 🔔 Reminder Service - Email the next day's pickups
+// A background job looks for calendars with a reminder address, and once their
+// reminder time has come (and quiet hours are over) mails tomorrow's pickups.
+// Quiet hours lasting into the pickup day move the reminder before their start.
+// Sent reminders are recorded per event and date, so a restart sends nothing twice.
+import { Database } from './database';
+import type { EmailMessage } from './email-transport';
+import { EmailLocale, EmailTemplates } from './email-templates';
+import { CalendarSettings, CalendarSettingsModel } from '../models/CalendarSettings';
+import { EventModel, EventOccurrence } from '../models/Event';
+import { SentReminderModel } from '../models/SentReminder';
+import { addDays, zonedDateTime } from '../utils/date';
+import { DEFAULT_TIMEZONE } from '../utils/timezone';
+
+/**
+ * Anything that can deliver a mail (EmailService, SimpleEmailService)
+ */
+export interface ReminderMailer {
+    send(message: EmailMessage): Promise<boolean>;
+}
+
+// How often the scheduler looks for due reminders
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+// Reminders that quiet hours until the next morning would hold back go out this
+// long before they start (a few checks of the scheduler)
+const QUIET_HOURS_LEAD_MINUTES = 30;
+
+export class ReminderService {
+    private static timer: ReturnType<typeof setInterval> | null = null;
+    private static running = false;
+
+    /**
+     * Whether a time of day (HH:MM:SS) falls into quiet hours.
+     * Quiet hours may wrap midnight (22:00 - 07:00); without both bounds there are none.
+     */
+    static isQuietTime(time: string, start: string | null, end: string | null): boolean {
+        if (!start || !end || start === end) {
+            return false;
+        }
+
+        return start < end ?
+            time >= start && time < end :
+            time >= start || time < end;
+    }
+
+    /**
+     * Time of day (HH:MM:SS) from which a calendar's reminder goes out. Quiet hours that
+     * last from the reminder time past midnight (18:00 - 08:00) would hold it back until
+     * the pickup day, so it is moved to the last checks before they start.
+     */
+    static reminderTime(settings: CalendarSettings): string {
+        const { all_day_reminder_time: time, quiet_hours_start: start, quiet_hours_end: end } = settings;
+        if (!start || !end || start <= end) {
+            return time;
+        }
+
+        const [hours, minutes] = start.split(':').map(Number);
+        const lead = Math.max(0, hours * 60 + minutes - QUIET_HOURS_LEAD_MINUTES);
+        const latest = `${String(Math.floor(lead / 60)).padStart(2, '0')}:${String(lead % 60).padStart(2, '0')}:00`;
+
+        return time > latest ? latest : time;
+    }
+
+    /**
+     * Whether a calendar's reminder is due at a time of day: from its
+     * reminder time on (the evening before), outside its quiet hours
+     */
+    static isDue(settings: CalendarSettings, time: string): boolean {
+        return time >= this.reminderTime(settings) &&
+            !this.isQuietTime(time, settings.quiet_hours_start, settings.quiet_hours_end);
+    }
+
+    /**
+     * Pickups to remind of: not reminded yet and not switched off per event
+     */
+    static pending(occurrences: EventOccurrence[], sentEventIds: number[]): EventOccurrence[] {
+        const sent = new Set(sentEventIds);
+        const seen = new Set<number>();
+
+        return occurrences.filter(occurrence => {
+            if (occurrence.reminder_minutes === 0 || sent.has(occurrence.id) || seen.has(occurrence.id)) {
+                return false;
+            }
+            seen.add(occurrence.id);
+            return true;
+        });
+    }
+
+    /**
+     * Reminder mail for the pickups of one day
+     */
+    static buildMessage(to: string, userHash: string, pickupDate: string, pickups: EventOccurrence[], locale: EmailLocale = 'de'): EmailMessage {
+        const link = `${process.env.APP_URL || 'http://localhost'}?hash=${userHash}`;
+
+        return {
+            to,
+            userHash,
+            ...EmailTemplates.pickupReminder(locale, { date: pickupDate, pickups, link })
+        };
+    }
+
+    /**
+     * Send the reminder of one calendar if it is due. Returns the number of pickups reminded of.
+     */
+    static async remindCalendar(db: Database, mailer: ReminderMailer, settings: CalendarSettings, now: Date = new Date()): Promise<number> {
+        // Reminders go out in the wall-clock time of the calendar
+        const { date, time } = zonedDateTime(now, settings.timezone);
+        if (!settings.reminder_email || !this.isDue(settings, time)) {
+            return 0;
+        }
+
+        const tomorrow = addDays(date, 1);
+        const sentModel = new SentReminderModel(db);
+        // Multi-day events are reminded of once, before their first day
+        const occurrences = (await new EventModel(db).getEventsByDateRange(settings.user_hash, tomorrow, tomorrow))
+            .filter(occurrence => occurrence.event_date === tomorrow);
+        const pickups = this.pending(occurrences, await sentModel.findEventIds(settings.user_hash, tomorrow));
+
+        if (pickups.length === 0) {
+            return 0;
+        }
+
+        const sent = await mailer.send(this.buildMessage(settings.reminder_email, settings.user_hash, tomorrow, pickups, settings.email_locale));
+        if (!sent) {
+            return 0; // Tried again on the next check
+        }
+
+        await sentModel.record(settings.user_hash, pickups.map(pickup => ({ event_id: pickup.id, pickup_date: tomorrow })));
+        return pickups.length;
+    }
+
+    /**
+     * Send every due reminder, one calendar after the other
+     */
+    static async remindDue(db: Database, mailer: ReminderMailer, now: Date = new Date()): Promise<number> {
+        if (this.running) return 0;
+        this.running = true;
+
+        try {
+            const calendars = await new CalendarSettingsModel(db).findWithReminderEmail();
+            let count = 0;
+
+            for (const settings of calendars) {
+                try {
+                    count += await this.remindCalendar(db, mailer, settings, now);
+                } catch (error) {
+                    console.error(`🔔 Reminder for ${settings.user_hash.substring(0, 8)}… failed:`, error);
+                }
+            }
+
+            // Reminders of past pickups are no longer needed
+            await new SentReminderModel(db).deleteBefore(addDays(zonedDateTime(now, DEFAULT_TIMEZONE).date, -7));
+
+            return count;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Start the background scheduler
+     */
+    static start(db: Database, mailer: ReminderMailer): void {
+        if (this.timer) return;
+
+        const run = () => this.remindDue(db, mailer)
+            .then(count => count > 0 && console.log(`🔔 Sent reminders for ${count} pickup(s)`))
+            .catch(error => console.error('🔔 Reminder run failed:', error));
+
+        this.timer = setInterval(run, CHECK_INTERVAL_MS);
+        setTimeout(run, 60 * 1000); // Give the database a moment after startup
+    }
+
+    static stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
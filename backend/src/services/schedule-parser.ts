@@ -0,0 +1,198 @@
+// 📋 Schedule Parser Service - Turn pasted municipal schedules into proposed events
+// Handles lines like "Mo, 06.01.2025 Restmüll", "Biotonne: 07.01., 21.01." or
+// "Montag, 6. Januar 2025 - Gelber Sack", including headings that set the waste
+// type or year for the following lines.
+import { WasteKind, detectWasteKind, wasteIconForTitle } from '../utils/waste';
+import { formatDateParts, getWeekday, today } from '../utils/date';
+import { ValidationService } from '../utils/validation';
+
+export type ParseConfidence = 'high' | 'medium' | 'low';
+
+export interface ProposedEvent {
+    line: number;               // Line of the pasted text
+    source: string;             // The line as pasted
+    title: string;
+    event_date: string;
+    event_time: string | null;
+    icon: string;
+    waste_kind: string | null;  // WasteKind id, null if not recognized
+    confidence: ParseConfidence;
+    warnings: string[];         // Why the confidence is not high
+    duplicate: boolean;         // Already in the calendar (set by the route)
+}
+
+const MONTHS: Record<string, number> = {
+    januar: 1, jan: 1, februar: 2, feb: 2, 'märz': 3, maerz: 3, 'mär': 3, mrz: 3,
+    april: 4, apr: 4, mai: 5, juni: 6, jun: 6, juli: 7, jul: 7, august: 8, aug: 8,
+    september: 9, sept: 9, sep: 9, oktober: 10, okt: 10, november: 11, nov: 11,
+    dezember: 12, dez: 12
+};
+
+const WEEKDAYS: Record<string, number> = {
+    so: 0, sonntag: 0, mo: 1, montag: 1, di: 2, dienstag: 2, mi: 3, mittwoch: 3,
+    do: 4, donnerstag: 4, fr: 5, freitag: 5, sa: 6, samstag: 6
+};
+
+const WEEKDAY_PATTERN = `(?:\\b(${Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|')})\\.?,?\\s*)?`;
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+// Weekday (optional) followed by 06.01.2025 / 6.1.25 / 06.01. / 6. Januar 2025 / 2025-01-06
+const DATE_PATTERN = new RegExp(
+    `${WEEKDAY_PATTERN}(?:` +
+    `(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4}|\\d{2}(?!\\d))?` +
+    `|(\\d{1,2})\\.\\s*(${MONTH_PATTERN})\\.?(?:\\s+(\\d{4}))?` +
+    `|(\\d{4})-(\\d{2})-(\\d{2})` +
+    `)`,
+    'gi'
+);
+
+const TIME_PATTERN = /(?:ab\s+)?\b(\d{1,2})(?::(\d{2}))?\s*uhr\b|\b(\d{1,2}):(\d{2})\b/i;
+
+const MAX_TEXT_LENGTH = 100000;
+const MAX_PROPOSALS = 2000;
+
+interface DateMatch {
+    date: string;
+    weekday: number | null;
+    yearInferred: boolean;
+}
+
+export class ScheduleParserService {
+
+    /**
+     * Parse pasted text into proposed events.
+     * defaultYear is used for dates without a year unless a line set one ("Abfuhrtermine 2025").
+     */
+    static parse(text: string, defaultYear?: number): ProposedEvent[] {
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new Error(`Text ist zu lang (max. ${MAX_TEXT_LENGTH} Zeichen)`);
+        }
+
+        const proposals: ProposedEvent[] = [];
+        const seen = new Set<string>();
+        let contextKind: WasteKind | null = null;
+        let contextYear = defaultYear || null;
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/\s+/g, ' ').trim();
+            if (!line) return;
+
+            const dates = this.findDates(line, contextYear);
+            const remainder = line.replace(DATE_PATTERN, ' ').replace(TIME_PATTERN, ' ');
+            const kind = detectWasteKind(remainder);
+
+            // Headings: "Restmüll" or "Abfuhrtermine 2025" apply to the following lines
+            if (dates.length === 0) {
+                const year = line.match(/\b(20\d{2})\b/);
+                if (year) contextYear = parseInt(year[1]);
+                if (kind) contextKind = kind;
+                return;
+            }
+
+            // A heading only applies to lines that carry nothing but dates
+            const time = this.findTime(line);
+            const text = this.cleanTitle(remainder);
+            const headingKind = !kind && !text ? contextKind : null;
+            const effectiveKind = kind || headingKind;
+            const title = effectiveKind ? effectiveKind.name : text;
+
+            dates.forEach(match => {
+                const warnings: string[] = [];
+                let confidence: ParseConfidence = 'high';
+                const downgrade = (to: ParseConfidence, warning: string) => {
+                    warnings.push(warning);
+                    if (to === 'low' || confidence === 'high') confidence = to;
+                };
+
+                if (match.yearInferred) {
+                    downgrade('medium', 'Jahr ergänzt');
+                }
+                if (headingKind) {
+                    downgrade('medium', `Abfallart aus Überschrift übernommen (${headingKind.name})`);
+                }
+                if (!effectiveKind) {
+                    downgrade('low', 'Abfallart nicht erkannt');
+                }
+                if (match.weekday !== null && match.weekday !== getWeekday(match.date)) {
+                    downgrade('low', 'Wochentag passt nicht zum Datum');
+                }
+
+                const finalTitle = title || 'Abfuhr';
+                const key = `${match.date}|${finalTitle.toLowerCase()}`;
+                if (seen.has(key) || proposals.length >= MAX_PROPOSALS) return;
+                seen.add(key);
+
+                proposals.push({
+                    line: index + 1,
+                    source: line,
+                    title: finalTitle,
+                    event_date: match.date,
+                    event_time: time,
+                    icon: effectiveKind ? effectiveKind.icon : wasteIconForTitle(finalTitle),
+                    waste_kind: effectiveKind ? effectiveKind.id : null,
+                    confidence,
+                    warnings,
+                    duplicate: false
+                });
+            });
+        });
+
+        return proposals.sort((a, b) => a.event_date.localeCompare(b.event_date) || a.title.localeCompare(b.title));
+    }
+
+    private static findDates(line: string, contextYear: number | null): DateMatch[] {
+        const dates: DateMatch[] = [];
+
+        for (const match of line.matchAll(DATE_PATTERN)) {
+            const weekday = match[1] ? WEEKDAYS[match[1].toLowerCase()] : null;
+            let day: number, month: number, year: number | null;
+
+            if (match[2]) {
+                day = parseInt(match[2]);
+                month = parseInt(match[3]);
+                year = match[4] ? parseInt(match[4].length === 2 ? `20${match[4]}` : match[4]) : null;
+            } else if (match[5]) {
+                day = parseInt(match[5]);
+                month = MONTHS[match[6].toLowerCase()];
+                year = match[7] ? parseInt(match[7]) : null;
+            } else {
+                year = parseInt(match[8]);
+                month = parseInt(match[9]);
+                day = parseInt(match[10]);
+            }
+
+            const yearInferred = year === null;
+            const date = formatDateParts(year ?? contextYear ?? parseInt(today().substring(0, 4)), month, day);
+
+            if (ValidationService.isValidDate(date)) {
+                dates.push({ date, weekday: weekday ?? null, yearInferred });
+            }
+        }
+
+        return dates;
+    }
+
+    private static findTime(line: string): string | null {
+        const match = line.match(TIME_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const hours = match[1] ?? match[3];
+        const minutes = match[2] ?? match[4] ?? '00';
+        const time = `${hours.padStart(2, '0')}:${minutes}:00`;
+
+        return ValidationService.isValidTime(time) ? time : null;
+    }
+
+    /**
+     * Use whatever text is left next to the date as title
+     */
+    private static cleanTitle(remainder: string): string {
+        return remainder
+            .replace(/[|;:,\-–—\t]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, 255);
+    }
+}
@@ -0,0 +1,405 @@
+// 🔄 Source Sync Service - Keep subscribed .ics calendars in sync
+// Sources are re-fetched on a schedule (conditional requests via ETag/Last-Modified)
+// and merged into events by UID: new entries are created, changed ones updated,
+// and entries that were cancelled or disappeared from the feed are removed.
+import { lookup } from 'dns/promises';
+import { isIP } from 'net';
+import { Database } from './database';
+import { ICalImportService, ICalParseResult, ImportedEvent } from './ical-import';
+import { CalendarSource, CalendarSourceModel } from '../models/CalendarSource';
+import { Event, EventModel, ImportChangeSet, ImportEventData } from '../models/Event';
+import { EventException, EventExceptionData, EventExceptionModel } from '../models/EventException';
+import { ValidationService } from '../utils/validation';
+import { toDateString } from '../utils/date';
+
+export type SyncStatus = 'synced' | 'not-modified' | 'failed';
+
+export interface SyncResult {
+    status: SyncStatus;
+    added: number;
+    changed: number;
+    removed: number;
+    unchanged: number;
+    rejected: number;
+    error: string | null;
+}
+
+export interface FetchResult {
+    notModified: boolean;       // 304: nothing changed since the last fetch
+    content: string;
+    etag: string | null;
+    lastModified: string | null;
+}
+
+export interface SyncPlan {
+    changes: ImportChangeSet;
+    unchanged: number;
+    rejected: number;
+}
+
+// Hours between two syncs of the same source
+const SYNC_INTERVAL_HOURS = parseInt(process.env.SOURCE_SYNC_INTERVAL_HOURS || '6');
+// How often the scheduler looks for due sources
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_SOURCE_SIZE = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Whether an IP address points into the backend's own network (loopback,
+ * private, link-local, shared or unique local addresses) instead of the internet
+ */
+function isPrivateAddress(address: string): boolean {
+    const ip = address.toLowerCase();
+
+    // IPv4 addresses mapped into IPv6, in dotted or hex form
+    const dotted = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        return isPrivateAddress(dotted[1]);
+    }
+    const hex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hex) {
+        const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+        return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+
+    if (isIP(ip) === 4) {
+        const [a, b] = ip.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+
+    return ip === '::' || ip === '::1' || /^f[cd][0-9a-f]{0,2}:/.test(ip) || /^fe[89ab][0-9a-f]?:/.test(ip);
+}
+
+const allowPrivateUrls = () => process.env.SOURCE_ALLOW_PRIVATE_URLS === 'true';
+
+export class SourceSyncService {
+    private static timer: ReturnType<typeof setInterval> | null = null;
+    private static running = false;
+
+    /**
+     * Check and normalize a source URL (webcal:// is fetched via https://).
+     * Throws with a readable reason if the URL can't be used.
+     */
+    static normalizeUrl(value: string): string {
+        let url: URL;
+        try {
+            url = new URL(value.trim().replace(/^webcals?:\/\//i, 'https://'));
+        } catch (error) {
+            throw new Error('Ungültige URL');
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new Error('Nur http(s)- und webcal-Adressen werden unterstützt');
+        }
+
+        if (url.username || url.password) {
+            throw new Error('Zugangsdaten in der URL werden nicht unterstützt');
+        }
+
+        // Host names are checked by their addresses when fetching (see checkHost), IP addresses right away;
+        // the URL parser already turned forms like http://2130706433/ into 127.0.0.1
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (isIP(host) && isPrivateAddress(host) && !allowPrivateUrls()) {
+            throw new Error('Adressen im lokalen Netzwerk sind nicht erlaubt');
+        }
+
+        if (url.toString().length > 2048) {
+            throw new Error('URL ist zu lang (max. 2048 Zeichen)');
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Make sure the host of a URL resolves to public addresses only, so a
+     * DNS name cannot lead the fetch into the local network
+     */
+    private static async checkHost(url: string): Promise<void> {
+        if (allowPrivateUrls()) {
+            return;
+        }
+
+        const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        let addresses: Array<{ address: string }>;
+        try {
+            addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+        } catch (error) {
+            throw new Error(`Kalender nicht erreichbar: ${host} ist unbekannt`);
+        }
+
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw new Error('Adressen im lokalen Netzwerk sind nicht erlaubt');
+        }
+    }
+
+    /**
+     * Fetch a source, sending the validators of the last fetch. Redirects are
+     * followed by hand so that every hop is checked like the source URL itself.
+     */
+    static async fetch(source: Pick<CalendarSource, 'url' | 'etag' | 'last_modified'>): Promise<FetchResult> {
+        const headers: Record<string, string> = {
+            'Accept': 'text/calendar, text/plain;q=0.8, */*;q=0.5',
+            'User-Agent': 'YATWA-Calendar-Sync/1.0'
+        };
+        if (source.etag) headers['If-None-Match'] = source.etag;
+        if (source.last_modified) headers['If-Modified-Since'] = source.last_modified;
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+        let url = this.normalizeUrl(source.url);
+        let response: Response;
+        try {
+            for (let hops = 0; ; hops++) {
+                await this.checkHost(url);
+
+                try {
+                    response = await fetch(url, { headers, signal: controller.signal, redirect: 'manual' });
+                } catch (error) {
+                    throw new Error(controller.signal.aborted ?
+                        `Zeitüberschreitung beim Abrufen (${FETCH_TIMEOUT_MS / 1000} s)` :
+                        `Kalender nicht erreichbar: ${error instanceof Error ? error.message : error}`);
+                }
+
+                const location = response.headers.get('location');
+                if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) {
+                    break;
+                }
+                if (hops >= MAX_REDIRECTS) {
+                    throw new Error(`Zu viele Weiterleitungen (max. ${MAX_REDIRECTS})`);
+                }
+
+                await response.body?.cancel();
+                url = this.normalizeUrl(new URL(location, url).toString());
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (response.status === 304) {
+            return { notModified: true, content: '', etag: null, lastModified: null };
+        }
+
+        if (!response.ok) {
+            throw new Error(`Abruf fehlgeschlagen (HTTP ${response.status})`);
+        }
+
+        const length = parseInt(response.headers.get('content-length') || '0');
+        if (length > MAX_SOURCE_SIZE) {
+            throw new Error('Kalender ist zu groß (max. 2 MB)');
+        }
+
+        const content = await response.text();
+        if (content.length > MAX_SOURCE_SIZE) {
+            throw new Error('Kalender ist zu groß (max. 2 MB)');
+        }
+
+        return {
+            notModified: false,
+            content,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified')
+        };
+    }
+
+    /**
+     * Work out how the events of a source change with a new version of its feed.
+     * Events are matched by UID only; an event that is missing from the feed is
+     * kept if it was merely unreadable this time, so a broken entry upstream does
+     * not delete it.
+     */
+    static plan(
+        userHash: string,
+        sourceId: number,
+        parsed: ICalParseResult,
+        existing: Event[],
+        exceptions: EventException[]
+    ): SyncPlan {
+        const cancelled = new Set(parsed.cancelled || []);
+        const plan: SyncPlan = {
+            changes: { create: [], update: [], remove: [] },
+            unchanged: 0,
+            rejected: parsed.rejected.filter(rejection => !rejection.uid || !cancelled.has(rejection.uid)).length
+        };
+        const byUid = new Map(existing.filter(event => event.external_uid).map(event => [event.external_uid!, event]));
+        const seen = new Set<string>();
+
+        parsed.events.forEach(event => {
+            // Without a UID an entry can't be followed across syncs
+            if (!event.uid) {
+                plan.rejected++;
+                return;
+            }
+            if (seen.has(event.uid)) return;
+            seen.add(event.uid);
+
+            const data = this.toEventData(userHash, sourceId, event);
+            const match = byUid.get(event.uid);
+
+            if (!match) {
+                plan.changes.create.push(data);
+            } else if (this.signature(match, exceptions.filter(exception => exception.event_id === match.id)) !== this.signature(data, data.exceptions || [])) {
+                plan.changes.update.push({ id: match.id, data });
+            } else {
+                plan.unchanged++;
+            }
+        });
+
+        // Rejected for another reason than a cancellation: keep what we have
+        const unreadable = new Set(parsed.rejected
+            .map(rejection => rejection.uid)
+            .filter((uid): uid is string => !!uid && !cancelled.has(uid)));
+
+        existing.forEach(event => {
+            const uid = event.external_uid;
+            if (!uid || (!seen.has(uid) && !unreadable.has(uid))) {
+                plan.changes.remove.push(event.id);
+            }
+        });
+
+        return plan;
+    }
+
+    /**
+     * Fetch a source and merge it into the calendar. Errors are recorded
+     * on the source and reported in the result instead of thrown.
+     */
+    static async sync(db: Database, source: CalendarSource, force: boolean = false): Promise<SyncResult> {
+        const sourceModel = new CalendarSourceModel(db);
+        const result: SyncResult = { status: 'synced', added: 0, changed: 0, removed: 0, unchanged: 0, rejected: 0, error: null };
+
+        try {
+            const fetched = await this.fetch(force ? { ...source, etag: null, last_modified: null } : source);
+
+            if (fetched.notModified) {
+                await sourceModel.recordSync(source.id, { error: null });
+                return { ...result, status: 'not-modified' };
+            }
+
+            const parsed = ICalImportService.parse(fetched.content);
+            const eventModel = new EventModel(db);
+            const existing = await eventModel.findBySource(source.user_hash, source.id);
+            const exceptions = await new EventExceptionModel(db).findByEventIds(existing.map(event => event.id));
+            const plan = this.plan(source.user_hash, source.id, parsed, existing, exceptions);
+
+            await eventModel.applyImport(source.user_hash, plan.changes);
+            await sourceModel.recordSync(source.id, {
+                error: null,
+                etag: fetched.etag,
+                last_modified: fetched.lastModified
+            });
+
+            return {
+                ...result,
+                added: plan.changes.create.length,
+                changed: plan.changes.update.length,
+                removed: plan.changes.remove.length,
+                unchanged: plan.unchanged,
+                rejected: plan.rejected
+            };
+
+        } catch (error) {
+            const message = error instanceof Error ? error.message : 'Synchronisierung fehlgeschlagen';
+            console.error(`🔄 Sync of source ${source.id} failed:`, message);
+
+            await sourceModel.recordSync(source.id, { error: message }).catch(recordError => {
+                console.error('Failed to record sync error:', recordError);
+            });
+
+            return { ...result, status: 'failed', error: message };
+        }
+    }
+
+    /**
+     * Sync every source that is due, one after the other
+     */
+    static async syncDue(db: Database): Promise<number> {
+        if (this.running) return 0;
+        this.running = true;
+
+        try {
+            const sources = await new CalendarSourceModel(db).findDue(SYNC_INTERVAL_HOURS);
+            for (const source of sources) {
+                await this.sync(db, source);
+            }
+
+            return sources.length;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Start the background scheduler
+     */
+    static start(db: Database): void {
+        if (this.timer) return;
+
+        const run = () => this.syncDue(db)
+            .then(count => count > 0 && console.log(`🔄 Synced ${count} calendar source(s)`))
+            .catch(error => console.error('🔄 Source sync failed:', error));
+
+        this.timer = setInterval(run, CHECK_INTERVAL_MS);
+        setTimeout(run, 30 * 1000); // Give the database a moment after startup
+    }
+
+    static stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    private static toEventData(userHash: string, sourceId: number, event: ImportedEvent): ImportEventData {
+        return {
+            user_hash: userHash,
+            title: ValidationService.sanitizeString(event.title),
+            event_date: event.event_date,
+            event_time: event.event_time,
+            end_date: event.end_date,
+            end_time: event.end_time,
+            icon: event.icon,
+            description: event.description,
+            recurrence_rule: event.recurrence_rule,
+            external_uid: event.uid,
+            source_id: sourceId,
+            exceptions: event.exceptions
+        };
+    }
+
+    /**
+     * Comparable form of an event and its exceptions
+     */
+    private static signature(
+        event: Pick<Event, 'title' | 'event_date' | 'event_time' | 'end_date' | 'end_time' | 'description' | 'recurrence_rule'> | ImportEventData,
+        exceptions: Array<EventExceptionData & { original_date: string }>
+    ): string {
+        const time = (value: string | null | undefined) => value ? value.substring(0, 8) : '';
+        const date = (value: string | Date | null | undefined) => value ? toDateString(value) : '';
+
+        return JSON.stringify([
+            event.title,
+            date(event.event_date),
+            time(event.event_time),
+            date(event.end_date),
+            time(event.end_time),
+            event.description || '',
+            event.recurrence_rule || '',
+            exceptions
+                .map(exception => [
+                    date(exception.original_date),
+                    !!exception.cancelled,
+                    date(exception.event_date),
+                    time(exception.event_time),
+                    exception.title || '',
+                    exception.description || ''
+                ])
+                .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+        ]);
+    }
+}
@@ -0,0 +1,33 @@
+// 🪦 Tombstone Service - Purge deleted events once feeds have published their cancellation
+// Deleted events stay in the feed as cancelled for TOMBSTONE_DAYS; this job removes them
+// afterwards, whether they were deleted by hand, by an import or by a source sync.
+import { Database } from './database';
+import { EventModel } from '../models/Event';
+
+// How often expired tombstones are looked for
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export class TombstoneService {
+    private static timer: ReturnType<typeof setInterval> | null = null;
+
+    /**
+     * Start the background purge
+     */
+    static start(db: Database): void {
+        if (this.timer) return;
+
+        const run = () => new EventModel(db).purgeTombstones()
+            .then(count => count > 0 && console.log(`🪦 Purged ${count} deleted event(s)`))
+            .catch(error => console.error('🪦 Tombstone purge failed:', error));
+
+        this.timer = setInterval(run, CHECK_INTERVAL_MS);
+        setTimeout(run, 60 * 1000); // Give the database a moment after startup
+    }
+
+    static stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
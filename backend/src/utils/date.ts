@@ -0,0 +1,83 @@
+// 📆 Date utilities - Calendar date arithmetic on plain YYYY-MM-DD strings
+// All calculations run in UTC so results don't depend on the server timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a DATE column value (Date object from mysql2 or string) to YYYY-MM-DD
+ */
+export function toDateString(input: string | Date): string {
+    if (input instanceof Date) {
+        return input.toISOString().split('T')[0];
+    }
+
+    return String(input).substring(0, 10);
+}
+
+/**
+ * Parse YYYY-MM-DD into a Date at UTC midnight
+ */
+export function parseDate(dateString: string): Date {
+    return new Date(`${dateString}T00:00:00.000Z`);
+}
+
+/**
+ * Add (or subtract) days to a YYYY-MM-DD string
+ */
+export function addDays(dateString: string, days: number): string {
+    return toDateString(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+}
+
+/**
+ * Whole days between two YYYY-MM-DD strings (b - a)
+ */
+export function diffDays(a: string, b: string): number {
+    return Math.round((parseDate(b).getTime() - parseDate(a).getTime()) / DAY_MS);
+}
+
+/**
+ * Day of week (0 = Sunday ... 6 = Saturday)
+ */
+export function getWeekday(dateString: string): number {
+    return parseDate(dateString).getUTCDay();
+}
+
+/**
+ * Number of days in a month (month is 1-based)
+ */
+export function daysInMonth(year: number, month: number): number {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Build YYYY-MM-DD from numeric parts (month is 1-based)
+ */
+export function formatDateParts(year: number, month: number, day: number): string {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Today's date as YYYY-MM-DD (UTC, matching the database connection timezone)
+ */
+export function today(): string {
+    return toDateString(new Date());
+}
+
+/**
+ * Wall-clock date (YYYY-MM-DD) and time (HH:MM:SS) of an instant in an IANA timezone
+ */
+export function zonedDateTime(instant: Date, timeZone: string): { date: string; time: string } {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(instant).map(part => [part.type, part.value])
+    );
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}:${parts.second}`
+    };
+}
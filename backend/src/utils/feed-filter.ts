@@ -0,0 +1,80 @@
+// 🔎 Feed filters - Which events an iCal feed URL asks for (?types=&icons=&past=&future=)
+
+// Longest horizon in days, in either direction
+export const MAX_HORIZON_DAYS = 3650;
+const MAX_LIST_ITEMS = 50;
+const MAX_ICON_LENGTH = 50;
+
+export interface FeedFilter {
+    wasteTypeIds: number[];    // Events of these types ...
+    icons: string[];           // ... or with these icons; both empty = all events
+    pastDays: number | null;   // Leave out events that ended more than this many days ago
+    futureDays: number | null; // Leave out events that start more than this many days ahead
+}
+
+export interface FeedFilterResult {
+    filter: FeedFilter;
+    errors: string[];
+}
+
+/**
+ * Filter without any restriction
+ */
+export function emptyFeedFilter(): FeedFilter {
+    return { wasteTypeIds: [], icons: [], pastDays: null, futureDays: null };
+}
+
+/**
+ * Read the filter of a feed request. Lists are comma-separated, horizons whole days.
+ */
+export function parseFeedFilter(params: URLSearchParams): FeedFilterResult {
+    const filter = emptyFeedFilter();
+    const errors: string[] = [];
+
+    const types = splitList(params.get('types'));
+    if (types.some(type => !/^\d+$/.test(type) || Number(type) < 1)) {
+        errors.push('types must be a comma-separated list of waste type ids');
+    } else {
+        filter.wasteTypeIds = [...new Set(types.map(Number))];
+    }
+
+    filter.icons = [...new Set(splitList(params.get('icons')))];
+    if (filter.icons.some(icon => icon.length > MAX_ICON_LENGTH)) {
+        errors.push(`icons must be at most ${MAX_ICON_LENGTH} characters each`);
+    }
+
+    if (filter.wasteTypeIds.length > MAX_LIST_ITEMS || filter.icons.length > MAX_LIST_ITEMS) {
+        errors.push(`types and icons take at most ${MAX_LIST_ITEMS} entries each`);
+    }
+
+    for (const [name, key] of [['past', 'pastDays'], ['future', 'futureDays']] as const) {
+        const value = params.get(name);
+        if (value === null || value === '') continue;
+
+        if (!/^\d+$/.test(value) || Number(value) > MAX_HORIZON_DAYS) {
+            errors.push(`${name} must be a number of days between 0 and ${MAX_HORIZON_DAYS}`);
+        } else {
+            filter[key] = Number(value);
+        }
+    }
+
+    return { filter, errors };
+}
+
+/**
+ * Query parameters of a filter, in a fixed order (feed URLs and cache keys)
+ */
+export function feedFilterParams(filter: FeedFilter): URLSearchParams {
+    const params = new URLSearchParams();
+
+    if (filter.wasteTypeIds.length > 0) params.set('types', [...filter.wasteTypeIds].sort((a, b) => a - b).join(','));
+    if (filter.icons.length > 0) params.set('icons', [...filter.icons].sort().join(','));
+    if (filter.pastDays !== null) params.set('past', String(filter.pastDays));
+    if (filter.futureDays !== null) params.set('future', String(filter.futureDays));
+
+    return params;
+}
+
+function splitList(value: string | null): string[] {
+    return (value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+}
@@ -0,0 +1,157 @@
+// 📐 iCalendar content lines - Writing and reading properties as RFC 5545 §3.1 defines them
+
+// Lines are folded at 75 octets (without the CRLF); continuation lines start with a space
+const MAX_LINE_OCTETS = 75;
+
+// Properties with TEXT values, escaped per §3.3.11. Unknown X- properties are TEXT as well.
+const TEXT_PROPERTIES = new Set([
+    'SUMMARY', 'DESCRIPTION', 'LOCATION', 'COMMENT', 'CONTACT', 'CATEGORIES', 'RESOURCES',
+    'UID', 'PRODID', 'TZID', 'TZNAME', 'COLOR', 'RELATED-TO'
+]);
+
+// X- properties whose values are not TEXT
+const NON_TEXT_EXTENSIONS = new Set(['X-PUBLISHED-TTL']);
+
+/**
+ * Property as read from a content line, with the line it starts on
+ */
+export interface ContentLine {
+    line: number;
+    name: string;                   // Upper case
+    params: Record<string, string>; // Upper-case names, values without quotes
+    value: string;                  // Raw value, still escaped
+}
+
+export function isTextProperty(name: string): boolean {
+    const upper = name.toUpperCase();
+    return TEXT_PROPERTIES.has(upper) || (upper.startsWith('X-') && !NON_TEXT_EXTENSIONS.has(upper));
+}
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and newlines; other control characters are dropped
+ */
+export function escapeText(text: string): string {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\x00-\x08\x0B-\x1F\x7F]/g, '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Undo TEXT escaping
+ */
+export function unescapeText(text: string): string {
+    return text.replace(/\\([\\;,nN])/g, (_, char: string) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+/**
+ * Parameter value, quoted if it contains ; : or , (DQUOTE and control characters can't be written at all)
+ */
+export function formatParameterValue(value: string): string {
+    const cleaned = value.replace(/["\x00-\x08\x0A-\x1F\x7F]/g, '');
+    return /[;:,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * Octets of a code point in UTF-8
+ */
+function utf8Length(codePoint: number): number {
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    if (codePoint < 0x10000) return 3;
+    return 4;
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, never inside a UTF-8 character
+ */
+export function foldLine(line: string): string {
+    const parts: string[] = [];
+    let current = '';
+    let octets = 0;
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+        const size = utf8Length(char.codePointAt(0)!);
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+            limit = MAX_LINE_OCTETS - 1; // The leading space counts
+        }
+        current += char;
+        octets += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Serialize a property: TEXT values are escaped (lists item by item), parameter
+ * values quoted where needed, and the line folded
+ */
+export function contentLine(name: string, value: string | string[], params: Record<string, string> = {}): string {
+    const text = isTextProperty(name);
+    const values = Array.isArray(value) ? value : [value];
+    const formatted = values.map(item => text ? escapeText(item) : item).join(',');
+    const parameters = Object.entries(params)
+        .map(([param, paramValue]) => `;${param}=${formatParameterValue(paramValue)}`)
+        .join('');
+
+    return foldLine(`${name}${parameters}:${formatted}`);
+}
+
+/**
+ * Join content lines into an iCalendar stream (CRLF after every line)
+ */
+export function serializeLines(lines: string[]): string {
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Unfold a stream into logical lines with the physical line they start on
+ */
+export function unfoldLines(content: string): Array<{ line: number; text: string }> {
+    const unfolded: Array<{ line: number; text: string }> = [];
+
+    content.split(/\r?\n/).forEach((text, index) => {
+        if ((text.startsWith(' ') || text.startsWith('\t')) && unfolded.length > 0) {
+            unfolded[unfolded.length - 1].text += text.substring(1);
+        } else {
+            unfolded.push({ line: index + 1, text });
+        }
+    });
+
+    // The stream ends with CRLF, which leaves an empty last entry
+    if (unfolded.length > 0 && unfolded[unfolded.length - 1].text === '') {
+        unfolded.pop();
+    }
+
+    return unfolded;
+}
+
+/**
+ * Split "NAME;PARAM=value;PARAM="quoted:value":VALUE", null if the line is not a property
+ */
+export function parseContentLine(text: string, line: number = 0): ContentLine | null {
+    const match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"\x00-\x1F]*"|[^";:,\x00-\x1F]*)(?:,(?:"[^"\x00-\x1F]*"|[^";:,\x00-\x1F]*))*)*):(.*)$/.exec(text);
+    if (!match) {
+        return null;
+    }
+
+    const params: Record<string, string> = {};
+    for (const param of match[2].matchAll(/;([A-Za-z0-9-]+)=((?:"[^"]*"|[^;]*))/g)) {
+        params[param[1].toUpperCase()] = param[2].replace(/^"|"$/g, '');
+    }
+
+    return {
+        line,
+        name: match[1].toUpperCase(),
+        params,
+        value: match[3]
+    };
+}
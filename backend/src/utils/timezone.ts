@@ -0,0 +1,140 @@
+// 🌍 Timezone utilities - Wall-clock times of IANA zones from the runtime's tz data (Intl)
+// Nothing here depends on the timezone the server itself runs in.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Zone of calendars that did not pick one (REMINDER_TIMEZONE is its older name, still read for existing setups)
+export const DEFAULT_TIMEZONE = process.env.CALENDAR_TIMEZONE || process.env.REMINDER_TIMEZONE || 'Europe/Berlin';
+
+/**
+ * Change of the UTC offset of a zone (start or end of daylight saving time, or a new standard offset)
+ */
+export interface TimeZoneTransition {
+    instant: Date;
+    offsetFrom: number; // Minutes east of UTC before the change
+    offsetTo: number;   // Minutes east of UTC after the change
+}
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+const transitionCache = new Map<string, TimeZoneTransition[]>();
+
+function formatter(timeZone: string): Intl.DateTimeFormat {
+    let format = formatters.get(timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            hourCycle: 'h23'
+        });
+        formatters.set(timeZone, format);
+    }
+
+    return format;
+}
+
+/**
+ * Canonical name of an IANA zone ('europe/berlin' -> 'Europe/Berlin'), null if unknown
+ */
+export function normalizeTimeZone(timeZone: unknown): string | null {
+    if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64 || !/^[A-Za-z_]/.test(timeZone)) {
+        return null;
+    }
+
+    try {
+        return new Intl.DateTimeFormat('en', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * UTC offset of a zone at an instant, in minutes east of UTC
+ */
+export function timeZoneOffset(instant: Date, timeZone: string): number {
+    const parts = Object.fromEntries(formatter(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+    const wallClock = Date.UTC(
+        Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+        Number(parts.hour), Number(parts.minute), Number(parts.second)
+    );
+
+    return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * Instant of a wall-clock date (YYYY-MM-DD) and time (HH:MM[:SS]) in a zone. As in RFC 5545,
+ * a time repeated by a DST change means its first occurrence and a skipped time is read
+ * with the offset before the change.
+ */
+export function zonedToInstant(date: string, time: string, timeZone: string): Date {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    const before = timeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+    const after = timeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+
+    for (const offset of [before, after]) {
+        const instant = wallClock - offset * MINUTE_MS;
+        if (timeZoneOffset(new Date(instant), timeZone) === offset) {
+            return new Date(instant);
+        }
+    }
+
+    return new Date(wallClock - before * MINUTE_MS);
+}
+
+/**
+ * Offset changes of a zone within a calendar year (UTC), oldest first
+ */
+export function timeZoneTransitions(timeZone: string, year: number): TimeZoneTransition[] {
+    const key = `${timeZone}:${year}`;
+    const cached = transitionCache.get(key);
+    if (cached) {
+        return cached;
+    }
+
+    const transitions: TimeZoneTransition[] = [];
+    const end = Date.UTC(year + 1, 0, 1);
+    let time = Date.UTC(year, 0, 1);
+    let offset = timeZoneOffset(new Date(time), timeZone);
+
+    // Day by day, then narrowed down to the minute
+    while (time < end) {
+        const next = Math.min(time + DAY_MS, end);
+        const nextOffset = timeZoneOffset(new Date(next), timeZone);
+
+        if (nextOffset !== offset) {
+            let low = time;
+            let high = next;
+            while (high - low > MINUTE_MS) {
+                const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+                if (timeZoneOffset(new Date(middle), timeZone) === offset) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+
+            transitions.push({ instant: new Date(high), offsetFrom: offset, offsetTo: nextOffset });
+            offset = nextOffset;
+        }
+
+        time = next;
+    }
+
+    transitionCache.set(key, transitions);
+    return transitions;
+}
+
+/**
+ * Short name of a zone at an instant (EST, CEST, ...), null where the tz data only knows GMT+1 and the like
+ */
+export function timeZoneAbbreviation(instant: Date, timeZone: string): string | null {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(instant)
+        .find(part => part.type === 'timeZoneName')?.value;
+
+    return name && /^[A-Z]{2,5}$/.test(name) ? name : null;
+}
@@ -1,4 +1,10 @@
 // ✅ Validation utilities for YATWA API
+import { RecurrenceService } from '../services/recurrence';
+import { HolidayService } from '../services/holidays';
+import { EMAIL_LOCALES, EmailTemplates } from '../services/email-templates';
+import { normalizeTimeZone } from './timezone';
+import { diffDays } from './date';
+
 export interface ValidationResult {
     isValid: boolean;
     errors: string[];
@@ -8,8 +14,21 @@ export interface EventValidationData {
     title?: string;
     event_date?: string;
     event_time?: string | null;
+    end_date?: string | null;
+    end_time?: string | null;
     icon?: string;
     description?: string | null;
+    recurrence_rule?: string | null;
+    waste_type_id?: number | null;
+    reminder_minutes?: number | null;
+}
+
+export interface WasteTypeValidationData {
+    name?: unknown;
+    color?: unknown;
+    icon?: unknown;
+    default_reminder_minutes?: unknown;
+    default_time?: unknown;
 }
 
 // Available icons for events
@@ -19,6 +38,12 @@ export const VALID_ICONS = [
     '🧹', '🗑️', '♻️', '🚮', '🏃', '🎯', '💡', '⭐', '❤️', '🎁'
 ];
 
+// Reminders reach at most a week ahead
+const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+
+// Longest multi-day event, e.g. a bulky waste collection window
+const MAX_EVENT_SPAN_DAYS = 31;
+
 export class ValidationService {
 
     /**
@@ -50,6 +75,9 @@ export class ValidationService {
             }
         }
 
+        // End validation (optional)
+        errors.push(...this.validateEventEnd(data));
+
         // Icon validation
         if (data.icon && !VALID_ICONS.includes(data.icon)) {
             errors.push(`Ungültiges Icon. Erlaubte Icons: ${VALID_ICONS.join(', ')}`);
@@ -60,6 +88,21 @@ export class ValidationService {
             errors.push('Beschreibung ist zu lang (max. 1000 Zeichen)');
         }
 
+        // Recurrence validation (optional)
+        if (data.recurrence_rule !== undefined && data.recurrence_rule !== null) {
+            errors.push(...this.validateRecurrenceRule(data.recurrence_rule, data.event_date));
+        }
+
+        // Waste type validation (optional, ownership is checked by the route)
+        if (data.waste_type_id !== undefined && data.waste_type_id !== null && !this.isValidId(data.waste_type_id)) {
+            errors.push('Ungültige Abfallart');
+        }
+
+        // Reminder validation (optional)
+        if (data.reminder_minutes !== undefined && data.reminder_minutes !== null && !this.isValidReminder(data.reminder_minutes)) {
+            errors.push('Erinnerung muss zwischen 0 und 10080 Minuten (7 Tage) liegen');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -97,6 +140,9 @@ export class ValidationService {
             }
         }
 
+        // End validation (if provided; compared with the start by the route, against the stored event)
+        errors.push(...this.validateEndFormat(data));
+
         // Icon validation (if provided)
         if (data.icon !== undefined && data.icon && !VALID_ICONS.includes(data.icon)) {
             errors.push(`Ungültiges Icon. Erlaubte Icons: ${VALID_ICONS.join(', ')}`);
@@ -108,12 +154,133 @@ export class ValidationService {
             errors.push('Beschreibung ist zu lang (max. 1000 Zeichen)');
         }
 
+        // Recurrence validation (if provided)
+        if (data.recurrence_rule !== undefined && data.recurrence_rule !== null) {
+            errors.push(...this.validateRecurrenceRule(data.recurrence_rule, data.event_date));
+        }
+
+        // Waste type validation (optional, ownership is checked by the route)
+        if (data.waste_type_id !== undefined && data.waste_type_id !== null && !this.isValidId(data.waste_type_id)) {
+            errors.push('Ungültige Abfallart');
+        }
+
+        // Reminder validation (optional)
+        if (data.reminder_minutes !== undefined && data.reminder_minutes !== null && !this.isValidReminder(data.reminder_minutes)) {
+            errors.push('Erinnerung muss zwischen 0 und 10080 Minuten (7 Tage) liegen');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
         };
     }
 
+    /**
+     * Validate the end of an event against its start. Updates pass the stored event merged with the changes.
+     */
+    static validateEventEnd(data: EventValidationData): string[] {
+        const errors = this.validateEndFormat(data);
+        if (errors.length > 0 || typeof data.event_date !== 'string' || !this.isValidDate(data.event_date)) {
+            return errors;
+        }
+
+        if (data.end_time && !data.event_time) {
+            errors.push('Endzeit braucht eine Startzeit');
+        } else if (data.end_date && data.event_time && !data.end_time) {
+            errors.push('Mehrtägige Termine mit Uhrzeit brauchen eine Endzeit');
+        }
+
+        const span = data.end_date ? diffDays(data.event_date, data.end_date) : 0;
+        if (span < 0) {
+            errors.push('Ende darf nicht vor dem Beginn liegen');
+        } else if (span > MAX_EVENT_SPAN_DAYS) {
+            errors.push(`Termin darf höchstens ${MAX_EVENT_SPAN_DAYS} Tage dauern`);
+        } else if (span === 0 && data.event_time && data.end_time && typeof data.event_time === 'string' &&
+            this.isValidTime(data.event_time) &&
+            this.formatTimeString(data.end_time) <= this.formatTimeString(data.event_time)) {
+            errors.push('Ende muss nach dem Beginn liegen');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Formats of end date and end time (both optional)
+     */
+    private static validateEndFormat(data: EventValidationData): string[] {
+        const errors: string[] = [];
+
+        if (data.end_date !== undefined && data.end_date !== null &&
+            (typeof data.end_date !== 'string' || !this.isValidDate(data.end_date))) {
+            errors.push('Ungültiges Enddatum (erwartet: YYYY-MM-DD)');
+        }
+
+        if (data.end_time !== undefined && data.end_time !== null &&
+            (typeof data.end_time !== 'string' || !this.isValidTime(data.end_time))) {
+            errors.push('Ungültige Endzeit (erwartet: HH:MM oder HH:MM:SS)');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a waste type; on create, name, colour and icon are required
+     */
+    static validateWasteType(data: WasteTypeValidationData, isUpdate: boolean = false): ValidationResult {
+        const errors: string[] = [];
+
+        if (data.name !== undefined || !isUpdate) {
+            if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+                errors.push('Name ist erforderlich');
+            } else if (data.name.length > 100) {
+                errors.push('Name ist zu lang (max. 100 Zeichen)');
+            }
+        }
+
+        if (data.color !== undefined || !isUpdate) {
+            if (typeof data.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(data.color)) {
+                errors.push('Ungültige Farbe (erwartet: #RRGGBB)');
+            }
+        }
+
+        if (data.icon !== undefined || !isUpdate) {
+            if (typeof data.icon !== 'string' || !VALID_ICONS.includes(data.icon)) {
+                errors.push(`Ungültiges Icon. Erlaubte Icons: ${VALID_ICONS.join(', ')}`);
+            }
+        }
+
+        if (data.default_reminder_minutes !== undefined && data.default_reminder_minutes !== null &&
+            !this.isValidReminder(data.default_reminder_minutes)) {
+            errors.push('Erinnerung muss zwischen 0 und 10080 Minuten (7 Tage) liegen');
+        }
+
+        if (data.default_time !== undefined && data.default_time !== null) {
+            if (typeof data.default_time !== 'string' || !this.isValidTime(data.default_time)) {
+                errors.push('Ungültige Bereitstellungszeit (erwartet: HH:MM oder HH:MM:SS)');
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate recurrence rule (RRULE value like FREQ=WEEKLY;INTERVAL=2)
+     */
+    static validateRecurrenceRule(rule: unknown, startDate?: string): string[] {
+        if (typeof rule !== 'string') {
+            return ['Wiederholungsregel muss ein String sein'];
+        }
+
+        if (rule.length > 255) {
+            return ['Wiederholungsregel ist zu lang (max. 255 Zeichen)'];
+        }
+
+        return RecurrenceService.validate(rule, startDate && this.isValidDate(startDate) ? startDate : undefined);
+    }
+
     /**
      * Validate date string (YYYY-MM-DD format)
      */
@@ -142,6 +309,27 @@ export class ValidationService {
         return timeRegex.test(timeString);
     }
 
+    /**
+     * Validate a reminder offset in minutes (0 = none, at most a week)
+     */
+    static isValidReminder(minutes: unknown): boolean {
+        return typeof minutes === 'number' && Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_REMINDER_MINUTES;
+    }
+
+    /**
+     * Validate a database ID (positive integer)
+     */
+    static isValidId(id: unknown): boolean {
+        return typeof id === 'number' && Number.isInteger(id) && id > 0;
+    }
+
+    /**
+     * Validate an email address (pragmatic check, the mail server has the last word)
+     */
+    static isValidEmail(email: string): boolean {
+        return email.length <= 255 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    }
+
     /**
      * Validate hash format
      */
@@ -231,6 +419,78 @@ export class ValidationService {
         };
     }
 
+    /**
+     * Validate calendar settings update
+     */
+    static validateSettings(data: {
+        holiday_region?: unknown;
+        holiday_shift?: unknown;
+        default_reminder_minutes?: unknown;
+        all_day_reminder_time?: unknown;
+        reminder_email?: unknown;
+        quiet_hours_start?: unknown;
+        quiet_hours_end?: unknown;
+        weekly_digest?: unknown;
+        email_locale?: unknown;
+        timezone?: unknown;
+    }): ValidationResult {
+        const errors: string[] = [];
+
+        if (data.holiday_region !== undefined && data.holiday_region !== null) {
+            if (typeof data.holiday_region !== 'string' || !HolidayService.isValidRegion(data.holiday_region)) {
+                errors.push('Ungültiges Bundesland');
+            }
+        }
+
+        if (data.holiday_shift !== undefined && typeof data.holiday_shift !== 'boolean') {
+            errors.push('holiday_shift muss true oder false sein');
+        }
+
+        if (data.default_reminder_minutes !== undefined && data.default_reminder_minutes !== null &&
+            !this.isValidReminder(data.default_reminder_minutes)) {
+            errors.push('Erinnerung muss zwischen 0 und 10080 Minuten (7 Tage) liegen');
+        }
+
+        if (data.all_day_reminder_time !== undefined &&
+            (typeof data.all_day_reminder_time !== 'string' || !this.isValidTime(data.all_day_reminder_time))) {
+            errors.push('Ungültige Erinnerungszeit (erwartet: HH:MM oder HH:MM:SS)');
+        }
+
+        if (data.reminder_email !== undefined && data.reminder_email !== null &&
+            (typeof data.reminder_email !== 'string' || !this.isValidEmail(data.reminder_email))) {
+            errors.push('Ungültige E-Mail-Adresse');
+        }
+
+        (['quiet_hours_start', 'quiet_hours_end'] as const).forEach(field => {
+            const value = data[field];
+            if (value !== undefined && value !== null && (typeof value !== 'string' || !this.isValidTime(value))) {
+                errors.push('Ungültige Ruhezeit (erwartet: HH:MM oder HH:MM:SS)');
+            }
+        });
+
+        if (data.quiet_hours_start !== undefined && data.quiet_hours_end !== undefined &&
+            !data.quiet_hours_start !== !data.quiet_hours_end) {
+            errors.push('Ruhezeit braucht Beginn und Ende');
+        }
+
+        if (data.weekly_digest !== undefined && typeof data.weekly_digest !== 'boolean') {
+            errors.push('weekly_digest muss true oder false sein');
+        }
+
+        if (data.email_locale !== undefined && !EmailTemplates.isValidLocale(data.email_locale)) {
+            errors.push(`Ungültige Sprache (erlaubt: ${EMAIL_LOCALES.join(', ')})`);
+        }
+
+        if (data.timezone !== undefined && !normalizeTimeZone(data.timezone)) {
+            errors.push('Ungültige Zeitzone (erwartet: IANA-Name wie Europe/Berlin)');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
     /**
      * Sanitize string input
      */
@@ -0,0 +1,42 @@
+// ♻️ Waste utilities - Recognize waste types in free text (calendar titles, schedules)
+
+export interface WasteKind {
+    id: string;
+    name: string;
+    icon: string;        // One of VALID_ICONS
+    color: string;       // Usual bin colour, #RRGGBB
+    keywords: string[];  // Lowercase, matched as substrings
+}
+
+// Order matters: more specific kinds first ("Sperrmüll" before "Restmüll"/"müll")
+export const WASTE_KINDS: WasteKind[] = [
+    { id: 'bulky', name: 'Sperrmüll', icon: '🚮', color: '#7c3aed', keywords: ['sperrmüll', 'sperrgut', 'sperrmuell'] },
+    { id: 'hazardous', name: 'Schadstoffe', icon: '🚮', color: '#dc2626', keywords: ['schadstoff', 'sondermüll', 'giftmobil'] },
+    { id: 'organic', name: 'Biotonne', icon: '🚮', color: '#92400e', keywords: ['bio', 'kompost', 'grünschnitt', 'grüngut', 'laub'] },
+    { id: 'paper', name: 'Papier', icon: '♻️', color: '#2563eb', keywords: ['papier', 'pappe', 'blaue tonne', 'ppk', 'karton'] },
+    { id: 'packaging', name: 'Gelber Sack', icon: '♻️', color: '#eab308', keywords: ['gelb', 'wertstoff', 'verpackung', 'leichtverpackung', 'lvp'] },
+    { id: 'glass', name: 'Glas', icon: '♻️', color: '#16a34a', keywords: ['glas', 'altglas'] },
+    { id: 'tree', name: 'Weihnachtsbaum', icon: '🗑️', color: '#15803d', keywords: ['weihnachtsbaum', 'tannenbaum', 'christbaum'] },
+    { id: 'residual', name: 'Restmüll', icon: '🗑️', color: '#4b5563', keywords: ['restmüll', 'restabfall', 'hausmüll', 'restmuell', 'graue tonne', 'schwarze tonne', 'rest'] }
+];
+
+/**
+ * Find the waste kind mentioned in a text, or null
+ */
+export function detectWasteKind(text: string): WasteKind | null {
+    const normalized = text.toLowerCase();
+    return WASTE_KINDS.find(kind => kind.keywords.some(keyword => normalized.includes(keyword))) || null;
+}
+
+/**
+ * Icon for a calendar title, falling back to the generic trash can for
+ * anything that looks like a collection ("Abfuhr", "Leerung", "Tonne")
+ */
+export function wasteIconForTitle(title: string): string {
+    const kind = detectWasteKind(title);
+    if (kind) {
+        return kind.icon;
+    }
+
+    return /abfuhr|leerung|tonne|müll|abfall/i.test(title) ? '🗑️' : '📅';
+}
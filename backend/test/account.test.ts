@@ -0,0 +1,83 @@
+import { describe, expect, test } from 'bun:test';
+import { AccountService, ARCHIVE_FORMAT } from '../src/services/account';
+import { userRoutes } from '../src/routes/users';
+import { Database } from '../src/services/database';
+import { fakeDatabase, HASH } from './helpers';
+
+/**
+ * Calendar whose queries are answered by the first table they read from
+ */
+function calendarDatabase(userExists: boolean = true) {
+    const created = new Date('2025-01-01T10:00:00Z');
+
+    const rows: Record<string, any[]> = {
+        users: userExists ? [{ id: 1, hash: HASH, created_at: created, last_accessed: created }] : [],
+        calendar_settings: [],
+        calendar_sources: [{ id: 2, user_hash: HASH, url: 'https://example.org/abfall.ics', etag: '"abc"', last_modified: 'x', event_count: '12' }],
+        waste_types: [{ id: 3, user_hash: HASH, name: 'Papier', color: '#2196F3', icon: '📄' }],
+        event_exceptions: [],
+        events: [{ id: 7, user_hash: HASH, title: 'Papier', event_date: new Date('2025-03-04T00:00:00Z'), event_time: null }],
+        share_tokens: [{ id: 4, user_hash: HASH, token: 'b'.repeat(40), label: 'Omas iPad' }],
+        email_bindings: [{ id: 5, user_hash: HASH, email_hash: 'c'.repeat(64), confirmed_at: created, created_at: created }],
+        email_outbox: [{ id: 6, recipient: 'anwohner@example.org', subject: 'Erinnerung', status: 'sent' }]
+    };
+
+    const table = (sql: string) => Object.keys(rows).find(name => new RegExp(`FROM ${name}\\b`).test(sql)) || '';
+
+    const { db, statements } = fakeDatabase({
+        query: sql => rows[table(sql)] || [],
+        queryOne: sql => (rows[table(sql)] || [])[0] || null,
+        execute: () => ({ affectedRows: userExists ? 1 : 0 })
+    });
+    const executed = () => statements.filter(statement => statement.sql.startsWith('DELETE')).map(statement => statement.sql);
+
+    return { db, executed };
+}
+
+describe('AccountService.exportArchive', () => {
+    test('collects every table of the calendar without repeating the hash', async () => {
+        const { db } = calendarDatabase();
+        const archive = await AccountService.exportArchive(db, HASH);
+
+        expect(archive?.format).toBe(ARCHIVE_FORMAT);
+        expect(archive?.user.hash).toBe(HASH);
+        expect(archive?.events[0].event_date).toBe('2025-03-04');
+        expect(archive?.waste_types[0]).not.toHaveProperty('user_hash');
+        expect(archive?.sources[0]).not.toHaveProperty('etag');
+        expect(archive?.sources[0].event_count).toBe(12);
+        expect(archive?.share_tokens[0].label).toBe('Omas iPad');
+        expect(archive?.recovery_email?.status).toBe('confirmed');
+        expect(archive?.recovery_email).not.toHaveProperty('email_hash');
+        expect(archive?.emails[0].recipient).toBe('anwohner@example.org');
+        expect(archive?.settings.email_locale).toBe('de');
+    });
+
+    test('returns null for unknown hashes', async () => {
+        const { db } = calendarDatabase(false);
+
+        expect(await AccountService.exportArchive(db, HASH)).toBeNull();
+    });
+});
+
+describe('userRoutes.deleteUser', () => {
+    const remove = (db: Database, query: string) => userRoutes.deleteUser(db)(
+        new Request(`http://localhost/api/users/${HASH}${query}`, { method: 'DELETE' }),
+        { hash: HASH }
+    );
+
+    test('needs the hash repeated as confirmation', async () => {
+        const { db, executed } = calendarDatabase();
+
+        expect((await remove(db, '')).status).toBe(400);
+        expect((await remove(db, '?confirm=1')).status).toBe(400);
+        expect(executed()).toHaveLength(0);
+    });
+
+    test('deletes events and user when confirmed', async () => {
+        const { db, executed } = calendarDatabase();
+        const response = await remove(db, `?confirm=${HASH}`);
+
+        expect(response.status).toBe(200);
+        expect(executed()).toEqual(['DELETE FROM events WHERE user_hash = ?', 'DELETE FROM users WHERE hash = ?']);
+    });
+});
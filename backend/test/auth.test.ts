@@ -0,0 +1,72 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { authRoutes } from '../src/routes/auth';
+import { OutboxService } from '../src/services/outbox';
+import { Database } from '../src/services/database';
+import { fakeDatabase, HASH } from './helpers';
+
+/**
+ * Database for a registration: new hashes are free, the outbox may hold a failed mail
+ */
+function registrationDatabase(lastError: string | null = null) {
+    return fakeDatabase({
+        queryOne: sql => {
+            if (sql.includes('COUNT(*)')) return { count: 0 };
+            if (sql.includes('FROM users')) return { id: 1, hash: HASH, created_at: new Date(), last_accessed: new Date() };
+            if (sql.includes('last_error')) return lastError && { last_error: lastError, last_attempt_at: new Date(), status: 'dead' };
+            return null;
+        }
+    });
+}
+
+const register = (db: Database, body: unknown) => authRoutes.register(db)(
+    new Request('http://localhost/api/register', { method: 'POST', body: JSON.stringify(body) }),
+    {}
+);
+
+describe('authRoutes.register', () => {
+    const previousTransport = process.env.EMAIL_TRANSPORT;
+
+    afterEach(() => {
+        process.env.EMAIL_TRANSPORT = previousTransport;
+        if (previousTransport === undefined) delete process.env.EMAIL_TRANSPORT;
+    });
+
+    test('reports the link mail as queued, not as sent', async () => {
+        process.env.EMAIL_TRANSPORT = 'smtp';
+        const { db, statements } = registrationDatabase();
+        const data = await (await register(db, { email: 'anwohner@example.org' })).json();
+
+        expect(data.emailSent).toBe(false);
+        expect(data.emailQueued).toBe(true);
+        expect(data.message).toBe('Hash erfolgreich erstellt und E-Mail zum Versand eingereiht');
+        expect(statements.some(statement => statement.sql.startsWith('INSERT INTO email_outbox'))).toBe(true);
+    });
+
+    test('says so when mail is only simulated', async () => {
+        process.env.EMAIL_TRANSPORT = 'simulate';
+        const { db, statements } = registrationDatabase();
+        const data = await (await register(db, { email: 'anwohner@example.org' })).json();
+
+        expect(data.emailSent).toBe(false);
+        expect(data.emailQueued).toBe(false);
+        expect(data.message).toBe('Hash erfolgreich erstellt (E-Mail-Versand nicht verfügbar)');
+        expect(statements.some(statement => statement.sql.includes('email_outbox'))).toBe(false);
+    });
+});
+
+describe('authRoutes.emailStatus', () => {
+    test('names the kind of the last failure, not its message', async () => {
+        const { db } = registrationDatabase('550 5.1.1 <anwohner@example.org>: Recipient address rejected');
+        const data = await (await authRoutes.emailStatus(db)(new Request('http://localhost/api/email-status'), {})).json();
+
+        expect(data.queue.lastFailure.category).toBe('rejected');
+        expect(JSON.stringify(data)).not.toContain('anwohner@example.org');
+    });
+
+    test('sorts SMTP and network errors', () => {
+        expect(OutboxService.errorCategory('connect ECONNREFUSED 127.0.0.1:587')).toBe('connection');
+        expect(OutboxService.errorCategory('Invalid login: 535 5.7.8 Authentication failed')).toBe('authentication');
+        expect(OutboxService.errorCategory('421 Service not available')).toBe('temporary');
+        expect(OutboxService.errorCategory('something else')).toBe('unknown');
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, expect, test } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { CsvService } from '../src/services/csv';
+import { event } from './helpers';
+
+const fixture = (name: string) => readFileSync(join(import.meta.dir, 'fixtures/import', name), 'utf-8');
+
+describe('CsvService.parse', () => {
+    test('detects the delimiter and keeps quoted delimiters, quotes and line breaks', () => {
+        expect(CsvService.parse('Datum,Titel\n07.01.2025,"Papier, Pappe"')).toEqual([['Datum', 'Titel'], ['07.01.2025', 'Papier, Pappe']]);
+        expect(CsvService.parse('Datum\tTitel\r\n07.01.2025\t"Die ""gelbe"" Tonne"\r\n')).toEqual([['Datum', 'Titel'], ['07.01.2025', 'Die "gelbe" Tonne']]);
+        expect(CsvService.parse('"Hinweis\nzweite Zeile";x')).toEqual([['Hinweis\nzweite Zeile', 'x']]);
+    });
+});
+
+describe('CsvService.parseEvents', () => {
+    const { events, rejected } = CsvService.parseEvents(fixture('abfuhrtermine.csv'));
+
+    test('imports a German spreadsheet export by its header names, sanitizing descriptions', () => {
+        expect(events.map(event => [event.line, event.title, event.event_date, event.event_time, event.icon])).toEqual([
+            [2, 'Restmüll', '2025-01-07', '06:30:00', '🗑️'],
+            [3, 'Altpapier', '2025-01-10', null, '♻️'],
+            [4, 'Gelber Sack', '2025-01-14', '07:00:00', '♻️']
+        ]);
+        expect(events[0].recurrence_rule).toBe('FREQ=WEEKLY;INTERVAL=2');
+        expect(events[1].description).toBe('Bündeln; nicht in Kartons');
+        expect(events[2].description).toBe('Säcke ab 6 Uhr an die Straße stellen');
+    });
+
+    test('rejects malformed rows with their spreadsheet row number', () => {
+        expect(rejected).toEqual([
+            { line: 6, uid: null, title: 'Biotonne', errors: ['Ungültiges Datum "31.02.2025" (erwartet: TT.MM.JJJJ)'] },
+            { line: 7, uid: null, title: 'Glas', errors: ['Ungültige Uhrzeit "25:00" (erwartet: HH:MM)'] },
+            { line: 8, uid: null, title: null, errors: ['Titel ist erforderlich'] },
+            { line: 9, uid: null, title: 'Sperrmüll', errors: ['Nicht unterstützter Regelbestandteil: BYMONTHDAY'] }
+        ]);
+    });
+
+    test('maps columns by name or number', () => {
+        const { events: [mapped] } = CsvService.parseEvents('Wann;Was;Notiz\n6.1.25;Biotonne;Tonne rausstellen', { date: '1', title: 'Was', description: '3' });
+
+        expect(mapped).toMatchObject({ event_date: '2025-01-06', title: 'Biotonne', description: 'Tonne rausstellen' });
+    });
+
+    test('refuses files without date and title columns or without content', () => {
+        expect(() => CsvService.parseEvents('Spalte A;Spalte B\n07.01.2025;Restmüll')).toThrow('Spalten für Datum und Titel nicht gefunden');
+        expect(() => CsvService.parseEvents('Datum;Titel', { time: 'Uhrzeit' })).toThrow('Spalte "Uhrzeit" für time nicht gefunden');
+        expect(() => CsvService.parseEvents('\uFEFF;;\r\n\r\n')).toThrow('Die CSV-Datei ist leer');
+    });
+});
+
+describe('CsvService.exportEvents', () => {
+    test('writes German dates and reads back what it wrote', () => {
+        const csv = CsvService.exportEvents([
+            event({ event_date: '2025-01-07', event_time: '06:30:00', recurrence_rule: 'FREQ=WEEKLY;INTERVAL=2' }),
+            event({ title: '=Papier', event_date: '2025-01-10', description: 'Bündeln; nicht in Kartons' })
+        ]);
+
+        expect(csv).toStartWith('\uFEFFDatum;Uhrzeit;Titel;Icon;Beschreibung;Wiederholung\r\n07.01.2025;06:30;Restmüll;🗑️;;"FREQ=WEEKLY;INTERVAL=2"\r\n');
+        expect(csv).toContain(`10.01.2025;;'=Papier;`);
+
+        const { events, rejected } = CsvService.parseEvents(csv);
+        expect(rejected).toEqual([]);
+        expect(events.map(event => [event.event_date, event.event_time, event.description, event.recurrence_rule])).toEqual([
+            ['2025-01-07', '06:30:00', null, 'FREQ=WEEKLY;INTERVAL=2'],
+            ['2025-01-10', null, 'Bündeln; nicht in Kartons', null]
+        ]);
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, test } from 'bun:test';
+import { DigestService } from '../src/services/digest';
+import { CalendarSettings } from '../src/models/CalendarSettings';
+import { EventOccurrence } from '../src/models/Event';
+import { event, HASH } from './helpers';
+
+function occurrence(id: number, title: string, date: string, time: string | null = null): EventOccurrence {
+    return {
+        ...event({ id, title, event_date: date, event_time: time }),
+        series_start: null,
+        recurrence_id: null,
+        is_moved: false,
+        holiday: null
+    };
+}
+
+function settings(data: Partial<CalendarSettings> = {}): CalendarSettings {
+    return {
+        user_hash: HASH,
+        holiday_region: null,
+        holiday_shift: false,
+        default_reminder_minutes: null,
+        all_day_reminder_time: '19:00:00',
+        reminder_email: 'anwohner@example.org',
+        quiet_hours_start: null,
+        quiet_hours_end: null,
+        weekly_digest: true,
+        digest_sent_week: null,
+        email_locale: 'de',
+        timezone: 'Europe/Berlin',
+        ...data
+    };
+}
+
+describe('DigestService.comingWeek', () => {
+    test('is the Monday to Sunday after a date', () => {
+        expect(DigestService.comingWeek('2025-06-08')).toEqual({ start: '2025-06-09', end: '2025-06-15' });
+        expect(DigestService.comingWeek('2025-06-09')).toEqual({ start: '2025-06-16', end: '2025-06-22' });
+        expect(DigestService.comingWeek('2025-06-14')).toEqual({ start: '2025-06-16', end: '2025-06-22' });
+    });
+});
+
+describe('DigestService.isDue', () => {
+    test('is due on Sunday evening only', () => {
+        expect(DigestService.isDue(settings(), '2025-06-08', '19:30:00')).toBe(true);
+        expect(DigestService.isDue(settings(), '2025-06-08', '12:00:00')).toBe(false);
+        expect(DigestService.isDue(settings(), '2025-06-07', '19:30:00')).toBe(false);
+    });
+
+    test('is not due once sent for the week, when switched off or in quiet hours', () => {
+        expect(DigestService.isDue(settings({ digest_sent_week: '2025-06-09' }), '2025-06-08', '19:30:00')).toBe(false);
+        expect(DigestService.isDue(settings({ weekly_digest: false }), '2025-06-08', '19:30:00')).toBe(false);
+        expect(DigestService.isDue(settings({ quiet_hours_start: '19:00:00', quiet_hours_end: '20:00:00' }), '2025-06-08', '19:30:00')).toBe(false);
+    });
+});
+
+describe('DigestService.render', () => {
+    const week = { start: '2025-06-09', end: '2025-06-15' };
+    const days = DigestService.groupByDay([
+        occurrence(1, 'Restmüll', '2025-06-11'),
+        occurrence(2, 'Papier', '2025-06-09', '06:30:00'),
+        occurrence(3, 'Gelber Sack', '2025-06-11'),
+        occurrence(4, 'Bioabfall', '2025-06-16')
+    ], week);
+
+    test('groups the week\'s pickups by day', () => {
+        expect(days.map(day => [day.date, day.pickups.map(pickup => pickup.title)])).toEqual([
+            ['2025-06-09', ['Papier']],
+            ['2025-06-11', ['Restmüll', 'Gelber Sack']]
+        ]);
+    });
+
+    test('lists the days in HTML and plain text with an unsubscribe link', () => {
+        const message = DigestService.render('anwohner@example.org', HASH, week, days);
+        const unsubscribe = `/api/digest/${HASH}/unsubscribe`;
+
+        expect(message.subject).toBe('📬 Abholungen vom 9.6. bis 15.6.2025');
+        expect(message.text).toContain('Montag, 9. Juni\n- 🗑️ Papier (06:30 Uhr)\n\nMittwoch, 11. Juni\n- 🗑️ Restmüll\n- 🗑️ Gelber Sack');
+        expect(message.text).toContain(unsubscribe);
+        expect(message.html).toContain('<h3 style="margin-bottom: 0.25em;">Mittwoch, 11. Juni</h3>');
+        expect(message.html).toContain(unsubscribe);
+        expect(message.headers['List-Unsubscribe']).toContain(unsubscribe);
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, test } from 'bun:test';
+import { Event, EventModel, occurrenceEnd } from '../src/models/Event';
+import { EventException } from '../src/models/EventException';
+import { ICalService } from '../src/services/ical';
+import { ValidationService } from '../src/utils/validation';
+import { event, fakeDatabase, HASH } from './helpers';
+
+const bulkyWaste = (data: Partial<Event> = {}) => event({ title: 'Sperrmüll', event_date: '2025-03-03', icon: '🚮', ...data });
+
+/**
+ * Calendar with the given events and exceptions, default settings
+ */
+function calendarDatabase(events: Event[], exceptions: Partial<EventException>[] = []) {
+    return fakeDatabase({
+        query: sql => sql.includes('FROM event_exceptions') ? exceptions : events
+    }).db;
+}
+
+function lines(ical: string, prefix: string): string[] {
+    return ical.split('\r\n').filter(line => line.startsWith(prefix));
+}
+
+describe('ValidationService.validateEventEnd', () => {
+    const errors = (data: Record<string, unknown>) => ValidationService.validateCreateEvent({ title: 'Sperrmüll', event_date: '2025-03-03', ...data }).errors;
+
+    test('accepts multi-day and timed ends', () => {
+        expect(errors({ end_date: '2025-03-07' })).toEqual([]);
+        expect(errors({ event_time: '07:00', end_time: '09:30' })).toEqual([]);
+        expect(errors({ event_time: '18:00', end_date: '2025-03-04', end_time: '06:00' })).toEqual([]);
+    });
+
+    test('rejects ends before the start and unusable combinations', () => {
+        expect(errors({ end_date: '2025-03-02' })).toEqual(['Ende darf nicht vor dem Beginn liegen']);
+        expect(errors({ event_time: '07:00', end_time: '07:00' })).toEqual(['Ende muss nach dem Beginn liegen']);
+        expect(errors({ end_time: '09:00' })).toEqual(['Endzeit braucht eine Startzeit']);
+        expect(errors({ event_time: '07:00', end_date: '2025-03-05' })).toEqual(['Mehrtägige Termine mit Uhrzeit brauchen eine Endzeit']);
+        expect(errors({ end_date: '2025-06-01' })).toHaveLength(1);
+        expect(errors({ end_date: '7.3.2025' })).toEqual(['Ungültiges Enddatum (erwartet: YYYY-MM-DD)']);
+    });
+});
+
+describe('EventModel spans', () => {
+    test('returns single events still running at the start of the range', async () => {
+        const model = new EventModel(calendarDatabase([bulkyWaste({ end_date: '2025-03-07' })]));
+        const [occurrence] = await model.getEventsByDateRange(HASH, '2025-03-05', '2025-03-05');
+
+        expect(occurrence.event_date).toBe('2025-03-03');
+        expect(occurrence.end_date).toBe('2025-03-07');
+    });
+
+    test('gives every occurrence of a series its own end and keeps the length of moved ones', async () => {
+        const series = bulkyWaste({ recurrence_rule: 'FREQ=MONTHLY;BYDAY=1MO', end_date: '2025-03-05' });
+        const moved = { event_id: 1, original_date: '2025-04-07', cancelled: false, event_date: '2025-04-09', event_time: null };
+        const model = new EventModel(calendarDatabase([series], [moved]));
+
+        const occurrences = await model.getEventsByDateRange(HASH, '2025-03-04', '2025-04-30');
+
+        expect(occurrences.map(occurrence => [occurrence.event_date, occurrence.end_date])).toEqual([
+            ['2025-03-03', '2025-03-05'],
+            ['2025-04-09', '2025-04-11']
+        ]);
+    });
+
+    test('moves the end time along with a moved start time', () => {
+        const timed = bulkyWaste({ event_time: '22:00:00', end_time: '23:30:00' });
+
+        expect(occurrenceEnd(timed, '2025-03-10', '23:00:00')).toEqual({ end_date: '2025-03-11', end_time: '00:30:00' });
+        expect(occurrenceEnd(timed, '2025-03-10', '08:00:00')).toEqual({ end_date: null, end_time: '09:30:00' });
+    });
+});
+
+describe('ICalService spans', () => {
+    const service = new ICalService({ timezone: 'Europe/Berlin' });
+
+    test('ends all-day spans the day after their last day', () => {
+        const ical = service.generateCalendar([bulkyWaste({ end_date: '2025-03-07' })], HASH);
+
+        expect(lines(ical, 'DTEND')).toEqual(['DTEND;VALUE=DATE:20250308']);
+    });
+
+    test('writes the given end of timed events', () => {
+        const ical = service.generateCalendar([
+            bulkyWaste({ event_time: '07:00:00', end_time: '09:30:00' }),
+            bulkyWaste({ id: 2, event_time: '18:00:00', end_date: '2025-03-04', end_time: '06:00:00' })
+        ], HASH);
+
+        expect(lines(ical, 'DTEND')).toEqual([
+            'DTEND;TZID=Europe/Berlin:20250303T093000',
+            'DTEND;TZID=Europe/Berlin:20250304T060000'
+        ]);
+    });
+});
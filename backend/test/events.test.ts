@@ -0,0 +1,147 @@
+import { describe, expect, test } from 'bun:test';
+import { Event } from '../src/models/Event';
+import { eventRoutes } from '../src/routes/events';
+import { Database } from '../src/services/database';
+import { addDays, today } from '../src/utils/date';
+import { event, fakeDatabase, HASH } from './helpers';
+
+/**
+ * Calendar holding one stored event, which every lookup by id returns
+ */
+function storedDatabase(stored: Event) {
+    return fakeDatabase({
+        queryOne: sql => sql.includes('FROM events') ? stored : null
+    });
+}
+
+async function update(stored: Event, body: Record<string, unknown>) {
+    const { db, statements } = storedDatabase(stored);
+    const response = await eventRoutes.updateEvent(db)(
+        new Request(`http://localhost/api/events/${HASH}/1`, { method: 'PUT', body: JSON.stringify(body) }),
+        { hash: HASH, id: '1' }
+    );
+
+    expect(response.status).toBe(200);
+    return statements.filter(statement => statement.sql.startsWith('DELETE FROM event_exceptions'));
+}
+
+describe('eventRoutes.updateEvent', () => {
+    const series = event({ event_date: '2025-03-04', recurrence_rule: 'FREQ=WEEKLY' });
+
+    test('drops the exceptions of a series whose rule or start changes', async () => {
+        const ruleChanged = await update(series, { recurrence_rule: 'FREQ=WEEKLY;INTERVAL=2' });
+        expect(ruleChanged).toEqual([{ sql: 'DELETE FROM event_exceptions WHERE event_id = ?', params: [1] }]);
+
+        expect(await update(series, { event_date: '2025-03-05' })).toHaveLength(1);
+        expect(await update(series, { recurrence_rule: null })).toHaveLength(1);
+    });
+
+    test('drops them in the same transaction as the update', async () => {
+        const { db, statements } = storedDatabase(series);
+        await eventRoutes.updateEvent(db)(
+            new Request(`http://localhost/api/events/${HASH}/1`, { method: 'PUT', body: JSON.stringify({ event_date: '2025-03-05' }) }),
+            { hash: HASH, id: '1' }
+        );
+        const sql = statements.map(statement => statement.sql);
+
+        expect(sql.indexOf('BEGIN')).toBeLessThan(sql.findIndex(statement => statement.startsWith('UPDATE events')));
+        expect(sql.indexOf('DELETE FROM event_exceptions WHERE event_id = ?')).toBe(sql.indexOf('COMMIT') - 1);
+    });
+
+    test('keeps them when the series stays the same', async () => {
+        expect(await update(series, { title: 'Papier', event_time: '07:00' })).toEqual([]);
+        expect(await update(series, { event_date: '2025-03-04', recurrence_rule: 'FREQ=WEEKLY' })).toEqual([]);
+        expect(await update(event(), { event_date: '2025-03-05' })).toEqual([]);
+    });
+});
+
+describe('eventRoutes.updateOccurrence', () => {
+    const series = event({ event_date: '2025-03-04', recurrence_rule: 'FREQ=WEEKLY' });
+
+    async function updateOccurrence(body: Record<string, unknown>) {
+        const { db, statements } = storedDatabase(series);
+        const response = await eventRoutes.updateOccurrence(db)(
+            new Request(`http://localhost/api/events/${HASH}/1/occurrences/2025-03-11`, { method: 'PUT', body: JSON.stringify(body) }),
+            { hash: HASH, id: '1', date: '2025-03-11' }
+        );
+
+        expect(response.status).toBe(200);
+        return statements.find(statement => statement.sql.startsWith('INSERT INTO event_exceptions'))!;
+    }
+
+    test('keeps the fields of an earlier edit that this one leaves out', async () => {
+        const retitled = await updateOccurrence({ title: 'Papier (verschoben)' });
+
+        expect(retitled.sql).toContain('title = VALUES(title)');
+        expect(retitled.sql).not.toContain('event_date = VALUES(event_date)');
+        expect(retitled.sql).not.toContain('event_time = VALUES(event_time)');
+    });
+
+    test('moving an occurrence back to its own date undoes the move', async () => {
+        const movedBack = await updateOccurrence({ event_date: '2025-03-11' });
+
+        expect(movedBack.sql).toContain('event_date = VALUES(event_date)');
+        expect(movedBack.params[3]).toBeNull();
+    });
+});
+
+describe('eventRoutes.restoreOccurrence', () => {
+    const series = event({ event_date: '2025-03-04', recurrence_rule: 'FREQ=WEEKLY' });
+
+    const restore = (db: Database) => eventRoutes.restoreOccurrence(db)(
+        new Request(`http://localhost/api/events/${HASH}/1/exceptions/2025-03-11`, { method: 'DELETE' }),
+        { hash: HASH, id: '1', date: '2025-03-11' }
+    );
+
+    test('removes the exception and counts a new revision of the series', async () => {
+        const { db, statements } = storedDatabase(series);
+        const response = await restore(db);
+
+        expect(response.status).toBe(200);
+        expect(statements.slice(-4).map(statement => statement.sql.split(' ').slice(0, 3).join(' ')))
+            .toEqual(['BEGIN', 'DELETE FROM event_exceptions', 'UPDATE events SET', 'COMMIT']);
+        expect(statements[statements.length - 3].params).toEqual([1, '2025-03-11']);
+    });
+
+    test('answers 404 for occurrences without an exception', async () => {
+        const { db, statements } = fakeDatabase({
+            queryOne: sql => sql.includes('FROM events') ? series : null,
+            delete: () => 0
+        });
+
+        expect((await restore(db)).status).toBe(404);
+        expect(statements.some(statement => statement.sql.startsWith('UPDATE'))).toBe(false);
+    });
+});
+
+describe('eventRoutes.getUpcomingEvents', () => {
+    const upcoming = (db: Database, query: string) => eventRoutes.getUpcomingEvents(db)(
+        new Request(`http://localhost/api/events/${HASH}/upcoming${query}`),
+        { hash: HASH }
+    );
+
+    test('accepts whole numbers of days from 1 to 366 only', async () => {
+        const { db, statements } = fakeDatabase();
+
+        for (const days of ['0', '367', 'abc', '1.5', '-3']) {
+            expect((await upcoming(db, `?days=${days}`)).status).toBe(400);
+        }
+        expect(statements).toEqual([]);
+        expect((await upcoming(db, '?days=366')).status).toBe(200);
+    });
+
+    test('skips series with an unreadable rule instead of failing the list', async () => {
+        const tomorrow = addDays(today(), 1);
+        const { db } = fakeDatabase({
+            query: sql => sql.includes('FROM events') ? [
+                event({ id: 1, event_date: tomorrow, recurrence_rule: 'FREQ=SOMETIMES' }),
+                event({ id: 2, title: 'Papier', event_date: tomorrow })
+            ] : []
+        });
+        const response = await upcoming(db, '');
+        const data = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(data.events.map((occurrence: Event) => occurrence.id)).toEqual([2]);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'bun:test';
+import { UserModel } from '../src/models/User';
+import { icalRoutes } from '../src/routes/ical';
+import { Database } from '../src/services/database';
+import { event, fakeDatabase, HASH } from './helpers';
+
+/**
+ * One calendar with a weekly event: the content version row can be changed
+ * between requests, and every statement that reads events is recorded
+ */
+function calendarDatabase() {
+    const version: Record<string, Date | number | null> = {
+        events_updated: new Date('2025-03-01T08:00:00Z'),
+        event_count: 1,
+        exceptions_updated: null,
+        exception_count: 0,
+        types_updated: new Date('2025-02-01T08:00:00Z'),
+        type_count: 1,
+        settings_updated: null,
+        content_deleted_at: null
+    };
+    const weekly = event({ recurrence_rule: 'FREQ=WEEKLY', updated_at: new Date('2025-03-01T08:00:00Z') });
+
+    const { db, statements } = fakeDatabase({
+        queryOne: sql => {
+            if (sql.includes('content_deleted_at')) return version;
+            if (sql.includes('FROM users')) return { count: 1 };
+            return null;
+        },
+        query: sql => {
+            if (!sql.includes('FROM events')) return [];
+            return sql.includes('event_exceptions') || sql.includes('deleted_at IS NOT NULL') ? [] : [weekly];
+        }
+    });
+    const eventReads = () => statements.filter(({ sql }) => sql.includes('FROM events') && !sql.includes('content_deleted_at'));
+
+    return { db, version, eventReads };
+}
+
+async function requestFeed(db: Database, headers: Record<string, string> = {}, query: string = ''): Promise<Response> {
+    const request = new Request(`http://localhost/api/ical/${HASH}${query}`, { headers });
+    return await icalRoutes.generateFeed(db)(request, { hash: HASH });
+}
+
+describe('UserModel.getContentVersion', () => {
+    test('takes the newest change and counts rows', async () => {
+        const { db, version } = calendarDatabase();
+        const first = await new UserModel(db).getContentVersion(HASH);
+
+        expect(first?.modified_at?.toISOString()).toBe('2025-03-01T08:00:00.000Z');
+
+        // Deleting the only event leaves an older updated_at behind, but records the deletion
+        version.event_count = 0;
+        version.events_updated = null;
+        version.content_deleted_at = new Date('2025-03-02T09:00:00Z');
+        const second = await new UserModel(db).getContentVersion(HASH);
+
+        expect(second?.modified_at?.toISOString()).toBe('2025-03-02T09:00:00.000Z');
+        expect(second?.fingerprint).not.toBe(first?.fingerprint);
+    });
+});
+
+describe('icalRoutes.generateFeed conditional requests', () => {
+    test('returns the same validators for unchanged content', async () => {
+        const { db } = calendarDatabase();
+        const first = await requestFeed(db);
+        const second = await requestFeed(db);
+
+        expect(first.status).toBe(200);
+        expect(first.headers.get('ETag')).toMatch(/^W\/"[0-9a-f]{32}"$/);
+        expect(second.headers.get('ETag')).toBe(first.headers.get('ETag'));
+        expect(second.headers.get('Last-Modified')).toBe(first.headers.get('Last-Modified'));
+    });
+
+    test('answers a matching If-None-Match with 304 without loading events', async () => {
+        const { db, eventReads } = calendarDatabase();
+        const etag = (await requestFeed(db)).headers.get('ETag')!;
+        const reads = eventReads().length;
+
+        const response = await requestFeed(db, { 'If-None-Match': `"other", ${etag}` });
+
+        expect(response.status).toBe(304);
+        expect(response.headers.get('ETag')).toBe(etag);
+        expect(await response.text()).toBe('');
+        expect(eventReads()).toHaveLength(reads);
+    });
+
+    test('serves the feed again after an edit, a deletion or with other parameters', async () => {
+        const { db, version } = calendarDatabase();
+        const etag = (await requestFeed(db)).headers.get('ETag')!;
+
+        expect((await requestFeed(db, { 'If-None-Match': etag }, '?tz=America/New_York')).status).toBe(200);
+
+        version.type_count = 0;
+        expect((await requestFeed(db, { 'If-None-Match': etag })).status).toBe(200);
+    });
+
+    test('compares If-Modified-Since unless If-None-Match is sent', async () => {
+        const { db, version } = calendarDatabase();
+        const lastModified = (await requestFeed(db)).headers.get('Last-Modified')!;
+
+        expect((await requestFeed(db, { 'If-Modified-Since': lastModified })).status).toBe(304);
+        expect((await requestFeed(db, { 'If-Modified-Since': lastModified, 'If-None-Match': 'W/"other"' })).status).toBe(200);
+
+        version.settings_updated = new Date(Date.now() + 60_000);
+        expect((await requestFeed(db, { 'If-Modified-Since': lastModified })).status).toBe(200);
+    });
+});
@@ -0,0 +1,193 @@
+import { describe, expect, test } from 'bun:test';
+import { parseFeedFilter, feedFilterParams } from '../src/utils/feed-filter';
+import { Event, EventModel } from '../src/models/Event';
+import { EventException } from '../src/models/EventException';
+import { icalRoutes } from '../src/routes/ical';
+import { ICalService } from '../src/services/ical';
+import { RecurrenceService } from '../src/services/recurrence';
+import { Database } from '../src/services/database';
+import { event, fakeDatabase, HASH } from './helpers';
+import { addDays, diffDays, today } from '../src/utils/date';
+
+const WASTE_TYPES = [
+    { id: 1, user_hash: HASH, name: 'Papier', color: '#2563eb', icon: '♻️', waste_kind: 'paper', default_reminder_minutes: null, default_time: null },
+    { id: 2, user_hash: HASH, name: 'Gelber Sack', color: '#eab308', icon: '♻️', waste_kind: 'packaging', default_reminder_minutes: null, default_time: null },
+    { id: 3, user_hash: HASH, name: 'Restmüll', color: '#4b5563', icon: '🗑️', waste_kind: 'residual', default_reminder_minutes: null, default_time: null }
+];
+
+/**
+ * One calendar with three waste types and the given events
+ */
+function calendarDatabase(events: Event[] = []) {
+    return fakeDatabase({
+        queryOne: sql => {
+            if (sql.includes('content_deleted_at')) {
+                return { events_updated: new Date('2025-03-01T08:00:00Z'), event_count: 4, type_count: 3 };
+            }
+            if (sql.includes('FROM users')) return { count: 1 };
+            return null;
+        },
+        query: sql => {
+            if (sql.includes('FROM waste_types')) return WASTE_TYPES;
+            return sql.includes('FROM events WHERE user_hash = ? AND deleted_at IS NULL') ? events : [];
+        }
+    });
+}
+
+/**
+ * Lines of the events in a feed (the time zone has DTSTART and RRULE lines too)
+ */
+function lines(ical: string, prefix: string): string[] {
+    return ical.substring(ical.indexOf('BEGIN:VEVENT')).split('\r\n').filter(line => line.startsWith(prefix));
+}
+
+function skipped(eventId: number, date: string): EventException {
+    return {
+        id: 0,
+        event_id: eventId,
+        original_date: date,
+        cancelled: true,
+        event_date: null,
+        event_time: null,
+        title: null,
+        description: null,
+        created_at: new Date('2025-01-01T10:00:00Z'),
+        updated_at: new Date('2025-01-01T10:00:00Z')
+    };
+}
+
+async function call(handler: typeof icalRoutes.generateFeed, db: Database, path: string): Promise<Response> {
+    return await handler(db)(new Request(`http://localhost/api/ical/${HASH}${path}`), { hash: HASH });
+}
+
+describe('parseFeedFilter', () => {
+    test('reads type and icon lists and horizons', () => {
+        const { filter, errors } = parseFeedFilter(new URLSearchParams('types=2,1,2&icons=♻️&past=30&future=0'));
+
+        expect(errors).toEqual([]);
+        expect(filter).toEqual({ wasteTypeIds: [2, 1], icons: ['♻️'], pastDays: 30, futureDays: 0 });
+        expect(feedFilterParams(filter).toString()).toBe(new URLSearchParams('types=1,2&icons=♻️&past=30&future=0').toString());
+    });
+
+    test('rejects ids and horizons that are no whole numbers', () => {
+        const { errors } = parseFeedFilter(new URLSearchParams('types=papier&past=-3&future=99999'));
+
+        expect(errors).toHaveLength(3);
+        expect(errors[0]).toContain('types');
+    });
+});
+
+describe('EventModel.findByUserHash filters', () => {
+    test('limits types, icons and the date window in the query', async () => {
+        const { db, statements: queries } = calendarDatabase();
+        await new EventModel(db).findByUserHash(HASH, {
+            activeFrom: '2025-02-01',
+            endDate: '2025-06-01',
+            wasteTypeIds: [1, 2],
+            icons: ['🗑️'],
+            limit: 1000
+        });
+
+        const [{ sql, params }] = queries;
+        expect(sql).toContain('AND event_date <= ? AND (COALESCE(end_date, event_date) >= ? OR recurrence_rule IS NOT NULL)');
+        expect(sql).toContain('AND (waste_type_id IN (?, ?) OR icon IN (?)) ORDER BY');
+        expect(params).toEqual([HASH, '2025-06-01', '2025-02-01', 1, 2, '🗑️', 1000]);
+    });
+});
+
+describe('ICalService feed window', () => {
+    const service = new ICalService({ timezone: 'Europe/Berlin', windowStart: '2025-03-01', windowEnd: '2025-03-31' });
+
+    test('starts a series at its first occurrence in the window and ends it with the window', () => {
+        const series = event({ event_date: '2024-01-01', recurrence_rule: 'FREQ=WEEKLY' });
+        const ical = service.generateCalendar([series], HASH);
+
+        expect(lines(ical, 'DTSTART')).toEqual(['DTSTART;VALUE=DATE:20250303']);
+        expect(lines(ical, 'RRULE')).toEqual(['RRULE:FREQ=WEEKLY;UNTIL=20250331']);
+        expect(RecurrenceService.expand('FREQ=WEEKLY;UNTIL=20250331', '2025-03-03', '2000-01-01', '2099-12-31'))
+            .toEqual(['2025-03-03', '2025-03-10', '2025-03-17', '2025-03-24', '2025-03-31']);
+        expect(service.validateCalendar(ical).errors).toEqual([]);
+    });
+
+    test('counts only the occurrences of a COUNT series that fall into the window', () => {
+        const series = event({ event_date: '2025-01-31', recurrence_rule: 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=12' });
+        const ical = new ICalService({ windowStart: '2025-03-01', windowEnd: '2025-05-31' }).generateCalendar([series], HASH);
+
+        expect(lines(ical, 'DTSTART')).toEqual(['DTSTART;VALUE=DATE:20250328']);
+        expect(lines(ical, 'RRULE')).toEqual(['RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3']);
+    });
+
+    test('leaves out series without occurrences in the window and exceptions outside of it', () => {
+        const ended = event({ id: 2, event_date: '2024-01-01', recurrence_rule: 'FREQ=WEEKLY;UNTIL=20250131' });
+        const series = event({ event_date: '2025-02-03', recurrence_rule: 'FREQ=WEEKLY' });
+        const ical = service.generateCalendar([series, ended], HASH, [skipped(1, '2025-02-10'), skipped(1, '2025-03-17'), skipped(1, '2025-04-07')]);
+
+        expect(lines(ical, 'X-YATWA-ID')).toEqual(['X-YATWA-ID:1']);
+        expect(lines(ical, 'EXDATE')).toEqual(['EXDATE;VALUE=DATE:20250317']);
+    });
+});
+
+describe('icalRoutes filtered feeds', () => {
+    test('passes the filter to the event and tombstone queries', async () => {
+        const { db, statements: queries } = calendarDatabase();
+        const response = await call(icalRoutes.generateFeed, db, '?types=1,2&past=30&future=90');
+
+        expect(response.status).toBe(200);
+
+        const events = queries.find(query => query.sql.includes('FROM events WHERE user_hash = ? AND deleted_at IS NULL'))!;
+        expect(events.params).toEqual([HASH, addDays(today(), 90), addDays(today(), -30), 1, 2, 1000]);
+
+        const tombstones = queries.find(query => query.sql.includes('deleted_at IS NOT NULL'))!;
+        expect(tombstones.params).toEqual([HASH, addDays(today(), 90), addDays(today(), -30), 1, 2]);
+    });
+
+    test('cuts a stored series to the requested past and future', async () => {
+        const series = event({ event_date: '2024-01-01', recurrence_rule: 'FREQ=WEEKLY' });
+        const { db } = calendarDatabase([series]);
+        const ical = await (await call(icalRoutes.generateFeed, db, '?past=30&future=60')).text();
+
+        const start = lines(ical, 'DTSTART;VALUE=DATE:')[0].substring(19);
+        const first = `${start.substring(0, 4)}-${start.substring(4, 6)}-${start.substring(6)}`;
+        expect(diffDays(addDays(today(), -30), first)).toBeGreaterThanOrEqual(0);
+        expect(diffDays(addDays(today(), -30), first)).toBeLessThan(7);
+        expect(diffDays('2024-01-01', first) % 7).toBe(0);
+        expect(lines(ical, 'RRULE')).toEqual([`RRULE:FREQ=WEEKLY;UNTIL=${addDays(today(), 60).replace(/-/g, '')}`]);
+    });
+
+    test('gives filtered feeds their own ETag and rejects broken filters', async () => {
+        const { db } = calendarDatabase();
+        const all = await call(icalRoutes.generateFeed, db, '');
+        const paper = await call(icalRoutes.generateFeed, db, '?types=1');
+
+        expect(paper.headers.get('ETag')).not.toBe(all.headers.get('ETag'));
+        expect((await call(icalRoutes.generateFeed, db, '?future=soon')).status).toBe(400);
+    });
+
+    test('builds feed URLs named after their types', async () => {
+        const { db } = calendarDatabase();
+        const response = await call(icalRoutes.buildFeedUrl, db, '/url?types=2,1&past=30');
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        const url = new URL(body.urls.ical);
+        expect(url.pathname).toBe(`/api/ical/${HASH}`);
+        expect(url.searchParams.get('types')).toBe('1,2');
+        expect(url.searchParams.get('past')).toBe('30');
+        expect(url.searchParams.get('name')).toBe('Papier, Gelber Sack');
+        expect(body.urls.webcal).toStartWith('webcal:');
+
+        const unknown = await call(icalRoutes.buildFeedUrl, db, '/url?types=9');
+        expect(unknown.status).toBe(400);
+        expect((await unknown.json()).errors).toEqual(['types contains an unknown waste type id']);
+    });
+
+    test('lists one feed per waste type in the calendar info', async () => {
+        const { db } = calendarDatabase();
+        const { calendar } = await (await call(icalRoutes.getCalendarInfo, db, '/info')).json();
+
+        expect(calendar.typeFeeds.map((feed: { name: string }) => feed.name)).toEqual(['Papier', 'Gelber Sack', 'Restmüll']);
+        const restmuell = new URL(calendar.typeFeeds[2].urls.ical);
+        expect(restmuell.searchParams.get('types')).toBe('3');
+        expect(restmuell.searchParams.get('name')).toBe('Restmüll');
+    });
+});
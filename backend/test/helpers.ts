@@ -0,0 +1,116 @@
+// 🧪 Test helpers - Event rows and a database stand-in shared by the tests
+
+import { Event } from '../src/models/Event';
+import { Database } from '../src/services/database';
+
+export const HASH = 'a'.repeat(40);
+
+export interface Statement {
+    sql: string;    // Whitespace collapsed to single spaces
+    params: any[];
+}
+
+interface WriteResult {
+    insertId?: number;
+    affectedRows?: number;
+}
+
+/**
+ * Answers of a stand-in database, by method. Each gets the statement as recorded;
+ * methods without an answer return nothing found, one affected row and the next id.
+ */
+export interface FakeAnswers {
+    query?: (sql: string, params: any[]) => any[];
+    queryOne?: (sql: string, params: any[]) => any;
+    insert?: (sql: string, params: any[]) => WriteResult | void;
+    update?: (sql: string, params: any[]) => number;
+    delete?: (sql: string, params: any[]) => number;
+    execute?: (sql: string, params: any[]) => WriteResult | void; // Statements inside a transaction
+}
+
+/**
+ * Event row with every column set; `data` overrides any of them
+ */
+export function event(data: Partial<Event> = {}): Event {
+    return {
+        id: 1,
+        user_hash: HASH,
+        title: 'Restmüll',
+        event_date: '2025-03-04',
+        event_time: null,
+        end_date: null,
+        end_time: null,
+        icon: '🗑️',
+        description: null,
+        recurrence_rule: null,
+        external_uid: null,
+        source_id: null,
+        waste_type_id: null,
+        reminder_minutes: null,
+        revision: 0,
+        created_at: new Date('2025-01-01T10:00:00Z'),
+        updated_at: new Date('2025-01-01T10:00:00Z'),
+        ...data
+    };
+}
+
+/**
+ * In-memory stand-in for the database that records every statement, inside transactions too
+ */
+export function fakeDatabase(answers: FakeAnswers = {}) {
+    const statements: Statement[] = [];
+    let nextId = 1;
+
+    const record = (sql: string, params: any[] = []): Statement => {
+        const statement = { sql: sql.replace(/\s+/g, ' ').trim(), params };
+        statements.push(statement);
+        return statement;
+    };
+
+    const write = (result: WriteResult | void) => ({ insertId: nextId++, affectedRows: 1, ...result });
+
+    const db = {
+        async query(sql: string, params: any[] = []) {
+            const statement = record(sql, params);
+            return answers.query ? answers.query(statement.sql, params) : [];
+        },
+        async queryOne(sql: string, params: any[] = []) {
+            const statement = record(sql, params);
+            return answers.queryOne ? answers.queryOne(statement.sql, params) : null;
+        },
+        async insert(sql: string, params: any[] = []) {
+            const statement = record(sql, params);
+            return write(answers.insert?.(statement.sql, params));
+        },
+        async update(sql: string, params: any[] = []) {
+            const statement = record(sql, params);
+            return answers.update ? answers.update(statement.sql, params) : 1;
+        },
+        async delete(sql: string, params: any[] = []) {
+            const statement = record(sql, params);
+            return answers.delete ? answers.delete(statement.sql, params) : 1;
+        },
+        async transaction(callback: (connection: any) => Promise<unknown>) {
+            return await callback({
+                async execute(sql: string, params: any[] = []) {
+                    const statement = record(sql, params);
+                    return [write(answers.execute?.(statement.sql, params))];
+                }
+            });
+        },
+        // Statements of the callback are framed by BEGIN and COMMIT (or ROLLBACK if it throws)
+        async withTransaction(callback: (db: Database) => Promise<unknown>) {
+            record('BEGIN');
+            try {
+                const result = await callback(db as unknown as Database);
+                record('COMMIT');
+                return result;
+            } catch (error) {
+                record('ROLLBACK');
+                throw error;
+            }
+        }
+    };
+
+    return { db: db as unknown as Database, statements };
+}
@@ -0,0 +1,171 @@
+import { describe, expect, test } from 'bun:test';
+import { Event, EventModel } from '../src/models/Event';
+import { EventException } from '../src/models/EventException';
+import { HolidayService } from '../src/services/holidays';
+import { ICalService } from '../src/services/ical';
+import { addDays } from '../src/utils/date';
+import { event, fakeDatabase, HASH } from './helpers';
+
+/**
+ * Calendar in Nordrhein-Westfalen with holiday shifting on
+ */
+function shiftingDatabase(events: Event[], exceptions: EventException[] = []) {
+    return fakeDatabase({
+        queryOne: sql => sql.includes('FROM calendar_settings') ?
+            { user_hash: HASH, holiday_region: 'NW', holiday_shift: 1, all_day_reminder_time: '19:00:00', email_locale: 'de', timezone: 'Europe/Berlin' } :
+            null,
+        query: sql => {
+            if (sql.includes('FROM event_exceptions')) return exceptions;
+            return sql.includes('FROM events') ? events : [];
+        }
+    });
+}
+
+function changed(original_date: string, data: Partial<EventException> = {}): EventException {
+    return {
+        id: 5,
+        event_id: 1,
+        original_date,
+        cancelled: false,
+        event_date: null,
+        event_time: null,
+        title: null,
+        description: null,
+        created_at: new Date('2025-01-01T10:00:00Z'),
+        updated_at: new Date('2025-01-01T10:00:00Z'),
+        ...data
+    };
+}
+
+function lines(ical: string, prefix: string): string[] {
+    return ical.substring(ical.indexOf('BEGIN:VEVENT')).split('\r\n').filter(line => line.startsWith(prefix));
+}
+
+const compact = (date: string) => date.replace(/-/g, '');
+
+describe('HolidayService', () => {
+    test('finds Easter Sunday', () => {
+        expect(HolidayService.easterSunday(2000)).toBe('2000-04-23');
+        expect(HolidayService.easterSunday(2019)).toBe('2019-04-21');
+        expect(HolidayService.easterSunday(2024)).toBe('2024-03-31');
+        expect(HolidayService.easterSunday(2025)).toBe('2025-04-20');
+        expect(HolidayService.easterSunday(2038)).toBe('2038-04-25');
+    });
+
+    test('derives the movable holidays from Easter', () => {
+        const names = HolidayService.getHolidays(2025).map(holiday => `${holiday.date} ${holiday.name}`);
+
+        expect(names).toContain('2025-04-18 Karfreitag');
+        expect(names).toContain('2025-04-21 Ostermontag');
+        expect(names).toContain('2025-05-29 Christi Himmelfahrt');
+        expect(names).toContain('2025-06-09 Pfingstmontag');
+        expect(names).toHaveLength(9);
+    });
+
+    test('adds the holidays of the Bundesland only', () => {
+        expect(HolidayService.getHoliday('2025-06-19', 'NW')?.name).toBe('Fronleichnam');
+        expect(HolidayService.isHoliday('2025-06-19', 'NI')).toBe(false);
+        expect(HolidayService.isHoliday('2025-06-19')).toBe(false);
+
+        expect(HolidayService.getHoliday('2025-10-31', 'NI')?.nationwide).toBe(false);
+        expect(HolidayService.isHoliday('2025-10-31', 'NW')).toBe(false);
+        expect(HolidayService.getHoliday('2025-11-19', 'SN')?.name).toBe('Buß- und Bettag');
+        expect(HolidayService.isHoliday('2025-04-20', 'BB')).toBe(true);
+    });
+
+    test('leaves out regional holidays before they were introduced', () => {
+        expect(HolidayService.isHoliday('2018-03-08', 'BE')).toBe(false);
+        expect(HolidayService.isHoliday('2019-03-08', 'BE')).toBe(true);
+        expect(HolidayService.isHoliday('2017-10-31', 'HH')).toBe(false);
+        expect(HolidayService.isHoliday('2017-10-31', 'SN')).toBe(true);
+    });
+});
+
+describe('HolidayService.shiftPickup', () => {
+    test('shifts pickups on and after a holiday in its week by one day', () => {
+        expect(HolidayService.shiftPickup('2025-04-21')).toEqual({ date: '2025-04-22', holiday: expect.objectContaining({ name: 'Ostermontag' }) });
+        expect(HolidayService.shiftPickup('2025-04-24')?.date).toBe('2025-04-25');
+        expect(HolidayService.shiftPickup('2025-04-17')).toBeNull();
+        expect(HolidayService.shiftPickup('2025-04-28')).toBeNull();
+    });
+
+    test('skips Sundays and holidays and never shifts a Sunday pickup', () => {
+        // Karfreitag week: Saturday would move to Easter Sunday, then Ostermontag
+        expect(HolidayService.shiftPickup('2025-04-19')?.date).toBe('2025-04-22');
+        // 1. Weihnachtstag on Thursday: Friday would land on the 2. Weihnachtstag
+        expect(HolidayService.shiftPickup('2025-12-25')?.date).toBe('2025-12-27');
+        expect(HolidayService.shiftPickup('2025-04-20')).toBeNull();
+    });
+
+    test('uses the holidays of the Bundesland', () => {
+        expect(HolidayService.shiftPickup('2025-06-20', 'NW')?.holiday.name).toBe('Fronleichnam');
+        expect(HolidayService.shiftPickup('2025-06-20', 'NI')).toBeNull();
+    });
+});
+
+describe('EventModel.getEventsByDateRange holiday shifts', () => {
+    test('shifts single events, also into the range from before it', async () => {
+        const { db, statements } = shiftingDatabase([
+            event({ id: 1, event_date: '2025-04-22' }),
+            event({ id: 2, event_date: '2025-06-19', title: 'Papier' })
+        ]);
+        const occurrences = await new EventModel(db).getEventsByDateRange(HASH, '2025-04-23', '2025-06-30');
+
+        expect(occurrences.map(occurrence => [occurrence.event_date, occurrence.holiday, occurrence.is_moved])).toEqual([
+            ['2025-04-23', 'Ostermontag', true],
+            ['2025-06-20', 'Fronleichnam', true]
+        ]);
+
+        const events = statements.find(statement => statement.sql.includes('FROM events'))!;
+        expect(events.params).toEqual([HASH, '2025-06-30', '2025-04-16']);
+    });
+
+    test('keeps a changed title on the shifted date unless the occurrence was moved by hand', async () => {
+        const series = event({ event_date: '2025-04-01', recurrence_rule: 'FREQ=WEEKLY' });
+        const { db } = shiftingDatabase([series], [
+            changed('2025-04-22', { title: 'Restmüll (Sondertour)' }),
+            changed('2025-06-03', { event_date: '2025-06-11' }),
+            changed('2025-06-10', { title: 'Restmüll (Nachholtermin)' })
+        ]);
+        const occurrences = await new EventModel(db).getEventsByDateRange(HASH, '2025-04-21', '2025-06-11');
+        const summary = occurrences.map(occurrence => `${occurrence.recurrence_id} ${occurrence.event_date} ${occurrence.title}`);
+
+        expect(summary).toContain('2025-04-22 2025-04-23 Restmüll (Sondertour)');
+        expect(summary).toContain('2025-06-03 2025-06-11 Restmüll');
+        expect(summary).toContain('2025-06-10 2025-06-11 Restmüll (Nachholtermin)');
+    });
+});
+
+describe('ICalService holiday shifts', () => {
+    // Tuesday after next year's Ostermontag, always within the feed's shift horizon
+    const easter = HolidayService.easterSunday(new Date().getFullYear() + 1);
+    const tuesday = addDays(easter, 2);
+    const service = new ICalService({ timezone: 'Europe/Berlin', holidayShift: true });
+
+    test('writes single events at their shifted date with a note', () => {
+        const ical = service.generateCalendar([event({ event_date: tuesday, description: 'Tonnen rausstellen' })], HASH);
+
+        expect(lines(ical, 'DTSTART')).toEqual([`DTSTART;VALUE=DATE:${compact(addDays(easter, 3))}`]);
+        expect(lines(ical, 'DESCRIPTION')).toEqual(['DESCRIPTION:Tonnen rausstellen\\nVerschoben wegen Ostermontag']);
+    });
+
+    test('combines a changed title with the holiday shift of the occurrence', () => {
+        const series = event({ event_date: addDays(tuesday, -14), recurrence_rule: 'FREQ=WEEKLY' });
+        const ical = service.generateCalendar([series], HASH, [changed(tuesday, { title: 'Restmüll (Sondertour)' })]);
+        const override = ical.substring(ical.indexOf(`RECURRENCE-ID;VALUE=DATE:${compact(tuesday)}`));
+
+        expect(lines(ical, 'RECURRENCE-ID').filter(line => line.endsWith(compact(tuesday)))).toHaveLength(1);
+        expect(override).toContain(`DTSTART;VALUE=DATE:${compact(addDays(easter, 3))}`);
+        expect(override).toContain('SUMMARY:Restmüll (Sondertour)');
+        expect(override).toContain('Verschoben wegen Ostermontag');
+        expect(service.validateCalendar(ical).errors).toEqual([]);
+    });
+
+    test('leaves cancelled occurrences cancelled', () => {
+        const series = event({ event_date: addDays(tuesday, -14), recurrence_rule: 'FREQ=WEEKLY' });
+        const ical = service.generateCalendar([series], HASH, [changed(tuesday, { cancelled: true })]);
+
+        expect(lines(ical, 'EXDATE')).toEqual([`EXDATE;VALUE=DATE:${compact(tuesday)}`]);
+        expect(lines(ical, 'RECURRENCE-ID').some(line => line.endsWith(compact(tuesday)))).toBe(false);
+    });
+});
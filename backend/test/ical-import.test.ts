@@ -0,0 +1,138 @@
+import { describe, expect, test } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { ICalImportService } from '../src/services/ical-import';
+
+const fixture = (name: string) => readFileSync(join(import.meta.dir, 'fixtures/import', name), 'utf-8');
+
+describe('ICalImportService.parse', () => {
+    const { events, rejected, cancelled } = ICalImportService.parse(fixture('musterstadt-2025.ics'));
+    const byUid = (uid: string) => events.find(event => event.uid === uid)!;
+
+    test('reads the events of a municipal calendar, skipping the time zone definition', () => {
+        expect(events.map(event => [event.line, event.title, event.event_date, event.event_time])).toEqual([
+            [23, 'Restmüll', '2025-01-07', null],
+            [47, 'Altpapier', '2025-01-31', '06:30:00'],
+            [61, 'Schadstoffmobil', '2025-07-05', '09:00:00'],
+            [68, 'Grünschnitt, Laub', '2025-04-12', null]
+        ]);
+    });
+
+    test('unfolds long lines and unescapes text, ignoring alarms', () => {
+        expect(byUid('restmuell-2025@abfall.musterstadt.de').description).toBe(
+            'Bitte stellen Sie die Tonne bis 6:00 Uhr am Straßenrand bereit, Deckel geschlossen.\n' +
+            'Nicht abgeholte Tonnen bitte unter 0800 123456 melden.'
+        );
+    });
+
+    test('takes TZID times as they are and converts UTC times to local time', () => {
+        expect(byUid('papier-2025@abfall.musterstadt.de').event_time).toBe('06:30:00');
+        // 07:00 UTC is 09:00 in Berlin summer time
+        expect(byUid('schadstoff-0705@abfall.musterstadt.de').event_time).toBe('09:00:00');
+    });
+
+    test('keeps rules and turns EXDATE and RECURRENCE-ID into exceptions of the series', () => {
+        const restmuell = byUid('restmuell-2025@abfall.musterstadt.de');
+        expect(restmuell.recurrence_rule).toBe('FREQ=WEEKLY;INTERVAL=2;UNTIL=20251223');
+        expect(restmuell.exceptions.filter(exception => exception.cancelled).map(exception => exception.original_date))
+            .toEqual(['2025-04-15', '2025-12-23', '2025-06-10']);
+        expect(restmuell.exceptions.find(exception => !exception.cancelled)).toEqual({
+            original_date: '2025-05-27',
+            cancelled: false,
+            event_date: '2025-05-28',
+            event_time: null,
+            title: 'Restmüll (Nachholtermin)',
+            description: null
+        });
+
+        const papier = byUid('papier-2025@abfall.musterstadt.de');
+        expect(papier.recurrence_rule).toBe('FREQ=MONTHLY;BYDAY=-1FR;COUNT=12');
+        expect(papier.exceptions).toEqual([
+            { original_date: '2025-12-26', cancelled: true, event_date: null, event_time: null, title: null, description: null }
+        ]);
+    });
+
+    test('rejects broken entries with their line and reason', () => {
+        expect(rejected.map(rejection => [rejection.line, rejection.title, rejection.errors])).toEqual([
+            [74, 'Biotonne', ['DTSTART fehlt']],
+            [80, 'Sperrmüll', ['RRULE nicht unterstützt: Nicht unterstützter Regelbestandteil: BYMONTHDAY']],
+            [87, 'Glas', ['Ungültiges Datum in DTSTART: 2025-08-01']],
+            [93, 'Gelber Sack', ['Termin ist abgesagt (STATUS:CANCELLED)']],
+            [100, 'Windeltonne', ['Zugehörige Terminserie (UID) nicht gefunden']]
+        ]);
+        expect(cancelled).toEqual(['gelb-0318@abfall.musterstadt.de']);
+    });
+
+    test('reads CRLF line endings and tab-folded lines the same way', () => {
+        const crlf = ICalImportService.parse(fixture('musterstadt-2025.ics').replace(/\n /g, '\n\t').replace(/\n/g, '\r\n'));
+
+        expect(crlf.events).toEqual(events);
+        expect(crlf.rejected).toEqual(rejected);
+    });
+
+    test('reads the end from DTEND or DURATION', () => {
+        const { events: [festival, course, market, pickup], rejected } = ICalImportService.parse([
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'SUMMARY:Stadtfest',
+            'DTSTART;VALUE=DATE:20250704',
+            'DTEND;VALUE=DATE:20250707',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'SUMMARY:Kompostkurs',
+            'DTSTART;TZID=Europe/Berlin:20250705T180000',
+            'DURATION:PT1H30M',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'SUMMARY:Nachtflohmarkt',
+            'DTSTART:20250705T200000Z',
+            'DTEND:20250705T230000Z',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'SUMMARY:Restmüll',
+            'DTSTART;VALUE=DATE:20250708',
+            'DURATION:P1D',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'SUMMARY:Sperrmüll',
+            'DTSTART;VALUE=DATE:20250709',
+            'DTEND;VALUE=DATE:20250708',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n'));
+        const end = (event: typeof festival) => [event.event_date, event.event_time, event.end_date, event.end_time];
+
+        expect(end(festival)).toEqual(['2025-07-04', null, '2025-07-06', null]);
+        expect(end(course)).toEqual(['2025-07-05', '18:00:00', null, '19:30:00']);
+        // 23:00 UTC is 01:00 on the next day in Berlin summer time
+        expect(end(market)).toEqual(['2025-07-05', '22:00:00', '2025-07-06', '01:00:00']);
+        expect(end(pickup)).toEqual(['2025-07-08', null, null, null]);
+        expect(rejected.map(rejection => rejection.errors)).toEqual([['DTEND liegt vor DTSTART']]);
+    });
+
+    test('rejects overrides of dates the series does not have', () => {
+        const { events: [series], rejected: [override] } = ICalImportService.parse([
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'UID:papier@stadt.example',
+            'DTSTART;VALUE=DATE:20250107',
+            'RRULE:FREQ=WEEKLY',
+            'SUMMARY:Papier',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:papier@stadt.example',
+            'RECURRENCE-ID;VALUE=DATE:20250108',
+            'DTSTART;VALUE=DATE:20250109',
+            'SUMMARY:Papier',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n'));
+
+        expect(series.exceptions).toEqual([]);
+        expect(override.errors).toEqual(['2025-01-08 ist kein Termin der Serie']);
+    });
+
+    test('refuses content that is no calendar', () => {
+        expect(() => ICalImportService.parse('Datum;Abfallart\n07.01.2025;Restmüll')).toThrow('Keine gültige iCal-Datei (BEGIN:VCALENDAR fehlt)');
+    });
+});
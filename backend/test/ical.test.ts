@@ -0,0 +1,91 @@
+import { describe, expect, test } from 'bun:test';
+import { contentLine, foldLine, parseContentLine, unescapeText, unfoldLines } from '../src/utils/icalendar';
+import { ICalService } from '../src/services/ical';
+import { ICalValidator } from '../src/services/ical-validator';
+import { event, HASH } from './helpers';
+
+const octets = (line: string) => Buffer.byteLength(line, 'utf8');
+
+const DESCRIPTION = 'Bitte die Tonnen bis 6:00 Uhr an den Straßenrand stellen; Sperrmüll, Elektrogeräte und ' +
+    'Grünschnitt werden getrennt abgeholt. Übergroße Säcke bleiben stehen.\nFragen: Abfallberatung, Tel. 0221 1234';
+
+describe('Content lines', () => {
+    test('fold at 75 octets without splitting characters', () => {
+        const line = `DESCRIPTION:${'ä'.repeat(60)}🗑️${'ü'.repeat(20)}`;
+        const folded = foldLine(line).split('\r\n');
+
+        expect(folded.length).toBeGreaterThan(1);
+        folded.forEach(part => expect(octets(part)).toBeLessThanOrEqual(75));
+        folded.slice(1).forEach(part => expect(part.startsWith(' ')).toBe(true));
+        expect(folded.map((part, index) => index === 0 ? part : part.substring(1)).join('')).toBe(line);
+    });
+
+    test('escape TEXT values and quote parameters', () => {
+        expect(contentLine('SUMMARY', 'Papier, Pappe; Kartons\\Folie')).toBe('SUMMARY:Papier\\, Pappe\\; Kartons\\\\Folie');
+        expect(contentLine('CATEGORIES', ['Gelbe Tonne', 'Bio, Grün'])).toBe('CATEGORIES:Gelbe Tonne,Bio\\, Grün');
+        expect(contentLine('RRULE', 'FREQ=WEEKLY;INTERVAL=2')).toBe('RRULE:FREQ=WEEKLY;INTERVAL=2');
+        expect(contentLine('DTSTART', '20250304T070000', { TZID: 'Zone;"Test"' })).toBe('DTSTART;TZID="Zone;Test":20250304T070000');
+    });
+
+    test('read back what they write', () => {
+        const [unfolded] = unfoldLines(contentLine('DESCRIPTION', DESCRIPTION, { LANGUAGE: 'de' }) + '\r\n');
+        const property = parseContentLine(unfolded.text, unfolded.line);
+
+        expect(property?.params).toEqual({ LANGUAGE: 'de' });
+        expect(unescapeText(property!.value)).toBe(DESCRIPTION);
+    });
+});
+
+describe('ICalService output', () => {
+    test('folds long German descriptions and passes validation', () => {
+        const service = new ICalService({ timezone: 'Europe/Berlin' });
+        const ical = service.generateCalendar([
+            event({ description: DESCRIPTION, recurrence_rule: 'FREQ=WEEKLY;INTERVAL=2' }),
+            event({ id: 2, title: 'Sperrmüll, Abholung; Straße', event_time: '07:00:00', end_time: '09:00:00', reminder_minutes: 60 })
+        ], HASH);
+
+        ical.split('\r\n').forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+        expect(ical).toContain('SUMMARY:Sperrmüll\\, Abholung\\; Straße');
+
+        const validation = service.validateCalendar(ical);
+        expect(validation.errors).toEqual([]);
+        expect(validation.isValid).toBe(true);
+    });
+});
+
+describe('ICalValidator', () => {
+    const valid = new ICalService({ timezone: 'Europe/Berlin' })
+        .generateCalendar([event({ event_time: '07:00:00' })], HASH);
+    const lineOf = (ical: string, prefix: string) => ical.split('\r\n').findIndex(line => line.startsWith(prefix)) + 1;
+
+    test('reports missing required properties with the line of their component', () => {
+        const ical = valid.replace(/DTSTAMP:[^\r]*\r\n/, '');
+        const { isValid, errors } = ICalValidator.validate(ical);
+
+        expect(isValid).toBe(false);
+        expect(errors).toEqual([`Line ${lineOf(ical, 'BEGIN:VEVENT')}: VEVENT is missing DTSTAMP`]);
+    });
+
+    test('reports unfolded lines, bare LF and unescaped text', () => {
+        const ical = valid.replace(/SUMMARY:[^\r]*/, `SUMMARY:Papier, Pappe ${'x'.repeat(70)}`).replace('VERSION:2.0\r\n', 'VERSION:2.0\n');
+        const { errors } = ICalValidator.validate(ical);
+
+        expect(errors).toContain('Line 2: line ends with LF instead of CRLF');
+        expect(errors).toContain(`Line ${lineOf(valid, 'SUMMARY')}: line is 92 octets long, more than 75 (not folded)`);
+        expect(errors).toContain(`Line ${lineOf(valid, 'SUMMARY')}: SUMMARY contains an unescaped ";" or ","`);
+    });
+
+    test('reports broken nesting, unknown zones and ends before the start', () => {
+        const nesting = ICalValidator.validate(valid.replace('END:VEVENT', 'END:VALARM'));
+        expect(nesting.errors).toEqual([`Line ${lineOf(valid, 'END:VEVENT')}: END:VALARM does not close BEGIN:VEVENT (line ${lineOf(valid, 'BEGIN:VEVENT')})`]);
+
+        const unclosed = ICalValidator.validate(valid.replace('END:VCALENDAR\r\n', ''));
+        expect(unclosed.errors).toEqual(['Line 1: BEGIN:VCALENDAR is never closed']);
+
+        const zone = ICalValidator.validate(valid.replace('DTSTART;TZID=Europe/Berlin', 'DTSTART;TZID=Europe/Paris'));
+        expect(zone.errors).toEqual([`Line ${lineOf(valid, 'DTSTART;')}: DTSTART refers to TZID Europe/Paris without a VTIMEZONE`]);
+
+        const reversed = ICalValidator.validate(valid.replace(/DTEND;TZID=Europe\/Berlin:\d{8}T\d{6}/, 'DTEND;TZID=Europe/Berlin:20250304T060000'));
+        expect(reversed.errors).toEqual([`Line ${lineOf(valid, 'DTEND')}: DTEND is not after DTSTART`]);
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'bun:test';
+import { ImportedEvent } from '../src/services/ical-import';
+import { ImportDiffService } from '../src/services/import-diff';
+import { event } from './helpers';
+
+function imported(data: Partial<ImportedEvent> = {}): ImportedEvent {
+    return {
+        line: 3,
+        uid: 'restmuell-0304@stadt.example',
+        title: 'Restmüll',
+        event_date: '2025-03-04',
+        event_time: null,
+        end_date: null,
+        end_time: null,
+        icon: '🗑️',
+        description: null,
+        recurrence_rule: null,
+        exceptions: [],
+        ...data
+    };
+}
+
+describe('ImportDiffService.diff', () => {
+    test('reports a changed description', () => {
+        const stored = event({ external_uid: 'restmuell-0304@stadt.example', description: 'Tonnen bis 6 Uhr rausstellen' });
+        const [change] = ImportDiffService.diff([imported({ description: 'Tonnen bis 7 Uhr rausstellen' })], [stored]);
+
+        expect(change.type).toBe('changed');
+        expect(change.description).toBe('Tonnen bis 7 Uhr rausstellen');
+        expect(change.previous?.description).toBe('Tonnen bis 6 Uhr rausstellen');
+        expect(change.selected).toBe(true);
+
+        expect(ImportDiffService.diff([imported()], [event({ description: '' })])[0].type).toBe('unchanged');
+    });
+
+    test('reports a changed end', () => {
+        const stored = event({ external_uid: 'restmuell-0304@stadt.example', event_time: '06:00:00', end_time: '07:00:00' });
+        const [change] = ImportDiffService.diff([imported({ event_time: '06:00:00', end_time: '08:00:00' })], [stored]);
+
+        expect(change.type).toBe('changed');
+        expect(change.end_time).toBe('08:00:00');
+        expect(change.previous?.end_time).toBe('07:00:00');
+    });
+
+    test('leaves the events of subscribed sources alone', () => {
+        const synced = event({ id: 7, source_id: 2, external_uid: 'restmuell-0304@stadt.example', description: 'Aus dem Abo' });
+        const syncedLater = event({ id: 8, source_id: 2, event_date: '2025-03-05', external_uid: 'papier@stadt.example' });
+        const changes = ImportDiffService.diff([imported(), imported({ line: 9, uid: null, event_date: '2025-03-06' })], [synced, syncedLater]);
+
+        expect(changes.map(change => change.type)).toEqual(['added', 'added']);
+        expect(changes.some(change => change.event_id !== null)).toBe(false);
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, test } from 'bun:test';
+import { MAX_ATTEMPTS, OutboxService } from '../src/services/outbox';
+import { EmailTemplates } from '../src/services/email-templates';
+import type { EmailMessage, EmailTransport } from '../src/services/email-transport';
+import { OutboxEmail } from '../src/models/EmailOutbox';
+import { fakeDatabase } from './helpers';
+
+function mail(id: number, attempts: number = 0, scrub: boolean = false): OutboxEmail {
+    return {
+        id,
+        user_hash: null,
+        recipient: `anwohner${id}@example.org`,
+        subject: 'Betreff',
+        html: '<p>Hallo</p>',
+        text: 'Hallo',
+        headers: JSON.stringify({ 'List-Unsubscribe': '<https://example.org/unsubscribe>' }),
+        scrub_when_done: scrub,
+        status: 'pending',
+        attempts,
+        next_attempt_at: new Date(),
+        last_error: null,
+        last_attempt_at: null,
+        sent_at: null,
+        created_at: new Date()
+    };
+}
+
+/**
+ * Outbox table holding the given due mails; `updates` lists the updates so far
+ */
+function outboxDatabase(due: OutboxEmail[]) {
+    const { db, statements } = fakeDatabase({ query: () => due, delete: () => 0 });
+
+    return { db, updates: () => statements.filter(statement => statement.sql.startsWith('UPDATE')) };
+}
+
+function transport(fail: (message: EmailMessage) => boolean): EmailTransport & { delivered: EmailMessage[] } {
+    const delivered: EmailMessage[] = [];
+
+    return {
+        delivered,
+        async deliver(message: EmailMessage) {
+            if (fail(message)) throw new Error('421 Service not available');
+            delivered.push(message);
+        },
+        getStatus: () => ({ transport: 'simulate', configured: true, host: '', port: 0, user: '' }),
+        testConnection: async () => true
+    };
+}
+
+describe('OutboxService.retryDelay', () => {
+    test('doubles the delay per failed attempt', () => {
+        expect(OutboxService.retryDelay(1)).toBe(60);
+        expect(OutboxService.retryDelay(2)).toBe(120);
+        expect(OutboxService.retryDelay(4)).toBe(480);
+    });
+
+    test('gives up after the last attempt', () => {
+        expect(OutboxService.retryDelay(MAX_ATTEMPTS - 1)).not.toBeNull();
+        expect(OutboxService.retryDelay(MAX_ATTEMPTS)).toBeNull();
+    });
+});
+
+describe('OutboxService.deliverDue', () => {
+    test('marks delivered mails as sent and keeps their headers', async () => {
+        const { db, updates } = outboxDatabase([mail(1)]);
+        const smtp = transport(() => false);
+
+        expect(await OutboxService.deliverDue(db, smtp)).toBe(1);
+        const [sent] = updates();
+        expect(smtp.delivered[0].to).toBe('anwohner1@example.org');
+        expect(smtp.delivered[0].headers).toEqual({ 'List-Unsubscribe': '<https://example.org/unsubscribe>' });
+        expect(sent.sql).toContain("status = 'sent'");
+    });
+
+    test('schedules a retry on failure and dead-letters the last attempt', async () => {
+        const { db, updates } = outboxDatabase([mail(1), mail(2, MAX_ATTEMPTS - 1)]);
+
+        expect(await OutboxService.deliverDue(db, transport(() => true))).toBe(0);
+        const [retry, dead] = updates();
+        expect(retry.sql).toContain('next_attempt_at = DATE_ADD');
+        expect(retry.params).toEqual(['421 Service not available', 60, 1]);
+        expect(dead.sql).toContain("status = 'dead'");
+        expect(dead.params).toEqual(['421 Service not available', 2]);
+    });
+});
+
+describe('OutboxService scrubbing', () => {
+    const scrubbed = (updates: { sql: string; params: any[] }[]) => updates
+        .filter(update => update.sql.includes("recipient = ''"))
+        .map(update => update.params[0]);
+
+    test('clears recipient and body of marked mails once delivered', async () => {
+        const { db, updates } = outboxDatabase([mail(1, 0, true), mail(2)]);
+
+        expect(await OutboxService.deliverDue(db, transport(() => false))).toBe(2);
+        expect(scrubbed(updates())).toEqual([1]);
+    });
+
+    test('keeps them for retries and clears them once given up', async () => {
+        const { db, updates } = outboxDatabase([mail(1, 0, true), mail(2, MAX_ATTEMPTS - 1, true)]);
+
+        expect(await OutboxService.deliverDue(db, transport(() => true))).toBe(0);
+        expect(scrubbed(updates())).toEqual([2]);
+    });
+});
+
+describe('EmailTemplates', () => {
+    test('picks the locale from Accept-Language', () => {
+        expect(EmailTemplates.localeFrom('en-US,en;q=0.9,de;q=0.8')).toBe('en');
+        expect(EmailTemplates.localeFrom('de-DE')).toBe('de');
+        expect(EmailTemplates.localeFrom('fr-FR')).toBe('de');
+        expect(EmailTemplates.localeFrom(null)).toBe('de');
+    });
+
+    test('renders the hash link in German and English', () => {
+        const data = { link: 'https://example.org?hash=abc', hash: 'abc' };
+        const de = EmailTemplates.hashLink('de', data);
+        const en = EmailTemplates.hashLink('en', data);
+
+        expect(de.subject).toBe('📅 Dein YATWA Kalender-Link');
+        expect(de.text).toContain('Dein Kalender-Link: https://example.org?hash=abc');
+        expect(de.html).toContain('<html lang="de">');
+        expect(en.subject).toBe('📅 Your YATWA calendar link');
+        expect(en.text).toContain('Your calendar link: https://example.org?hash=abc');
+        expect(en.html).toContain('href="https://example.org?hash=abc"');
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, test } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { ProviderRegistry } from '../src/providers';
+
+const fixture = (name: string) => readFileSync(join(import.meta.dir, 'fixtures/providers', name), 'utf-8');
+
+describe('ProviderRegistry', () => {
+    test('lists the built-in providers', () => {
+        expect(ProviderRegistry.list().map(provider => provider.id)).toEqual(['awido', 'abfallio-csv', 'street-xml']);
+    });
+
+    test('returns null for unknown providers', () => {
+        expect(ProviderRegistry.get('unknown')).toBeNull();
+    });
+
+    test('only reads declared options', () => {
+        const provider = ProviderRegistry.get('street-xml')!;
+        const query = new URLSearchParams('street=Am%20Markt&other=1');
+        expect(ProviderRegistry.readOptions(provider, name => query.get(name))).toEqual({ street: 'Am Markt' });
+    });
+});
+
+describe('awido provider', () => {
+    const provider = ProviderRegistry.get('awido')!;
+
+    test('maps calendar days and fraction names onto events', () => {
+        const { events, rejected } = provider.parse(fixture('awido.json'), {});
+
+        expect(events).toHaveLength(8);
+        expect(events[0]).toMatchObject({ title: 'Restmüll', event_date: '2025-01-06', icon: '🗑️', uid: 'awido-2025-01-06-restmüll' });
+        expect(events.filter(event => event.event_date === '2025-01-07').map(event => event.title)).toEqual(['Bioabfall', 'Gelber Sack']);
+        expect(events.find(event => event.title.startsWith('Papier'))!.icon).toBe('♻️');
+
+        expect(rejected).toHaveLength(1);
+        expect(rejected[0].title).toBe('Bioabfall');
+    });
+
+    test('gives every event its own line', () => {
+        const { events } = provider.parse(fixture('awido.json'), {});
+        expect(new Set(events.map(event => event.line)).size).toBe(events.length);
+    });
+
+    test('rejects other JSON', () => {
+        expect(() => provider.parse('{"termine": []}', {})).toThrow('calendar');
+        expect(() => provider.parse('not json', {})).toThrow('JSON');
+    });
+});
+
+describe('abfallio-csv provider', () => {
+    const provider = ProviderRegistry.get('abfallio-csv')!;
+
+    test('reads one column per waste type', () => {
+        const { events, rejected } = provider.parse(fixture('abfallio.csv'), {});
+
+        expect(events).toHaveLength(12);
+        expect(events.filter(event => event.title === 'Restabfall').map(event => event.event_date))
+            .toEqual(['2025-01-06', '2025-01-20', '2025-02-03', '2025-02-17']);
+        expect(events.find(event => event.title === 'Gelbe Tonne')!.icon).toBe('♻️');
+
+        expect(rejected).toHaveLength(1);
+        expect(rejected[0].title).toBe('Bioabfall');
+    });
+});
+
+describe('street-xml provider', () => {
+    const provider = ProviderRegistry.get('street-xml')!;
+
+    test('imports the district of the given street', () => {
+        const { events } = provider.parse(fixture('strassenverzeichnis.xml'), { street: 'Am Markt' });
+
+        expect(events.map(event => event.event_date)).toEqual(['2025-01-06', '2025-01-08', '2025-01-20']);
+        expect(events[0].event_time).toBe('06:00:00');
+    });
+
+    test('matches abbreviated street names and decodes entities', () => {
+        const { events, rejected } = provider.parse(fixture('strassenverzeichnis.xml'), { street: 'Schulstraße' });
+
+        expect(events.map(event => event.title)).toEqual(['Restmüll', 'Papier & Pappe']);
+        expect(events[1].description).toBe('Tonne bis 6 Uhr bereitstellen');
+        expect(rejected).toHaveLength(1);
+    });
+
+    test('needs a street when there are several districts', () => {
+        expect(() => provider.parse(fixture('strassenverzeichnis.xml'), {})).toThrow('bitte Straße angeben');
+        expect(() => provider.parse(fixture('strassenverzeichnis.xml'), { street: 'Nirgendwo' })).toThrow('nicht im Verzeichnis');
+    });
+});
@@ -0,0 +1,133 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { RecoveryService } from '../src/services/recovery';
+import { EmailTemplates } from '../src/services/email-templates';
+import { fakeDatabase } from './helpers';
+
+/**
+ * Bindings table where the given calendars confirmed every address
+ */
+function bindingsDatabase(confirmedUserHashes: string[] = []) {
+    return fakeDatabase({ query: () => confirmedUserHashes.map(user_hash => ({ user_hash })) });
+}
+
+describe('RecoveryService.emailHash', () => {
+    const previousKey = process.env.EMAIL_HASH_KEY;
+
+    beforeEach(() => {
+        process.env.EMAIL_HASH_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        process.env.EMAIL_HASH_KEY = previousKey;
+        if (previousKey === undefined) delete process.env.EMAIL_HASH_KEY;
+    });
+
+    test('ignores case and surrounding whitespace', () => {
+        const hash = RecoveryService.emailHash('anwohner@example.org');
+
+        expect(hash).toMatch(/^[a-f0-9]{64}$/);
+        expect(RecoveryService.emailHash('  Anwohner@Example.ORG ')).toBe(hash);
+        expect(RecoveryService.emailHash('nachbar@example.org')).not.toBe(hash);
+    });
+
+    test('depends on the key', () => {
+        const hash = RecoveryService.emailHash('anwohner@example.org');
+        process.env.EMAIL_HASH_KEY = 'another-key';
+
+        expect(RecoveryService.emailHash('anwohner@example.org')).not.toBe(hash);
+    });
+});
+
+describe('RecoveryService.allow', () => {
+    test('blocks after the limit until the window ends', () => {
+        const now = Date.now();
+        const key = `address-${now}`;
+
+        for (let i = 0; i < 3; i++) {
+            expect(RecoveryService.allow('recoverAddress', key, now)).toBe(true);
+        }
+        expect(RecoveryService.allow('recoverAddress', key, now + 1000)).toBe(false);
+        expect(RecoveryService.allow('recoverAddress', key, now + 60 * 60 * 1000 + 1)).toBe(true);
+    });
+
+    test('counts limits and keys separately', () => {
+        const now = Date.now();
+        const key = `client-${now}`;
+
+        for (let i = 0; i < 3; i++) {
+            RecoveryService.allow('recoverAddress', key, now);
+        }
+        expect(RecoveryService.allow('recoverClient', key, now)).toBe(true);
+        expect(RecoveryService.allow('recoverAddress', `${key}-other`, now)).toBe(true);
+    });
+});
+
+describe('RecoveryService.clientKey', () => {
+    const key = (headers: Record<string, string>) => RecoveryService.clientKey(new Request('http://localhost/api/recovery', { headers }));
+
+    test('takes the address the proxy saw, not the one the client claims', () => {
+        expect(key({ 'X-Real-IP': '203.0.113.7', 'X-Forwarded-For': '198.51.100.1, 203.0.113.7', 'CF-Connecting-IP': '198.51.100.2' })).toBe('203.0.113.7');
+        expect(key({ 'X-Forwarded-For': '198.51.100.1, 203.0.113.7' })).toBe('203.0.113.7');
+        expect(key({ 'CF-Connecting-IP': '198.51.100.2' })).toBe('unknown');
+    });
+});
+
+describe('RecoveryService.confirm', () => {
+    test('rejects malformed tokens without a query', async () => {
+        const { db, statements } = bindingsDatabase();
+
+        expect(await RecoveryService.confirm(db, '')).toBe(false);
+        expect(await RecoveryService.confirm(db, "' OR 1=1 --")).toBe(false);
+        expect(statements).toHaveLength(0);
+    });
+
+    test('looks up the token by its hash', async () => {
+        const { db, statements } = bindingsDatabase();
+        const token = 'a'.repeat(64);
+
+        expect(await RecoveryService.confirm(db, token)).toBe(true);
+        expect(statements[0].params).toEqual([RecoveryService.tokenHash(token)]);
+    });
+});
+
+describe('RecoveryService.recover', () => {
+    test('sends nothing for unknown addresses', async () => {
+        const { db, statements } = bindingsDatabase();
+
+        expect(await RecoveryService.recover(db, 'unbekannt@example.org', 'de')).toBe(0);
+        expect(statements.filter(statement => statement.sql.includes('email_outbox'))).toHaveLength(0);
+    });
+
+    test('mails all confirmed calendars in one message', async () => {
+        const { db, statements } = bindingsDatabase(['a'.repeat(64), 'b'.repeat(64)]);
+
+        expect(await RecoveryService.recover(db, 'anwohner@example.org', 'en')).toBe(2);
+
+        const outbox = statements.filter(statement => statement.sql.includes('email_outbox'));
+        expect(outbox).toHaveLength(1);
+        expect(outbox[0].sql).toContain('scrub_when_done');
+        expect(outbox[0].params).toContain('anwohner@example.org');
+        expect(outbox[0].params[6]).toBe(1);
+        expect(outbox[0].params.join('\n')).toContain(`?hash=${'b'.repeat(64)}`);
+    });
+});
+
+describe('EmailTemplates recovery mails', () => {
+    test('renders the confirmation in German and English', () => {
+        const data = { confirmUrl: 'https://example.org/api/recovery/confirm?token=abc', validHours: 48 };
+        const de = EmailTemplates.confirmEmail('de', data);
+        const en = EmailTemplates.confirmEmail('en', data);
+
+        expect(de.text).toContain('Der Link ist 48 Stunden gültig.');
+        expect(de.html).toContain('href="https://example.org/api/recovery/confirm?token=abc"');
+        expect(en.subject).toBe('🔑 Confirm your address for YATWA');
+    });
+
+    test('lists every calendar link', () => {
+        const links = ['https://example.org?hash=a', 'https://example.org?hash=b'];
+        const de = EmailTemplates.recovery('de', { links });
+
+        expect(de.subject).toBe('🔑 Deine YATWA Kalender-Links');
+        expect(de.text).toContain('- https://example.org?hash=a\n- https://example.org?hash=b');
+    });
+});
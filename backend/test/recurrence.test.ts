@@ -0,0 +1,67 @@
+import { describe, expect, test } from 'bun:test';
+import { RecurrenceService } from '../src/services/recurrence';
+
+const expand = (rule: string, start: string, end: string) => RecurrenceService.expand(rule, start, start, end);
+
+describe('RecurrenceService.parse', () => {
+    test('normalizes a rule into the stored form', () => {
+        expect(RecurrenceService.normalize('freq=weekly;byday=tu,th;interval=1')).toBe('FREQ=WEEKLY;BYDAY=TU,TH');
+        expect(RecurrenceService.normalize('RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=12')).toBe('FREQ=MONTHLY;BYDAY=-1FR;COUNT=12');
+    });
+
+    test('rejects rules it cannot expand', () => {
+        expect(RecurrenceService.validate('FREQ=HOURLY')).toEqual(['FREQ muss DAILY, WEEKLY, MONTHLY oder YEARLY sein']);
+        expect(RecurrenceService.validate('FREQ=WEEKLY;INTERVAL=0')).toEqual(['INTERVAL muss zwischen 1 und 99 liegen']);
+        expect(RecurrenceService.validate('FREQ=WEEKLY;BYDAY=1MO')).toHaveLength(1);
+        expect(RecurrenceService.validate('FREQ=DAILY;COUNT=3;UNTIL=20250401')).toEqual(['UNTIL und COUNT dürfen nicht gleichzeitig angegeben werden']);
+        expect(RecurrenceService.validate('FREQ=DAILY;UNTIL=20250230')).toEqual(['UNTIL ist kein gültiges Datum']);
+        expect(RecurrenceService.validate('FREQ=DAILY;UNTIL=20250301', '2025-03-04')).toEqual(['Enddatum der Wiederholung liegt vor dem Startdatum']);
+    });
+
+    test('writes UNTIL of timed series as UTC date-time at the end of the day in their zone', () => {
+        expect(RecurrenceService.toICal('FREQ=WEEKLY;UNTIL=20250318', 'Europe/Berlin')).toBe('FREQ=WEEKLY;UNTIL=20250318T225959Z');
+        expect(RecurrenceService.toICal('FREQ=WEEKLY;UNTIL=20250715', 'Europe/Berlin')).toBe('FREQ=WEEKLY;UNTIL=20250715T215959Z');
+        expect(RecurrenceService.toICal('FREQ=WEEKLY;UNTIL=20250318', 'America/New_York')).toBe('FREQ=WEEKLY;UNTIL=20250319T035959Z');
+        expect(RecurrenceService.toICal('FREQ=WEEKLY;UNTIL=20250318', null)).toBe('FREQ=WEEKLY;UNTIL=20250318');
+    });
+});
+
+describe('RecurrenceService.expand', () => {
+    test('steps by INTERVAL', () => {
+        expect(expand('FREQ=DAILY;INTERVAL=3', '2025-03-01', '2025-03-12')).toEqual(['2025-03-01', '2025-03-04', '2025-03-07', '2025-03-10']);
+        expect(expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH', '2025-03-04', '2025-04-03'))
+            .toEqual(['2025-03-04', '2025-03-06', '2025-03-18', '2025-03-20', '2025-04-01', '2025-04-03']);
+    });
+
+    test('counts DTSTART as the first occurrence even off the BYDAY days', () => {
+        expect(expand('FREQ=WEEKLY;BYDAY=MO', '2025-03-05', '2025-03-17')).toEqual(['2025-03-05', '2025-03-10', '2025-03-17']);
+    });
+
+    test('finds the n-th and the last weekday of a month', () => {
+        expect(expand('FREQ=MONTHLY;BYDAY=-1FR', '2025-01-31', '2025-05-31'))
+            .toEqual(['2025-01-31', '2025-02-28', '2025-03-28', '2025-04-25', '2025-05-30']);
+        expect(expand('FREQ=MONTHLY;BYDAY=2TU', '2025-01-14', '2025-03-31')).toEqual(['2025-01-14', '2025-02-11', '2025-03-11']);
+        // Only some months have a fifth Saturday
+        expect(expand('FREQ=MONTHLY;BYDAY=5SA', '2025-03-29', '2025-08-31')).toEqual(['2025-03-29', '2025-05-31', '2025-08-30']);
+    });
+
+    test('skips months and years without the start day', () => {
+        expect(expand('FREQ=MONTHLY', '2025-01-31', '2025-07-31')).toEqual(['2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31']);
+        expect(expand('FREQ=YEARLY', '2024-02-29', '2028-12-31')).toEqual(['2024-02-29', '2028-02-29']);
+    });
+
+    test('ends after COUNT occurrences, counted from DTSTART', () => {
+        expect(expand('FREQ=WEEKLY;COUNT=3', '2025-03-04', '2025-12-31')).toEqual(['2025-03-04', '2025-03-11', '2025-03-18']);
+        expect(expand('FREQ=WEEKLY;BYDAY=MO;COUNT=2', '2025-03-05', '2025-12-31')).toEqual(['2025-03-05', '2025-03-10']);
+        expect(RecurrenceService.expand('FREQ=MONTHLY;COUNT=3', '2025-01-31', '2025-04-01', '2025-12-31')).toEqual(['2025-05-31']);
+    });
+
+    test('includes UNTIL itself', () => {
+        expect(expand('FREQ=WEEKLY;UNTIL=20250318', '2025-03-04', '2025-12-31')).toEqual(['2025-03-04', '2025-03-11', '2025-03-18']);
+        expect(expand('FREQ=DAILY;UNTIL=20250304', '2025-03-04', '2025-12-31')).toEqual(['2025-03-04']);
+    });
+
+    test('returns only occurrences within the range', () => {
+        expect(RecurrenceService.expand('FREQ=WEEKLY', '2024-01-02', '2025-03-01', '2025-03-14')).toEqual(['2025-03-04', '2025-03-11']);
+    });
+});
@@ -0,0 +1,214 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import type { Socket, TCPSocketListener } from 'bun';
+import { ReminderService } from '../src/services/reminders';
+import { EmailService } from '../src/services/email';
+import { CalendarSettings } from '../src/models/CalendarSettings';
+import { Event, EventOccurrence } from '../src/models/Event';
+import { event, fakeDatabase, HASH } from './helpers';
+
+/**
+ * Local SMTP stand-in: accepts every mail and keeps the DATA of each
+ */
+function startSmtpServer(received: string[]): TCPSocketListener<{ data: string | null }> {
+    return Bun.listen<{ data: string | null }>({
+        hostname: '127.0.0.1',
+        port: 0,
+        socket: {
+            open(socket) {
+                socket.data = { data: null };
+                socket.write('220 localhost ESMTP stand-in\r\n');
+            },
+            data(socket: Socket<{ data: string | null }>, chunk) {
+                const text = chunk.toString();
+
+                if (socket.data.data !== null) {
+                    socket.data.data += text;
+                    if (socket.data.data.endsWith('\r\n.\r\n')) {
+                        received.push(socket.data.data);
+                        socket.data.data = null;
+                        socket.write('250 OK queued\r\n');
+                    }
+                    return;
+                }
+
+                for (const line of text.split('\r\n').filter(Boolean)) {
+                    const command = line.substring(0, 4).toUpperCase();
+                    if (command === 'DATA') {
+                        socket.data.data = '';
+                        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                    } else if (command === 'QUIT') {
+                        socket.write('221 Bye\r\n');
+                        socket.end();
+                    } else {
+                        socket.write('250 OK\r\n');
+                    }
+                }
+            }
+        }
+    });
+}
+
+function tomorrow(id: number, title: string, data: Partial<Event> = {}): Event {
+    return event({ id, title, event_date: '2025-06-03', ...data });
+}
+
+function occurrence(id: number, title: string, data: Partial<Event> = {}): EventOccurrence {
+    return { ...tomorrow(id, title, data), series_start: null, recurrence_id: null, is_moved: false, holiday: null };
+}
+
+/**
+ * Tables the reminder job reads and writes, with the given events
+ */
+function remindersDatabase(events: Event[]) {
+    const sent: { event_id: number; pickup_date: string }[] = [];
+
+    const { db } = fakeDatabase({
+        query: (sql, params) => {
+            if (sql.includes('FROM events')) return events;
+            if (sql.includes('FROM sent_reminders')) {
+                return sent.filter(row => row.pickup_date === params[1]).map(row => ({ event_id: row.event_id }));
+            }
+            return [];
+        },
+        insert: (sql, params) => {
+            if (sql.includes('sent_reminders')) {
+                for (let i = 0; i < params.length; i += 3) {
+                    sent.push({ event_id: params[i + 1], pickup_date: params[i + 2] });
+                }
+            }
+            return { affectedRows: params.length / 3 };
+        }
+    });
+
+    return { db, sent };
+}
+
+function settings(data: Partial<CalendarSettings> = {}): CalendarSettings {
+    return {
+        user_hash: HASH,
+        holiday_region: null,
+        holiday_shift: false,
+        default_reminder_minutes: null,
+        all_day_reminder_time: '19:00:00',
+        reminder_email: 'anwohner@example.org',
+        quiet_hours_start: null,
+        quiet_hours_end: null,
+        timezone: 'Europe/Berlin',
+        ...data
+    } as CalendarSettings;
+}
+
+// 2025-06-02 20:00 in Berlin (summer time)
+const EVENING = new Date('2025-06-02T18:00:00Z');
+
+describe('ReminderService.isQuietTime', () => {
+    test('checks a range within the day', () => {
+        expect(ReminderService.isQuietTime('13:30:00', '13:00:00', '15:00:00')).toBe(true);
+        expect(ReminderService.isQuietTime('15:00:00', '13:00:00', '15:00:00')).toBe(false);
+    });
+
+    test('checks a range wrapping midnight', () => {
+        expect(ReminderService.isQuietTime('23:00:00', '22:00:00', '07:00:00')).toBe(true);
+        expect(ReminderService.isQuietTime('06:59:00', '22:00:00', '07:00:00')).toBe(true);
+        expect(ReminderService.isQuietTime('19:00:00', '22:00:00', '07:00:00')).toBe(false);
+    });
+
+    test('has no quiet hours without both bounds', () => {
+        expect(ReminderService.isQuietTime('23:00:00', '22:00:00', null)).toBe(false);
+    });
+});
+
+describe('ReminderService.isDue', () => {
+    test('is due from the reminder time on', () => {
+        expect(ReminderService.isDue(settings(), '18:59:00')).toBe(false);
+        expect(ReminderService.isDue(settings(), '19:00:00')).toBe(true);
+    });
+
+    test('waits while quiet hours last', () => {
+        const quiet = settings({ quiet_hours_start: '18:00:00', quiet_hours_end: '21:00:00' });
+        expect(ReminderService.isDue(quiet, '20:00:00')).toBe(false);
+        expect(ReminderService.isDue(quiet, '21:00:00')).toBe(true);
+    });
+
+    test('goes out before quiet hours that last into the pickup day', () => {
+        const overnight = settings({ quiet_hours_start: '18:00:00', quiet_hours_end: '08:00:00' });
+
+        expect(ReminderService.reminderTime(overnight)).toBe('17:30:00');
+        expect(ReminderService.isDue(overnight, '17:29:00')).toBe(false);
+        expect(ReminderService.isDue(overnight, '17:30:00')).toBe(true);
+        expect(ReminderService.isDue(overnight, '19:00:00')).toBe(false);
+
+        // Quiet hours starting after the reminder time leave it alone
+        expect(ReminderService.reminderTime(settings({ quiet_hours_start: '22:00:00', quiet_hours_end: '07:00:00' }))).toBe('19:00:00');
+    });
+});
+
+describe('ReminderService.pending', () => {
+    test('leaves out sent reminders and events with reminders switched off', () => {
+        const pending = ReminderService.pending([
+            occurrence(1, 'Restmüll'),
+            occurrence(2, 'Papier', { reminder_minutes: 0 }),
+            occurrence(3, 'Gelber Sack')
+        ], [3]);
+
+        expect(pending.map(pickup => pickup.id)).toEqual([1]);
+    });
+});
+
+describe('ReminderService delivery', () => {
+    const received: string[] = [];
+    let smtp: TCPSocketListener<{ data: string | null }>;
+    let mailer: EmailService;
+
+    beforeAll(() => {
+        smtp = startSmtpServer(received);
+        process.env.SMTP_HOST = '127.0.0.1';
+        process.env.SMTP_PORT = String(smtp.port);
+        process.env.SMTP_USER = 'yatwa@example.org';
+        mailer = new EmailService();
+    });
+
+    afterAll(() => {
+        smtp.stop(true);
+        delete process.env.SMTP_HOST;
+        delete process.env.SMTP_PORT;
+        delete process.env.SMTP_USER;
+    });
+
+    test('mails tomorrow\'s pickups once, even across restarts', async () => {
+        const { db, sent } = remindersDatabase([tomorrow(1, 'Restmüll'), tomorrow(2, 'Bioabfall', { event_time: '06:30:00' })]);
+
+        expect(await ReminderService.remindCalendar(db, mailer, settings(), EVENING)).toBe(2);
+        expect(received).toHaveLength(1);
+        expect(received[0]).toContain('anwohner@example.org');
+        expect(received[0]).toContain('Restm=C3=BCll');
+        expect(received[0]).toContain('Bioabfall (06:30 Uhr)');
+        expect(sent).toEqual([
+            { event_id: 1, pickup_date: '2025-06-03' },
+            { event_id: 2, pickup_date: '2025-06-03' }
+        ]);
+
+        // The next check (or a restarted server) finds them recorded
+        expect(await ReminderService.remindCalendar(db, mailer, settings(), new Date('2025-06-02T18:10:00Z'))).toBe(0);
+        expect(received).toHaveLength(1);
+    });
+
+    test('sends nothing before the reminder time or in quiet hours', async () => {
+        const { db } = remindersDatabase([tomorrow(1, 'Restmüll')]);
+        const count = received.length;
+
+        expect(await ReminderService.remindCalendar(db, mailer, settings({ all_day_reminder_time: '21:00:00' }), EVENING)).toBe(0);
+        expect(await ReminderService.remindCalendar(db, mailer, settings({ quiet_hours_start: '19:30:00', quiet_hours_end: '22:00:00' }), EVENING)).toBe(0);
+        expect(received).toHaveLength(count);
+    });
+
+    test('mails before overnight quiet hours instead of skipping the pickup', async () => {
+        const { db } = remindersDatabase([tomorrow(1, 'Restmüll')]);
+        const overnight = settings({ quiet_hours_start: '18:00:00', quiet_hours_end: '08:00:00' });
+        const count = received.length;
+
+        // 17:40 in Berlin
+        expect(await ReminderService.remindCalendar(db, mailer, overnight, new Date('2025-06-02T15:40:00Z'))).toBe(1);
+        expect(received).toHaveLength(count + 1);
+    });
+});
@@ -0,0 +1,181 @@
+import { describe, expect, test } from 'bun:test';
+import { AccountService, ARCHIVE_FORMAT, MAX_RESTORE_EVENTS } from '../src/services/account';
+import { userRoutes } from '../src/routes/users';
+import { Database } from '../src/services/database';
+import { fakeDatabase, HASH, Statement } from './helpers';
+
+function archive(overrides: Record<string, unknown> = {}): any {
+    return {
+        format: ARCHIVE_FORMAT,
+        version: 1,
+        settings: { holiday_region: 'NW', holiday_shift: true, all_day_reminder_time: '19:00:00', email_locale: 'en', digest_sent_week: '2025-01-06' },
+        waste_types: [
+            { id: 11, name: 'Papier', color: '#2196F3', icon: '♻️', waste_kind: 'paper' },
+            { id: 12, name: 'Sperrmüll', color: '#795548', icon: '🚮', waste_kind: null }
+        ],
+        events: [
+            { id: 21, title: 'Papier', event_date: '2025-03-04', event_time: null, icon: 'calendar', recurrence_rule: 'FREQ=WEEKLY;INTERVAL=2', waste_type_id: 11 },
+            { id: 22, title: 'Sperrmüll', event_date: '2025-03-10', event_time: '07:00:00', icon: '🚮', waste_type_id: 12 },
+            { id: 23, title: '', event_date: 'gestern' }
+        ],
+        event_exceptions: [
+            { id: 31, event_id: 21, original_date: '2025-03-18', cancelled: true, event_date: null, event_time: null, title: null, description: null }
+        ],
+        ...overrides
+    };
+}
+
+/**
+ * Calendar with one existing waste type
+ */
+function calendarDatabase() {
+    let wasteTypes = [{ id: 1, name: 'papier', color: '#000000', icon: '♻️', waste_kind: 'paper' }];
+
+    return fakeDatabase({
+        query: sql => sql.includes('FROM waste_types') ? wasteTypes : [],
+        queryOne: (sql, params) => {
+            if (sql.includes('FROM users')) return { count: 1 };
+            if (sql.includes('FROM waste_types')) return { id: params[0], name: 'neu' };
+            return null;
+        },
+        delete: sql => {
+            if (sql.includes('FROM waste_types')) wasteTypes = [];
+            return 1;
+        }
+    });
+}
+
+const inserts = (statements: Statement[], table: string) =>
+    statements.filter(statement => statement.sql.includes(`INSERT INTO ${table} `));
+
+describe('AccountService.validateArchive', () => {
+    test('accepts an export', () => {
+        expect(AccountService.validateArchive(archive()).isValid).toBe(true);
+    });
+
+    test('rejects other files, newer versions and oversized archives', () => {
+        expect(AccountService.validateArchive({ events: [] }).isValid).toBe(false);
+        expect(AccountService.validateArchive(archive({ version: 2 })).isValid).toBe(false);
+        expect(AccountService.validateArchive(archive({ events: {} })).isValid).toBe(false);
+        expect(AccountService.validateArchive(archive({ events: new Array(MAX_RESTORE_EVENTS + 1).fill({}) })).isValid).toBe(false);
+        expect(AccountService.validateArchive(archive({ settings: { email_locale: 'fr' } })).isValid).toBe(false);
+    });
+});
+
+describe('AccountService.restore', () => {
+    test('replace clears own events and types, remaps types and restores settings', async () => {
+        const { db, statements } = calendarDatabase();
+        const summary = await AccountService.restore(db, HASH, archive(), 'replace');
+
+        expect(statements[0].sql).toBe('BEGIN');
+        expect(statements[1].sql).toContain('source_id IS NULL');
+        expect(statements[2].sql).toBe('DELETE FROM waste_types WHERE user_hash = ?');
+        expect(statements[statements.length - 1].sql).toBe('COMMIT');
+
+        // Types get ids 1 and 2, the events 3 and 5 (the exception in between)
+        expect(summary.waste_types).toEqual({ created: 2, matched: 0, rejected: 0 });
+        expect(summary.events).toEqual({ created: 2, skipped: 0, rejected: 1 });
+
+        const [paper, bulky] = inserts(statements, 'events');
+        expect(paper.params[9]).toBe(1);
+        expect(bulky.params[9]).toBe(2);
+        expect(paper.params[4]).toBe('calendar');
+        expect(bulky.params[4]).toBe('🚮');
+
+        const [exception] = inserts(statements, 'event_exceptions');
+        expect(exception.params.slice(0, 3)).toEqual([3, '2025-03-18', 1]);
+
+        expect(summary.settings).toBe(true);
+        const [settings] = inserts(statements, 'calendar_settings');
+        expect(settings.params).toContain('NW');
+        expect(settings.params).toContain('en');
+    });
+
+    test('replace rolls the calendar back when the restore fails', async () => {
+        const { db, statements } = calendarDatabase();
+        const insert = db.insert;
+        db.insert = async (sql: string, params?: any[]) => {
+            if (sql.includes('INSERT INTO calendar_settings')) throw new Error('Verbindung verloren');
+            return await insert(sql, params);
+        };
+
+        await expect(AccountService.restore(db, HASH, archive(), 'replace')).rejects.toThrow('Verbindung verloren');
+        expect(statements[0].sql).toBe('BEGIN');
+        expect(statements[statements.length - 1].sql).toBe('ROLLBACK');
+    });
+
+    test('sanitizes the descriptions of restored exceptions like those of events', async () => {
+        const { db, statements } = calendarDatabase();
+        const exceptions = [{ id: 31, event_id: 21, original_date: '2025-03-18', cancelled: false, description: '  Erst   am Mittwoch\n' }];
+        await AccountService.restore(db, HASH, archive({ event_exceptions: exceptions }), 'merge');
+
+        const [exception] = inserts(statements, 'event_exceptions');
+        expect(exception.params[6]).toBe('Erst am Mittwoch');
+    });
+
+    test('gives events with icons outside the picker the default icon', async () => {
+        const { db, statements } = calendarDatabase();
+        const events = [{ id: 21, title: 'Papier', event_date: '2025-03-04', icon: '<img src=x onerror=alert(1)>' }];
+        await AccountService.restore(db, HASH, archive({ events, event_exceptions: [] }), 'merge');
+
+        expect(inserts(statements, 'events')[0].params[4]).toBe('calendar');
+    });
+
+    test('merge matches types by name and keeps the settings of the calendar', async () => {
+        const { db, statements } = calendarDatabase();
+        const summary = await AccountService.restore(db, HASH, archive(), 'merge');
+
+        expect(statements.some(statement => statement.sql.startsWith('DELETE'))).toBe(false);
+        expect(summary.waste_types).toEqual({ created: 1, matched: 1, rejected: 0 });
+        expect(inserts(statements, 'events')[0].params[9]).toBe(1);
+        expect(summary.settings).toBe(false);
+        expect(inserts(statements, 'calendar_settings')).toHaveLength(0);
+    });
+});
+
+describe('AccountService.restoreAsNew', () => {
+    test('creates the calendar with default types before its events, in one transaction', async () => {
+        const { db, statements } = calendarDatabase();
+        const { summary } = await AccountService.restoreAsNew(db, 'neuer-hash', archive({ waste_types: [] }));
+        const sql = statements.map(statement => statement.sql);
+
+        expect(sql[0]).toBe('BEGIN');
+        expect(sql[1]).toStartWith('INSERT INTO users');
+        expect(sql.findIndex(statement => statement.startsWith('INSERT IGNORE INTO waste_types')))
+            .toBeLessThan(sql.findIndex(statement => statement.startsWith('INSERT INTO events')));
+        expect(sql[sql.length - 1]).toBe('COMMIT');
+        expect(summary.settings).toBe(true);
+    });
+
+    test('leaves the defaults out when the archive brings its own types', async () => {
+        const { db, statements } = calendarDatabase();
+        await AccountService.restoreAsNew(db, 'neuer-hash', archive());
+
+        expect(statements.some(statement => statement.sql.startsWith('INSERT IGNORE INTO waste_types'))).toBe(false);
+        expect(statements.some(statement => statement.sql.startsWith('DELETE'))).toBe(false);
+    });
+});
+
+describe('userRoutes.restoreInto', () => {
+    const restore = (db: Database, query: string, body: unknown) => userRoutes.restoreInto(db)(
+        new Request(`http://localhost/api/users/${HASH}/restore${query}`, { method: 'POST', body: JSON.stringify(body) }),
+        { hash: HASH }
+    );
+
+    test('rejects unknown modes and foreign files before touching data', async () => {
+        const { db, statements } = calendarDatabase();
+
+        expect((await restore(db, '?mode=overwrite', archive())).status).toBe(400);
+        expect((await restore(db, '', { format: 'other' })).status).toBe(400);
+        expect(statements.every(statement => statement.sql.startsWith('SELECT'))).toBe(true);
+    });
+
+    test('merges by default', async () => {
+        const { db } = calendarDatabase();
+        const response = await restore(db, '', archive());
+        const data = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(data.summary.mode).toBe('merge');
+    });
+});
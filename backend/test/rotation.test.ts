@@ -0,0 +1,73 @@
+import { describe, expect, test } from 'bun:test';
+import { UserModel } from '../src/models/User';
+import { ICalService } from '../src/services/ical';
+import { userRoutes } from '../src/routes/users';
+import { fakeDatabase } from './helpers';
+
+const OLD_HASH = 'a'.repeat(40);
+const NEW_HASH = 'b'.repeat(40);
+
+/**
+ * Database whose old user exists or is already gone
+ */
+function rotationDatabase(userExists: boolean = true) {
+    return fakeDatabase({
+        queryOne: sql => sql.includes('FROM users') ? { count: userExists ? 1 : 0 } : null,
+        execute: sql => ({ affectedRows: sql.includes('INSERT INTO users') && !userExists ? 0 : 1 })
+    });
+}
+
+describe('UserModel.rotate', () => {
+    test('creates the new user before moving rows and retires the old hash last', async () => {
+        const { db, statements } = rotationDatabase();
+        const graceUntil = new Date('2025-04-01T00:00:00Z');
+
+        expect(await new UserModel(db).rotate(OLD_HASH, NEW_HASH, graceUntil)).toBe(true);
+
+        expect(statements[0].sql).toContain('INSERT INTO users');
+        expect(statements[0].params).toEqual([NEW_HASH, OLD_HASH]);
+
+        const moved = statements.filter(statement => statement.sql.startsWith('UPDATE'));
+        expect(moved.map(statement => statement.sql.split(' ')[1])).toContain('events');
+        expect(moved.every(statement => statement.params[0] === NEW_HASH && statement.params[1] === OLD_HASH)).toBe(true);
+
+        const [remove, retire] = statements.slice(-2);
+        expect(remove.sql).toBe('DELETE FROM users WHERE hash = ?');
+        expect(retire.sql).toContain('INSERT INTO retired_hashes');
+        expect(retire.params).toEqual([OLD_HASH, graceUntil]);
+    });
+
+    test('moves nothing when the old hash is already gone', async () => {
+        const { db, statements } = rotationDatabase(false);
+
+        expect(await new UserModel(db).rotate(OLD_HASH, NEW_HASH, null)).toBe(false);
+        expect(statements).toHaveLength(1);
+    });
+});
+
+describe('ICalService.generateMovedNotice', () => {
+    test('serves a single notice event on the given day', () => {
+        const ical = new ICalService().generateMovedNotice(OLD_HASH, '2025-03-04');
+
+        expect(ical.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+        expect(ical).toContain('DTSTART;VALUE=DATE:20250304');
+        expect(ical).toContain('DTEND;VALUE=DATE:20250305');
+        expect(ical).toContain('SUMMARY:⚠️ Dieser Kalender ist umgezogen');
+        expect(ical.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+});
+
+describe('userRoutes.rotateHash', () => {
+    test('rejects a grace period out of range', async () => {
+        const { db, statements } = rotationDatabase();
+        const request = new Request('http://localhost/api/users/x/rotate', {
+            method: 'POST',
+            body: JSON.stringify({ graceDays: 90 })
+        });
+
+        const response = await userRoutes.rotateHash(db)(request, { hash: OLD_HASH });
+
+        expect(response.status).toBe(400);
+        expect(statements.some(statement => statement.sql.includes('retired_hashes'))).toBe(false);
+    });
+});
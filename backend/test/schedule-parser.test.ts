@@ -0,0 +1,56 @@
+import { describe, expect, test } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { ScheduleParserService } from '../src/services/schedule-parser';
+
+const fixture = (name: string) => readFileSync(join(import.meta.dir, 'fixtures/import', name), 'utf-8');
+
+describe('ScheduleParserService.parse', () => {
+    const proposals = ScheduleParserService.parse(fixture('amtsblatt.txt'), 2024);
+    const summary = proposals.map(proposal => [proposal.line, proposal.event_date, proposal.title, proposal.event_time, proposal.confidence]);
+
+    test('reads the dates of a pasted schedule in date order', () => {
+        expect(summary).toEqual([
+            [4, '2025-01-07', 'Restmüll', null, 'medium'],
+            [6, '2025-01-08', 'Biotonne', null, 'medium'],
+            [9, '2025-01-10', 'Glas', null, 'low'],
+            [8, '2025-01-10', 'Papier', null, 'high'],
+            [7, '2025-01-13', 'Gelber Sack', '06:00:00', 'high'],
+            [10, '2025-01-18', 'Schadstoffe', '09:00:00', 'high'],
+            [4, '2025-01-21', 'Restmüll', null, 'medium'],
+            [6, '2025-01-22', 'Biotonne', null, 'medium'],
+            [4, '2025-02-04', 'Restmüll', null, 'medium']
+        ]);
+    });
+
+    test('explains why a proposal is not certain', () => {
+        const [restmuell, biotonne, glas] = proposals;
+
+        expect(restmuell.warnings).toEqual(['Jahr ergänzt', 'Abfallart aus Überschrift übernommen (Restmüll)']);
+        expect(biotonne.warnings).toEqual(['Jahr ergänzt']);
+        expect(glas.warnings).toEqual(['Wochentag passt nicht zum Datum']);
+        expect(glas.source).toBe('Mi, 10.01.2025 Glas');
+    });
+
+    test('drops repeated lines and dates that do not exist', () => {
+        expect(proposals.filter(proposal => proposal.waste_kind === 'paper')).toHaveLength(1);
+        expect(proposals.some(proposal => proposal.line === 12)).toBe(false);
+    });
+
+    test('takes the year from the caller unless the text sets one', () => {
+        const [proposal] = ScheduleParserService.parse('Di, 07.01. Restmüll', 2025);
+
+        expect(proposal).toMatchObject({ event_date: '2025-01-07', title: 'Restmüll', waste_kind: 'residual', confidence: 'medium' });
+    });
+
+    test('keeps unknown text as title with low confidence', () => {
+        const [proposal] = ScheduleParserService.parse('06.01.2025 Straßenfest');
+
+        expect(proposal).toMatchObject({ title: 'Straßenfest', waste_kind: null, confidence: 'low', warnings: ['Abfallart nicht erkannt'] });
+        expect(ScheduleParserService.parse('Abfuhrkalender\nkeine Termine')).toEqual([]);
+    });
+
+    test('refuses overly long text', () => {
+        expect(() => ScheduleParserService.parse('x'.repeat(100001))).toThrow('Text ist zu lang (max. 100000 Zeichen)');
+    });
+});
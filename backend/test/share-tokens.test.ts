@@ -0,0 +1,58 @@
+import { describe, expect, test } from 'bun:test';
+import { ICalService } from '../src/services/ical';
+import { Router } from '../src/routes';
+import { event, fakeDatabase, HASH } from './helpers';
+
+const TOKEN = 'b'.repeat(40);
+
+/**
+ * Database that knows a single share token
+ */
+function tokenDatabase() {
+    return fakeDatabase({
+        queryOne: (sql, params) => ({ count: sql.includes('share_tokens') && params[0] === TOKEN ? 1 : 0 })
+    });
+}
+
+describe('ICalService with a share token', () => {
+    test('keeps the editing hash out of the feed', () => {
+        const ical = new ICalService({ url: 'https://example.org', shareToken: TOKEN })
+            .generateCalendar([event()], HASH);
+
+        expect(ical).not.toContain(HASH);
+        expect(ical).toContain(`URL:https://example.org/api/ical/${TOKEN}`);
+        expect(ical).toContain(`UID:1-${TOKEN}@yatwa.app`);
+    });
+
+    test('leaves the owner feed unchanged', () => {
+        const ical = new ICalService({ url: 'https://example.org' })
+            .generateCalendar([event()], HASH);
+
+        expect(ical).toContain(`UID:1-${HASH}@yatwa.app`);
+        expect(ical).toContain(`URL:https://example.org?hash=${HASH}`);
+    });
+});
+
+describe('Router with a share token', () => {
+    test('rejects changes before reaching the route', async () => {
+        const { db, statements } = tokenDatabase();
+        const router = new Router(db);
+
+        for (const [method, path] of [['PUT', `/api/events/${TOKEN}/1`], ['DELETE', `/api/events/${TOKEN}/1`], ['POST', `/api/events/${TOKEN}`]]) {
+            const url = new URL(`http://localhost${path}`);
+            const response = await router.handle(new Request(url, { method, body: method === 'DELETE' ? null : '{}' }), url);
+
+            expect(response.status).toBe(403);
+            expect((await response.json()).success).toBe(false);
+        }
+        expect(statements.every(statement => statement.sql.includes('share_tokens'))).toBe(true);
+    });
+
+    test('lets changes with the hash through', async () => {
+        const { db } = tokenDatabase();
+        const url = new URL(`http://localhost/api/events/${HASH}/1`);
+        const response = await new Router(db).handle(new Request(url, { method: 'DELETE' }), url);
+
+        expect(response.status).not.toBe(403);
+    });
+});
@@ -0,0 +1,177 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { SourceSyncService } from '../src/services/source-sync';
+import { ICalImportService } from '../src/services/ical-import';
+import { Event } from '../src/models/Event';
+import { event, HASH } from './helpers';
+
+const SOURCE_ID = 7;
+
+const fixture = (name: string) => readFileSync(join(import.meta.dir, 'fixtures/sources', name), 'utf-8');
+
+/**
+ * Stored events as the first sync of a feed would have created them
+ */
+function storedEvents(content: string): Event[] {
+    const plan = SourceSyncService.plan(HASH, SOURCE_ID, ICalImportService.parse(content), [], []);
+
+    return plan.changes.create.map((data, index) => event({
+        id: index + 1,
+        title: data.title,
+        event_date: data.event_date,
+        event_time: data.event_time || null,
+        end_date: data.end_date || null,
+        end_time: data.end_time || null,
+        icon: data.icon || '📅',
+        description: data.description || null,
+        recurrence_rule: data.recurrence_rule || null,
+        external_uid: data.external_uid || null,
+        source_id: SOURCE_ID
+    }));
+}
+
+describe('SourceSyncService.plan', () => {
+    test('creates every event of a new source, marked with the source', () => {
+        const plan = SourceSyncService.plan(HASH, SOURCE_ID, ICalImportService.parse(fixture('abfall-v1.ics')), [], []);
+
+        expect(plan.changes.create).toHaveLength(4);
+        expect(plan.changes.create.every(event => event.source_id === SOURCE_ID)).toBe(true);
+        expect(plan.changes.create[0].external_uid).toBe('rest-2025@musterstadt.de');
+    });
+
+    test('applies updates, cancellations and new entries by UID', () => {
+        const existing = storedEvents(fixture('abfall-v1.ics'));
+        const plan = SourceSyncService.plan(HASH, SOURCE_ID, ICalImportService.parse(fixture('abfall-v2.ics')), existing, []);
+        const uidOf = (id: number) => existing.find(event => event.id === id)!.external_uid;
+
+        expect(plan.changes.create.map(event => event.external_uid)).toEqual(['baum-0111@musterstadt.de']);
+        expect(plan.changes.update.map(change => uidOf(change.id)).sort())
+            .toEqual(['rest-2025@musterstadt.de', 'schadstoff-0315@musterstadt.de']);
+        expect(plan.changes.remove.map(uidOf)).toEqual(['glas-0207@musterstadt.de']);
+        expect(plan.unchanged).toBe(1);
+        expect(plan.rejected).toBe(0);
+    });
+
+    test('updates events whose end changed', () => {
+        const existing = storedEvents(fixture('abfall-v1.ics'));
+        const lengthened = fixture('abfall-v1.ics').replace('DTSTART:20250315T090000', 'DTSTART:20250315T090000\nDTEND:20250315T120000');
+        const plan = SourceSyncService.plan(HASH, SOURCE_ID, ICalImportService.parse(lengthened), existing, []);
+
+        expect(plan.changes.update).toHaveLength(1);
+        expect(plan.changes.update[0].data.end_time).toBe('12:00:00');
+        expect(SourceSyncService.plan(HASH, SOURCE_ID, ICalImportService.parse(lengthened), storedEvents(lengthened), []).unchanged).toBe(4);
+    });
+
+    test('leaves an unchanged feed alone', () => {
+        const existing = storedEvents(fixture('abfall-v1.ics'));
+        const plan = SourceSyncService.plan(HASH, SOURCE_ID, ICalImportService.parse(fixture('abfall-v1.ics')), existing, []);
+
+        expect(plan.changes).toEqual({ create: [], update: [], remove: [] });
+        expect(plan.unchanged).toBe(4);
+    });
+
+    test('keeps events whose entry is unreadable this time', () => {
+        const existing = storedEvents(fixture('abfall-v1.ics'));
+        const broken = fixture('abfall-v1.ics').replace('DTSTART;VALUE=DATE:20250110', 'DTSTART;VALUE=DATE:2025011');
+        const plan = SourceSyncService.plan(HASH, SOURCE_ID, ICalImportService.parse(broken), existing, []);
+
+        expect(plan.changes.remove).toEqual([]);
+        expect(plan.rejected).toBe(1);
+    });
+});
+
+describe('SourceSyncService.fetch', () => {
+    let server: ReturnType<typeof Bun.serve>;
+    let baseUrl: string;
+
+    beforeAll(() => {
+        process.env.SOURCE_ALLOW_PRIVATE_URLS = 'true';
+
+        // Local stand-in for a municipal calendar server
+        server = Bun.serve({
+            port: 0,
+            fetch(req) {
+                const path = new URL(req.url).pathname;
+                if (path === '/abfall.ics') {
+                    if (req.headers.get('if-none-match') === '"v1"') {
+                        return new Response(null, { status: 304 });
+                    }
+                    return new Response(fixture('abfall-v1.ics'), {
+                        headers: { 'Content-Type': 'text/calendar', 'ETag': '"v1"' }
+                    });
+                }
+                if (path === '/umgezogen.ics') {
+                    return Response.redirect('/abfall.ics', 301);
+                }
+                if (path === '/datei.ics') {
+                    return Response.redirect('file:///etc/passwd', 302);
+                }
+                if (path === '/kreis.ics') {
+                    return Response.redirect('/kreis.ics', 302);
+                }
+                return new Response('Not found', { status: 404 });
+            }
+        });
+        baseUrl = `http://localhost:${server.port}`;
+    });
+
+    afterAll(() => {
+        server.stop(true);
+        delete process.env.SOURCE_ALLOW_PRIVATE_URLS;
+    });
+
+    test('returns content and validators', async () => {
+        const result = await SourceSyncService.fetch({ url: `${baseUrl}/abfall.ics`, etag: null, last_modified: null });
+
+        expect(result.notModified).toBe(false);
+        expect(result.etag).toBe('"v1"');
+        expect(ICalImportService.parse(result.content).events).toHaveLength(4);
+    });
+
+    test('sends the ETag of the last fetch', async () => {
+        const result = await SourceSyncService.fetch({ url: `${baseUrl}/abfall.ics`, etag: '"v1"', last_modified: null });
+        expect(result.notModified).toBe(true);
+    });
+
+    test('follows redirects, checking every hop', async () => {
+        const moved = await SourceSyncService.fetch({ url: `${baseUrl}/umgezogen.ics`, etag: null, last_modified: null });
+        expect(moved.etag).toBe('"v1"');
+
+        await expect(SourceSyncService.fetch({ url: `${baseUrl}/datei.ics`, etag: null, last_modified: null }))
+            .rejects.toThrow('http(s)');
+        await expect(SourceSyncService.fetch({ url: `${baseUrl}/kreis.ics`, etag: null, last_modified: null }))
+            .rejects.toThrow('Zu viele Weiterleitungen');
+    });
+
+    test('refuses host names that resolve into the local network', async () => {
+        delete process.env.SOURCE_ALLOW_PRIVATE_URLS;
+        try {
+            await expect(SourceSyncService.fetch({ url: `${baseUrl}/abfall.ics`, etag: null, last_modified: null }))
+                .rejects.toThrow('lokalen Netzwerk');
+        } finally {
+            process.env.SOURCE_ALLOW_PRIVATE_URLS = 'true';
+        }
+    });
+
+    test('reports HTTP errors', async () => {
+        await expect(SourceSyncService.fetch({ url: `${baseUrl}/missing.ics`, etag: null, last_modified: null }))
+            .rejects.toThrow('HTTP 404');
+    });
+});
+
+describe('SourceSyncService.normalizeUrl', () => {
+    test('fetches webcal:// via https://', () => {
+        expect(SourceSyncService.normalizeUrl('webcal://example.org/abfall.ics')).toBe('https://example.org/abfall.ics');
+    });
+
+    test('rejects other schemes and local addresses', () => {
+        expect(() => SourceSyncService.normalizeUrl('file:///etc/passwd')).toThrow('http(s)');
+        expect(() => SourceSyncService.normalizeUrl('http://192.168.0.1/abfall.ics')).toThrow('lokalen Netzwerk');
+        expect(() => SourceSyncService.normalizeUrl('http://[::1]/abfall.ics')).toThrow('lokalen Netzwerk');
+        expect(() => SourceSyncService.normalizeUrl('http://2130706433/abfall.ics')).toThrow('lokalen Netzwerk');
+        expect(() => SourceSyncService.normalizeUrl('http://0177.0.0.1/abfall.ics')).toThrow('lokalen Netzwerk');
+        expect(() => SourceSyncService.normalizeUrl('http://[::ffff:10.0.0.1]/abfall.ics')).toThrow('lokalen Netzwerk');
+        expect(SourceSyncService.normalizeUrl('http://localhost.example.org/abfall.ics')).toBe('http://localhost.example.org/abfall.ics');
+    });
+});
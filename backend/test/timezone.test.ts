@@ -0,0 +1,96 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { normalizeTimeZone, timeZoneOffset, timeZoneTransitions, zonedToInstant } from '../src/utils/timezone';
+import { ICalService } from '../src/services/ical';
+import { ValidationService } from '../src/utils/validation';
+import { event, HASH } from './helpers';
+
+function lines(ical: string, prefix: string): string[] {
+    return ical.split('\r\n').filter(line => line.startsWith(prefix));
+}
+
+describe('Timezone utilities', () => {
+    test('find the March and October transitions of Europe/Berlin', () => {
+        const [spring, autumn] = timeZoneTransitions('Europe/Berlin', 2025);
+
+        expect(spring.instant.toISOString()).toBe('2025-03-30T01:00:00.000Z');
+        expect([spring.offsetFrom, spring.offsetTo]).toEqual([60, 120]);
+        expect(autumn.instant.toISOString()).toBe('2025-10-26T01:00:00.000Z');
+        expect([autumn.offsetFrom, autumn.offsetTo]).toEqual([120, 60]);
+    });
+
+    test('convert wall-clock times on both sides of a transition', () => {
+        expect(zonedToInstant('2025-03-30', '01:30', 'Europe/Berlin').toISOString()).toBe('2025-03-30T00:30:00.000Z');
+        expect(zonedToInstant('2025-03-30', '03:30', 'Europe/Berlin').toISOString()).toBe('2025-03-30T01:30:00.000Z');
+        expect(zonedToInstant('2025-10-26', '06:00', 'Europe/Berlin').toISOString()).toBe('2025-10-26T05:00:00.000Z');
+        // Skipped hour: offset before the change; repeated hour: first occurrence (RFC 5545)
+        expect(zonedToInstant('2025-03-30', '02:30', 'Europe/Berlin').toISOString()).toBe('2025-03-30T01:30:00.000Z');
+        expect(zonedToInstant('2025-10-26', '02:30', 'Europe/Berlin').toISOString()).toBe('2025-10-26T00:30:00.000Z');
+        expect(timeZoneOffset(new Date('2025-10-26T00:59:00Z'), 'Europe/Berlin')).toBe(120);
+        expect(timeZoneOffset(new Date('2025-10-26T01:00:00Z'), 'Europe/Berlin')).toBe(60);
+    });
+
+    test('accept IANA names only', () => {
+        expect(normalizeTimeZone('europe/berlin')).toBe('Europe/Berlin');
+        expect(normalizeTimeZone('Mars/Olympus_Mons')).toBeNull();
+        expect(normalizeTimeZone('+01:00')).toBeNull();
+        expect(ValidationService.validateSettings({ timezone: 'Berlin' }).isValid).toBe(false);
+    });
+});
+
+describe('ICalService timezones', () => {
+    const originalTz = process.env.TZ;
+
+    afterEach(() => {
+        process.env.TZ = originalTz;
+    });
+
+    test('writes rules for Europe/Berlin', () => {
+        const ical = new ICalService({ timezone: 'Europe/Berlin' }).generateCalendar([event({ event_date: '2025-06-03', event_time: '07:00:00' })], HASH);
+
+        expect(ical).toContain('TZID:Europe/Berlin');
+        expect(ical).toContain('DTSTART:20250330T020000\r\nTZOFFSETFROM:+0100\r\nTZOFFSETTO:+0200\r\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU');
+        expect(ical).toContain('DTSTART:20251026T030000\r\nTZOFFSETFROM:+0200\r\nTZOFFSETTO:+0100\r\nRRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU');
+    });
+
+    test('writes the rules and TZID of other zones', () => {
+        const ical = new ICalService({ timezone: 'America/New_York' }).generateCalendar([event({ event_date: '2025-06-03', event_time: '07:00:00' })], HASH);
+
+        expect(ical).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU');
+        expect(ical).toContain('RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU');
+        expect(lines(ical, 'DTSTART;')).toEqual(['DTSTART;TZID=America/New_York:20250603T070000']);
+        expect(ical).not.toContain('Europe/Berlin');
+    });
+
+    test('keeps a single observance for zones without DST', () => {
+        const ical = new ICalService({ timezone: 'Asia/Tokyo' }).generateCalendar([event({ event_date: '2025-06-03', event_time: '07:00:00' })], HASH);
+
+        expect(ical).toContain('BEGIN:STANDARD\r\nDTSTART:19700101T000000\r\nTZOFFSETFROM:+0900\r\nTZOFFSETTO:+0900');
+        expect(ical).not.toContain('BEGIN:DAYLIGHT');
+    });
+
+    test('ends events an hour later in real time across the March and October changes', () => {
+        const service = new ICalService({ timezone: 'Europe/Berlin' });
+
+        expect(lines(service.generateCalendar([event({ event_date: '2025-03-30', event_time: '01:30:00' })], HASH), 'DTEND;'))
+            .toEqual(['DTEND;TZID=Europe/Berlin:20250330T033000']);
+        // 02:30 + 1h is the second 02:30, which a TZID time can't express
+        expect(lines(service.generateCalendar([event({ event_date: '2025-10-26', event_time: '02:30:00' })], HASH), 'DTEND'))
+            .toEqual(['DTEND:20251026T013000Z']);
+    });
+
+    test('does not depend on the server timezone', () => {
+        const events = [event({ event_date: '2025-03-30', event_time: '01:30:00' }), event({ event_date: '2025-07-01', event_time: '06:00' })];
+        const generate = () => new ICalService({ timezone: 'Europe/Berlin' })
+            .generateCalendar(events, HASH)
+            .split('\r\n')
+            .filter(line => !line.startsWith('DTSTAMP'));
+
+        process.env.TZ = 'UTC';
+        const utc = generate();
+        process.env.TZ = 'America/Los_Angeles';
+
+        expect(generate()).toEqual(utc);
+        expect(utc).toContain('DTSTART;TZID=Europe/Berlin:20250701T060000');
+        expect(utc).toContain('CREATED:20250101T100000Z');
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, expect, test } from 'bun:test';
+import { Event, EventModel, EventTombstone } from '../src/models/Event';
+import { EventException } from '../src/models/EventException';
+import { eventRoutes } from '../src/routes/events';
+import { ICalService } from '../src/services/ical';
+import { event, fakeDatabase, HASH } from './helpers';
+
+const pickup = (data: Partial<Event> = {}) => event({ title: 'Gelber Sack', event_date: '2025-03-06', event_time: '07:00:00', icon: '♻️', reminder_minutes: 60, ...data });
+
+function lines(ical: string, prefix: string): string[] {
+    return ical.split('\r\n').filter(line => line.startsWith(prefix));
+}
+
+describe('EventModel revisions and tombstones', () => {
+    test('counts the revision on every update', async () => {
+        const { db, statements } = fakeDatabase({ queryOne: () => pickup() });
+        await new EventModel(db).update(1, HASH, { event_time: '08:00:00' });
+
+        expect(statements[0].sql).toContain('revision = revision + 1');
+        expect(statements[0].sql).toContain('WHERE id = ? AND user_hash = ? AND deleted_at IS NULL');
+    });
+
+    test('keeps deleted events as tombstones', async () => {
+        const { db, statements } = fakeDatabase({ queryOne: () => pickup() });
+
+        expect(await new EventModel(db).delete(1, HASH)).toBe(true);
+        expect(statements[0].sql).toStartWith('UPDATE events SET deleted_at = NOW(), revision = revision + 1');
+        expect(statements.some(statement => statement.sql.startsWith('DELETE'))).toBe(false);
+    });
+
+    test('lets a synced entry that comes back continue the revisions of its tombstone', async () => {
+        const { db, statements } = fakeDatabase({ queryOne: () => pickup() });
+        await new EventModel(db).applyImport(HASH, {
+            create: [{ user_hash: HASH, title: 'Papier', event_date: '2025-03-10', external_uid: 'abc@stadt', source_id: 3, waste_type_id: null }],
+            update: [],
+            remove: [9]
+        });
+
+        const [insert, replaced, removed] = statements.filter(statement => !statement.sql.includes('FROM waste_types'));
+        expect(insert.sql).toContain('COALESCE(MAX(revision) + 1, 0)');
+        expect(insert.params.slice(-2)).toEqual([HASH, 'abc@stadt']);
+        expect(replaced.sql).toContain('DELETE FROM events WHERE user_hash = ? AND external_uid = ?');
+        expect(removed.sql).toStartWith('UPDATE events SET deleted_at = NOW()');
+        expect(removed.params).toEqual([9, HASH]);
+    });
+
+    test('writes the end of updated events', async () => {
+        const { db, statements } = fakeDatabase();
+        await new EventModel(db).applyImport(HASH, {
+            create: [],
+            update: [{ id: 4, data: { user_hash: HASH, title: 'Stadtfest', event_date: '2025-07-04', end_date: '2025-07-06', end_time: null } }],
+            remove: []
+        });
+
+        expect(statements[0].sql).toContain('end_date = ?, end_time = ?');
+        expect(statements[0].params.slice(3, 5)).toEqual(['2025-07-06', null]);
+    });
+
+    test('limits tombstones to the date window, types and icons of a feed', async () => {
+        const { db, statements } = fakeDatabase();
+        await new EventModel(db).findTombstones(HASH, { activeFrom: '2025-03-01', endDate: '2025-03-31', wasteTypeIds: [2], icons: ['♻️'] });
+
+        expect(statements[0].sql).toContain('AND event_date <= ? AND (COALESCE(end_date, event_date) >= ? OR recurrence_rule IS NOT NULL) AND (waste_type_id IN (?) OR icon IN (?))');
+        expect(statements[0].params).toEqual([HASH, '2025-03-31', '2025-03-01', 2, '♻️']);
+    });
+
+    test('records the purge on the calendars before removing expired tombstones', async () => {
+        const { db, statements } = fakeDatabase({ execute: () => ({ affectedRows: 2 }) });
+
+        expect(await new EventModel(db).purgeTombstones(30)).toBe(2);
+
+        const [touched, purged] = statements;
+        expect(touched.sql).toStartWith('UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP');
+        expect(touched.sql).toContain('SELECT user_hash FROM events WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)');
+        expect(purged.sql).toBe('DELETE FROM events WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)');
+        expect(purged.params).toEqual([30]);
+    });
+});
+
+describe('eventRoutes occurrence changes', () => {
+    /**
+     * Calendar holding one weekly series; its revision and exceptions change with the statements
+     */
+    function seriesDatabase() {
+        const series = pickup({ recurrence_rule: 'FREQ=WEEKLY', revision: 0 });
+        const exceptions: EventException[] = [];
+        const fake = fakeDatabase({
+            queryOne: sql => sql.includes('FROM events') ? series : null,
+            update: sql => {
+                if (sql.includes('revision = revision + 1')) series.revision++;
+                return 1;
+            },
+            insert: (sql, params) => {
+                if (sql.includes('INSERT INTO event_exceptions')) {
+                    const [event_id, original_date, cancelled, event_date, event_time, title, description] = params;
+                    exceptions.push({ id: 1, event_id, original_date, cancelled: !!cancelled, event_date, event_time, title, description, created_at: new Date(), updated_at: new Date() });
+                }
+            }
+        });
+
+        return { ...fake, series, exceptions };
+    }
+
+    const request = (method: string, body?: unknown) =>
+        new Request(`http://localhost/api/events/${HASH}/1/occurrences/2025-03-13`, { method, body: body ? JSON.stringify(body) : undefined });
+    const params = { hash: HASH, id: '1', date: '2025-03-13' };
+
+    test('moving an occurrence counts a new revision of the series in the same transaction', async () => {
+        const { db, statements, series, exceptions } = seriesDatabase();
+        const response = await eventRoutes.updateOccurrence(db)(request('PUT', { event_date: '2025-03-14' }), params);
+
+        expect(response.status).toBe(200);
+        expect(statements.slice(-4).map(statement => statement.sql.split(' ').slice(0, 3).join(' ')))
+            .toEqual(['BEGIN', 'INSERT INTO event_exceptions', 'UPDATE events SET', 'COMMIT']);
+
+        const ical = new ICalService({ timezone: 'Europe/Berlin' }).generateCalendar([series], HASH, exceptions);
+        expect(new Set(lines(ical, 'SEQUENCE'))).toEqual(new Set(['SEQUENCE:1']));
+    });
+
+    test('cancelling an occurrence counts a new revision of the series', async () => {
+        const { db, series, exceptions } = seriesDatabase();
+        await eventRoutes.cancelOccurrence(db)(request('DELETE'), params);
+
+        const ical = new ICalService({ timezone: 'Europe/Berlin' }).generateCalendar([series], HASH, exceptions);
+        expect(lines(ical, 'EXDATE')).toHaveLength(1);
+        expect(lines(ical, 'SEQUENCE')).toEqual(['SEQUENCE:1']);
+    });
+});
+
+describe('ICalService revisions and tombstones', () => {
+    const service = new ICalService({ timezone: 'Europe/Berlin' });
+
+    test('writes the revision as SEQUENCE', () => {
+        const ical = service.generateCalendar([pickup({ revision: 3 })], HASH);
+
+        expect(lines(ical, 'SEQUENCE')).toEqual(['SEQUENCE:3']);
+    });
+
+    test('publishes tombstones as cancelled under their UID', () => {
+        const tombstone: EventTombstone = {
+            ...pickup({ id: 2, revision: 1, updated_at: new Date('2025-03-02T12:00:00Z') }),
+            deleted_at: new Date('2025-03-02T12:00:00Z')
+        };
+        const ical = service.generateCalendar([pickup()], HASH, [], [tombstone]);
+        const cancelled = ical.substring(ical.indexOf(`UID:2-${HASH}@yatwa.app`));
+
+        expect(lines(ical, 'STATUS')).toEqual(['STATUS:CONFIRMED', 'STATUS:CANCELLED']);
+        expect(cancelled).toContain('SEQUENCE:1\r\n');
+        expect(cancelled).toContain('LAST-MODIFIED:20250302T120000Z');
+        expect(cancelled).not.toContain('BEGIN:VALARM');
+        expect(service.validateCalendar(ical).errors).toEqual([]);
+    });
+
+    test('cuts cancelled series to the feed window like live ones', () => {
+        const windowed = new ICalService({ timezone: 'Europe/Berlin', windowStart: '2025-06-01', windowEnd: '2025-06-30' });
+        const ended: EventTombstone = { ...pickup({ id: 3, recurrence_rule: 'FREQ=WEEKLY;COUNT=4' }), deleted_at: new Date('2025-03-02T12:00:00Z') };
+        const running: EventTombstone = { ...pickup({ id: 4, recurrence_rule: 'FREQ=WEEKLY' }), deleted_at: new Date('2025-03-02T12:00:00Z') };
+        const ical = windowed.generateCalendar([], HASH, [], [ended, running]);
+
+        expect(ical).not.toContain(`UID:3-${HASH}@yatwa.app`);
+        expect(ical).toContain(`UID:4-${HASH}@yatwa.app`);
+        expect(lines(ical, 'DTSTART;TZID')).toEqual(['DTSTART;TZID=Europe/Berlin:20250605T070000']);
+    });
+});
@@ -9,7 +9,46 @@ CREATE TABLE IF NOT EXISTS users (
     id INT AUTO_INCREMENT PRIMARY KEY,
     hash VARCHAR(255) NOT NULL UNIQUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    last_accessed TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    last_accessed TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    content_deleted_at TIMESTAMP NULL -- Last deletion of an event, override or waste type (feed version)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 🔗 Calendar Sources Table
+-- Remote .ics calendars a calendar is subscribed to (re-fetched and merged by UID)
+CREATE TABLE IF NOT EXISTS calendar_sources (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    label VARCHAR(255) NULL,
+    etag VARCHAR(255) NULL,
+    last_modified VARCHAR(255) NULL,
+    last_sync_at TIMESTAMP NULL,
+    last_success_at TIMESTAMP NULL,
+    last_error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    INDEX idx_sources_user_hash (user_hash),
+    INDEX idx_sources_last_sync (last_sync_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 🗑️ Waste Types Table
+-- Per-calendar waste types; the defaults are created when a calendar is registered
+CREATE TABLE IF NOT EXISTS waste_types (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    color CHAR(7) NOT NULL DEFAULT '#6b7280',
+    icon VARCHAR(50) NOT NULL DEFAULT '🗑️',
+    waste_kind VARCHAR(20) NULL,
+    default_reminder_minutes INT NULL,
+    default_time TIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    UNIQUE KEY unique_type_name (user_hash, name)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- 📅 Events Table  
@@ -20,19 +59,168 @@ CREATE TABLE IF NOT EXISTS events (
     title VARCHAR(255) NOT NULL,
     event_date DATE NOT NULL,
     event_time TIME NULL,
+    end_date DATE NULL,
+    end_time TIME NULL,
     icon VARCHAR(50) DEFAULT 'calendar',
     description TEXT NULL,
+    recurrence_rule VARCHAR(255) NULL,
+    external_uid VARCHAR(255) NULL,
+    source_id INT NULL,
+    waste_type_id INT NULL,
+    reminder_minutes INT NULL,
+    revision INT NOT NULL DEFAULT 0, -- Published as SEQUENCE
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP NULL, -- Tombstone: published as cancelled until purged
     
     -- Foreign key to users table
     FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    FOREIGN KEY (source_id) REFERENCES calendar_sources(id) ON DELETE SET NULL,
+    FOREIGN KEY (waste_type_id) REFERENCES waste_types(id) ON DELETE SET NULL,
     
     -- Index for faster queries
     INDEX idx_user_hash (user_hash),
-    INDEX idx_event_date (event_date)
+    INDEX idx_event_date (event_date),
+    INDEX idx_external_uid (user_hash, external_uid),
+    INDEX idx_events_deleted (user_hash, deleted_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- 🔁 Event Exceptions Table
+-- Per-occurrence overrides of recurring events (cancelled or moved dates)
+CREATE TABLE IF NOT EXISTS event_exceptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id INT NOT NULL,
+    original_date DATE NOT NULL,
+    cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+    event_date DATE NULL,
+    event_time TIME NULL,
+    title VARCHAR(255) NULL,
+    description TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    -- One override per occurrence
+    UNIQUE KEY uniq_event_occurrence (event_id, original_date),
+
+    -- Foreign key to events table
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ⚙️ Calendar Settings Table
+-- Per-calendar preferences (one row per user hash, defaults when missing)
+CREATE TABLE IF NOT EXISTS calendar_settings (
+    user_hash VARCHAR(255) NOT NULL PRIMARY KEY,
+    holiday_region VARCHAR(2) NULL,
+    holiday_shift BOOLEAN NOT NULL DEFAULT FALSE,
+    default_reminder_minutes INT NULL,
+    all_day_reminder_time TIME NOT NULL DEFAULT '19:00:00',
+    reminder_email VARCHAR(255) NULL,
+    quiet_hours_start TIME NULL,
+    quiet_hours_end TIME NULL,
+    weekly_digest BOOLEAN NOT NULL DEFAULT FALSE,
+    digest_sent_week DATE NULL,
+    email_locale CHAR(2) NOT NULL DEFAULT 'de',
+    timezone VARCHAR(64) NOT NULL DEFAULT 'Europe/Berlin',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    -- Foreign key to users table
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 📧 Sent Reminders Table
+-- Email reminders already sent, so a restart does not send them again
+CREATE TABLE IF NOT EXISTS sent_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    event_id INT NOT NULL,
+    pickup_date DATE NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_reminder (event_id, pickup_date),
+    INDEX idx_sent_reminders_user_date (user_hash, pickup_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 📤 Email Outbox Table
+-- Outgoing mail, delivered in the background with retries (dead after too many failures)
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html MEDIUMTEXT NOT NULL,
+    text MEDIUMTEXT NOT NULL,
+    headers TEXT NULL,
+    scrub_when_done BOOLEAN NOT NULL DEFAULT FALSE, -- Clear recipient and body once sent or dead
+    status ENUM('pending', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT NULL,
+    last_attempt_at DATETIME NULL,
+    sent_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    INDEX idx_outbox_due (status, next_attempt_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 🔑 Email Bindings Table
+-- Recovery address of a calendar, stored only as a keyed hash, valid once confirmed
+CREATE TABLE IF NOT EXISTS email_bindings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    email_hash CHAR(64) NOT NULL,
+    token_hash CHAR(64) NULL,
+    token_expires_at DATETIME NULL,
+    confirmed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    UNIQUE KEY unique_binding_user (user_hash),
+    UNIQUE KEY unique_binding_token (token_hash),
+    INDEX idx_bindings_email (email_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 👀 Share Tokens Table
+-- Read-only feed tokens of a calendar, each labelled and revocable on its own
+CREATE TABLE IF NOT EXISTS share_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    token CHAR(40) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    last_accessed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    UNIQUE KEY unique_share_token (token),
+    INDEX idx_share_tokens_user (user_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 🔄 Retired Hashes Table
+-- Old hashes of rotated calendars (never reissued); the feed shows a notice until grace_until
+CREATE TABLE IF NOT EXISTS retired_hashes (
+    hash VARCHAR(255) NOT NULL PRIMARY KEY,
+    grace_until DATETIME NULL,
+    retired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 🏷️ Content version
+-- Deleted rows leave no updated_at behind; record the deletion on the calendar for the feed version
+CREATE TRIGGER IF NOT EXISTS events_content_deleted AFTER DELETE ON events FOR EACH ROW
+    UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP, last_accessed = last_accessed
+    WHERE hash = OLD.user_hash;
+
+CREATE TRIGGER IF NOT EXISTS event_exceptions_content_deleted AFTER DELETE ON event_exceptions FOR EACH ROW
+    UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP, last_accessed = last_accessed
+    WHERE hash = (SELECT user_hash FROM events WHERE id = OLD.event_id);
+
+CREATE TRIGGER IF NOT EXISTS waste_types_content_deleted AFTER DELETE ON waste_types FOR EACH ROW
+    UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP, last_accessed = last_accessed
+    WHERE hash = OLD.user_hash;
+
 -- 📊 Create some sample data for development
 -- (Only if tables are empty)
 INSERT INTO users (hash) 
@@ -63,12 +251,20 @@ SELECT
     e.title,
     e.event_date,
     e.event_time,
+    e.end_date,
+    e.end_time,
     e.icon,
     e.description,
+    e.recurrence_rule,
+    e.external_uid,
+    e.source_id,
+    e.waste_type_id,
+    e.reminder_minutes,
+    e.revision,
     e.created_at as event_created,
     e.updated_at as event_updated
 FROM users u
-LEFT JOIN events e ON u.hash = e.user_hash
+LEFT JOIN events e ON u.hash = e.user_hash AND e.deleted_at IS NULL
 ORDER BY u.created_at DESC, e.event_date ASC;
 
 -- 📈 Performance optimizations
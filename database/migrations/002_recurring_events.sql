@@ -0,0 +1,8 @@
+-- 🔁 Recurring collection rules
+-- Events can carry an RRULE value (RFC 5545, e.g. FREQ=WEEKLY;INTERVAL=2)
+-- which is expanded into occurrences by the backend and emitted as-is in the iCal feed.
+
+USE yatwa;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS recurrence_rule VARCHAR(255) NULL AFTER description;
@@ -0,0 +1,20 @@
+-- 🔁 Recurrence exceptions
+-- Cancelled occurrences are emitted as EXDATE, moved/changed ones as RECURRENCE-ID overrides.
+
+USE yatwa;
+
+CREATE TABLE IF NOT EXISTS event_exceptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id INT NOT NULL,
+    original_date DATE NOT NULL,
+    cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+    event_date DATE NULL,
+    event_time TIME NULL,
+    title VARCHAR(255) NULL,
+    description TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uniq_event_occurrence (event_id, original_date),
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- ⚙️ Calendar settings
+-- Holiday region (Bundesland) and whether pickups on public holidays are shifted automatically.
+
+USE yatwa;
+
+CREATE TABLE IF NOT EXISTS calendar_settings (
+    user_hash VARCHAR(255) NOT NULL PRIMARY KEY,
+    holiday_region VARCHAR(2) NULL,
+    holiday_shift BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
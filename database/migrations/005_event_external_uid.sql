@@ -0,0 +1,9 @@
+-- 📥 Imported events
+-- UID of events imported from .ics files, used to recognize them on re-import.
+
+USE yatwa;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS external_uid VARCHAR(255) NULL AFTER recurrence_rule;
+
+CREATE INDEX IF NOT EXISTS idx_external_uid ON events(user_hash, external_uid);
@@ -0,0 +1,29 @@
+-- 🔗 Calendar sources
+-- Remote .ics calendars a calendar is subscribed to. The backend re-fetches them
+-- regularly and merges the changes into events (matched by UID).
+
+USE yatwa;
+
+CREATE TABLE IF NOT EXISTS calendar_sources (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    label VARCHAR(255) NULL,
+    etag VARCHAR(255) NULL,
+    last_modified VARCHAR(255) NULL,
+    last_sync_at TIMESTAMP NULL,
+    last_success_at TIMESTAMP NULL,
+    last_error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    INDEX idx_sources_user_hash (user_hash),
+    INDEX idx_sources_last_sync (last_sync_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS source_id INT NULL AFTER external_uid;
+
+ALTER TABLE events
+    ADD CONSTRAINT fk_events_source FOREIGN KEY IF NOT EXISTS (source_id) REFERENCES calendar_sources(id) ON DELETE SET NULL;
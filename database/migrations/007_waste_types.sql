@@ -0,0 +1,48 @@
+-- 🗑️ Waste types
+-- Per-calendar waste types (name, colour, icon, default reminder and put-out time).
+-- Events reference their type; existing calendars get the default types and
+-- events whose title contains a type name are assigned to it.
+
+USE yatwa;
+
+CREATE TABLE IF NOT EXISTS waste_types (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    color CHAR(7) NOT NULL DEFAULT '#6b7280',
+    icon VARCHAR(50) NOT NULL DEFAULT '🗑️',
+    waste_kind VARCHAR(20) NULL,
+    default_reminder_minutes INT NULL,
+    default_time TIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    UNIQUE KEY unique_type_name (user_hash, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS waste_type_id INT NULL AFTER source_id;
+
+ALTER TABLE events
+    ADD CONSTRAINT fk_events_waste_type FOREIGN KEY IF NOT EXISTS (waste_type_id) REFERENCES waste_types(id) ON DELETE SET NULL;
+
+-- Default types for existing calendars (same as WASTE_KINDS in backend/src/utils/waste.ts)
+INSERT IGNORE INTO waste_types (user_hash, name, color, icon, waste_kind)
+SELECT u.hash, d.name, d.color, d.icon, d.waste_kind
+FROM users u
+CROSS JOIN (
+    SELECT 'Sperrmüll' AS name, '#7c3aed' AS color, '🚮' AS icon, 'bulky' AS waste_kind
+    UNION ALL SELECT 'Schadstoffe', '#dc2626', '🚮', 'hazardous'
+    UNION ALL SELECT 'Biotonne', '#92400e', '🚮', 'organic'
+    UNION ALL SELECT 'Papier', '#2563eb', '♻️', 'paper'
+    UNION ALL SELECT 'Gelber Sack', '#eab308', '♻️', 'packaging'
+    UNION ALL SELECT 'Glas', '#16a34a', '♻️', 'glass'
+    UNION ALL SELECT 'Weihnachtsbaum', '#15803d', '🗑️', 'tree'
+    UNION ALL SELECT 'Restmüll', '#4b5563', '🗑️', 'residual'
+) d;
+
+UPDATE events e
+JOIN waste_types t ON t.user_hash = e.user_hash AND e.title LIKE CONCAT('%', t.name, '%')
+SET e.waste_type_id = t.id
+WHERE e.waste_type_id IS NULL;
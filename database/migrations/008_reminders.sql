@@ -0,0 +1,12 @@
+-- 🔔 Reminders
+-- Reminder offset per event (NULL = default of the waste type, then of the calendar; 0 = none)
+-- and the calendar-wide default, including when all-day pickups are reminded on the evening before.
+
+USE yatwa;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS reminder_minutes INT NULL AFTER waste_type_id;
+
+ALTER TABLE calendar_settings
+    ADD COLUMN IF NOT EXISTS default_reminder_minutes INT NULL AFTER holiday_shift,
+    ADD COLUMN IF NOT EXISTS all_day_reminder_time TIME NOT NULL DEFAULT '19:00:00' AFTER default_reminder_minutes;
@@ -0,0 +1,23 @@
+-- 📧 Email reminders
+-- Address that gets a mail about the next day's pickups, quiet hours in which no mail
+-- is sent, and the reminders already sent (so a restart does not send them again).
+
+USE yatwa;
+
+ALTER TABLE calendar_settings
+    ADD COLUMN IF NOT EXISTS reminder_email VARCHAR(255) NULL AFTER all_day_reminder_time,
+    ADD COLUMN IF NOT EXISTS quiet_hours_start TIME NULL AFTER reminder_email,
+    ADD COLUMN IF NOT EXISTS quiet_hours_end TIME NULL AFTER quiet_hours_start;
+
+CREATE TABLE IF NOT EXISTS sent_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    event_id INT NOT NULL,
+    pickup_date DATE NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_reminder (event_id, pickup_date),
+    INDEX idx_sent_reminders_user_date (user_hash, pickup_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
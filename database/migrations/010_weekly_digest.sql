@@ -0,0 +1,9 @@
+-- 📬 Weekly digest
+-- Sunday-evening mail with the coming week's pickups, sent to the reminder address.
+-- The week last sent for is kept so a restart does not send the digest again.
+
+USE yatwa;
+
+ALTER TABLE calendar_settings
+    ADD COLUMN IF NOT EXISTS weekly_digest BOOLEAN NOT NULL DEFAULT FALSE AFTER quiet_hours_end,
+    ADD COLUMN IF NOT EXISTS digest_sent_week DATE NULL AFTER weekly_digest;
@@ -0,0 +1,28 @@
+-- 📤 Email outbox and mail language
+-- Every outgoing mail is queued first and delivered by a background job, retried with
+-- growing delays and finally set aside as dead after too many failures.
+
+USE yatwa;
+
+ALTER TABLE calendar_settings
+    ADD COLUMN IF NOT EXISTS email_locale CHAR(2) NOT NULL DEFAULT 'de' AFTER digest_sent_week;
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html MEDIUMTEXT NOT NULL,
+    text MEDIUMTEXT NOT NULL,
+    headers TEXT NULL,
+    status ENUM('pending', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT NULL,
+    last_attempt_at DATETIME NULL,
+    sent_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    INDEX idx_outbox_due (status, next_attempt_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- 🔑 Hash recovery via email
+-- A calendar may be bound to one email address, kept only as a keyed hash (HMAC).
+-- The binding counts once the address confirmed it (double opt-in); recovery mails
+-- the calendar links of all confirmed bindings of an address.
+
+USE yatwa;
+
+CREATE TABLE IF NOT EXISTS email_bindings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    email_hash CHAR(64) NOT NULL,
+    token_hash CHAR(64) NULL,
+    token_expires_at DATETIME NULL,
+    confirmed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    UNIQUE KEY unique_binding_user (user_hash),
+    UNIQUE KEY unique_binding_token (token_hash),
+    INDEX idx_bindings_email (email_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,18 @@
+-- 👀 Read-only share tokens
+-- Feed tokens for subscribing to a calendar without being able to change it.
+-- A calendar may have several, each labelled (e.g. "Omas iPad") and revocable on its own.
+
+USE yatwa;
+
+CREATE TABLE IF NOT EXISTS share_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_hash VARCHAR(255) NOT NULL,
+    token CHAR(40) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    last_accessed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_hash) REFERENCES users(hash) ON DELETE CASCADE,
+    UNIQUE KEY unique_share_token (token),
+    INDEX idx_share_tokens_user (user_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
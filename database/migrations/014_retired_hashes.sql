@@ -0,0 +1,11 @@
+-- 🔄 Hash rotation
+-- A rotated calendar moves to a new hash; the old one is kept here so it never comes back
+-- into use. Until grace_until its iCal URL still serves a "calendar moved" notice.
+
+USE yatwa;
+
+CREATE TABLE IF NOT EXISTS retired_hashes (
+    hash VARCHAR(255) NOT NULL PRIMARY KEY,
+    grace_until DATETIME NULL,
+    retired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
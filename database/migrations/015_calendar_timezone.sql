@@ -0,0 +1,8 @@
+-- 🌍 Calendar timezone
+-- IANA zone the times of a calendar are meant in. Feeds write it as TZID with a
+-- matching VTIMEZONE; reminders and digests go out in its wall-clock time.
+
+USE yatwa;
+
+ALTER TABLE calendar_settings
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Europe/Berlin' AFTER email_locale;
@@ -0,0 +1,10 @@
+-- ⏱️ Event end
+-- Optional end of an event: last day (inclusive) of a multi-day span such as a
+-- bulky waste collection window, and end time of timed events. Without them a
+-- timed event lasts one hour and an all-day event one day.
+
+USE yatwa;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS end_date DATE NULL AFTER event_time,
+    ADD COLUMN IF NOT EXISTS end_time TIME NULL AFTER end_date;
@@ -0,0 +1,23 @@
+-- 🏷️ Content version
+-- The iCal feed answers conditional requests from a version built from the
+-- updated_at columns of a calendar's rows. Deleted rows leave no timestamp
+-- behind, so deleting events, occurrence overrides or waste types records the
+-- time on the calendar instead.
+
+USE yatwa;
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS content_deleted_at TIMESTAMP NULL AFTER last_accessed;
+
+-- last_accessed is kept as is, it would otherwise move with every update of the row
+CREATE TRIGGER IF NOT EXISTS events_content_deleted AFTER DELETE ON events FOR EACH ROW
+    UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP, last_accessed = last_accessed
+    WHERE hash = OLD.user_hash;
+
+CREATE TRIGGER IF NOT EXISTS event_exceptions_content_deleted AFTER DELETE ON event_exceptions FOR EACH ROW
+    UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP, last_accessed = last_accessed
+    WHERE hash = (SELECT user_hash FROM events WHERE id = OLD.event_id);
+
+CREATE TRIGGER IF NOT EXISTS waste_types_content_deleted AFTER DELETE ON waste_types FOR EACH ROW
+    UPDATE users SET content_deleted_at = CURRENT_TIMESTAMP, last_accessed = last_accessed
+    WHERE hash = OLD.user_hash;
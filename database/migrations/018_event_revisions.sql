@@ -0,0 +1,13 @@
+-- 🪦 Event revisions and tombstones
+-- revision counts the changes of an event and is published as SEQUENCE, so
+-- subscribed calendars replace their copy. Deleted events are kept with
+-- deleted_at set and published as cancelled until they are purged
+-- (EVENT_TOMBSTONE_DAYS).
+
+USE yatwa;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS revision INT NOT NULL DEFAULT 0 AFTER reminder_minutes,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP NULL AFTER updated_at;
+
+CREATE INDEX IF NOT EXISTS idx_events_deleted ON events(user_hash, deleted_at);
@@ -0,0 +1,9 @@
+-- 🧽 Scrubbed outbox mails
+-- Confirmation and recovery mails carry the plain address and calendar links or a
+-- confirmation token. Once they are delivered or given up, their recipient and body
+-- are cleared; the row stays for the delivery status.
+
+USE yatwa;
+
+ALTER TABLE email_outbox
+    ADD COLUMN IF NOT EXISTS scrub_when_done BOOLEAN NOT NULL DEFAULT FALSE AFTER headers;
@@ -123,6 +123,7 @@ class YatwaApp {
         // Custom events
         window.addEventListener('yatwa-auth-success', this.handleAuthSuccess.bind(this));
         window.addEventListener('yatwa-auth-logout', this.handleLogout.bind(this));
+        window.addEventListener('yatwa-hash-rotated', this.handleHashRotated.bind(this));
         window.addEventListener('yatwa-error', this.handleError.bind(this));
 
         // Keyboard shortcuts
@@ -246,6 +247,16 @@ class YatwaApp {
         this.showToast('Calendar ready! 🎉', 'success');
     }
 
+    handleHashRotated(event) {
+        const { user, hash } = event.detail;
+
+        this.setState({ user, userHash: hash });
+
+        // The old hash is invalid from now on
+        this.services.storage.set('userHash', hash);
+        this.services.storage.set('user', user);
+    }
+
     handleLogout() {
         this.setState({
             user: null,
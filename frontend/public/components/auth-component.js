@@ -6,13 +6,15 @@ class AuthComponent extends HTMLElement {
         super();
 
         this.state = {
-            step: 'welcome', // 'welcome' | 'register' | 'verify' | 'success'
+            step: 'welcome', // 'welcome' | 'register' | 'verify' | 'recover' | 'success'
             loading: false,
             email: '',
             hash: '',
             error: null,
             emailOptional: true,
-            showAdvanced: false
+            showAdvanced: false,
+            recoverMessage: null, // Answer of a recovery request
+            restoreMessage: null  // Summary of a restored backup
         };
 
         this.apiService = null;
@@ -62,7 +64,7 @@ class AuthComponent extends HTMLElement {
     }
 
     shouldRerender(prevState, newState) {
-        const rerenderProps = ['step', 'loading', 'error', 'showAdvanced'];
+        const rerenderProps = ['step', 'loading', 'error', 'showAdvanced', 'recoverMessage'];
         return rerenderProps.some(prop => prevState[prop] !== newState[prop]);
     }
 
@@ -330,6 +332,17 @@ class AuthComponent extends HTMLElement {
           color: var(--text-primary);
         }
 
+        .link-button {
+          background: none;
+          border: none;
+          padding: 0;
+          margin-left: 0.5rem;
+          color: var(--primary);
+          font-size: inherit;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+
         .loading-spinner {
           display: inline-block;
           width: 1rem;
@@ -500,7 +513,7 @@ class AuthComponent extends HTMLElement {
     }
 
     renderProgressSteps() {
-        if (this.state.step === 'welcome') {
+        if (this.state.step === 'welcome' || this.state.step === 'recover') {
             return '';
         }
 
@@ -538,6 +551,8 @@ class AuthComponent extends HTMLElement {
                 return this.renderRegisterStep();
             case 'verify':
                 return this.renderVerifyStep();
+            case 'recover':
+                return this.renderRecoverStep();
             case 'success':
                 return this.renderSuccessStep();
             default:
@@ -571,6 +586,13 @@ class AuthComponent extends HTMLElement {
         </div>
       </div>
 
+      ${this.state.error ? `
+        <div class="error-message">
+          <span>⚠️</span>
+          <span>${this.state.error}</span>
+        </div>
+      ` : ''}
+
       <div class="form-actions">
         <button class="btn-primary" data-action="start">
           🚀 Get Started
@@ -579,6 +601,13 @@ class AuthComponent extends HTMLElement {
           🔗 I have a link
         </button>
       </div>
+
+      <div class="form-help">
+        <button type="button" class="link-button" data-action="restore" ${this.state.loading ? 'disabled' : ''}>
+          📦 Aus Backup wiederherstellen
+        </button>
+        <input type="file" class="restore-file-input" accept="application/json,.json" hidden>
+      </div>
     `;
     }
 
@@ -657,6 +686,7 @@ class AuthComponent extends HTMLElement {
           >
           <div class="form-help">
             📎 Paste the complete link from your email or just the hash part.
+            <button type="button" class="link-button" data-action="recover">🔑 Hash vergessen?</button>
           </div>
         </div>
 
@@ -673,6 +703,59 @@ class AuthComponent extends HTMLElement {
     `;
     }
 
+    renderRecoverStep() {
+        return `
+      <div class="step-title">🔑 Hash vergessen?</div>
+      <div class="step-description">
+        If you confirmed an email address for your calendar, we'll send the links of all calendars bound to it.
+      </div>
+
+      ${this.state.error ? `
+        <div class="error-message">
+          <span>⚠️</span>
+          <span>${this.state.error}</span>
+        </div>
+      ` : ''}
+
+      ${this.state.recoverMessage ? `
+        <div class="success-message">
+          <span>📧</span>
+          <span>${this.state.recoverMessage}</span>
+        </div>
+      ` : ''}
+
+      <form data-form="recover">
+        <div class="form-group">
+          <label class="form-label" for="recover-email">
+            Email Address
+          </label>
+          <input
+            type="email"
+            id="recover-email"
+            name="email"
+            class="form-input"
+            placeholder="your@email.com"
+            value="${this.state.email}"
+            required
+          >
+          <div class="form-help">
+            💡 Only addresses confirmed in the calendar settings work. For privacy, the answer is the same for every address.
+          </div>
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn-primary" ${this.state.loading ? 'disabled' : ''}>
+            ${this.state.loading ? '<span class="loading-spinner"></span>' : '📧'}
+            ${this.state.loading ? 'Sending...' : 'Send My Links'}
+          </button>
+          <button type="button" class="btn-secondary" data-action="verify">
+            ← Back
+          </button>
+        </div>
+      </form>
+    `;
+    }
+
     renderSuccessStep() {
         return `
       <div class="step-title">🎉 Calendar Ready!</div>
@@ -682,7 +765,7 @@ class AuthComponent extends HTMLElement {
 
       <div class="success-message">
         <span>✅</span>
-        <span>Your personal calendar is now ready to use!</span>
+        <span>${this.state.restoreMessage || 'Your personal calendar is now ready to use!'}</span>
       </div>
 
       ${this.state.hash ? `
@@ -732,6 +815,17 @@ class AuthComponent extends HTMLElement {
             });
         });
 
+        // Backup file chosen on the welcome step
+        const restoreInput = this.querySelector('.restore-file-input');
+        if (restoreInput) {
+            restoreInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.handleRestore(file);
+                }
+            });
+        }
+
         // Input changes
         this.querySelectorAll('.form-input').forEach(input => {
             input.addEventListener('input', (e) => {
@@ -748,6 +842,12 @@ class AuthComponent extends HTMLElement {
             case 'verify':
                 this.setState({ step: 'verify', error: null });
                 break;
+            case 'recover':
+                this.setState({ step: 'recover', error: null, recoverMessage: null });
+                break;
+            case 'restore':
+                this.querySelector('.restore-file-input')?.click();
+                break;
             case 'back':
                 this.setState({ step: 'welcome', error: null });
                 break;
@@ -768,6 +868,9 @@ class AuthComponent extends HTMLElement {
             case 'verify':
                 await this.handleVerify(formData);
                 break;
+            case 'recover':
+                await this.handleRecover(formData);
+                break;
         }
     }
 
@@ -835,6 +938,51 @@ class AuthComponent extends HTMLElement {
         }
     }
 
+    async handleRecover(formData) {
+        this.setState({ loading: true, error: null, recoverMessage: null });
+
+        try {
+            const message = await this.apiService.recover(formData.get('email'));
+            this.setState({ loading: false, recoverMessage: message });
+
+        } catch (error) {
+            console.error('Recovery error:', error);
+            this.setState({
+                loading: false,
+                error: error.data?.error || error.message || 'Recovery failed. Please try again.'
+            });
+        }
+    }
+
+    async handleRestore(file) {
+        this.setState({ loading: true, error: null });
+
+        try {
+            let archive;
+            try {
+                archive = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('Die Datei ist keine gültige Sicherung (JSON erwartet)');
+            }
+
+            const response = await this.apiService.restoreBackup(archive);
+
+            this.setState({
+                loading: false,
+                step: 'success',
+                hash: response.hash,
+                restoreMessage: response.message
+            });
+
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.setState({
+                loading: false,
+                error: error.data?.error || error.data?.errors?.join(', ') || error.message || 'Restore failed. Please try again.'
+            });
+        }
+    }
+
     handleAuthSuccess() {
         if (this.state.hash) {
             this.dispatchAuthSuccess(this.state.hash, { hash: this.state.hash });
@@ -21,6 +21,10 @@ class CalendarComponent extends HTMLElement {
             showEventDialog: false,
             showDeleteConfirm: false,
             showExportDialog: false,
+            showScopeDialog: false,
+            showSettingsDialog: false,
+            scopeAction: null, // 'edit' | 'delete' - asked for occurrences of a series
+            deleteScope: 'series', // 'series' | 'single'
 
             // Form state
             eventForm: {
@@ -29,12 +33,50 @@ class CalendarComponent extends HTMLElement {
                 description: '',
                 event_date: '',
                 event_time: '',
+                end_date: '',  // Last day of a multi-day event, '' = same day
+                end_time: '',
                 icon: '📅',
-                category: 'general',
+                waste_type_id: '',
                 all_day: false,
-                reminder_minutes: 0
+                reminder_minutes: '', // '' = default of the waste type / calendar, 0 = none
+                recurrence_freq: 'none', // 'none' | 'WEEKLY' | 'MONTHLY'
+                recurrence_interval: 1,
+                recurrence_until: '',
+                occurrence_date: null // Set when only one occurrence of a series is edited
             },
 
+            // Calendar settings
+            settingsForm: {
+                holiday_region: '',
+                holiday_shift: false,
+                default_reminder_minutes: '',
+                all_day_reminder_time: '19:00',
+                reminder_email: '',
+                quiet_hours_start: '',
+                quiet_hours_end: '',
+                weekly_digest: false,
+                email_locale: 'de',
+                timezone: 'Europe/Berlin'
+            },
+            holidayRegions: {}, // Bundesland code => name, loaded with the settings
+            sources: [],        // Subscribed .ics calendars, loaded with the settings
+            recovery: null,     // Recovery address status { status, confirmedAt }, loaded with the settings
+            rotatedLink: null,  // New calendar link after a rotation, shown once in the settings
+            wasteTypes: [],     // Waste types of the calendar (name, color, icon, defaults)
+            editingWasteType: null, // ID of the type in the settings form, 'new' for a new one
+
+            // Reviewed .ics import: { content, summary, changes, rejected }
+            importReview: null,
+            importSelection: [], // Accepted change IDs (checkbox state, no re-render)
+            providers: [],       // Schedule provider formats, loaded with the export dialog
+            shareTokens: [],     // Read-only feed links, loaded with the export dialog
+
+            // Pasted schedule: text and recognized proposals { proposals, summary }
+            showPasteDialog: false,
+            pasteText: '',
+            pasteReview: null,
+            pasteSelection: [], // Indexes of proposals to save (checkbox state, no re-render)
+
             // UI state
             loading: false,
             error: null,
@@ -48,16 +90,22 @@ class CalendarComponent extends HTMLElement {
             '🧹', '🗑️', '♻️', '🚮', '🏃', '🎯', '💡', '⭐', '❤️', '🎁'
         ];
 
-        // Event categories
-        this.eventCategories = [
-            { id: 'general', name: 'Allgemein', color: '#667eea' },
-            { id: 'work', name: 'Arbeit', color: '#f59e0b' },
-            { id: 'personal', name: 'Persönlich', color: '#10b981' },
-            //{ id: 'health', name: 'Gesundheit', color: '#ef4444' },
-            { id: 'maintenance', name: 'Wartung', color: '#6b7280' },
-            { id: 'trash', name: 'Müll & Entsorgung', color: '#8b5cf6' },
+        // Reminder offsets in minutes - all-day pickups are reminded on the evening before
+        this.reminderOptions = [
+            { value: 0, label: 'Keine Erinnerung' },
+            { value: 15, label: '15 Minuten vorher' },
+            { value: 30, label: '30 Minuten vorher' },
+            { value: 60, label: '1 Stunde vorher' },
+            { value: 720, label: '12 Stunden vorher' },
+            { value: 1440, label: '1 Tag vorher / am Vorabend' }
         ];
 
+        // RRULE weekday codes indexed by Date.getDay()
+        this.weekdayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+        // IANA zones the browser knows (older browsers offer only the saved one)
+        this.timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
         this.apiService = null;
         this.storageService = null;
     }
@@ -77,6 +125,7 @@ class CalendarComponent extends HTMLElement {
             }
 
             // Load initial data
+            await this.loadWasteTypes();
             await this.loadEvents();
 
             this.render();
@@ -148,12 +197,24 @@ class CalendarComponent extends HTMLElement {
             'showEventDialog',    // Event creation/edit dialog visibility
             'showDeleteConfirm',  // Delete confirmation dialog visibility
             'showExportDialog',   // Export/iCal dialog visibility
+            'shareTokens',        // Read-only feed links in the export dialog
+            'showScopeDialog',    // "Nur dieser Termin / alle Termine" question
+            'showSettingsDialog', // Calendar settings dialog visibility
+            'importReview',       // Import diff review dialog
+            'showPasteDialog',    // Paste-a-schedule dialog visibility
+            'pasteReview',        // Recognized proposals of a pasted schedule
             'loading',            // Loading state for spinners/disabled buttons
             'error',              // Error messages display
             'currentView',        // Calendar view mode (month/week/list)
             'events',             // Events array - affects main content
             'viewFilter',         // Event filter (past/upcoming/all) - affects displayed events
-            'eventForm'
+            'eventForm',
+            'settingsForm',
+            'sources',
+            'recovery',
+            'rotatedLink',
+            'wasteTypes',
+            'editingWasteType'
         ];
 
         return rerenderProps.some(prop => prevState[prop] !== newState[prop]);
@@ -170,7 +231,17 @@ class CalendarComponent extends HTMLElement {
         try {
             this.setState({ loading: true });
 
-            const events = await this.apiService.getEvents(userHash);
+            // Load a window around today so recurring series come back expanded
+            const today = new Date();
+            const start = new Date(today);
+            start.setDate(start.getDate() - 365);
+            const end = new Date(today);
+            end.setDate(end.getDate() + 364);
+
+            const events = await this.apiService.getEvents(userHash, {
+                start: start.toISOString().split('T')[0],
+                end: end.toISOString().split('T')[0]
+            });
             this.setState({
                 events,
                 loading: false,
@@ -188,6 +259,23 @@ class CalendarComponent extends HTMLElement {
         }
     }
 
+    async loadWasteTypes() {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash) return;
+
+        try {
+            const wasteTypes = await this.apiService.getWasteTypes(userHash);
+            this.setState({ wasteTypes });
+        } catch (error) {
+            // Events are still shown, just without type colours
+            console.warn('Failed to load waste types:', error);
+        }
+    }
+
+    findWasteType(wasteTypeId) {
+        return this.state.wasteTypes.find(type => String(type.id) === String(wasteTypeId)) || null;
+    }
+
     /* ============================================================================
        RENDERING
        ============================================================================ */
@@ -209,9 +297,21 @@ class CalendarComponent extends HTMLElement {
                 <!-- Delete Confirmation Dialog -->
                 ${this.state.showDeleteConfirm ? this.renderDeleteConfirmDialog() : ''}
 
+                <!-- Series Scope Dialog -->
+                ${this.state.showScopeDialog ? this.renderScopeDialog() : ''}
+
                 <!-- Export Dialog -->
                 ${this.state.showExportDialog ? this.renderExportDialog() : ''}
 
+                <!-- Import Review Dialog -->
+                ${this.state.importReview ? this.renderImportReviewDialog() : ''}
+
+                <!-- Paste Schedule Dialog -->
+                ${this.state.showPasteDialog ? this.renderPasteDialog() : ''}
+
+                <!-- Settings Dialog -->
+                ${this.state.showSettingsDialog ? this.renderSettingsDialog() : ''}
+
                 <!-- Loading Overlay -->
                 ${this.state.loading ? this.renderLoadingOverlay() : ''}
             </div>
@@ -243,9 +343,15 @@ class CalendarComponent extends HTMLElement {
                         <button class="btn btn-secondary" data-action="show-today">
                             📅 Heute
                         </button>
+                        <button class="btn btn-ghost" data-action="paste-schedule" title="Abfuhrplan aus Text übernehmen">
+                            📋 Einfügen
+                        </button>
                         <button class="btn btn-ghost" data-action="export" title="Kalender exportieren">
                             📊 Export
                         </button>
+                        <button class="btn btn-ghost" data-action="settings" title="Kalender-Einstellungen">
+                            ⚙️ Einstellungen
+                        </button>
                     </div>
                 </div>
 
@@ -286,25 +392,32 @@ class CalendarComponent extends HTMLElement {
 
     renderEventCard(event) {
         const eventDate = new Date(event.event_date);
-        const isToday = this.isToday(eventDate);
-        const isPast = eventDate < new Date() && !isToday;
-        const category = this.eventCategories.find(cat => cat.id === event.category) || this.eventCategories[0];
+        const { first, last } = this.getEventDayRange(event);
+        const isMultiDay = last > first;
+        const isToday = this.isEventOnDay(event, new Date());
+        const isPast = last < new Date() && !isToday;
+        const wasteType = this.findWasteType(event.waste_type_id);
+        const reminderMinutes = event.reminder_minutes ?? wasteType?.default_reminder_minutes;
 
         return `
-            <div class="event-card ${isPast ? 'event-past' : ''} ${isToday ? 'event-today' : ''}" 
-                 data-event-id="${event.id}">
+            <div class="event-card ${isPast ? 'event-past' : ''} ${isToday ? 'event-today' : ''} ${isMultiDay ? 'event-multi-day' : ''} ${wasteType ? 'has-waste-type' : ''}" 
+                 data-event-id="${event.id}"
+                 data-occurrence-date="${event.recurrence_id || ''}"
+                 ${wasteType ? `style="--event-color: ${wasteType.color}"` : ''}>
                 <div class="event-card-header">
                     <div class="event-icon-category">
-                        <span class="event-icon">${event.icon || '📅'}</span>
-                        <span class="event-category" style="background-color: ${category.color}20; color: ${category.color}">
-                            ${category.name}
-                        </span>
+                        <span class="event-icon">${this.escapeHtml(event.icon || '📅')}</span>
+                        ${wasteType ? `
+                            <span class="event-category" style="background-color: ${wasteType.color}20; color: ${wasteType.color}">
+                                ${this.escapeHtml(wasteType.name)}
+                            </span>
+                        ` : ''}
                     </div>
                     <div class="event-actions">
-                        <button class="btn-icon" data-action="edit-event" data-event-id="${event.id}" title="Bearbeiten">
+                        <button class="btn-icon" data-action="edit-event" data-event-id="${event.id}" data-occurrence-date="${event.recurrence_id || ''}" title="Bearbeiten">
                             ✏️
                         </button>
-                        <button class="btn-icon" data-action="delete-event" data-event-id="${event.id}" title="Löschen">
+                        <button class="btn-icon" data-action="delete-event" data-event-id="${event.id}" data-occurrence-date="${event.recurrence_id || ''}" title="Löschen">
                             🗑️
                         </button>
                     </div>
@@ -316,19 +429,40 @@ class CalendarComponent extends HTMLElement {
                     
                     <div class="event-datetime">
                         <span class="event-date">
-                            📅 ${this.formatEventDate(eventDate)}
+                            📅 ${this.formatEventDate(eventDate)}${isMultiDay ? ` – ${this.formatEventDate(new Date(event.end_date))}` : ''}
                         </span>
                         ${event.event_time ? `
                             <span class="event-time">
-                                ⏰ ${event.event_time}
+                                ⏰ ${event.event_time}${event.end_time ? ` – ${event.end_time}` : ''}
+                            </span>
+                        ` : ''}
+                        ${isMultiDay ? `
+                            <span class="event-span">
+                                ${this.describeSpan(event)}
                             </span>
                         ` : ''}
                         ${event.all_day ? '<span class="event-all-day">Ganztägig</span>' : ''}
+                        ${event.source_id ? `
+                            <span class="event-synced" title="Wird aus einem abonnierten Kalender übernommen – Änderungen werden beim nächsten Abgleich überschrieben">
+                                🔗 abonniert
+                            </span>
+                        ` : ''}
+                        ${event.is_moved ? `
+                            <span class="event-moved" title="Ursprünglich am ${this.formatEventDate(new Date(event.recurrence_id))}${event.holiday ? ` (${this.escapeHtml(event.holiday)})` : ''}">
+                                ${event.holiday ? '🎄 Feiertag – verschoben' : 'verschoben'}
+                            </span>
+                        ` : ''}
                     </div>
 
-                    ${event.reminder_minutes > 0 ? `
+                    ${event.recurrence_rule ? `
+                        <div class="event-recurrence">
+                            🔁 ${this.describeRecurrence(event.recurrence_rule)}
+                        </div>
+                    ` : ''}
+
+                    ${reminderMinutes > 0 ? `
                         <div class="event-reminder">
-                            🔔 Erinnerung ${event.reminder_minutes} Min. vorher
+                            🔔 Erinnerung ${this.describeReminder(reminderMinutes, !event.event_time)}
                         </div>
                     ` : ''}
                 </div>
@@ -338,7 +472,8 @@ class CalendarComponent extends HTMLElement {
 
     renderEventDialog() {
         const isEditing = this.state.eventForm.id !== null;
-        const dialogTitle = isEditing ? 'Termin bearbeiten' : 'Neuer Termin';
+        const isOccurrence = !!this.state.eventForm.occurrence_date;
+        const dialogTitle = isOccurrence ? 'Nur diesen Termin bearbeiten' : (isEditing ? 'Termin bearbeiten' : 'Neuer Termin');
 
         return `
             <div class="dialog-overlay" data-action="close-dialog">
@@ -413,6 +548,39 @@ class CalendarComponent extends HTMLElement {
                             </div>
                         </div>
 
+                        <!-- Ende (mehrtägige Termine wie ein Sperrmüll-Zeitraum) -->
+                        ${isOccurrence ? '' : `
+                        <div class="form-row">
+                            <div class="form-group flex-1">
+                                <label class="form-label" for="event-end-date">
+                                    Bis (Datum)
+                                </label>
+                                <input
+                                    type="date"
+                                    id="event-end-date"
+                                    name="end_date"
+                                    class="form-input"
+                                    value="${this.state.eventForm.end_date}"
+                                    min="${this.state.eventForm.event_date}"
+                                >
+                            </div>
+
+                            <div class="form-group flex-1">
+                                <label class="form-label" for="event-end-time">
+                                    Bis (Uhrzeit)
+                                </label>
+                                <input
+                                    type="time"
+                                    id="event-end-time"
+                                    name="end_time"
+                                    class="form-input"
+                                    value="${this.state.eventForm.end_time}"
+                                    ${this.state.eventForm.all_day ? 'disabled' : ''}
+                                >
+                            </div>
+                        </div>
+                        `}
+
                         <!-- Ganztägig -->
                         <div class="form-group">
                             <label class="form-checkbox">
@@ -426,6 +594,66 @@ class CalendarComponent extends HTMLElement {
                             </label>
                         </div>
 
+                        <!-- Wiederholung -->
+                        ${isOccurrence ? `
+                            <div class="form-help">
+                                🔁 Änderungen gelten nur für den Termin am ${this.formatEventDate(new Date(this.state.eventForm.occurrence_date))}.
+                            </div>
+                        ` : `
+                        <div class="form-row">
+                            <div class="form-group flex-1">
+                                <label class="form-label" for="event-recurrence">
+                                    Wiederholung
+                                </label>
+                                <select
+                                    id="event-recurrence"
+                                    name="recurrence_freq"
+                                    class="form-select"
+                                >
+                                    <option value="none" ${this.state.eventForm.recurrence_freq === 'none' ? 'selected' : ''}>
+                                        Keine Wiederholung
+                                    </option>
+                                    <option value="WEEKLY" ${this.state.eventForm.recurrence_freq === 'WEEKLY' ? 'selected' : ''}>
+                                        Wöchentlich
+                                    </option>
+                                    <option value="MONTHLY" ${this.state.eventForm.recurrence_freq === 'MONTHLY' ? 'selected' : ''}>
+                                        Monatlich (gleicher Wochentag)
+                                    </option>
+                                </select>
+                            </div>
+
+                            ${this.state.eventForm.recurrence_freq !== 'none' ? `
+                                <div class="form-group flex-1">
+                                    <label class="form-label" for="event-recurrence-interval">
+                                        ${this.state.eventForm.recurrence_freq === 'WEEKLY' ? 'Alle ... Wochen' : 'Alle ... Monate'}
+                                    </label>
+                                    <input
+                                        type="number"
+                                        id="event-recurrence-interval"
+                                        name="recurrence_interval"
+                                        class="form-input"
+                                        min="1"
+                                        max="99"
+                                        value="${this.state.eventForm.recurrence_interval}"
+                                    >
+                                </div>
+
+                                <div class="form-group flex-1">
+                                    <label class="form-label" for="event-recurrence-until">
+                                        Endet am
+                                    </label>
+                                    <input
+                                        type="date"
+                                        id="event-recurrence-until"
+                                        name="recurrence_until"
+                                        class="form-input"
+                                        value="${this.state.eventForm.recurrence_until}"
+                                    >
+                                </div>
+                            ` : ''}
+                        </div>
+                        `}
+
                         <!-- Icon Auswahl -->
                         <div class="form-group">
                             <label class="form-label">
@@ -445,28 +673,35 @@ class CalendarComponent extends HTMLElement {
                             </div>
                         </div>
 
-                        <!-- Kategorie -->
+                        <!-- Abfallart (gilt für die ganze Serie) -->
+                        ${isOccurrence ? '' : `
                         <div class="form-group">
-                            <label class="form-label" for="event-category">
-                                Kategorie
+                            <label class="form-label" for="event-waste-type">
+                                Abfallart
                             </label>
                             <select
-                                id="event-category"
-                                name="category"
+                                id="event-waste-type"
+                                name="waste_type_id"
                                 class="form-select"
                             >
-                                ${this.eventCategories.map(category => `
+                                <option value="" ${!this.state.eventForm.waste_type_id ? 'selected' : ''}>
+                                    ${isEditing ? 'Keine' : 'Automatisch (aus dem Titel)'}
+                                </option>
+                                ${this.state.wasteTypes.map(type => `
                                     <option
-                                        value="${category.id}"
-                                        ${this.state.eventForm.category === category.id ? 'selected' : ''}
+                                        value="${type.id}"
+                                        ${String(this.state.eventForm.waste_type_id) === String(type.id) ? 'selected' : ''}
                                     >
-                                        ${category.name}
+                                        ${this.escapeHtml(type.icon)} ${this.escapeHtml(type.name)}
                                     </option>
                                 `).join('')}
                             </select>
+                            <div class="form-help">Bestimmt Farbe und Kategorie im Kalender</div>
                         </div>
+                        `}
 
-                        <!-- Erinnerung -->
+                        <!-- Erinnerung (gilt für die ganze Serie) -->
+                        ${isOccurrence ? '' : `
                         <div class="form-group">
                             <label class="form-label" for="event-reminder">
                                 Erinnerung
@@ -476,23 +711,18 @@ class CalendarComponent extends HTMLElement {
                                 name="reminder_minutes"
                                 class="form-select"
                             >
-                                <option value="0" ${this.state.eventForm.reminder_minutes === 0 ? 'selected' : ''}>
-                                    Keine Erinnerung
-                                </option>
-                                <option value="15" ${this.state.eventForm.reminder_minutes === 15 ? 'selected' : ''}>
-                                    15 Minuten vorher
-                                </option>
-                                <option value="30" ${this.state.eventForm.reminder_minutes === 30 ? 'selected' : ''}>
-                                    30 Minuten vorher
-                                </option>
-                                <option value="60" ${this.state.eventForm.reminder_minutes === 60 ? 'selected' : ''}>
-                                    1 Stunde vorher
-                                </option>
-                                <option value="1440" ${this.state.eventForm.reminder_minutes === 1440 ? 'selected' : ''}>
-                                    1 Tag vorher
+                                <option value="" ${this.state.eventForm.reminder_minutes === '' ? 'selected' : ''}>
+                                    Standard (Abfallart / Kalender)
                                 </option>
+                                ${this.reminderOptions.map(option => `
+                                    <option value="${option.value}" ${String(this.state.eventForm.reminder_minutes) === String(option.value) ? 'selected' : ''}>
+                                        ${option.label}
+                                    </option>
+                                `).join('')}
                             </select>
+                            <div class="form-help">Ganztägige Abholungen werden am Vorabend erinnert (Uhrzeit in den Einstellungen)</div>
                         </div>
+                        `}
                     </form>
 
                     <div class="dialog-footer">
@@ -515,25 +745,33 @@ class CalendarComponent extends HTMLElement {
     }
 
     renderDeleteConfirmDialog() {
-        const event = this.state.events.find(e => e.id === this.state.selectedEvent?.id);
+        const event = this.state.selectedEvent;
         if (!event) return '';
 
+        const singleOccurrence = this.state.deleteScope === 'single';
+
         return `
             <div class="dialog-overlay" data-action="close-delete-confirm">
                 <div class="dialog-container delete-confirm-dialog" onclick="event.stopPropagation()">
                     <div class="dialog-header">
-                        <h2 class="dialog-title">Termin löschen</h2>
+                        <h2 class="dialog-title">${singleOccurrence ? 'Termin absagen' : 'Termin löschen'}</h2>
                     </div>
 
                     <div class="dialog-body">
                         <div class="delete-warning">
                             <div class="warning-icon">⚠️</div>
                             <div class="warning-content">
-                                <h3>Termin wirklich löschen?</h3>
+                                <h3>${singleOccurrence ? 'Nur diesen Termin absagen?' : 'Termin wirklich löschen?'}</h3>
                                 <p>
                                     <strong>"${this.escapeHtml(event.title)}"</strong><br>
                                     ${this.formatEventDate(new Date(event.event_date))}
                                 </p>
+                                ${event.recurrence_rule && !singleOccurrence ? `
+                                    <p>Alle Termine dieser Serie werden gelöscht.</p>
+                                ` : ''}
+                                ${singleOccurrence ? `
+                                    <p>Die übrigen Termine der Serie bleiben erhalten.</p>
+                                ` : ''}
                                 <p class="warning-text">
                                     Diese Aktion kann nicht rückgängig gemacht werden.
                                 </p>
@@ -558,9 +796,45 @@ class CalendarComponent extends HTMLElement {
         `;
     }
 
+    renderScopeDialog() {
+        const event = this.state.selectedEvent;
+        if (!event) return '';
+
+        const isDelete = this.state.scopeAction === 'delete';
+
+        return `
+            <div class="dialog-overlay" data-action="close-scope-dialog">
+                <div class="dialog-container scope-dialog" onclick="event.stopPropagation()">
+                    <div class="dialog-header">
+                        <h2 class="dialog-title">${isDelete ? 'Wiederkehrenden Termin löschen' : 'Wiederkehrenden Termin bearbeiten'}</h2>
+                        <button class="dialog-close" data-action="close-scope-dialog">✕</button>
+                    </div>
+
+                    <div class="dialog-body">
+                        <p>
+                            <strong>"${this.escapeHtml(event.title)}"</strong> am
+                            ${this.formatEventDate(new Date(event.event_date))}
+                            gehört zu einer Terminserie (${this.describeRecurrence(event.recurrence_rule)}).
+                        </p>
+                    </div>
+
+                    <div class="dialog-footer">
+                        <button class="btn btn-secondary" data-action="scope-single">
+                            Nur dieser Termin
+                        </button>
+                        <button class="btn btn-primary" data-action="scope-series">
+                            Alle Termine
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     renderExportDialog() {
         const userHash = window.app?.state?.userHash;
         const icalUrl = userHash ? `/api/ical/${userHash}` : '#';
+        const csvUrl = userHash ? `/api/events/${userHash}/export.csv` : '#';
 
         return `
             <div class="dialog-overlay" data-action="close-export-dialog">
@@ -592,6 +866,8 @@ class CalendarComponent extends HTMLElement {
                                 </div>
                             </div>
 
+                            ${this.renderShareTokensOption()}
+
                             <div class="export-option">
                                 <div class="export-icon">💾</div>
                                 <div class="export-content">
@@ -606,6 +882,53 @@ class CalendarComponent extends HTMLElement {
                                     </a>
                                 </div>
                             </div>
+
+                            <div class="export-option">
+                                <div class="export-icon">📄</div>
+                                <div class="export-content">
+                                    <h3>CSV-Tabelle herunterladen</h3>
+                                    <p>Alle Termine als Tabelle für Excel, LibreOffice oder Numbers (Semikolon-getrennt, deutsches Datumsformat).</p>
+                                    <a 
+                                        href="${csvUrl}" 
+                                        class="btn btn-secondary"
+                                        download="yatwa-termine.csv"
+                                    >
+                                        📄 CSV herunterladen
+                                    </a>
+                                </div>
+                            </div>
+
+                            <div class="export-option">
+                                <div class="export-icon">📥</div>
+                                <div class="export-content">
+                                    <h3>Abfuhrkalender importieren</h3>
+                                    <p>Lade die .ics-Datei deiner Stadt oder eine CSV-Tabelle (Datum;Uhrzeit;Titel) hoch. Vor dem Übernehmen siehst du, was sich ändert.</p>
+                                    ${this.state.providers.length > 0 ? `
+                                        <div class="import-provider">
+                                            <select class="import-provider-select" aria-label="Format der Datei">
+                                                <option value="">Automatisch (.ics oder CSV-Tabelle)</option>
+                                                ${this.state.providers.map(provider => `
+                                                    <option value="${provider.id}" title="${this.escapeHtml(provider.description)}">${this.escapeHtml(provider.name)}</option>
+                                                `).join('')}
+                                            </select>
+                                            ${this.state.providers.map(provider => provider.options.map(option => `
+                                                <input
+                                                    type="text"
+                                                    class="import-provider-option"
+                                                    data-provider="${provider.id}"
+                                                    name="${option.name}"
+                                                    placeholder="${this.escapeHtml(option.label)}${option.required ? '' : ' (optional)'}"
+                                                    hidden
+                                                >
+                                            `).join('')).join('')}
+                                        </div>
+                                    ` : ''}
+                                    <label class="btn btn-secondary">
+                                        📂 Datei auswählen
+                                        <input type="file" class="import-file-input" accept=".ics,.csv,.json,.xml,text/calendar,text/csv,application/json,text/xml" hidden>
+                                    </label>
+                                </div>
+                            </div>
                         </div>
 
                         <div class="export-help">
@@ -630,114 +953,702 @@ class CalendarComponent extends HTMLElement {
         `;
     }
 
-    renderLoadingOverlay() {
+    renderImportReviewDialog() {
+        const { summary, changes, rejected } = this.state.importReview;
+        const selectable = changes.filter(change => change.type !== 'unchanged');
+        const groups = [
+            { type: 'added', label: '➕ Neu' },
+            { type: 'changed', label: '✏️ Geändert' },
+            { type: 'removed', label: '➖ Nicht mehr in der Datei' }
+        ];
+
         return `
-            <div class="loading-overlay">
-                <div class="loading-content">
-                    <div class="spinner"></div>
-                    <p>Lädt...</p>
+            <div class="dialog-overlay" data-action="close-import-review">
+                <div class="dialog-container import-review-dialog" onclick="event.stopPropagation()">
+                    <div class="dialog-header">
+                        <h2 class="dialog-title">📥 Import prüfen</h2>
+                        <button class="dialog-close" data-action="close-import-review">✕</button>
+                    </div>
+
+                    <div class="dialog-body">
+                        <p class="import-summary">
+                            ${summary.added} neu · ${summary.changed} geändert ·
+                            ${summary.removed} entfernt · ${summary.unchanged} unverändert
+                            ${summary.rejected > 0 ? ` · ⚠️ ${summary.rejected} nicht lesbar` : ''}
+                        </p>
+
+                        ${selectable.length === 0 ? `
+                            <p>Keine Änderungen – dein Kalender ist bereits auf dem Stand der Datei.</p>
+                        ` : ''}
+
+                        ${groups.map(group => {
+                            const rows = changes.filter(change => change.type === group.type);
+                            if (rows.length === 0) return '';
+
+                            return `
+                                <h3 class="import-group-title">${group.label} (${rows.length})</h3>
+                                <ul class="import-changes">
+                                    ${rows.map(change => this.renderImportChange(change)).join('')}
+                                </ul>
+                            `;
+                        }).join('')}
+
+                        ${rejected.length > 0 ? `
+                            <h3 class="import-group-title">⚠️ Nicht lesbar (${rejected.length})</h3>
+                            <ul class="import-rejected">
+                                ${rejected.map(entry => `
+                                    <li>
+                                        Zeile ${entry.line}${entry.title ? ` – ${this.escapeHtml(entry.title)}` : ''}:
+                                        ${this.escapeHtml(entry.errors.join(', '))}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+
+                    <div class="dialog-footer">
+                        <button class="btn btn-secondary" data-action="close-import-review">
+                            Abbrechen
+                        </button>
+                        <button class="btn btn-primary" data-action="apply-import" ${selectable.length === 0 ? 'disabled' : ''}>
+                            ✅ Ausgewählte übernehmen
+                        </button>
+                    </div>
                 </div>
             </div>
         `;
     }
 
-    renderStyles() {
+    renderImportChange(change) {
+        const formatDate = (date, time) => `${this.formatEventDate(new Date(date))}${time ? ` ${time.substring(0, 5)}` : ''}`;
+        const dateText = change.previous ?
+            `${formatDate(change.previous.event_date, change.previous.event_time)} → ${formatDate(change.event_date, change.event_time)}` :
+            formatDate(change.event_date, change.event_time);
+
         return `
-            <style>
-                /* Calendar Container */
-                .calendar-container {
-                    max-width: 1200px;
-                    margin: 0 auto;
-                    padding: var(--space-6);
-                }
+            <li class="import-change import-change-${change.type}">
+                <label class="form-checkbox">
+                    <input
+                        type="checkbox"
+                        class="import-change-checkbox"
+                        value="${change.id}"
+                        ${this.state.importSelection.includes(change.id) ? 'checked' : ''}
+                    >
+                    <span class="checkbox-mark"></span>
+                    <span class="checkbox-label">
+                        <strong>${this.escapeHtml(change.title)}</strong>
+                        <span class="import-change-date">${dateText}</span>
+                        ${change.recurrence_rule ? `<span class="import-change-rule">🔁 ${this.describeRecurrence(change.recurrence_rule)}</span>` : ''}
+                        ${change.previous && change.previous.description !== change.description ? '<span class="import-change-description">📝 Beschreibung geändert</span>' : ''}
+                    </span>
+                </label>
+            </li>
+        `;
+    }
 
-                /* Calendar Header */
-                .calendar-header {
-                    margin-bottom: var(--space-8);
-                }
+    renderPasteDialog() {
+        const review = this.state.pasteReview;
 
-                .calendar-nav {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    margin-bottom: var(--space-4);
-                    flex-wrap: wrap;
-                    gap: var(--space-4);
-                }
+        return `
+            <div class="dialog-overlay" data-action="close-paste-dialog">
+                <div class="dialog-container paste-dialog" onclick="event.stopPropagation()">
+                    <div class="dialog-header">
+                        <h2 class="dialog-title">📋 Abfuhrplan einfügen</h2>
+                        <button class="dialog-close" data-action="close-paste-dialog">✕</button>
+                    </div>
 
-                .date-navigation {
-                    display: flex;
-                    align-items: center;
-                    gap: var(--space-4);
-                }
+                    <div class="dialog-body">
+                        ${review ? this.renderPasteProposals(review) : `
+                            <div class="form-group">
+                                <label for="paste-text" class="form-label">Text aus Webseite oder PDF</label>
+                                <textarea
+                                    id="paste-text"
+                                    class="paste-textarea"
+                                    rows="10"
+                                    placeholder="z.B.&#10;Restmüll: Mo 06.01.2025, Mo 20.01.2025&#10;07.01.2025 Biotonne"
+                                >${this.escapeHtml(this.state.pasteText)}</textarea>
+                                <div class="form-help">Eine Zeile pro Termin oder pro Abfallart – erkannte Termine kannst du vor dem Speichern prüfen</div>
+                            </div>
+                        `}
+                    </div>
 
-                .current-month {
-                    font-size: var(--font-size-2xl);
-                    font-weight: 600;
-                    color: var(--text-primary);
-                    margin: 0;
-                    min-width: 200px;
-                    text-align: center;
-                }
-                
-                .current-view-title {
-                    font-size: var(--font-size-2xl);
-                    font-weight: 600;
-                    color: var(--text-primary);
-                    margin: 0;
-                    min-width: 200px;
-                    text-align: center;
-                }
+                    <div class="dialog-footer">
+                        ${review ? `
+                            <button class="btn btn-secondary" data-action="paste-back">
+                                ← Text bearbeiten
+                            </button>
+                            <button class="btn btn-primary" data-action="save-pasted" ${review.proposals.length === 0 ? 'disabled' : ''}>
+                                ✅ Ausgewählte speichern
+                            </button>
+                        ` : `
+                            <button class="btn btn-secondary" data-action="close-paste-dialog">
+                                Abbrechen
+                            </button>
+                            <button class="btn btn-primary" data-action="parse-schedule">
+                                🔍 Erkennen
+                            </button>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
 
-                .calendar-actions {
-                    display: flex;
-                    gap: var(--space-3);
-                    align-items: center;
-                }
+    renderPasteProposals(review) {
+        const { proposals, summary } = review;
+        const confidenceLabels = { high: 'sicher', medium: 'prüfen', low: 'unsicher' };
 
-                .calendar-stats {
-                    display: flex;
-                    gap: var(--space-6);
-                    padding: var(--space-4);
-                    background: var(--bg-secondary);
-                    border-radius: var(--radius-lg);
-                    border: 1px solid var(--border-color);
-                }
+        if (proposals.length === 0) {
+            return '<p>Im Text wurden keine Termine erkannt.</p>';
+        }
 
-                .stat-item {
-                    display: flex;
-                    align-items: center;
-                    gap: var(--space-2);
-                    font-size: var(--font-size-sm);
-                    color: var(--text-secondary);
-                }
+        return `
+            <p class="import-summary">
+                ${summary.total} Termine erkannt · ${summary.high} sicher · ${summary.medium} prüfen · ${summary.low} unsicher
+                ${summary.duplicates > 0 ? ` · ${summary.duplicates} bereits im Kalender` : ''}
+            </p>
+
+            <ul class="import-changes paste-proposals">
+                ${proposals.map((proposal, index) => `
+                    <li class="import-change">
+                        <label class="form-checkbox">
+                            <input
+                                type="checkbox"
+                                class="paste-proposal-checkbox"
+                                value="${index}"
+                                ${this.state.pasteSelection.includes(index) ? 'checked' : ''}
+                            >
+                            <span class="checkbox-mark"></span>
+                            <span class="checkbox-label">
+                                ${this.escapeHtml(proposal.icon)} <strong>${this.escapeHtml(proposal.title)}</strong>
+                                <span class="import-change-date">
+                                    ${this.formatEventDate(new Date(proposal.event_date))}${proposal.event_time ? ` ${proposal.event_time.substring(0, 5)}` : ''}
+                                </span>
+                                <span class="confidence-badge confidence-${proposal.confidence}">${confidenceLabels[proposal.confidence]}</span>
+                                ${proposal.duplicate ? '<span class="confidence-badge">bereits vorhanden</span>' : ''}
+                                ${proposal.warnings.length > 0 ? `
+                                    <span class="paste-warnings">${this.escapeHtml(proposal.warnings.join(', '))}</span>
+                                ` : ''}
+                            </span>
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
 
-                .stat-icon {
-                    font-size: var(--font-size-base);
-                }
+    renderSettingsDialog() {
+        const form = this.state.settingsForm;
+        const regions = Object.entries(this.state.holidayRegions);
 
-                /* Events Display */
-                .calendar-view-container {
-                    background: var(--bg-primary);
-                    border-radius: var(--radius-lg);
-                    border: 1px solid var(--border-color);
-                    padding: var(--space-6);
-                }
+        return `
+            <div class="dialog-overlay" data-action="close-settings-dialog">
+                <div class="dialog-container settings-dialog" onclick="event.stopPropagation()">
+                    <div class="dialog-header">
+                        <h2 class="dialog-title">⚙️ Kalender-Einstellungen</h2>
+                        <button class="dialog-close" data-action="close-settings-dialog">✕</button>
+                    </div>
 
-                .events-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
-                    gap: var(--space-4);
-                }
+                    <form class="dialog-body" data-form="settings">
+                        <!-- Bundesland -->
+                        <div class="form-group">
+                            <label for="holiday-region" class="form-label">Bundesland</label>
+                            <select id="holiday-region" name="holiday_region" class="form-select">
+                                <option value="" ${!form.holiday_region ? 'selected' : ''}>Nur bundesweite Feiertage</option>
+                                ${regions.map(([code, name]) => `
+                                    <option value="${code}" ${form.holiday_region === code ? 'selected' : ''}>${this.escapeHtml(name)}</option>
+                                `).join('')}
+                            </select>
+                            <div class="form-help">Bestimmt, welche regionalen Feiertage berücksichtigt werden</div>
+                        </div>
 
-                .event-card {
-                    background: var(--bg-primary);
-                    border: 1px solid var(--border-color);
-                    border-radius: var(--radius-lg);
-                    padding: var(--space-4);
-                    transition: all var(--transition);
-                    position: relative;
-                }
+                        <!-- Feiertagsverschiebung -->
+                        <div class="form-group">
+                            <label class="form-checkbox">
+                                <input
+                                    type="checkbox"
+                                    name="holiday_shift"
+                                    ${form.holiday_shift ? 'checked' : ''}
+                                >
+                                <span class="checkbox-mark"></span>
+                                <span class="checkbox-label">Abholungen an Feiertagen verschieben</span>
+                            </label>
+                            <div class="form-help">
+                                Liegt ein Feiertag in der Woche, rücken wiederkehrende Abholungen ab dem Feiertag um einen Tag nach hinten
+                            </div>
+                        </div>
+
+                        <!-- Zeitzone -->
+                        <div class="form-group">
+                            <label for="calendar-timezone" class="form-label">Zeitzone</label>
+                            <select id="calendar-timezone" name="timezone" class="form-select">
+                                ${(this.timeZones.includes(form.timezone) ? this.timeZones : [form.timezone, ...this.timeZones]).map(zone => `
+                                    <option value="${zone}" ${zone === form.timezone ? 'selected' : ''}>${zone.replace(/_/g, ' ')}</option>
+                                `).join('')}
+                            </select>
+                            <div class="form-help">Uhrzeiten von Terminen, Erinnerungen und Wochenübersicht gelten in dieser Zeitzone</div>
+                        </div>
+
+                        <!-- Erinnerungen -->
+                        <div class="form-group">
+                            <label for="default-reminder" class="form-label">Standard-Erinnerung</label>
+                            <select id="default-reminder" name="default_reminder_minutes" class="form-select">
+                                ${this.reminderOptions.map(option => `
+                                    <option value="${option.value}" ${String(form.default_reminder_minutes || 0) === String(option.value) ? 'selected' : ''}>${option.label}</option>
+                                `).join('')}
+                            </select>
+                            <div class="form-help">Gilt für Termine ohne eigene Erinnerung, deren Abfallart auch keine vorgibt</div>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="all-day-reminder-time" class="form-label">Ganztägige Abholungen am Vorabend erinnern um</label>
+                            <input
+                                type="time"
+                                id="all-day-reminder-time"
+                                name="all_day_reminder_time"
+                                class="form-input"
+                                value="${form.all_day_reminder_time}"
+                            >
+                        </div>
+
+                        <div class="form-group">
+                            <label for="reminder-email" class="form-label">Erinnerung per E-Mail an</label>
+                            <input
+                                type="email"
+                                id="reminder-email"
+                                name="reminder_email"
+                                class="form-input"
+                                value="${this.escapeHtml(form.reminder_email)}"
+                                placeholder="name@example.org"
+                            >
+                            <div class="form-help">Am Vorabend kommt eine E-Mail mit den Abholungen des nächsten Tages. Leer lassen zum Abschalten.</div>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="email-locale" class="form-label">Sprache der E-Mails</label>
+                            <select id="email-locale" name="email_locale" class="form-select">
+                                <option value="de" ${form.email_locale !== 'en' ? 'selected' : ''}>Deutsch</option>
+                                <option value="en" ${form.email_locale === 'en' ? 'selected' : ''}>English</option>
+                            </select>
+                        </div>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="quiet-hours-start" class="form-label">Ruhezeit von</label>
+                                <input
+                                    type="time"
+                                    id="quiet-hours-start"
+                                    name="quiet_hours_start"
+                                    class="form-input"
+                                    value="${form.quiet_hours_start}"
+                                >
+                            </div>
+                            <div class="form-group">
+                                <label for="quiet-hours-end" class="form-label">bis</label>
+                                <input
+                                    type="time"
+                                    id="quiet-hours-end"
+                                    name="quiet_hours_end"
+                                    class="form-input"
+                                    value="${form.quiet_hours_end}"
+                                >
+                            </div>
+                        </div>
+
+                        <!-- Wochenübersicht -->
+                        <div class="form-group">
+                            <label class="form-checkbox">
+                                <input
+                                    type="checkbox"
+                                    name="weekly_digest"
+                                    ${form.weekly_digest ? 'checked' : ''}
+                                >
+                                <span class="checkbox-mark"></span>
+                                <span class="checkbox-label">Wochenübersicht am Sonntagabend</span>
+                            </label>
+                            <div class="form-help">
+                                Eine E-Mail mit allen Abholungen der kommenden Woche, nach Tagen sortiert.
+                                <a href="${this.apiService.getDigestPreviewUrl(window.app?.state?.userHash)}" target="_blank" rel="noopener">Vorschau ansehen</a>
+                            </div>
+                        </div>
+                    </form>
+
+                    ${this.renderWasteTypesSection()}
+
+                    ${this.renderSourcesSection()}
+
+                    ${this.renderRecoverySection()}
+
+                    ${this.renderRotateSection()}
+
+                    ${this.renderAccountSection()}
+
+                    <div class="dialog-footer">
+                        <button class="btn btn-secondary" data-action="close-settings-dialog">
+                            Abbrechen
+                        </button>
+                        <button class="btn btn-primary" data-action="save-settings">
+                            💾 Speichern
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderWasteTypesSection() {
+        const editing = this.state.editingWasteType;
+        const type = editing && editing !== 'new' ? this.findWasteType(editing) : null;
+        const currentReminder = type?.default_reminder_minutes != null ? String(type.default_reminder_minutes) : '';
+
+        return `
+            <div class="dialog-body waste-types-section">
+                <h3 class="import-group-title">🗑️ Abfallarten</h3>
+                <p class="form-help">
+                    Farbe und Icon erscheinen im Kalender und im Abo; Uhrzeit und Erinnerung werden für neue Termine vorgeschlagen.
+                </p>
+
+                <ul class="waste-types-list">
+                    ${this.state.wasteTypes.map(wasteType => `
+                        <li class="waste-type-item">
+                            <span class="waste-type-swatch" style="background-color: ${wasteType.color}"></span>
+                            <span class="waste-type-info">
+                                <strong>${this.escapeHtml(wasteType.icon)} ${this.escapeHtml(wasteType.name)}</strong>
+                                ${wasteType.default_time ? `<span class="source-status">rausstellen bis ${wasteType.default_time.substring(0, 5)} Uhr</span>` : ''}
+                            </span>
+                            <span class="source-actions">
+                                <button class="btn btn-ghost btn-sm" data-action="edit-waste-type" data-waste-type-id="${wasteType.id}" title="Bearbeiten">✏️</button>
+                                <button class="btn btn-ghost btn-sm" data-action="delete-waste-type" data-waste-type-id="${wasteType.id}" title="Löschen">🗑️</button>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+
+                ${editing ? `
+                    <div class="waste-type-form">
+                        <input type="text" class="waste-type-name-input" maxlength="100" placeholder="Name, z. B. Biotonne" aria-label="Name" value="${this.escapeHtml(type?.name || '')}">
+                        <input type="color" class="waste-type-color-input" aria-label="Farbe" value="${type?.color || '#6b7280'}">
+                        <select class="waste-type-icon-select" aria-label="Icon">
+                            ${this.eventIcons.map(icon => `
+                                <option value="${icon}" ${(type?.icon || '🗑️') === icon ? 'selected' : ''}>${icon}</option>
+                            `).join('')}
+                        </select>
+                        <input type="time" class="waste-type-time-input" aria-label="Rausstellen bis" value="${type?.default_time ? type.default_time.substring(0, 5) : ''}">
+                        <select class="waste-type-reminder-select" aria-label="Erinnerung">
+                            <option value="" ${currentReminder === '' ? 'selected' : ''}>Erinnerung wie im Kalender</option>
+                            ${this.reminderOptions.map(option => `
+                                <option value="${option.value}" ${currentReminder === String(option.value) ? 'selected' : ''}>${option.label}</option>
+                            `).join('')}
+                        </select>
+                        <div class="waste-type-form-actions">
+                            <button class="btn btn-ghost btn-sm" data-action="cancel-waste-type">Abbrechen</button>
+                            <button class="btn btn-secondary btn-sm" data-action="save-waste-type">💾 Übernehmen</button>
+                        </div>
+                    </div>
+                ` : `
+                    <button class="btn btn-secondary btn-sm" data-action="add-waste-type">➕ Abfallart hinzufügen</button>
+                `}
+            </div>
+        `;
+    }
+
+    renderShareTokensOption() {
+        const formatAccess = (date) => date ? new Date(date).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' }) : 'noch nie';
+
+        return `
+            <div class="export-option">
+                <div class="export-icon">👀</div>
+                <div class="export-content">
+                    <h3>Nur-Lese-Links</h3>
+                    <p>Für Geräte der Familie: Wer einen solchen Link abonniert, sieht alle Termine, kann aber nichts ändern oder löschen. Jeder Link lässt sich einzeln widerrufen.</p>
+
+                    ${this.state.shareTokens.length > 0 ? `
+                        <ul class="sources-list">
+                            ${this.state.shareTokens.map(shareToken => `
+                                <li class="source-item">
+                                    <div class="source-info">
+                                        <strong>${this.escapeHtml(shareToken.label)}</strong>
+                                        <span class="source-url">${this.escapeHtml(shareToken.urls.webcal)}</span>
+                                        <span class="source-status">zuletzt abgerufen: ${formatAccess(shareToken.last_accessed_at)}</span>
+                                    </div>
+                                    <div class="source-actions">
+                                        <button class="btn btn-ghost btn-sm" data-action="copy-share-url" data-url="${this.escapeHtml(shareToken.urls.webcal)}" title="Link kopieren">📋</button>
+                                        <button class="btn btn-ghost btn-sm" data-action="revoke-share-token" data-share-token-id="${shareToken.id}" title="Widerrufen">🗑️</button>
+                                    </div>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+
+                    <div class="source-add">
+                        <input
+                            type="text"
+                            class="share-token-label-input"
+                            placeholder="z.B. Omas iPad"
+                            maxlength="100"
+                            aria-label="Bezeichnung des Links"
+                        >
+                        <button class="btn btn-secondary btn-sm" data-action="create-share-token">➕ Link erstellen</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderRecoverySection() {
+        const recovery = this.state.recovery || { status: 'none', confirmedAt: null };
+        const statusText = {
+            none: 'Keine Adresse hinterlegt.',
+            pending: '📧 Bestätigung ausstehend – bitte den Link in der E-Mail öffnen.',
+            confirmed: `✅ Bestätigt am ${recovery.confirmedAt ? new Date(recovery.confirmedAt).toLocaleDateString('de-DE') : '–'}.`
+        }[recovery.status];
+
+        return `
+            <div class="dialog-body recovery-section">
+                <h3 class="import-group-title">🔑 Wiederherstellung per E-Mail</h3>
+                <p class="form-help">
+                    Mit einer bestätigten Adresse kannst du dir den Link zu deinem Kalender über „Hash vergessen?“ erneut schicken lassen.
+                    Die Adresse wird nur verschlüsselt (als Prüfsumme) gespeichert.
+                </p>
+                <p class="source-status">${statusText}</p>
+
+                <div class="source-add">
+                    <input
+                        type="email"
+                        class="recovery-email-input"
+                        placeholder="deine@email.de"
+                        aria-label="Wiederherstellungs-Adresse"
+                    >
+                    <button class="btn btn-secondary btn-sm" data-action="save-recovery-email">
+                        ${recovery.status === 'none' ? '➕ Hinterlegen' : '🔄 Ändern'}
+                    </button>
+                    ${recovery.status !== 'none' ? `
+                        <button class="btn btn-ghost btn-sm" data-action="delete-recovery-email" title="Adresse entfernen">🗑️</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderRotateSection() {
+        return `
+            <div class="dialog-body rotate-section">
+                <h3 class="import-group-title">🔄 Kalender-Link erneuern</h3>
+                <p class="form-help">
+                    Falls dein Link in falsche Hände geraten ist: Du bekommst einen neuen, der alte funktioniert danach nicht mehr.
+                    Abos in Kalender-Apps musst du mit dem neuen Link neu einrichten – Nur-Lese-Links bleiben gültig.
+                </p>
+
+                ${this.state.rotatedLink ? `
+                    <div class="export-url">
+                        <input type="text" class="form-input" value="${this.escapeHtml(this.state.rotatedLink)}" readonly aria-label="Neuer Kalender-Link">
+                        <button class="btn btn-secondary btn-sm" data-action="copy-share-url" data-url="${this.escapeHtml(this.state.rotatedLink)}">📋 Kopieren</button>
+                    </div>
+                    <p class="form-help">⚠️ Speichere den neuen Link jetzt, z.B. als Lesezeichen.</p>
+                ` : `
+                    <div class="source-add">
+                        <select class="rotate-grace-select" aria-label="Hinweis im alten Abo">
+                            <option value="0">Alten Link sofort sperren</option>
+                            <option value="7">7 Tage Umzugs-Hinweis im alten Abo</option>
+                            <option value="30">30 Tage Umzugs-Hinweis im alten Abo</option>
+                        </select>
+                        <button class="btn btn-secondary btn-sm" data-action="rotate-hash">🔄 Neuen Link erzeugen</button>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    renderAccountSection() {
+        const userHash = window.app?.state?.userHash;
+
+        return `
+            <div class="dialog-body account-section">
+                <h3 class="import-group-title">🗂️ Daten exportieren / Kalender löschen</h3>
+                <p class="form-help">
+                    Der Export enthält alles, was zu deinem Kalender gespeichert ist: Termine, Einstellungen, Abfallarten, Abos, Freigabe-Links und versendete E-Mails.
+                </p>
+                <div class="source-add">
+                    <a
+                        href="${userHash ? this.apiService.getExportUrl(userHash) : '#'}"
+                        class="btn btn-secondary btn-sm"
+                        download="yatwa-export.json"
+                    >
+                        📦 Daten exportieren
+                    </a>
+                    <button class="btn btn-error btn-sm" data-action="delete-account">🗑️ Kalender löschen</button>
+                </div>
+                <p class="form-help">
+                    Aus einer Sicherung wiederherstellen: „Ergänzen“ fügt fehlende Termine und Abfallarten hinzu, „Ersetzen“ übernimmt Termine, Abfallarten und Einstellungen der Sicherung (abonnierte Kalender bleiben).
+                </p>
+                <div class="source-add">
+                    <select class="restore-mode-select" aria-label="Art der Wiederherstellung">
+                        <option value="merge">Ergänzen</option>
+                        <option value="replace">Ersetzen</option>
+                    </select>
+                    <label class="btn btn-secondary btn-sm">
+                        ♻️ Sicherung hochladen
+                        <input type="file" class="restore-file-input" accept="application/json,.json" hidden>
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+
+    renderSourcesSection() {
+        const formatSync = (date) => date ? new Date(date).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' }) : 'noch nie';
+
+        return `
+            <div class="dialog-body sources-section">
+                <h3 class="import-group-title">🔗 Abonnierte Kalender</h3>
+                <p class="form-help">
+                    Die .ics-Adresse deiner Stadt wird regelmäßig abgerufen – neue, geänderte und abgesagte Termine werden automatisch übernommen.
+                </p>
+
+                ${this.state.sources.length > 0 ? `
+                    <ul class="sources-list">
+                        ${this.state.sources.map(source => `
+                            <li class="source-item ${source.last_error ? 'source-error' : ''}">
+                                <div class="source-info">
+                                    <strong>${this.escapeHtml(source.label || new URL(source.url).hostname)}</strong>
+                                    <span class="source-url">${this.escapeHtml(source.url)}</span>
+                                    <span class="source-status">
+                                        ${source.event_count} Termine · zuletzt abgeglichen: ${formatSync(source.last_success_at)}
+                                    </span>
+                                    ${source.last_error ? `
+                                        <span class="source-status">⚠️ ${this.escapeHtml(source.last_error)} (${formatSync(source.last_sync_at)})</span>
+                                    ` : ''}
+                                </div>
+                                <div class="source-actions">
+                                    <button class="btn btn-ghost btn-sm" data-action="sync-source" data-source-id="${source.id}" title="Jetzt abgleichen">🔄</button>
+                                    <button class="btn btn-ghost btn-sm" data-action="remove-source" data-source-id="${source.id}" title="Abo beenden">🗑️</button>
+                                </div>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+
+                <div class="source-add">
+                    <input
+                        type="url"
+                        class="source-url-input"
+                        placeholder="https://… oder webcal://…"
+                        aria-label="Adresse des Kalenders"
+                    >
+                    <button class="btn btn-secondary btn-sm" data-action="add-source">➕ Abonnieren</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderLoadingOverlay() {
+        return `
+            <div class="loading-overlay">
+                <div class="loading-content">
+                    <div class="spinner"></div>
+                    <p>Lädt...</p>
+                </div>
+            </div>
+        `;
+    }
+
+    renderStyles() {
+        return `
+            <style>
+                /* Calendar Container */
+                .calendar-container {
+                    max-width: 1200px;
+                    margin: 0 auto;
+                    padding: var(--space-6);
+                }
+
+                /* Calendar Header */
+                .calendar-header {
+                    margin-bottom: var(--space-8);
+                }
+
+                .calendar-nav {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    margin-bottom: var(--space-4);
+                    flex-wrap: wrap;
+                    gap: var(--space-4);
+                }
+
+                .date-navigation {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-4);
+                }
+
+                .current-month {
+                    font-size: var(--font-size-2xl);
+                    font-weight: 600;
+                    color: var(--text-primary);
+                    margin: 0;
+                    min-width: 200px;
+                    text-align: center;
+                }
+                
+                .current-view-title {
+                    font-size: var(--font-size-2xl);
+                    font-weight: 600;
+                    color: var(--text-primary);
+                    margin: 0;
+                    min-width: 200px;
+                    text-align: center;
+                }
+
+                .calendar-actions {
+                    display: flex;
+                    gap: var(--space-3);
+                    align-items: center;
+                }
+
+                .calendar-stats {
+                    display: flex;
+                    gap: var(--space-6);
+                    padding: var(--space-4);
+                    background: var(--bg-secondary);
+                    border-radius: var(--radius-lg);
+                    border: 1px solid var(--border-color);
+                }
+
+                .stat-item {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-2);
+                    font-size: var(--font-size-sm);
+                    color: var(--text-secondary);
+                }
+
+                .stat-icon {
+                    font-size: var(--font-size-base);
+                }
+
+                /* Events Display */
+                .calendar-view-container {
+                    background: var(--bg-primary);
+                    border-radius: var(--radius-lg);
+                    border: 1px solid var(--border-color);
+                    padding: var(--space-6);
+                }
+
+                .events-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+                    gap: var(--space-4);
+                }
+
+                .event-card {
+                    background: var(--bg-primary);
+                    border: 1px solid var(--border-color);
+                    border-radius: var(--radius-lg);
+                    padding: var(--space-4);
+                    transition: all var(--transition);
+                    position: relative;
+                }
 
                 .event-card:hover {
                     box-shadow: var(--shadow-md);
@@ -753,6 +1664,10 @@ class CalendarComponent extends HTMLElement {
                     opacity: 0.7;
                 }
 
+                .event-card.has-waste-type {
+                    border-left: 4px solid var(--event-color);
+                }
+
                 .event-card-header {
                     display: flex;
                     justify-content: space-between;
@@ -852,20 +1767,51 @@ class CalendarComponent extends HTMLElement {
                     gap: var(--space-1);
                 }
 
-                /* Empty State */
-                .empty-state {
-                    text-align: center;
-                    padding: var(--space-12);
-                    color: var(--text-secondary);
+                .event-moved {
+                    background: var(--warning);
+                    color: white;
+                    padding: var(--space-1) var(--space-2);
+                    border-radius: var(--radius-sm);
+                    font-size: var(--font-size-xs);
+                    font-weight: 500;
+                    align-self: flex-start;
+                    margin-top: var(--space-1);
                 }
 
-                .empty-icon {
-                    font-size: var(--font-size-5xl);
-                    margin-bottom: var(--space-4);
+                .event-span {
+                    background: var(--secondary);
+                    color: white;
+                    padding: var(--space-1) var(--space-2);
+                    border-radius: var(--radius-sm);
+                    font-size: var(--font-size-xs);
+                    font-weight: 500;
+                    align-self: flex-start;
+                    margin-top: var(--space-1);
                 }
 
-                .empty-state h3 {
-                    font-size: var(--font-size-xl);
+                .event-recurrence {
+                    margin-top: var(--space-2);
+                    font-size: var(--font-size-xs);
+                    color: var(--text-secondary);
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-1);
+                }
+
+                /* Empty State */
+                .empty-state {
+                    text-align: center;
+                    padding: var(--space-12);
+                    color: var(--text-secondary);
+                }
+
+                .empty-icon {
+                    font-size: var(--font-size-5xl);
+                    margin-bottom: var(--space-4);
+                }
+
+                .empty-state h3 {
+                    font-size: var(--font-size-xl);
                     margin-bottom: var(--space-2);
                     color: var(--text-primary);
                 }
@@ -1078,11 +2024,254 @@ class CalendarComponent extends HTMLElement {
                     transform: translateY(-1px);
                 }
 
+                /* Series Scope Dialog */
+                .scope-dialog {
+                    max-width: 480px;
+                }
+
                 /* Export Dialog */
                 .export-dialog {
                     max-width: 700px;
                 }
 
+                .settings-dialog {
+                    max-width: 500px;
+                }
+
+                .import-review-dialog {
+                    max-width: 700px;
+                }
+
+                .import-summary {
+                    font-weight: 500;
+                    margin-bottom: 1rem;
+                }
+
+                .import-group-title {
+                    font-size: 1rem;
+                    margin: 1rem 0 0.5rem;
+                }
+
+                .import-changes {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                    max-height: 240px;
+                    overflow-y: auto;
+                }
+
+                .import-change {
+                    padding: 0.25rem 0;
+                }
+
+                .import-change-date,
+                .import-change-rule {
+                    margin-left: 0.5rem;
+                    font-size: 0.875rem;
+                    color: var(--text-secondary);
+                }
+
+                .import-change-removed strong {
+                    text-decoration: line-through;
+                }
+
+                .event-synced {
+                    font-size: 0.75rem;
+                    color: var(--text-secondary);
+                }
+
+                .sources-section {
+                    border-top: 1px solid var(--border-color);
+                }
+
+                .sources-list {
+                    list-style: none;
+                    margin: 0.75rem 0;
+                    padding: 0;
+                }
+
+                .source-item {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 0.5rem;
+                    padding: 0.5rem 0;
+                }
+
+                .source-info {
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 0;
+                }
+
+                .source-url,
+                .source-status {
+                    font-size: 0.75rem;
+                    color: var(--text-secondary);
+                    overflow-wrap: anywhere;
+                }
+
+                .source-error .source-status:last-child {
+                    color: var(--error);
+                }
+
+                .source-actions {
+                    display: flex;
+                    flex-shrink: 0;
+                }
+
+                .source-add {
+                    display: flex;
+                    gap: 0.5rem;
+                    margin-top: 0.75rem;
+                }
+
+                .source-url-input,
+                .share-token-label-input,
+                .recovery-email-input,
+                .rotate-grace-select,
+                .restore-mode-select {
+                    flex: 1;
+                    padding: 0.375rem 0.5rem;
+                    border: 1px solid var(--border-color);
+                    border-radius: var(--radius-md);
+                    font-size: 0.875rem;
+                }
+
+                .waste-types-list {
+                    list-style: none;
+                    margin: 0.75rem 0;
+                    padding: 0;
+                }
+
+                .waste-type-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    padding: 0.25rem 0;
+                }
+
+                .waste-type-swatch {
+                    width: 1rem;
+                    height: 1rem;
+                    border-radius: var(--radius-sm);
+                    flex-shrink: 0;
+                }
+
+                .waste-type-info {
+                    display: flex;
+                    flex-direction: column;
+                    flex: 1;
+                    min-width: 0;
+                }
+
+                .waste-type-form {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                    align-items: center;
+                }
+
+                .waste-type-form input,
+                .waste-type-form select {
+                    padding: 0.375rem 0.5rem;
+                    border: 1px solid var(--border-color);
+                    border-radius: var(--radius-md);
+                    font-size: 0.875rem;
+                }
+
+                .waste-type-form .waste-type-name-input {
+                    flex: 1;
+                    min-width: 10rem;
+                }
+
+                .waste-type-form .waste-type-color-input {
+                    width: 2.5rem;
+                    padding: 0.125rem;
+                }
+
+                .waste-type-form-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                    margin-left: auto;
+                }
+
+                .import-provider {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                    margin-bottom: 0.75rem;
+                }
+
+                .import-provider select,
+                .import-provider input {
+                    padding: 0.375rem 0.5rem;
+                    border: 1px solid var(--border-color);
+                    border-radius: var(--radius-md);
+                    font-size: 0.875rem;
+                }
+
+                .import-provider input[hidden] {
+                    display: none;
+                }
+
+                .paste-dialog {
+                    max-width: 700px;
+                }
+
+                .paste-textarea {
+                    width: 100%;
+                    font-family: inherit;
+                    font-size: 0.875rem;
+                    padding: 0.5rem;
+                    border: 1px solid var(--border-color);
+                    border-radius: var(--radius-md);
+                    resize: vertical;
+                }
+
+                .paste-proposals {
+                    max-height: 360px;
+                }
+
+                .confidence-badge {
+                    display: inline-block;
+                    margin-left: 0.5rem;
+                    padding: 0 0.4rem;
+                    border-radius: var(--radius-sm);
+                    font-size: 0.75rem;
+                    background: var(--bg-secondary);
+                    color: var(--text-secondary);
+                }
+
+                .confidence-high {
+                    background: #dcfce7;
+                    color: #166534;
+                }
+
+                .confidence-medium {
+                    background: #fef9c3;
+                    color: #854d0e;
+                }
+
+                .confidence-low {
+                    background: #fee2e2;
+                    color: #991b1b;
+                }
+
+                .paste-warnings {
+                    display: block;
+                    font-size: 0.75rem;
+                    color: var(--text-secondary);
+                }
+
+                .import-rejected {
+                    margin: 0.5rem 0 0;
+                    padding-left: 1.25rem;
+                    color: var(--text-secondary);
+                    max-height: 150px;
+                    overflow-y: auto;
+                }
+
                 .export-options {
                     display: flex;
                     flex-direction: column;
@@ -1267,7 +2456,8 @@ class CalendarComponent extends HTMLElement {
                 e.preventDefault();
                 const action = e.target.getAttribute('data-action');
                 const eventId = e.target.getAttribute('data-event-id');
-                this.handleAction(action, eventId);
+                const occurrenceDate = e.target.getAttribute('data-occurrence-date') || null;
+                this.handleAction(action, eventId, occurrenceDate);
             });
         });
 
@@ -1295,12 +2485,55 @@ class CalendarComponent extends HTMLElement {
         });
 
         // Checkbox changes
-        this.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        this.querySelectorAll('input[type="checkbox"]:not(.import-change-checkbox):not(.paste-proposal-checkbox)').forEach(checkbox => {
             checkbox.addEventListener('change', (e) => {
                 this.handleFormInputChange(e.target.name, e.target.checked);
             });
         });
 
+        // .ics import
+        this.querySelectorAll('.import-file-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const file = e.target.files?.[0];
+                if (file) {
+                    this.importICalFile(file);
+                }
+            });
+        });
+
+        // Restore from an exported archive
+        this.querySelectorAll('.restore-file-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const file = e.target.files?.[0];
+                if (file) {
+                    this.restoreBackup(file);
+                }
+            });
+        });
+
+        // Provider formats: only show the options of the chosen provider
+        this.querySelectorAll('.import-provider-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.querySelectorAll('.import-provider-option').forEach(input => {
+                    input.hidden = input.getAttribute('data-provider') !== e.target.value;
+                });
+            });
+        });
+
+        // Import review checkboxes only update the selection
+        this.querySelectorAll('.import-change-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.toggleImportChange(e.target.value, e.target.checked);
+            });
+        });
+
+        // Pasted schedule proposals only update the selection
+        this.querySelectorAll('.paste-proposal-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.togglePasteProposal(parseInt(e.target.value), e.target.checked);
+            });
+        });
+
         // Close dialogs on ESC key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -1309,16 +2542,25 @@ class CalendarComponent extends HTMLElement {
         });
     }
 
-    handleAction(action, eventId = null) {
+    handleAction(action, eventId = null, occurrenceDate = null) {
         switch (action) {
             case 'add-event':
                 this.showAddEventDialog();
                 break;
             case 'edit-event':
-                this.showEditEventDialog(eventId);
+                this.requestEventAction('edit', eventId, occurrenceDate);
                 break;
             case 'delete-event':
-                this.showDeleteConfirmDialog(eventId);
+                this.requestEventAction('delete', eventId, occurrenceDate);
+                break;
+            case 'scope-single':
+                this.applyScope('single');
+                break;
+            case 'scope-series':
+                this.applyScope('series');
+                break;
+            case 'close-scope-dialog':
+                this.closeScopeDialog();
                 break;
             case 'save-event':
                 this.saveEvent();
@@ -1357,130 +2599,927 @@ class CalendarComponent extends HTMLElement {
             case 'copy-ical-url':
                 this.copyICalUrl();
                 break;
+            case 'create-share-token':
+                this.createShareToken();
+                break;
+            case 'copy-share-url':
+                this.copyLink(event.target.getAttribute('data-url'));
+                break;
+            case 'revoke-share-token':
+                this.revokeShareToken(event.target.getAttribute('data-share-token-id'));
+                break;
+            case 'settings':
+                this.showSettingsDialog();
+                break;
+            case 'close-settings-dialog':
+                this.closeSettingsDialog();
+                break;
+            case 'save-settings':
+                this.saveSettings();
+                break;
+            case 'delete-account':
+                this.deleteAccount();
+                break;
+            case 'rotate-hash':
+                this.rotateHash();
+                break;
+            case 'save-recovery-email':
+                this.saveRecoveryEmail();
+                break;
+            case 'delete-recovery-email':
+                this.deleteRecoveryEmail();
+                break;
+            case 'add-waste-type':
+                this.setState({ editingWasteType: 'new' });
+                break;
+            case 'edit-waste-type':
+                this.setState({ editingWasteType: event.target.getAttribute('data-waste-type-id') });
+                break;
+            case 'cancel-waste-type':
+                this.setState({ editingWasteType: null });
+                break;
+            case 'save-waste-type':
+                this.saveWasteType();
+                break;
+            case 'delete-waste-type':
+                this.deleteWasteType(event.target.getAttribute('data-waste-type-id'));
+                break;
+            case 'add-source':
+                this.addSource();
+                break;
+            case 'sync-source':
+                this.syncSource(event.target.getAttribute('data-source-id'));
+                break;
+            case 'remove-source':
+                this.removeSource(event.target.getAttribute('data-source-id'));
+                break;
+            case 'apply-import':
+                this.applyImport();
+                break;
+            case 'close-import-review':
+                this.closeImportReview();
+                break;
+            case 'paste-schedule':
+                this.setState({ showPasteDialog: true });
+                break;
+            case 'parse-schedule':
+                this.parseSchedule();
+                break;
+            case 'paste-back':
+                this.setState({ pasteReview: null, pasteSelection: [] });
+                break;
+            case 'save-pasted':
+                this.savePastedEvents();
+                break;
+            case 'close-paste-dialog':
+                this.closePasteDialog();
+                break;
+        }
+    }
+
+    async handleFormSubmit(formType, formData) {
+        switch (formType) {
+            case 'event':
+                await this.saveEvent(formData);
+                break;
+            case 'settings':
+                await this.saveSettings();
+                break;
+        }
+    }
+
+    handleFormInputChange(name, value) {
+        if (name in this.state.settingsForm) {
+            this.setState({
+                settingsForm: {
+                    ...this.state.settingsForm,
+                    [name]: value
+                }
+            });
+            return;
+        }
+
+        // A chosen waste type brings its icon and put-out time along
+        const wasteType = name === 'waste_type_id' ? this.findWasteType(value) : null;
+        if (wasteType) {
+            const form = this.state.eventForm;
+            this.setState({
+                eventForm: {
+                    ...form,
+                    waste_type_id: value,
+                    icon: wasteType.icon,
+                    event_time: !form.all_day && !form.event_time && wasteType.default_time ?
+                        wasteType.default_time.substring(0, 5) : form.event_time
+                }
+            });
+            return;
+        }
+
+        this.setState({
+            eventForm: {
+                ...this.state.eventForm,
+                [name]: value
+            }
+        });
+
+        // Disable time inputs when all_day is checked
+        if (name === 'all_day') {
+            const timeInput = this.querySelector('#event-time');
+            const endTimeInput = this.querySelector('#event-end-time');
+            if (endTimeInput) {
+                endTimeInput.disabled = value;
+                if (value) endTimeInput.value = '';
+            }
+            if (timeInput) {
+                timeInput.disabled = value;
+                if (value) {
+                    timeInput.value = '';
+                    this.setState({
+                        eventForm: {
+                            ...this.state.eventForm,
+                            event_time: '',
+                            end_time: '',
+                            all_day: value
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    /* ============================================================================
+       EVENT DIALOG METHODS
+       ============================================================================ */
+
+    showAddEventDialog() {
+        const today = new Date();
+        const todayStr = today.toISOString().split('T')[0];
+
+        this.setState({
+            showEventDialog: true,
+            eventForm: {
+                id: null,
+                title: '',
+                description: '',
+                event_date: todayStr,
+                event_time: '',
+                end_date: '',
+                end_time: '',
+                icon: '📅',
+                waste_type_id: '',
+                all_day: false,
+                reminder_minutes: '',
+                recurrence_freq: 'none',
+                recurrence_interval: 1,
+                recurrence_until: '',
+                occurrence_date: null
+            }
+        });
+
+        // Focus title input after render
+        setTimeout(() => {
+            const titleInput = this.querySelector('#event-title');
+            if (titleInput) titleInput.focus();
+        }, 100);
+    }
+
+    showEditEventDialog(eventId) {
+        const event = this.state.events.find(e => e.id == eventId);
+        if (!event) return;
+
+        // Convert event date to YYYY-MM-DD format (series are edited from their first date)
+        const eventDate = new Date(event.series_start || event.event_date);
+        const dateStr = eventDate.toISOString().split('T')[0];
+        const recurrence = this.parseRecurrenceRule(event.recurrence_rule);
+
+        this.setState({
+            showEventDialog: true,
+            eventForm: {
+                id: event.id,
+                title: event.title || '',
+                description: event.description || '',
+                event_date: dateStr,
+                event_time: event.event_time || '',
+                // Series are edited from their first date, their end moves along
+                end_date: event.end_date ? this.addDaysToDateString(dateStr, this.getSpanDays(event)) : '',
+                end_time: event.end_time || '',
+                icon: event.icon || '📅',
+                waste_type_id: event.waste_type_id || '',
+                all_day: event.all_day || false,
+                reminder_minutes: event.reminder_minutes ?? '',
+                recurrence_freq: recurrence.freq,
+                recurrence_interval: recurrence.interval,
+                recurrence_until: recurrence.until,
+                occurrence_date: null
+            }
+        });
+
+        setTimeout(() => {
+            const titleInput = this.querySelector('#event-title');
+            if (titleInput) titleInput.focus();
+        }, 100);
+    }
+
+    /**
+     * Edit/delete entry point - occurrences of a series ask for the scope first
+     */
+    requestEventAction(action, eventId, occurrenceDate = null) {
+        const event = this.findEvent(eventId, occurrenceDate);
+        if (!event) return;
+
+        if (event.recurrence_rule && occurrenceDate) {
+            this.setState({
+                showScopeDialog: true,
+                scopeAction: action,
+                selectedEvent: event
+            });
+            return;
+        }
+
+        if (action === 'edit') {
+            this.showEditEventDialog(eventId);
+        } else {
+            this.showDeleteConfirmDialog(eventId);
+        }
+    }
+
+    applyScope(scope) {
+        const event = this.state.selectedEvent;
+        if (!event) return;
+
+        this.setState({ showScopeDialog: false });
+
+        if (this.state.scopeAction === 'edit') {
+            if (scope === 'single') {
+                this.showEditOccurrenceDialog(event);
+            } else {
+                this.showEditEventDialog(event.id);
+            }
+        } else {
+            this.setState({
+                showDeleteConfirm: true,
+                deleteScope: scope
+            });
+        }
+    }
+
+    closeScopeDialog() {
+        this.setState({
+            showScopeDialog: false,
+            scopeAction: null,
+            selectedEvent: null
+        });
+    }
+
+    showEditOccurrenceDialog(occurrence) {
+        this.setState({
+            showEventDialog: true,
+            eventForm: {
+                id: occurrence.id,
+                title: occurrence.title || '',
+                description: occurrence.description || '',
+                event_date: occurrence.event_date,
+                event_time: occurrence.event_time || '',
+                end_date: '',
+                end_time: '',
+                icon: occurrence.icon || '📅',
+                waste_type_id: occurrence.waste_type_id || '',
+                all_day: !occurrence.event_time,
+                reminder_minutes: occurrence.reminder_minutes ?? '',
+                recurrence_freq: 'none',
+                recurrence_interval: 1,
+                recurrence_until: '',
+                occurrence_date: occurrence.recurrence_id
+            }
+        });
+    }
+
+    closeEventDialog() {
+        this.setState({ showEventDialog: false });
+    }
+
+    showDeleteConfirmDialog(eventId) {
+        const event = this.state.events.find(e => e.id == eventId);
+        if (!event) return;
+
+        this.setState({
+            showDeleteConfirm: true,
+            deleteScope: 'series',
+            selectedEvent: event
+        });
+    }
+
+    closeDeleteConfirmDialog() {
+        this.setState({
+            showDeleteConfirm: false,
+            selectedEvent: null
+        });
+    }
+
+    async showExportDialog() {
+        // Provider formats are optional for the dialog, a failed request just hides the choice
+        if (this.state.providers.length === 0) {
+            try {
+                this.state.providers = await this.apiService.getProviders();
+            } catch (error) {
+                console.warn('Failed to load providers:', error);
+            }
+        }
+
+        // Read-only links are optional as well
+        const userHash = window.app?.state?.userHash;
+        if (userHash) {
+            try {
+                this.state.shareTokens = await this.apiService.getShareTokens(userHash);
+            } catch (error) {
+                console.warn('Failed to load share links:', error);
+            }
+        }
+
+        this.setState({ showExportDialog: true });
+    }
+
+    async createShareToken() {
+        const userHash = window.app?.state?.userHash;
+        const label = this.querySelector('.share-token-label-input')?.value.trim();
+        if (!userHash) return;
+
+        if (!label) {
+            this.showToast('Bitte eine Bezeichnung eingeben, z.B. das Gerät', 'error');
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            const shareToken = await this.apiService.createShareToken(userHash, label);
+
+            this.setState({ loading: false, shareTokens: [...this.state.shareTokens, shareToken] });
+            this.showToast('Nur-Lese-Link erstellt 👀', 'success');
+
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    async revokeShareToken(shareTokenId) {
+        const userHash = window.app?.state?.userHash;
+        const shareToken = this.state.shareTokens.find(token => token.id == shareTokenId);
+        if (!userHash || !shareToken) return;
+
+        if (!confirm(`Link "${shareToken.label}" widerrufen? Das Abo auf diesem Gerät bekommt danach keine Termine mehr.`)) {
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            await this.apiService.deleteShareToken(userHash, shareToken.id);
+
+            this.setState({
+                loading: false,
+                shareTokens: this.state.shareTokens.filter(token => token.id !== shareToken.id)
+            });
+            this.showToast('Link widerrufen', 'success');
+
+        } catch (error) {
+            console.error('Failed to revoke share link:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    closeExportDialog() {
+        this.setState({ showExportDialog: false });
+    }
+
+    async importICalFile(file) {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash) return;
+
+        try {
+            this.setState({ loading: true });
+
+            const content = await file.text();
+            const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'ics';
+            const provider = this.getImportProvider();
+            const preview = await this.apiService.previewImport(userHash, content, format, provider);
+
+            this.setState({
+                loading: false,
+                showExportDialog: false,
+                importSelection: preview.changes.filter(change => change.selected).map(change => change.id),
+                importReview: { content, format, provider, ...preview }
+            });
+
+        } catch (error) {
+            console.error('Failed to read calendar file:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    /**
+     * Provider chosen in the export dialog with its option values, or null
+     */
+    getImportProvider() {
+        const id = this.querySelector('.import-provider-select')?.value;
+        if (!id) return null;
+
+        const options = {};
+        this.querySelectorAll(`.import-provider-option[data-provider="${id}"]`).forEach(input => {
+            if (input.value.trim()) {
+                options[input.name] = input.value.trim();
+            }
+        });
+
+        return { id, options };
+    }
+
+    toggleImportChange(changeId, accepted) {
+        const selection = this.state.importSelection.filter(id => id !== changeId);
+        this.state.importSelection = accepted ? [...selection, changeId] : selection;
+    }
+
+    async applyImport() {
+        const userHash = window.app?.state?.userHash;
+        const review = this.state.importReview;
+        if (!userHash || !review) return;
+
+        try {
+            this.setState({ loading: true });
+
+            const summary = await this.apiService.applyImport(userHash, review.content, this.state.importSelection, review.format, review.provider);
+
+            this.setState({ importReview: null, importSelection: [] });
+            await this.loadEvents();
+
+            this.showToast(`Import übernommen: ${summary.added} neu, ${summary.changed} geändert, ${summary.removed} entfernt 📥`, 'success');
+
+        } catch (error) {
+            console.error('Failed to apply import:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    closeImportReview() {
+        this.setState({ importReview: null, importSelection: [] });
+    }
+
+    async parseSchedule() {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash) return;
+
+        const text = this.querySelector('.paste-textarea')?.value || '';
+        if (!text.trim()) {
+            this.showToast('Bitte Text einfügen', 'error');
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            const review = await this.apiService.parseSchedule(userHash, text, new Date().getFullYear());
+
+            this.setState({
+                loading: false,
+                pasteText: text,
+                // Pre-select everything that looks right and is not in the calendar yet
+                pasteSelection: review.proposals
+                    .map((proposal, index) => proposal.confidence !== 'low' && !proposal.duplicate ? index : null)
+                    .filter(index => index !== null),
+                pasteReview: review
+            });
+
+        } catch (error) {
+            console.error('Failed to parse schedule:', error);
+            this.setState({ loading: false, pasteText: text });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    togglePasteProposal(index, selected) {
+        const selection = this.state.pasteSelection.filter(i => i !== index);
+        this.state.pasteSelection = selected ? [...selection, index] : selection;
+    }
+
+    async savePastedEvents() {
+        const userHash = window.app?.state?.userHash;
+        const review = this.state.pasteReview;
+        if (!userHash || !review) return;
+
+        const events = this.state.pasteSelection
+            .sort((a, b) => a - b)
+            .map(index => review.proposals[index])
+            .map(proposal => ({
+                title: proposal.title,
+                event_date: proposal.event_date,
+                event_time: proposal.event_time,
+                icon: proposal.icon
+            }));
+
+        if (events.length === 0) {
+            this.showToast('Keine Termine ausgewählt', 'error');
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            const result = await this.apiService.createEventsBatch(userHash, events);
+
+            this.closePasteDialog();
+            await this.loadEvents();
+
+            if (result.failed > 0) {
+                this.showToast(`${result.created} Termine gespeichert, ${result.failed} fehlgeschlagen`, 'error');
+            } else {
+                this.showToast(`${result.created} Termine gespeichert 📋`, 'success');
+            }
+
+        } catch (error) {
+            console.error('Failed to save pasted events:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    closePasteDialog() {
+        this.setState({ showPasteDialog: false, pasteText: '', pasteReview: null, pasteSelection: [] });
+    }
+
+    async showSettingsDialog() {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash) return;
+
+        try {
+            this.setState({ loading: true });
+
+            const [{ settings, regions }, sources, wasteTypes, recovery] = await Promise.all([
+                this.apiService.getSettings(userHash),
+                this.apiService.getSources(userHash).catch(error => {
+                    console.warn('Failed to load sources:', error);
+                    return [];
+                }),
+                this.apiService.getWasteTypes(userHash).catch(error => {
+                    console.warn('Failed to load waste types:', error);
+                    return this.state.wasteTypes;
+                }),
+                this.apiService.getRecoveryEmail(userHash).catch(error => {
+                    console.warn('Failed to load recovery email:', error);
+                    return null;
+                })
+            ]);
+
+            this.setState({
+                loading: false,
+                holidayRegions: regions,
+                sources,
+                wasteTypes,
+                recovery,
+                rotatedLink: null,
+                editingWasteType: null,
+                settingsForm: {
+                    holiday_region: settings.holiday_region || '',
+                    holiday_shift: settings.holiday_shift,
+                    default_reminder_minutes: settings.default_reminder_minutes ?? '',
+                    all_day_reminder_time: (settings.all_day_reminder_time || '19:00:00').substring(0, 5),
+                    reminder_email: settings.reminder_email || '',
+                    quiet_hours_start: (settings.quiet_hours_start || '').substring(0, 5),
+                    quiet_hours_end: (settings.quiet_hours_end || '').substring(0, 5),
+                    weekly_digest: settings.weekly_digest,
+                    email_locale: settings.email_locale || 'de',
+                    timezone: settings.timezone || 'Europe/Berlin'
+                },
+                showSettingsDialog: true
+            });
+
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            this.setState({ loading: false });
+            this.showToast('Einstellungen konnten nicht geladen werden', 'error');
+        }
+    }
+
+    async saveWasteType() {
+        const userHash = window.app?.state?.userHash;
+        const editing = this.state.editingWasteType;
+        if (!userHash || !editing) return;
+
+        const name = this.querySelector('.waste-type-name-input')?.value.trim();
+        const time = this.querySelector('.waste-type-time-input')?.value;
+        const reminder = this.querySelector('.waste-type-reminder-select')?.value;
+
+        if (!name) {
+            this.showToast('Bitte einen Namen eingeben', 'error');
+            return;
+        }
+
+        const data = {
+            name,
+            color: this.querySelector('.waste-type-color-input')?.value,
+            icon: this.querySelector('.waste-type-icon-select')?.value,
+            default_time: time || null,
+            default_reminder_minutes: reminder !== '' && reminder !== undefined ? parseInt(reminder) : null
+        };
+
+        try {
+            this.setState({ loading: true });
+
+            if (editing === 'new') {
+                await this.apiService.createWasteType(userHash, data);
+            } else {
+                await this.apiService.updateWasteType(userHash, editing, data);
+            }
+
+            const wasteTypes = await this.apiService.getWasteTypes(userHash);
+            this.setState({ loading: false, wasteTypes, editingWasteType: null });
+            this.showToast('Abfallart gespeichert', 'success');
+
+        } catch (error) {
+            console.error('Failed to save waste type:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    async deleteWasteType(wasteTypeId) {
+        const userHash = window.app?.state?.userHash;
+        const wasteType = this.findWasteType(wasteTypeId);
+        if (!userHash || !wasteType) return;
+
+        if (!confirm(`Abfallart "${wasteType.name}" löschen? Die Termine bleiben erhalten.`)) {
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            await this.apiService.deleteWasteType(userHash, wasteTypeId);
+
+            this.setState({
+                wasteTypes: this.state.wasteTypes.filter(type => String(type.id) !== String(wasteTypeId)),
+                editingWasteType: null
+            });
+            await this.loadEvents();
+
+            this.showToast('Abfallart gelöscht', 'success');
+
+        } catch (error) {
+            console.error('Failed to delete waste type:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    async deleteAccount() {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash) return;
+
+        const answer = prompt('Kalender mit allen Terminen und Einstellungen endgültig löschen? Das lässt sich nicht rückgängig machen.\n\nZum Bestätigen LÖSCHEN eingeben:');
+        if (answer?.trim().toUpperCase() !== 'LÖSCHEN') {
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            await this.apiService.deleteAccount(userHash);
+
+            this.setState({ loading: false, showSettingsDialog: false });
+            window.dispatchEvent(new CustomEvent('yatwa-auth-logout'));
+
+        } catch (error) {
+            console.error('Failed to delete calendar:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
+    }
+
+    async restoreBackup(file) {
+        const userHash = window.app?.state?.userHash;
+        const mode = this.querySelector('.restore-mode-select')?.value || 'merge';
+        if (!userHash) return;
+
+        if (mode === 'replace' && !confirm('Termine, Abfallarten und Einstellungen durch die Sicherung ersetzen? Eigene Termine, die nicht in der Sicherung sind, gehen verloren.')) {
+            return;
+        }
+
+        try {
+            let archive;
+            try {
+                archive = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('Die Datei ist keine gültige Sicherung (JSON erwartet)');
+            }
+
+            this.setState({ loading: true });
+
+            const response = await this.apiService.restoreInto(userHash, archive, mode);
+            const { events } = response.summary;
+
+            this.setState({ showSettingsDialog: false });
+            await this.loadWasteTypes();
+            await this.loadEvents();
+
+            this.showToast(`Sicherung wiederhergestellt: ${events.created} neu, ${events.skipped} schon vorhanden ♻️`, 'success');
+
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.data?.errors?.join(', ') || error.message, 'error');
         }
     }
 
-    async handleFormSubmit(formType, formData) {
-        switch (formType) {
-            case 'event':
-                await this.saveEvent(formData);
-                break;
+    async rotateHash() {
+        const userHash = window.app?.state?.userHash;
+        const graceDays = parseInt(this.querySelector('.rotate-grace-select')?.value) || 0;
+        if (!userHash) return;
+
+        if (!confirm('Neuen Kalender-Link erzeugen? Der bisherige Link funktioniert danach nicht mehr.')) {
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            const { hash, user, link } = await this.apiService.rotateHash(userHash, graceDays);
+            window.dispatchEvent(new CustomEvent('yatwa-hash-rotated', {
+                detail: { hash, user }
+            }));
+
+            this.setState({ loading: false, rotatedLink: link });
+            this.showToast('Neuer Kalender-Link erstellt 🔄', 'success');
+
+        } catch (error) {
+            console.error('Failed to rotate hash:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
         }
     }
 
-    handleFormInputChange(name, value) {
-        this.setState({
-            eventForm: {
-                ...this.state.eventForm,
-                [name]: value
-            }
-        });
+    async saveRecoveryEmail() {
+        const userHash = window.app?.state?.userHash;
+        const email = this.querySelector('.recovery-email-input')?.value.trim();
+        if (!userHash) return;
 
-        // Disable time input when all_day is checked
-        if (name === 'all_day') {
-            const timeInput = this.querySelector('#event-time');
-            if (timeInput) {
-                timeInput.disabled = value;
-                if (value) {
-                    timeInput.value = '';
-                    this.setState({
-                        eventForm: {
-                            ...this.state.eventForm,
-                            event_time: '',
-                            all_day: value
-                        }
-                    });
-                }
-            }
+        if (!email) {
+            this.showToast('Bitte eine E-Mail-Adresse eingeben', 'error');
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            const recovery = await this.apiService.setRecoveryEmail(userHash, email);
+
+            this.setState({ loading: false, recovery });
+            this.showToast('Bestätigungs-E-Mail versendet 📧', 'success');
+
+        } catch (error) {
+            console.error('Failed to save recovery email:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
         }
     }
 
-    /* ============================================================================
-       EVENT DIALOG METHODS
-       ============================================================================ */
+    async deleteRecoveryEmail() {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash) return;
 
-    showAddEventDialog() {
-        const today = new Date();
-        const todayStr = today.toISOString().split('T')[0];
+        try {
+            this.setState({ loading: true });
 
-        this.setState({
-            showEventDialog: true,
-            eventForm: {
-                id: null,
-                title: '',
-                description: '',
-                event_date: todayStr,
-                event_time: '',
-                icon: '📅',
-                category: 'general',
-                all_day: false,
-                reminder_minutes: 0
-            }
-        });
+            const recovery = await this.apiService.deleteRecoveryEmail(userHash);
 
-        // Focus title input after render
-        setTimeout(() => {
-            const titleInput = this.querySelector('#event-title');
-            if (titleInput) titleInput.focus();
-        }, 100);
+            this.setState({ loading: false, recovery });
+            this.showToast('Wiederherstellungs-Adresse entfernt', 'success');
+
+        } catch (error) {
+            console.error('Failed to delete recovery email:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
     }
 
-    showEditEventDialog(eventId) {
-        const event = this.state.events.find(e => e.id == eventId);
-        if (!event) return;
+    async addSource() {
+        const userHash = window.app?.state?.userHash;
+        const url = this.querySelector('.source-url-input')?.value.trim();
+        if (!userHash) return;
 
-        // Convert event date to YYYY-MM-DD format
-        const eventDate = new Date(event.event_date);
-        const dateStr = eventDate.toISOString().split('T')[0];
+        if (!url) {
+            this.showToast('Bitte die Adresse des Kalenders eingeben', 'error');
+            return;
+        }
 
-        this.setState({
-            showEventDialog: true,
-            eventForm: {
-                id: event.id,
-                title: event.title || '',
-                description: event.description || '',
-                event_date: dateStr,
-                event_time: event.event_time || '',
-                icon: event.icon || '📅',
-                category: event.category || 'general',
-                all_day: event.all_day || false,
-                reminder_minutes: event.reminder_minutes || 0
+        try {
+            this.setState({ loading: true });
+
+            const { sync } = await this.apiService.addSource(userHash, url);
+            const sources = await this.apiService.getSources(userHash);
+
+            this.setState({ sources });
+            await this.loadEvents();
+
+            if (sync.status === 'failed') {
+                this.showToast(`Abonniert, aber der Abruf ist fehlgeschlagen: ${sync.error}`, 'error');
+            } else {
+                this.showToast(`Kalender abonniert: ${sync.added} Termine übernommen 🔗`, 'success');
             }
-        });
 
-        setTimeout(() => {
-            const titleInput = this.querySelector('#event-title');
-            if (titleInput) titleInput.focus();
-        }, 100);
+        } catch (error) {
+            console.error('Failed to add source:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
     }
 
-    closeEventDialog() {
-        this.setState({ showEventDialog: false });
-    }
+    async syncSource(sourceId) {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash || !sourceId) return;
 
-    showDeleteConfirmDialog(eventId) {
-        const event = this.state.events.find(e => e.id == eventId);
-        if (!event) return;
+        try {
+            this.setState({ loading: true });
 
-        this.setState({
-            showDeleteConfirm: true,
-            selectedEvent: event
-        });
+            const { sync } = await this.apiService.syncSource(userHash, sourceId);
+            const sources = await this.apiService.getSources(userHash);
+
+            this.setState({ sources });
+            await this.loadEvents();
+
+            this.showToast(`Abgeglichen: ${sync.added} neu, ${sync.changed} geändert, ${sync.removed} entfernt`, 'success');
+
+        } catch (error) {
+            console.error('Failed to sync source:', error);
+            const sources = await this.apiService.getSources(userHash).catch(() => this.state.sources);
+            this.setState({ loading: false, sources });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
     }
 
-    closeDeleteConfirmDialog() {
-        this.setState({
-            showDeleteConfirm: false,
-            selectedEvent: null
-        });
+    async removeSource(sourceId) {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash || !sourceId) return;
+
+        if (!confirm('Abo beenden und die übernommenen Termine löschen?')) {
+            return;
+        }
+
+        try {
+            this.setState({ loading: true });
+
+            await this.apiService.deleteSource(userHash, sourceId);
+
+            this.setState({ sources: this.state.sources.filter(source => String(source.id) !== String(sourceId)) });
+            await this.loadEvents();
+
+            this.showToast('Abo beendet', 'success');
+
+        } catch (error) {
+            console.error('Failed to remove source:', error);
+            this.setState({ loading: false });
+            this.showToast(error.data?.error || error.message, 'error');
+        }
     }
 
-    showExportDialog() {
-        this.setState({ showExportDialog: true });
+    closeSettingsDialog() {
+        this.setState({ showSettingsDialog: false });
     }
 
-    closeExportDialog() {
-        this.setState({ showExportDialog: false });
+    async saveSettings() {
+        const userHash = window.app?.state?.userHash;
+        if (!userHash) return;
+
+        try {
+            this.setState({ loading: true });
+
+            await this.apiService.updateSettings(userHash, {
+                holiday_region: this.state.settingsForm.holiday_region || null,
+                holiday_shift: !!this.state.settingsForm.holiday_shift,
+                default_reminder_minutes: parseInt(this.state.settingsForm.default_reminder_minutes) || null,
+                all_day_reminder_time: this.state.settingsForm.all_day_reminder_time || '19:00',
+                reminder_email: this.state.settingsForm.reminder_email.trim() || null,
+                quiet_hours_start: this.state.settingsForm.quiet_hours_start || null,
+                quiet_hours_end: this.state.settingsForm.quiet_hours_end || null,
+                weekly_digest: !!this.state.settingsForm.weekly_digest,
+                email_locale: this.state.settingsForm.email_locale || 'de',
+                timezone: this.state.settingsForm.timezone
+            });
+
+            this.setState({ showSettingsDialog: false });
+
+            // Holiday shifts change the expanded occurrences
+            await this.loadEvents();
+            this.showToast('Einstellungen gespeichert', 'success');
+
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.setState({ loading: false });
+            this.showToast(error.message, 'error');
+        }
     }
 
     closeAllDialogs() {
@@ -1488,6 +3527,11 @@ class CalendarComponent extends HTMLElement {
             showEventDialog: false,
             showDeleteConfirm: false,
             showExportDialog: false,
+            showScopeDialog: false,
+            showSettingsDialog: false,
+            importReview: null,
+            showPasteDialog: false,
+            pasteReview: null,
             selectedEvent: null
         });
     }
@@ -1536,14 +3580,38 @@ class CalendarComponent extends HTMLElement {
                 description: eventData.description?.trim() || null,
                 event_date: eventData.event_date,
                 event_time: eventData.all_day ? null : (eventData.event_time || null),
+                end_date: eventData.end_date || null,
+                end_time: eventData.all_day ? null : (eventData.end_time || null),
                 icon: eventData.icon || '📅',
-                category: eventData.category || 'general',
+                // Left out for new events, so the server recognizes the type from the title
+                waste_type_id: eventData.waste_type_id ? parseInt(eventData.waste_type_id) : (this.state.eventForm.id ? null : undefined),
                 all_day: Boolean(eventData.all_day),
-                reminder_minutes: parseInt(eventData.reminder_minutes) || 0
+                reminder_minutes: eventData.reminder_minutes === '' || eventData.reminder_minutes == null ?
+                    null : parseInt(eventData.reminder_minutes),
+                recurrence_rule: this.buildRecurrenceRule(eventData)
             };
 
             console.log('Saving event data:', apiEventData); // Debug-Log
 
+            // Only this occurrence of a series
+            if (this.state.eventForm.occurrence_date) {
+                const { recurrence_rule, waste_type_id, reminder_minutes, end_date, end_time, ...occurrenceData } = apiEventData;
+                await this.apiService.updateOccurrence(
+                    window.app.state.userHash,
+                    this.state.eventForm.id,
+                    this.state.eventForm.occurrence_date,
+                    occurrenceData
+                );
+                await this.loadEvents();
+
+                this.setState({
+                    loading: false,
+                    showEventDialog: false
+                });
+                this.showToast('Termin verschoben! 🔁', 'success');
+                return;
+            }
+
             let savedEvent;
             if (this.state.eventForm.id) {
                 // Update existing event
@@ -1553,8 +3621,12 @@ class CalendarComponent extends HTMLElement {
                 savedEvent = await window.app.createEvent(apiEventData);
             }
 
-            // Update local state
-            if (this.state.eventForm.id) {
+            const editedEvent = this.state.events.find(event => event.id === this.state.eventForm.id);
+
+            // Update local state - series are reloaded so their occurrences get expanded again
+            if (apiEventData.recurrence_rule || editedEvent?.recurrence_rule) {
+                await this.loadEvents();
+            } else if (this.state.eventForm.id) {
                 this.setState({
                     events: this.state.events.map(event =>
                         event.id === this.state.eventForm.id ? savedEvent : event
@@ -1587,6 +3659,24 @@ class CalendarComponent extends HTMLElement {
         this.setState({ loading: true });
 
         try {
+            // Only this occurrence of a series
+            if (this.state.deleteScope === 'single') {
+                await this.apiService.cancelOccurrence(
+                    window.app.state.userHash,
+                    this.state.selectedEvent.id,
+                    this.state.selectedEvent.recurrence_id
+                );
+                await this.loadEvents();
+
+                this.setState({
+                    loading: false,
+                    showDeleteConfirm: false,
+                    selectedEvent: null
+                });
+                this.showToast('Termin abgesagt! 🗑️', 'info');
+                return;
+            }
+
             await window.app.deleteEvent(this.state.selectedEvent.id);
 
             this.setState({
@@ -1652,6 +3742,18 @@ class CalendarComponent extends HTMLElement {
         }
     }
 
+    async copyLink(url) {
+        if (!url) return;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showToast('Link kopiert! 📋', 'success');
+        } catch (error) {
+            console.error('Failed to copy URL:', error);
+            this.showToast('Kopieren fehlgeschlagen', 'error');
+        }
+    }
+
     /* ============================================================================
        UTILITY METHODS
        ============================================================================ */
@@ -1685,22 +3787,73 @@ class CalendarComponent extends HTMLElement {
         return this.isSameDay(date, new Date());
     }
 
+    /**
+     * First and last day of an event at midnight (multi-day events end on end_date)
+     */
+    getEventDayRange(event) {
+        const first = new Date(event.event_date);
+        const last = new Date(event.end_date || event.event_date);
+        first.setHours(0, 0, 0, 0);
+        last.setHours(0, 0, 0, 0);
+        return { first, last };
+    }
+
+    /**
+     * Whether an event takes place on a day - multi-day events on each of their days
+     */
+    isEventOnDay(event, date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+
+        const { first, last } = this.getEventDayRange(event);
+        return day >= first && day <= last;
+    }
+
+    getSpanDays(event) {
+        const { first, last } = this.getEventDayRange(event);
+        return Math.round((last - first) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * "3 Tage", while running "Tag 2 von 3"
+     */
+    describeSpan(event) {
+        const days = this.getSpanDays(event) + 1;
+        if (!this.isEventOnDay(event, new Date())) {
+            return `${days} Tage`;
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const day = Math.round((today - this.getEventDayRange(event).first) / (24 * 60 * 60 * 1000)) + 1;
+        return `Tag ${day} von ${days}`;
+    }
+
+    addDaysToDateString(dateStr, days) {
+        const date = new Date(dateStr + 'T00:00:00Z');
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
     isSameDay(date1, date2) {
         return date1.getDate() === date2.getDate() &&
             date1.getMonth() === date2.getMonth() &&
             date1.getFullYear() === date2.getFullYear();
     }
 
+    findEvent(eventId, occurrenceDate = null) {
+        return this.state.events.find(e =>
+            e.id == eventId && (!occurrenceDate || e.recurrence_id === occurrenceDate)
+        );
+    }
+
     getSortedUpcomingEvents() {
         const now = new Date();
         now.setHours(0, 0, 0, 0);
 
+        // Multi-day events stay upcoming until their last day
         return this.state.events
-            .filter(event => {
-                const eventDate = new Date(event.event_date);
-                eventDate.setHours(0, 0, 0, 0);
-                return eventDate >= now;
-            })
+            .filter(event => this.getEventDayRange(event).last >= now)
             .sort((a, b) => new Date(a.event_date) - new Date(b.event_date));
     }
 
@@ -1729,19 +3882,12 @@ class CalendarComponent extends HTMLElement {
         switch (this.state.viewFilter) {
             case 'past':
                 return this.state.events
-                    .filter(event => {
-                        const eventDate = new Date(event.event_date);
-                        eventDate.setHours(0, 0, 0, 0);
-                        return eventDate < now;
-                    })
+                    .filter(event => this.getEventDayRange(event).last < now)
                     .sort((a, b) => new Date(b.event_date) - new Date(a.event_date)); // Neueste zuerst
 
             case 'today': // ← NEU
                 return this.state.events
-                    .filter(event => {
-                        const eventDate = new Date(event.event_date);
-                        return this.isSameDay(eventDate, now);
-                    })
+                    .filter(event => this.isEventOnDay(event, now))
                     .sort((a, b) => {
                         // bei gleichen Tagen nach Uhrzeit sortieren
                         if (a.event_time && b.event_time) {
@@ -1760,6 +3906,87 @@ class CalendarComponent extends HTMLElement {
         }
     }
 
+    /**
+     * Build an RRULE value from the dialog fields (monthly = same weekday position)
+     */
+    buildRecurrenceRule(formData) {
+        if (!formData.recurrence_freq || formData.recurrence_freq === 'none') {
+            return null;
+        }
+
+        const parts = [`FREQ=${formData.recurrence_freq}`];
+        const interval = parseInt(formData.recurrence_interval) || 1;
+
+        if (interval > 1) {
+            parts.push(`INTERVAL=${interval}`);
+        }
+
+        if (formData.recurrence_freq === 'MONTHLY') {
+            const date = new Date(formData.event_date + 'T00:00:00');
+            const position = Math.ceil(date.getDate() / 7);
+            parts.push(`BYDAY=${position > 4 ? -1 : position}${this.weekdayCodes[date.getDay()]}`);
+        }
+
+        if (formData.recurrence_until) {
+            parts.push(`UNTIL=${formData.recurrence_until.replace(/-/g, '')}`);
+        }
+
+        return parts.join(';');
+    }
+
+    /**
+     * Read the dialog fields back from a stored RRULE value
+     */
+    parseRecurrenceRule(rule) {
+        const result = { freq: 'none', interval: 1, until: '' };
+        if (!rule) return result;
+
+        rule.split(';').forEach(part => {
+            const [key, value] = part.split('=');
+            if (key === 'FREQ') result.freq = value;
+            if (key === 'INTERVAL') result.interval = parseInt(value) || 1;
+            if (key === 'UNTIL') result.until = `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}`;
+        });
+
+        return result;
+    }
+
+    /**
+     * Human readable (German) description of a reminder offset, matching the
+     * feed: all-day pickups are reminded on the evening(s) before
+     */
+    describeReminder(minutes, allDay) {
+        if (allDay) {
+            const evenings = Math.max(1, Math.ceil(minutes / 1440));
+            return evenings === 1 ? 'am Vorabend' : `${evenings} Abende vorher`;
+        }
+
+        if (minutes % 1440 === 0) return minutes === 1440 ? '1 Tag vorher' : `${minutes / 1440} Tage vorher`;
+        if (minutes % 60 === 0) return minutes === 60 ? '1 Stunde vorher' : `${minutes / 60} Stunden vorher`;
+        return `${minutes} Min. vorher`;
+    }
+
+    /**
+     * Human readable (German) description of an RRULE value
+     */
+    describeRecurrence(rule) {
+        const { freq, interval, until } = this.parseRecurrenceRule(rule);
+        const units = {
+            DAILY: ['Täglich', 'Tage'],
+            WEEKLY: ['Wöchentlich', 'Wochen'],
+            MONTHLY: ['Monatlich', 'Monate'],
+            YEARLY: ['Jährlich', 'Jahre']
+        };
+        const [single, plural] = units[freq] || ['Wiederkehrend', ''];
+
+        let text = interval > 1 ? `Alle ${interval} ${plural}` : single;
+        if (until) {
+            text += ` bis ${new Date(until).toLocaleDateString('de-DE')}`;
+        }
+
+        return text;
+    }
+
     escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
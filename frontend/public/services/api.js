@@ -159,7 +159,8 @@ export class ApiService {
                 created: response.created,
                 link: response.link
             },
-            emailSent: response.emailSent || false
+            emailSent: response.emailSent || false,
+            emailQueued: response.emailQueued || false
         };
     }
 
@@ -191,6 +192,237 @@ export class ApiService {
         return response;
     }
 
+    /**
+     * Issue a new hash and invalidate the current one
+     */
+    async rotateHash(userHash, graceDays = 0) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/rotate`, {
+            method: 'POST',
+            body: JSON.stringify({ graceDays })
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Hash rotation failed');
+        }
+
+        return response;
+    }
+
+    /**
+     * Get the URL of the JSON archive with all data of a calendar
+     */
+    getExportUrl(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        return `${window.location.origin}/api/users/${encodeURIComponent(userHash)}/export`;
+    }
+
+    /**
+     * Delete the calendar with all its data (the hash is repeated as confirmation)
+     */
+    async deleteAccount(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const hash = encodeURIComponent(userHash);
+        const response = await this.request(`/users/${hash}?confirm=${hash}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to delete calendar');
+        }
+
+        return response;
+    }
+
+    /**
+     * Restore an exported archive into a new calendar, returns its fresh hash
+     */
+    async restoreBackup(archive) {
+        if (!archive) {
+            throw new ApiError('Archive is required');
+        }
+
+        const response = await this.request('/restore', {
+            method: 'POST',
+            body: JSON.stringify(archive)
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || response.errors?.join(', ') || 'Failed to restore backup');
+        }
+
+        return response;
+    }
+
+    /**
+     * Restore an exported archive into an existing calendar ('merge' or 'replace')
+     */
+    async restoreInto(userHash, archive, mode = 'merge') {
+        if (!userHash || !archive) {
+            throw new ApiError('User hash and archive are required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/restore?mode=${encodeURIComponent(mode)}`, {
+            method: 'POST',
+            body: JSON.stringify(archive)
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || response.errors?.join(', ') || 'Failed to restore backup');
+        }
+
+        return response;
+    }
+
+    /* ============================================================================
+       SHARE TOKEN ENDPOINTS (read-only feed links)
+       ============================================================================ */
+
+    /**
+     * Get the read-only feed links of a calendar
+     */
+    async getShareTokens(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/share-tokens`);
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to load share links');
+        }
+
+        return response.shareTokens;
+    }
+
+    /**
+     * Create a labelled read-only feed link
+     */
+    async createShareToken(userHash, label) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/share-tokens`, {
+            method: 'POST',
+            body: JSON.stringify({ label })
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to create share link');
+        }
+
+        return response.shareToken;
+    }
+
+    /**
+     * Revoke a read-only feed link
+     */
+    async deleteShareToken(userHash, shareTokenId) {
+        if (!userHash || !shareTokenId) {
+            throw new ApiError('User hash and share token ID are required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/share-tokens/${shareTokenId}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to revoke share link');
+        }
+
+        return response;
+    }
+
+    /* ============================================================================
+       RECOVERY ENDPOINTS (lost hash, recovery email address)
+       ============================================================================ */
+
+    /**
+     * Ask for the links of all calendars bound to an email address
+     */
+    async recover(email) {
+        if (!email) {
+            throw new ApiError('Email is required');
+        }
+
+        const response = await this.request('/recover', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Recovery failed');
+        }
+
+        return response.message;
+    }
+
+    /**
+     * Get the recovery address status of a calendar (none, pending, confirmed)
+     */
+    async getRecoveryEmail(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/recovery-email`);
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to load recovery email');
+        }
+
+        return response.recovery;
+    }
+
+    /**
+     * Bind a recovery address (a confirmation mail is sent to it)
+     */
+    async setRecoveryEmail(userHash, email) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/recovery-email`, {
+            method: 'PUT',
+            body: JSON.stringify({ email })
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to save recovery email');
+        }
+
+        return response.recovery;
+    }
+
+    /**
+     * Remove the recovery address
+     */
+    async deleteRecoveryEmail(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/users/${encodeURIComponent(userHash)}/recovery-email`, {
+            method: 'DELETE'
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to remove recovery email');
+        }
+
+        return response.recovery;
+    }
+
     /* ============================================================================
        EVENT ENDPOINTS
        ============================================================================ */
@@ -286,6 +518,126 @@ export class ApiService {
         return { success: true };
     }
 
+    /**
+     * Move or change a single occurrence of a recurring event
+     */
+    async updateOccurrence(userHash, eventId, occurrenceDate, eventData) {
+        if (!userHash || !eventId || !occurrenceDate) {
+            throw new ApiError('User hash, event ID and occurrence date are required');
+        }
+
+        const response = await this.request(`/events/${encodeURIComponent(userHash)}/${eventId}/occurrences/${occurrenceDate}`, {
+            method: 'PUT',
+            body: JSON.stringify(eventData)
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || response.errors?.join(', ') || 'Failed to update occurrence');
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Skip a single occurrence of a recurring event
+     */
+    async cancelOccurrence(userHash, eventId, occurrenceDate) {
+        if (!userHash || !eventId || !occurrenceDate) {
+            throw new ApiError('User hash, event ID and occurrence date are required');
+        }
+
+        const response = await this.request(`/events/${encodeURIComponent(userHash)}/${eventId}/occurrences/${occurrenceDate}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to cancel occurrence');
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Dry-run an import (.ics or CSV): returns the diff against the existing events.
+     * provider ({ id, options }) reads the content as the payload of a schedule provider.
+     */
+    async previewImport(userHash, content, format = 'ics', provider = null) {
+        if (!userHash || !content) {
+            throw new ApiError('User hash and file content are required');
+        }
+
+        const query = new URLSearchParams({ dryRun: '1' });
+        if (provider) {
+            query.set('provider', provider.id);
+            Object.entries(provider.options || {}).forEach(([name, value]) => query.set(name, value));
+        }
+
+        const response = await this.request(`/events/${encodeURIComponent(userHash)}/import?${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': `${format === 'csv' ? 'text/csv' : 'text/calendar'}; charset=utf-8` },
+            body: content
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to read calendar file');
+        }
+
+        return {
+            summary: response.summary,
+            changes: response.changes || [],
+            rejected: response.rejected || []
+        };
+    }
+
+    /**
+     * Apply the accepted changes of a previewed import
+     */
+    async applyImport(userHash, content, acceptedChangeIds, format = 'ics', provider = null) {
+        if (!userHash || !content) {
+            throw new ApiError('User hash and file content are required');
+        }
+
+        const response = await this.request(`/events/${encodeURIComponent(userHash)}/import/apply`, {
+            method: 'POST',
+            body: JSON.stringify({
+                content,
+                format,
+                provider: provider?.id || null,
+                options: provider?.options || {},
+                accept: acceptedChangeIds
+            })
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to apply import');
+        }
+
+        return response.summary;
+    }
+
+    /**
+     * Recognize pickup dates in pasted schedule text (nothing is saved)
+     */
+    async parseSchedule(userHash, text, year = null) {
+        if (!userHash || !text) {
+            throw new ApiError('User hash and text are required');
+        }
+
+        const response = await this.request(`/events/${encodeURIComponent(userHash)}/parse-schedule`, {
+            method: 'POST',
+            body: JSON.stringify({ text, year })
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to parse schedule');
+        }
+
+        return {
+            proposals: response.proposals || [],
+            summary: response.summary
+        };
+    }
+
     /**
      * Get upcoming events
      */
@@ -336,6 +688,11 @@ export class ApiService {
         const queryParams = new URLSearchParams();
         if (options.name) queryParams.append('name', options.name);
         if (options.timezone) queryParams.append('tz', options.timezone);
+        // Filtered feed: waste type ids / icons, days back and ahead of today
+        if (options.types?.length) queryParams.append('types', options.types.join(','));
+        if (options.icons?.length) queryParams.append('icons', options.icons.join(','));
+        if (options.past !== undefined && options.past !== null) queryParams.append('past', String(options.past));
+        if (options.future !== undefined && options.future !== null) queryParams.append('future', String(options.future));
 
         const queryString = queryParams.toString();
         return `${window.location.origin}/api/ical/${encodeURIComponent(userHash)}${queryString ? '?' + queryString : ''}`;
@@ -375,6 +732,221 @@ export class ApiService {
         return response.validation;
     }
 
+    /* ============================================================================
+       SETTINGS ENDPOINTS
+       ============================================================================ */
+
+    /**
+     * Get calendar settings and the list of selectable Bundesländer
+     */
+    async getSettings(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/settings/${encodeURIComponent(userHash)}`);
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to load settings');
+        }
+
+        return {
+            settings: response.settings,
+            regions: response.regions || {}
+        };
+    }
+
+    /**
+     * Update calendar settings
+     */
+    async updateSettings(userHash, settings) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/settings/${encodeURIComponent(userHash)}`, {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || response.errors?.join(', ') || 'Failed to update settings');
+        }
+
+        return response.settings;
+    }
+
+    /**
+     * Get the URL of the rendered weekly digest (opened in a new tab)
+     */
+    getDigestPreviewUrl(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        return `${window.location.origin}/api/digest/${encodeURIComponent(userHash)}/preview`;
+    }
+
+    /* ============================================================================
+       SOURCE ENDPOINTS (subscribed .ics calendars)
+       ============================================================================ */
+
+    /**
+     * Get the subscribed calendars with their sync status
+     */
+    async getSources(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/sources/${encodeURIComponent(userHash)}`);
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to load sources');
+        }
+
+        return response.sources || [];
+    }
+
+    /**
+     * Subscribe to a remote .ics calendar (synced right away)
+     */
+    async addSource(userHash, url, label = null) {
+        if (!userHash || !url) {
+            throw new ApiError('User hash and URL are required');
+        }
+
+        const response = await this.request(`/sources/${encodeURIComponent(userHash)}`, {
+            method: 'POST',
+            body: JSON.stringify({ url, label })
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to add source');
+        }
+
+        return { source: response.source, sync: response.sync };
+    }
+
+    /**
+     * Sync a subscribed calendar now
+     */
+    async syncSource(userHash, sourceId) {
+        if (!userHash || !sourceId) {
+            throw new ApiError('User hash and source ID are required');
+        }
+
+        const response = await this.request(`/sources/${encodeURIComponent(userHash)}/${sourceId}/sync`, {
+            method: 'POST'
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to sync source');
+        }
+
+        return { source: response.source, sync: response.sync };
+    }
+
+    /**
+     * Unsubscribe from a calendar, optionally keeping its events
+     */
+    async deleteSource(userHash, sourceId, keepEvents = false) {
+        if (!userHash || !sourceId) {
+            throw new ApiError('User hash and source ID are required');
+        }
+
+        const query = keepEvents ? '?keepEvents=1' : '';
+        const response = await this.request(`/sources/${encodeURIComponent(userHash)}/${sourceId}${query}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to delete source');
+        }
+
+        return { success: true };
+    }
+
+    /* ============================================================================
+       WASTE TYPE ENDPOINTS
+       ============================================================================ */
+
+    /**
+     * Get the waste types of a calendar
+     */
+    async getWasteTypes(userHash) {
+        if (!userHash) {
+            throw new ApiError('User hash is required');
+        }
+
+        const response = await this.request(`/waste-types/${encodeURIComponent(userHash)}`);
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to load waste types');
+        }
+
+        return response.wasteTypes || [];
+    }
+
+    /**
+     * Create a waste type ({ name, color, icon, default_time, default_reminder_minutes })
+     */
+    async createWasteType(userHash, wasteTypeData) {
+        if (!userHash || !wasteTypeData) {
+            throw new ApiError('User hash and waste type data are required');
+        }
+
+        const response = await this.request(`/waste-types/${encodeURIComponent(userHash)}`, {
+            method: 'POST',
+            body: JSON.stringify(wasteTypeData)
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || response.errors?.join(', ') || 'Failed to create waste type');
+        }
+
+        return response.wasteType;
+    }
+
+    /**
+     * Update a waste type
+     */
+    async updateWasteType(userHash, wasteTypeId, wasteTypeData) {
+        if (!userHash || !wasteTypeId || !wasteTypeData) {
+            throw new ApiError('User hash, waste type ID and data are required');
+        }
+
+        const response = await this.request(`/waste-types/${encodeURIComponent(userHash)}/${wasteTypeId}`, {
+            method: 'PUT',
+            body: JSON.stringify(wasteTypeData)
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || response.errors?.join(', ') || 'Failed to update waste type');
+        }
+
+        return response.wasteType;
+    }
+
+    /**
+     * Delete a waste type (its events keep their icon)
+     */
+    async deleteWasteType(userHash, wasteTypeId) {
+        if (!userHash || !wasteTypeId) {
+            throw new ApiError('User hash and waste type ID are required');
+        }
+
+        const response = await this.request(`/waste-types/${encodeURIComponent(userHash)}/${wasteTypeId}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to delete waste type');
+        }
+
+        return { success: true };
+    }
+
     /* ============================================================================
        UTILITY ENDPOINTS
        ============================================================================ */
@@ -392,6 +964,19 @@ export class ApiService {
         return response.icons || [];
     }
 
+    /**
+     * Get the schedule provider formats the import understands
+     */
+    async getProviders() {
+        const response = await this.request('/providers');
+
+        if (!response.success) {
+            throw new ApiError(response.error || 'Failed to load providers');
+        }
+
+        return response.providers || [];
+    }
+
     /**
      * Health check
      */